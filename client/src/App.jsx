@@ -1,6 +1,10 @@
-import React from 'react';
+import React, { useEffect } from 'react';
+import { useDispatch } from 'react-redux';
 import { Routes, Route, Navigate } from 'react-router-dom';
+import api from './services/axios';
+import { setCredentials, logout } from './slices/authSlice';
 import Navbar from './components/Navbar.jsx';
+import VerifyEmailBanner from './components/VerifyEmailBanner.jsx';
 import ProtectedRoute from './components/ProtectedRoute.jsx';
 import Home from './pages/Home.jsx';
 import Product from './pages/Product.jsx';
@@ -8,14 +12,31 @@ import Customize from './pages/Customize.jsx';
 import Cart from './pages/Cart.jsx';
 import Checkout from './pages/Checkout.jsx';
 import MyOrders from './pages/MyOrders.jsx';
+import PaymentCallback from './pages/PaymentCallback.jsx';
 import AdminDashboard from './pages/AdminDashboard.jsx';
 import Login from './pages/Login.jsx';
 import Register from './pages/Register.jsx';
+import ForgotPassword from './pages/ForgotPassword.jsx';
+import ResetPassword from './pages/ResetPassword.jsx';
+import VerifyEmail from './pages/VerifyEmail.jsx';
+import UnlockAccount from './pages/UnlockAccount.jsx';
+import TwoFactorSettings from './pages/TwoFactorSettings.jsx';
 
 export default function App() {
+  const dispatch = useDispatch();
+
+  // The auth cookies are httpOnly, so ask the server who is signed in
+  useEffect(() => {
+    api
+      .get('/auth/me', { skipAuthRedirect: true })
+      .then(({ data }) => dispatch(setCredentials({ user: data.data })))
+      .catch(() => dispatch(logout()));
+  }, [dispatch]);
+
   return (
     <div className="min-h-screen bg-gray-50">
       <Navbar />
+      <VerifyEmailBanner />
       <main className="container mx-auto px-4 py-6">
         <Routes>
           <Route path="/" element={<Home />} />
@@ -38,6 +59,14 @@ export default function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/payment/callback"
+            element={
+              <ProtectedRoute>
+                <PaymentCallback />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/admin"
             element={
@@ -46,8 +75,20 @@ export default function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/account/security"
+            element={
+              <ProtectedRoute>
+                <TwoFactorSettings />
+              </ProtectedRoute>
+            }
+          />
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password/:token" element={<ResetPassword />} />
+          <Route path="/verify-email/:token" element={<VerifyEmail />} />
+          <Route path="/unlock-account/:token" element={<UnlockAccount />} />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </main>
@@ -2,6 +2,56 @@ import React, { useState } from 'react';
 import { useFormik } from 'formik';
 import * as Yup from 'yup';
 
+// Price change for one selected value: a per-value modifier wins over the option's own
+export const optionPriceModifier = (opt, value) => {
+  if (value === undefined || value === null || value === '') return 0;
+  const valueModifier = (opt.valueModifiers || []).find((vm) => vm.value === String(value));
+  return valueModifier ? valueModifier.priceModifier : opt.priceModifier || 0;
+};
+
+// Options with a showIf rule only appear once an earlier option has a matching value
+export const isOptionVisible = (opt, values) =>
+  !opt.showIf?.option || (opt.showIf.values || []).includes(String(values[opt.showIf.option]));
+
+const formatModifier = (amount) =>
+  amount ? ` (${amount > 0 ? '+' : '-'}₦${Math.abs(amount).toLocaleString()})` : '';
+
+// Yup rule for one option, from the limits stored on the product
+const optionRule = (opt) => {
+  const label = opt.label || opt.name;
+  let rule;
+
+  if (opt.type === 'number') {
+    rule = Yup.number()
+      .transform((value, original) => (original === '' ? undefined : value))
+      .typeError(`${label} must be a number`);
+    if (opt.min != null) rule = rule.min(opt.min, `${label} must be at least ${opt.min}`);
+    if (opt.max != null) rule = rule.max(opt.max, `${label} cannot exceed ${opt.max}`);
+  } else {
+    rule = Yup.string();
+    if (opt.minLength) {
+      rule = rule.min(opt.minLength, `${label} must be at least ${opt.minLength} characters`);
+    }
+    if (opt.maxLength) {
+      rule = rule.max(opt.maxLength, `${label} cannot exceed ${opt.maxLength} characters`);
+    }
+  }
+
+  if (opt.required) {
+    rule = rule.required(`${label} is required`);
+  }
+
+  if (opt.showIf?.option) {
+    return Yup.mixed().when(opt.showIf.option, {
+      is: (value) => (opt.showIf.values || []).includes(String(value)),
+      then: () => rule,
+      otherwise: (schema) => schema.notRequired(),
+    });
+  }
+
+  return rule;
+};
+
 export default function CustomForm({ product, onSubmit }) {
   const [loading, setLoading] = useState(false);
 
@@ -10,11 +60,7 @@ export default function CustomForm({ product, onSubmit }) {
 
   (product?.customOptions || []).forEach((opt) => {
     initialValues[opt.name] = opt.default || '';
-    if (opt.required) {
-      validationSchema[opt.name] = Yup.string().required(
-        `${opt.label || opt.name} is required`
-      );
-    }
+    validationSchema[opt.name] = optionRule(opt);
   });
 
   const formik = useFormik({
@@ -23,7 +69,13 @@ export default function CustomForm({ product, onSubmit }) {
     onSubmit: async (values) => {
       setLoading(true);
       try {
-        await onSubmit(values);
+        // Hidden options are not part of the order
+        const visible = Object.fromEntries(
+          (product?.customOptions || [])
+            .filter((opt) => isOptionVisible(opt, values))
+            .map((opt) => [opt.name, values[opt.name]])
+        );
+        await onSubmit(visible);
       } finally {
         setLoading(false);
       }
@@ -32,53 +84,60 @@ export default function CustomForm({ product, onSubmit }) {
 
   return (
     <form onSubmit={formik.handleSubmit} className="space-y-4 max-w-2xl">
-      {(product?.customOptions || []).map((opt) => (
-        <div key={opt.name}>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            {opt.label || opt.name}
-            {opt.required && <span className="text-red-500">*</span>}
-          </label>
-          {opt.type === 'select' ? (
-            <select
-              name={opt.name}
-              value={formik.values[opt.name]}
-              onChange={formik.handleChange}
-              onBlur={formik.handleBlur}
-              className="mt-1 block w-full border border-gray-300 rounded-md p-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-            >
-              <option value="">Select {opt.label || opt.name}</option>
-              {(opt.options || []).map((o) => (
-                <option key={o} value={o}>
-                  {o}
-                </option>
-              ))}
-            </select>
-          ) : opt.type === 'textarea' ? (
-            <textarea
-              name={opt.name}
-              value={formik.values[opt.name]}
-              onChange={formik.handleChange}
-              onBlur={formik.handleBlur}
-              className="mt-1 block w-full border border-gray-300 rounded-md p-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-              rows="4"
-            />
-          ) : (
-            <input
-              type={opt.type || 'text'}
-              name={opt.name}
-              value={formik.values[opt.name]}
-              onChange={formik.handleChange}
-              onBlur={formik.handleBlur}
-              className="mt-1 block w-full border border-gray-300 rounded-md p-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-            />
-          )}
-          {formik.touched[opt.name] && formik.errors[opt.name] && (
-            <div className="mt-1 text-sm text-red-600">
-              {formik.errors[opt.name]}
-            </div>
-          )}
-        </div>
-      ))}
+      {(product?.customOptions || [])
+        .filter((opt) => isOptionVisible(opt, formik.values))
+        .map((opt) => (
+          <div key={opt.name}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {opt.label || opt.name}
+              {opt.required && <span className="text-red-500">*</span>}
+            </label>
+            {/* Colours with a fixed palette are picked from the list, not a colour wheel */}
+            {opt.type === 'select' || (opt.type === 'color' && opt.options?.length) ? (
+              <select
+                name={opt.name}
+                value={formik.values[opt.name]}
+                onChange={formik.handleChange}
+                onBlur={formik.handleBlur}
+                className="mt-1 block w-full border border-gray-300 rounded-md p-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              >
+                <option value="">Select {opt.label || opt.name}</option>
+                {(opt.options || []).map((o) => (
+                  <option key={o} value={o}>
+                    {o}
+                    {formatModifier(optionPriceModifier(opt, o))}
+                  </option>
+                ))}
+              </select>
+            ) : opt.type === 'textarea' ? (
+              <textarea
+                name={opt.name}
+                value={formik.values[opt.name]}
+                onChange={formik.handleChange}
+                onBlur={formik.handleBlur}
+                className="mt-1 block w-full border border-gray-300 rounded-md p-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                rows="4"
+              />
+            ) : (
+              <input
+                type={opt.type || 'text'}
+                name={opt.name}
+                min={opt.min}
+                max={opt.max}
+                maxLength={opt.maxLength}
+                value={formik.values[opt.name]}
+                onChange={formik.handleChange}
+                onBlur={formik.handleBlur}
+                className="mt-1 block w-full border border-gray-300 rounded-md p-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            )}
+            {formik.touched[opt.name] && formik.errors[opt.name] && (
+              <div className="mt-1 text-sm text-red-600">
+                {formik.errors[opt.name]}
+              </div>
+            )}
+          </div>
+        ))}
       <button
         type="submit"
         disabled={loading}
@@ -1,6 +1,7 @@
 import React from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { Link, useNavigate } from 'react-router-dom';
+import api from '../services/axios';
 import { logout } from '../slices/authSlice';
 
 export default function Navbar() {
@@ -9,7 +10,9 @@ export default function Navbar() {
   const auth = useSelector((s) => s.auth);
   const cartItems = useSelector((s) => s.cart.items);
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    // Only the server can clear the httpOnly auth cookies
+    await api.post('/auth/logout', null, { skipAuthRedirect: true }).catch(() => {});
     dispatch(logout());
     navigate('/login');
   };
@@ -48,7 +51,13 @@ export default function Navbar() {
                 </Link>
               )}
               <div className="flex items-center gap-2">
-                <span className="text-sm text-gray-600">{auth.user.email}</span>
+                <Link
+                  to="/account/security"
+                  className="text-sm text-gray-600 hover:text-gray-900"
+                  title="Two-factor authentication"
+                >
+                  {auth.user.email}
+                </Link>
                 <button
                   onClick={handleLogout}
                   className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700"
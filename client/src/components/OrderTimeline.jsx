@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/axios';
+
+export default function OrderTimeline({ orderId }) {
+  const [timeline, setTimeline] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetch = async () => {
+      try {
+        const { data } = await api.get(`/orders/${orderId}/timeline`);
+        setTimeline(data.timeline);
+      } catch (err) {
+        console.error('Timeline fetch error:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetch();
+  }, [orderId]);
+
+  if (loading) return <div className="text-sm text-gray-500">Loading...</div>;
+  if (!timeline)
+    return <div className="text-sm text-red-600">Could not load timeline</div>;
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2 mt-4">
+      {timeline.events.map((event, index) => (
+        <li key={`${event.status}-${index}`} className="mb-4 ml-4">
+          <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-indigo-600" />
+          <p className="font-medium">{event.label}</p>
+          <p className="text-xs text-gray-500">
+            {new Date(event.at).toLocaleString()}
+          </p>
+          {event.notes && (
+            <p className="text-sm text-gray-600 mt-1">{event.notes}</p>
+          )}
+        </li>
+      ))}
+      {timeline.upcoming.map((step) => (
+        <li key={step.status} className="mb-4 ml-4">
+          <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-gray-300" />
+          <p className="text-gray-400">{step.label}</p>
+        </li>
+      ))}
+    </ol>
+  );
+}
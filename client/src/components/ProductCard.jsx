@@ -1,8 +1,9 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
+import ProductImage, { sortedImages } from './ProductImage';
 
 export default function ProductCard({ product }) {
-  const imageUrl = product.images?.[0] || product.image || '/placeholder.png';
+  const [cover] = sortedImages(product);
   const price = product.basePrice || product.price || 0;
   // Use id field (virtual that exposes MongoDB _id)
   const productId = product.id;
@@ -19,9 +20,10 @@ export default function ProductCard({ product }) {
   return (
     <div className="border rounded-lg overflow-hidden bg-white shadow-sm hover:shadow-md transition">
       <Link to={`/product/${productId}`}>
-        <img
-          src={imageUrl}
+        <ProductImage
+          image={cover}
           alt={product.name}
+          sizes="(min-width: 1024px) 25vw, (min-width: 640px) 50vw, 100vw"
           className="w-full h-48 object-cover"
         />
         <div className="p-4">
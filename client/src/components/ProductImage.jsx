@@ -0,0 +1,93 @@
+import React, { useMemo, useState } from 'react';
+import { decode } from 'blurhash';
+
+const PLACEHOLDER = '/placeholder.png';
+
+// Products saved before image objects existed store plain URL strings
+const toImage = (image) => (typeof image === 'string' ? { url: image } : image || null);
+
+// Images in display order (lowest sortOrder first)
+export const sortedImages = (product) => {
+  const images = (product?.images || []).map(toImage).filter(Boolean);
+  if (images.length === 0 && product?.image) images.push({ url: product.image });
+  return images.sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0));
+};
+
+// "url 320w, url 640w" for one format
+const srcSetFor = (sources, format) =>
+  sources
+    .filter((source) => source.format === format && source.width)
+    .sort((a, b) => a.width - b.width)
+    .map((source) => `${source.url} ${source.width}w`)
+    .join(', ');
+
+// Paint a blurhash onto a tiny canvas and return it as a data URL
+const blurhashToDataUrl = (hash) => {
+  try {
+    const size = 32;
+    const pixels = decode(hash, size, size);
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(size, size);
+    imageData.data.set(pixels);
+    context.putImageData(imageData, 0, 0);
+    return canvas.toDataURL();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * A product photo served as AVIF/WebP where the browser supports them,
+ * sized by srcset, with a blurred placeholder until it loads
+ */
+export default function ProductImage({
+  image,
+  alt,
+  sizes = '100vw',
+  className = '',
+  eager = false,
+}) {
+  const current = toImage(image) || { url: PLACEHOLDER };
+  const sources = current.sources || [];
+  const [loaded, setLoaded] = useState(false);
+
+  // Keyed on the prop itself; `current` is a new object every render
+  const placeholder = useMemo(() => {
+    const blurhash = toImage(image)?.blurhash;
+    return blurhash ? blurhashToDataUrl(blurhash) : null;
+  }, [image]);
+
+  const fallbackFormat = sources.some((source) => source.format === 'png') ? 'png' : 'jpeg';
+  const fallbackSrcSet = srcSetFor(sources, fallbackFormat);
+
+  return (
+    <picture>
+      {['avif', 'webp'].map((format) => {
+        const srcSet = srcSetFor(sources, format);
+        return srcSet ? (
+          <source key={format} type={`image/${format}`} srcSet={srcSet} sizes={sizes} />
+        ) : null;
+      })}
+      <img
+        src={current.url}
+        srcSet={fallbackSrcSet || undefined}
+        sizes={fallbackSrcSet ? sizes : undefined}
+        alt={current.alt || alt || ''}
+        width={current.width}
+        height={current.height}
+        loading={eager ? 'eager' : 'lazy'}
+        decoding="async"
+        onLoad={() => setLoaded(true)}
+        className={className}
+        style={
+          placeholder && !loaded
+            ? { backgroundImage: `url(${placeholder})`, backgroundSize: 'cover' }
+            : undefined
+        }
+      />
+    </picture>
+  );
+}
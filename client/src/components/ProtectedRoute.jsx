@@ -6,7 +6,12 @@ export default function ProtectedRoute({ children, roles }) {
   const auth = useSelector((s) => s.auth);
   const location = useLocation();
 
-  if (!auth?.token || !auth?.user) {
+  // Wait for the startup session check before deciding
+  if (!auth?.initialized) {
+    return null;
+  }
+
+  if (!auth?.user) {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { useSelector } from 'react-redux';
+import api from '../services/axios';
+
+// Reminds signed-in users who have not confirmed their email yet
+export default function VerifyEmailBanner() {
+  const user = useSelector((s) => s.auth.user);
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  if (!user || user.verified) return null;
+
+  const handleResend = async () => {
+    setError('');
+    setMessage('');
+    setSending(true);
+    try {
+      const { data } = await api.post('/auth/resend-verification');
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="container mx-auto px-4 py-2 flex flex-wrap items-center gap-3 text-sm text-yellow-800">
+        <span>
+          Please confirm your email address{user.email ? ` (${user.email})` : ''} using the
+          link we sent you.
+        </span>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="font-medium text-indigo-600 hover:underline disabled:text-gray-400"
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+        {message && <span className="text-green-700">{message}</span>}
+        {error && <span className="text-red-600">{error}</span>}
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,13 @@
 import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import api from '../services/axios';
 
 export default function AdminDashboard() {
   const [stats, setStats] = useState({});
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
+  // REQUIRE_ADMIN_2FA is on and this admin has not enrolled yet
+  const [needsTwoFactor, setNeedsTwoFactor] = useState(false);
 
   useEffect(() => {
     const fetch = async () => {
@@ -14,6 +17,7 @@ export default function AdminDashboard() {
         setOrders(ordersList);
       } catch (err) {
         console.error('Fetch error:', err);
+        setNeedsTwoFactor(err.response?.data?.code === 'TWO_FACTOR_REQUIRED');
         setOrders([]); // Ensure orders is always an array
       } finally {
         setLoading(false);
@@ -24,6 +28,24 @@ export default function AdminDashboard() {
 
   if (loading) return <div className="text-center py-10">Loading...</div>;
 
+  if (needsTwoFactor) {
+    return (
+      <div className="max-w-md mx-auto text-center py-10">
+        <h1 className="text-2xl font-bold mb-4">Two-factor authentication required</h1>
+        <p className="text-gray-600 mb-6">
+          Admin features are available once two-factor authentication is set up on your
+          account.
+        </p>
+        <Link
+          to="/account/security"
+          className="px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700"
+        >
+          Set up now
+        </Link>
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-6xl mx-auto">
       <h1 className="text-3xl font-bold mb-8">Admin Dashboard</h1>
@@ -40,9 +62,9 @@ export default function AdminDashboard() {
           </p>
         </div>
         <div className="bg-white rounded-lg p-6 shadow">
-          <p className="text-gray-600">Completed</p>
+          <p className="text-gray-600">Delivered</p>
           <p className="text-3xl font-bold">
-            {orders.filter((o) => o.status === 'completed').length}
+            {orders.filter((o) => o.status === 'delivered').length}
           </p>
         </div>
       </div>
@@ -63,7 +85,9 @@ export default function AdminDashboard() {
               <tr key={order._id} className="border-t hover:bg-gray-50">
                 <td className="px-4 py-2">{order._id.slice(-8)}</td>
                 <td className="px-4 py-2">₦{order.total?.toLocaleString()}</td>
-                <td className="px-4 py-2 capitalize">{order.status}</td>
+                <td className="px-4 py-2 capitalize">
+                  {order.status?.replace(/_/g, ' ')}
+                </td>
                 <td className="px-4 py-2">
                   {new Date(order.createdAt).toLocaleDateString()}
                 </td>
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
 import api from '../services/axios';
@@ -10,9 +10,40 @@ export default function Checkout() {
   const { items, total } = useSelector((s) => s.cart);
   const auth = useSelector((s) => s.auth);
   const [loading, setLoading] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const [error, setError] = useState('');
 
   console.log('Checkout page - cart state:', { items, total });
 
+  // Items in the shape the orders API expects; prices are computed server-side
+  const orderItems = useMemo(
+    () =>
+      items.map((item) => ({
+        product: item._id,
+        ...(item.variant && { variant: item.variant }),
+        quantity: item.quantity,
+        customSpecs: Object.entries(item.customOptions || {})
+          .filter(([, value]) => value !== '' && value !== undefined)
+          .map(([name, value]) => ({ name, value: String(value) })),
+      })),
+    [items]
+  );
+
+  useEffect(() => {
+    if (orderItems.length === 0) return;
+
+    const fetchQuote = async () => {
+      try {
+        const { data } = await api.post('/orders/quote', { items: orderItems });
+        setQuote(data.quote);
+      } catch (err) {
+        console.error('Quote error:', err);
+        setError(err.response?.data?.message || 'Could not calculate order total');
+      }
+    };
+    fetchQuote();
+  }, [orderItems]);
+
   const [formData, setFormData] = useState({
     address: '',
     phone: '',
@@ -24,19 +55,30 @@ export default function Checkout() {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    setError('');
     setLoading(true);
     try {
       const payload = {
-        items,
-        shippingAddress: formData.address,
-        phone: formData.phone,
-        total,
+        items: orderItems,
+        shippingAddress: {
+          street: formData.address,
+          phone: formData.phone,
+        },
+        total: quote.total,
       };
-      const { data } = await api.post('/orders/custom', payload);
+      await api.post('/orders/custom', payload);
       dispatch(clearCart());
       navigate(`/orders`);
     } catch (err) {
       console.error(err);
+      // Server recalculated a different total: show it and let the buyer confirm
+      if (err.response?.data?.code === 'PRICE_CHANGED') {
+        setQuote(err.response.data.quote);
+      }
+      const fieldErrors = (err.response?.data?.errors || []).map((e) => e.message);
+      setError(
+        [err.response?.data?.message || 'Could not place order', ...fieldErrors].join('. ')
+      );
     } finally {
       setLoading(false);
     }
@@ -45,6 +87,9 @@ export default function Checkout() {
   return (
     <div className="max-w-2xl mx-auto">
       <h1 className="text-3xl font-bold mb-8">Checkout</h1>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 text-red-600 rounded">{error}</div>
+      )}
       <form onSubmit={handleSubmit} className="space-y-4 border rounded-lg p-6">
         <div>
           <label className="block text-sm font-medium mb-1">
@@ -71,12 +116,37 @@ export default function Checkout() {
           />
         </div>
         <div className="border-t pt-4">
-          <div className="text-xl font-bold mb-4">
-            Total: ₦{total.toLocaleString()}
-          </div>
+          {quote ? (
+            <div className="space-y-1 mb-4">
+              <div className="flex justify-between text-gray-600">
+                <span>Subtotal</span>
+                <span>₦{quote.subtotal.toLocaleString()}</span>
+              </div>
+              {quote.discount > 0 && (
+                <div className="flex justify-between text-green-600">
+                  <span>Discount</span>
+                  <span>-₦{quote.discount.toLocaleString()}</span>
+                </div>
+              )}
+              <div className="flex justify-between text-gray-600">
+                <span>Shipping</span>
+                <span>
+                  {quote.shippingFee > 0
+                    ? `₦${quote.shippingFee.toLocaleString()}`
+                    : 'Free'}
+                </span>
+              </div>
+              <div className="flex justify-between text-xl font-bold pt-2">
+                <span>Total</span>
+                <span>₦{quote.total.toLocaleString()}</span>
+              </div>
+            </div>
+          ) : (
+            <div className="text-gray-500 mb-4">Calculating total...</div>
+          )}
           <button
             type="submit"
-            disabled={loading}
+            disabled={loading || !quote}
             className="w-full px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-400"
           >
             {loading ? 'Processing...' : 'Complete Order'}
@@ -11,6 +11,8 @@ export default function Customize() {
   const dispatch = useDispatch();
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [variantId, setVariantId] = useState('');
+  const [error, setError] = useState('');
 
   useEffect(() => {
     const fetch = async () => {
@@ -27,17 +29,46 @@ export default function Customize() {
     fetch();
   }, [id]);
 
-  const handleSubmit = (customOptions) => {
-    console.log('Adding to cart:', {
-      name: product.name,
-      basePrice: product.basePrice,
-      price: product.basePrice,
-      quantity: 1,
-    });
+  const variants = (product?.variants || []).filter((v) => v.active);
+  const variant = variants.find((v) => v._id === variantId);
+
+  const handleSubmit = async (customOptions) => {
+    if (product.hasVariants && !variant) {
+      setError('Please choose a variant');
+      return;
+    }
+
+    // The server checks each choice against the product's options
+    let line;
+    try {
+      const { data } = await api.post('/cart/validate', {
+        items: [
+          {
+            product: product._id,
+            ...(variant && { variant: variant._id }),
+            quantity: 1,
+            customSpecs: Object.entries(customOptions)
+              .filter(([, value]) => value !== '' && value !== undefined)
+              .map(([name, value]) => ({ name, value: String(value) })),
+          },
+        ],
+      });
+      [line] = data.data.items;
+    } catch (err) {
+      const { message, errors } = err.response?.data || {};
+      setError(
+        [message || 'Could not check your choices', ...(errors || []).map((e) => e.message)]
+          .join('. ')
+      );
+      return;
+    }
+
     dispatch(
       addItem({
         ...product,
-        price: Number(product.basePrice) || 0,
+        price: line.unitPrice,
+        variant: variant?._id,
+        sku: variant?.sku,
         customOptions,
         quantity: 1,
       })
@@ -58,6 +89,30 @@ export default function Customize() {
         ← Back
       </button>
       <h1 className="text-3xl font-bold mb-8">Customize: {product.name}</h1>
+      {product.hasVariants && (
+        <div className="mb-6 max-w-2xl">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Variant<span className="text-red-500">*</span>
+          </label>
+          <select
+            value={variantId}
+            onChange={(e) => {
+              setVariantId(e.target.value);
+              setError('');
+            }}
+            className="mt-1 block w-full border border-gray-300 rounded-md p-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="">Select variant</option>
+            {variants.map((v) => (
+              <option key={v._id} value={v._id} disabled={!v.inStock}>
+                {v.label} — ₦{Number(v.price ?? product.basePrice).toLocaleString()}
+                {!v.inStock ? ' (out of stock)' : v.isLowStock ? ` (only ${v.stock} left)` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      {error && <div className="mb-4 text-sm text-red-600">{error}</div>}
       <CustomForm product={product} onSubmit={handleSubmit} />
     </div>
   );
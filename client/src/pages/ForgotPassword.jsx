@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/axios';
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const { data } = await api.post('/auth/forgot-password', { email });
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto">
+      <h1 className="text-3xl font-bold mb-8 text-center">Forgot Password</h1>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 text-red-600 rounded">{error}</div>
+      )}
+      {message ? (
+        <div className="p-4 bg-green-100 text-green-700 rounded">
+          {message} Check your inbox and follow the link to choose a new password.
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4 border rounded-lg p-6">
+          <p className="text-sm text-gray-600">
+            Enter the email you registered with and we will send you a link to reset
+            your password.
+          </p>
+          <div>
+            <label className="block text-sm font-medium mb-1">Email</label>
+            <input
+              type="email"
+              name="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              className="w-full border rounded-lg p-2 focus:outline-none focus:ring-indigo-500"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-400"
+          >
+            {loading ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </form>
+      )}
+      <p className="text-center mt-4 text-gray-600">
+        Remembered it?{' '}
+        <Link to="/login" className="text-indigo-600 hover:underline">
+          Login
+        </Link>
+      </p>
+    </div>
+  );
+}
@@ -9,6 +9,9 @@ export default function Login() {
   const location = useLocation();
   const dispatch = useDispatch();
   const [formData, setFormData] = useState({ email: '', password: '' });
+  // Set when the account has 2FA; the code step then replaces the password form
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
@@ -21,9 +24,13 @@ export default function Login() {
     setError('');
     setLoading(true);
     try {
-      const { data } = await api.post('/auth/login', formData);
-      dispatch(setCredentials({ user: data.user, token: data.token }));
-      navigate(location.state?.from?.pathname || '/');
+      // Wrong credentials are a 401 too; show them here instead of redirecting
+      const { data } = await api.post('/auth/login', formData, { skipAuthRedirect: true });
+      if (data.data.twoFactorRequired) {
+        setChallengeToken(data.data.challengeToken);
+      } else {
+        signedIn(data.data.user);
+      }
     } catch (err) {
       setError(err.response?.data?.message || 'Login failed');
     } finally {
@@ -31,9 +38,77 @@ export default function Login() {
     }
   };
 
+  const signedIn = (user) => {
+    dispatch(setCredentials({ user }));
+    navigate(location.state?.from?.pathname || '/');
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const { data } = await api.post(
+        '/auth/2fa/verify',
+        { challengeToken, code },
+        { skipAuthRedirect: true }
+      );
+      signedIn(data.data.user);
+    } catch (err) {
+      // The challenge lasts 5 minutes; after that start again from the password
+      if (err.response?.data?.code === 'INVALID_TOKEN') {
+        setChallengeToken(null);
+        setCode('');
+      }
+      setError(err.response?.data?.message || 'Verification failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="max-w-md mx-auto">
+        <h1 className="text-3xl font-bold mb-8 text-center">Two-Factor Authentication</h1>
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 text-red-600 rounded">{error}</div>
+        )}
+        <form onSubmit={handleCodeSubmit} className="space-y-4 border rounded-lg p-6">
+          <div>
+            <label className="block text-sm font-medium mb-1">Authentication code</label>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              autoFocus
+              required
+              className="w-full border rounded-lg p-2 focus:outline-none focus:ring-indigo-500"
+            />
+            <p className="text-sm text-gray-500 mt-1">
+              Enter the 6-digit code from your authenticator app, or one of your backup codes.
+            </p>
+          </div>
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-400"
+          >
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-md mx-auto">
       <h1 className="text-3xl font-bold mb-8 text-center">Login</h1>
+      {location.state?.message && !error && (
+        <div className="mb-4 p-3 bg-green-100 text-green-700 rounded">
+          {location.state.message}
+        </div>
+      )}
       {error && (
         <div className="mb-4 p-3 bg-red-100 text-red-600 rounded">{error}</div>
       )}
@@ -50,7 +125,12 @@ export default function Login() {
           />
         </div>
         <div>
-          <label className="block text-sm font-medium mb-1">Password</label>
+          <div className="flex justify-between items-center mb-1">
+            <label className="block text-sm font-medium">Password</label>
+            <a href="/forgot-password" className="text-sm text-indigo-600 hover:underline">
+              Forgot password?
+            </a>
+          </div>
           <input
             type="password"
             name="password"
@@ -1,9 +1,13 @@
 import React, { useEffect, useState } from 'react';
 import api from '../services/axios';
+import OrderTimeline from '../components/OrderTimeline';
+import { initializePayment } from '../services/payment';
 
 export default function MyOrders() {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+  const [payingId, setPayingId] = useState(null);
 
   useEffect(() => {
     const fetch = async () => {
@@ -21,6 +25,21 @@ export default function MyOrders() {
     fetch();
   }, []);
 
+  const handlePay = async (order) => {
+    setPayingId(order._id);
+    try {
+      const { authorizationUrl } = await initializePayment(
+        order._id,
+        order.nextPaymentType
+      );
+      // Paystack redirects back to /payment/callback when done
+      window.location.assign(authorizationUrl);
+    } catch (err) {
+      console.error('Payment error:', err);
+      setPayingId(null);
+    }
+  };
+
   if (loading) return <div className="text-center py-10">Loading...</div>;
 
   return (
@@ -44,10 +63,37 @@ export default function MyOrders() {
                 <div className="text-right">
                   <p className="font-bold">₦{order.total?.toLocaleString()}</p>
                   <p className="text-sm text-gray-600 capitalize">
-                    {order.status}
+                    {order.status?.replace(/_/g, ' ')}
                   </p>
+                  {order.refundedAmount > 0 && (
+                    <p className="text-sm text-green-700">
+                      Refunded ₦{order.refundedAmount.toLocaleString()}
+                    </p>
+                  )}
                 </div>
               </div>
+              {order.nextPaymentType && (
+                <button
+                  onClick={() => handlePay(order)}
+                  disabled={payingId === order._id}
+                  className="mt-3 mr-4 px-4 py-2 bg-indigo-600 text-white text-sm rounded hover:bg-indigo-700 disabled:bg-gray-400"
+                >
+                  {payingId === order._id
+                    ? 'Redirecting...'
+                    : order.nextPaymentType === 'deposit'
+                      ? `Pay deposit ₦${order.depositAmount?.toLocaleString()}`
+                      : `Pay balance ₦${order.balanceAmount?.toLocaleString()}`}
+                </button>
+              )}
+              <button
+                onClick={() =>
+                  setExpandedId(expandedId === order._id ? null : order._id)
+                }
+                className="mt-2 text-sm text-indigo-600 hover:underline"
+              >
+                {expandedId === order._id ? 'Hide progress' : 'Track progress'}
+              </button>
+              {expandedId === order._id && <OrderTimeline orderId={order._id} />}
             </div>
           ))}
         </div>
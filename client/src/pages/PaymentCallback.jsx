@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { verifyPayment } from '../services/payment';
+
+export default function PaymentCallback() {
+  const [searchParams] = useSearchParams();
+  const reference = searchParams.get('reference') || searchParams.get('trxref');
+  const [result, setResult] = useState(null);
+  const [verifyError, setVerifyError] = useState('');
+  const error = reference ? verifyError : 'Missing payment reference';
+
+  useEffect(() => {
+    if (!reference) return;
+
+    const verify = async () => {
+      try {
+        setResult(await verifyPayment(reference));
+      } catch (err) {
+        console.error('Verify error:', err);
+        setVerifyError(err.response?.data?.message || 'Payment verification failed');
+      }
+    };
+    verify();
+  }, [reference]);
+
+  if (!result && !error)
+    return <div className="text-center py-10">Confirming your payment...</div>;
+
+  return (
+    <div className="max-w-md mx-auto text-center py-10">
+      {error ? (
+        <>
+          <h1 className="text-2xl font-bold text-red-600 mb-4">Payment not completed</h1>
+          <p className="text-gray-600 mb-6">{error}</p>
+        </>
+      ) : result.status === 'pending' ? (
+        <>
+          <h1 className="text-2xl font-bold text-yellow-600 mb-4">Payment processing</h1>
+          <p className="text-gray-600 mb-6">
+            Paystack is still confirming your {result.type}. Your order will update
+            automatically once it goes through.
+          </p>
+        </>
+      ) : (
+        <>
+          <h1 className="text-2xl font-bold text-green-600 mb-4">Payment received</h1>
+          <p className="text-gray-600 mb-6">
+            Your {result.type} of ₦{result.amount?.toLocaleString()} has been received.
+            {result.type === 'deposit'
+              ? ' We will start making your bag shortly.'
+              : ' Your order will be shipped soon.'}
+          </p>
+        </>
+      )}
+      <Link
+        to="/orders"
+        className="px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 inline-block"
+      >
+        View my orders
+      </Link>
+    </div>
+  );
+}
@@ -1,12 +1,14 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import api from '../services/axios';
+import ProductImage, { sortedImages } from '../components/ProductImage';
 
 export default function Product() {
   const { id } = useParams();
   const navigate = useNavigate();
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [activeImage, setActiveImage] = useState(0);
 
   useEffect(() => {
     if (!id) {
@@ -18,6 +20,7 @@ export default function Product() {
       try {
         const response = await api.get(`/products/${id}`);
         setProduct(response.data.data);
+        setActiveImage(0);
       } catch (err) {
         console.error('Fetch error:', err);
       } finally {
@@ -31,17 +34,43 @@ export default function Product() {
   if (!product)
     return <div className="text-center py-10">Product not found</div>;
 
+  const images = sortedImages(product);
+
   return (
     <div className="max-w-4xl mx-auto">
       <button onClick={() => navigate('/')} className="text-indigo-600 mb-4">
         ← Back
       </button>
       <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-        <img
-          src={product.images?.[0] || product.image || '/placeholder.png'}
-          alt={product.name}
-          className="w-full rounded-lg"
-        />
+        <div>
+          <ProductImage
+            image={images[activeImage]}
+            alt={product.name}
+            sizes="(min-width: 768px) 448px, 100vw"
+            className="w-full h-auto rounded-lg"
+            eager
+          />
+          {images.length > 1 && (
+            <div className="flex gap-2 mt-3">
+              {images.map((image, index) => (
+                <button
+                  key={image._id || image.url}
+                  onClick={() => setActiveImage(index)}
+                  className={`w-16 h-16 rounded overflow-hidden border-2 ${
+                    index === activeImage ? 'border-indigo-600' : 'border-transparent'
+                  }`}
+                >
+                  <ProductImage
+                    image={image}
+                    alt={product.name}
+                    sizes="64px"
+                    className="w-full h-full object-cover"
+                  />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
         <div>
           <h1 className="text-3xl font-bold mb-2">{product.name}</h1>
           <p className="text-gray-600 mb-4">{product.description}</p>
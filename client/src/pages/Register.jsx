@@ -26,7 +26,7 @@ export default function Register() {
     setLoading(true);
     try {
       const { data } = await api.post('/auth/register', formData);
-      dispatch(setCredentials({ user: data.user, token: data.token }));
+      dispatch(setCredentials({ user: data.data.user }));
       navigate('/');
     } catch (err) {
       setError(err.response?.data?.message || 'Registration failed');
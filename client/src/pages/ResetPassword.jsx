@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import api from '../services/axios';
+
+// Same rule the server enforces
+const PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,128}$/;
+
+export default function ResetPassword() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!PASSWORD_PATTERN.test(formData.password)) {
+      setError(
+        'Password must be at least 8 characters with an uppercase letter, a lowercase letter and a number'
+      );
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await api.post(`/auth/reset-password/${token}`, { password: formData.password });
+      navigate('/login', {
+        replace: true,
+        state: { message: 'Password reset successful. Please login with your new password.' },
+      });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Password reset failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto">
+      <h1 className="text-3xl font-bold mb-8 text-center">Choose a New Password</h1>
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 text-red-600 rounded">
+          {error}
+          {error.includes('expired') && (
+            <>
+              {' '}
+              <Link to="/forgot-password" className="underline">
+                Request a new link
+              </Link>
+            </>
+          )}
+        </div>
+      )}
+      <form onSubmit={handleSubmit} className="space-y-4 border rounded-lg p-6">
+        <div>
+          <label className="block text-sm font-medium mb-1">New Password</label>
+          <input
+            type="password"
+            name="password"
+            value={formData.password}
+            onChange={handleChange}
+            required
+            autoComplete="new-password"
+            className="w-full border rounded-lg p-2 focus:outline-none focus:ring-indigo-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">Confirm Password</label>
+          <input
+            type="password"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            required
+            autoComplete="new-password"
+            className="w-full border rounded-lg p-2 focus:outline-none focus:ring-indigo-500"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-400"
+        >
+          {loading ? 'Saving...' : 'Reset Password'}
+        </button>
+      </form>
+    </div>
+  );
+}
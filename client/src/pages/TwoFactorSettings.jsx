@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import api from '../services/axios';
+import { updateUser } from '../slices/authSlice';
+
+const inputClass = 'w-full border rounded-lg p-2 focus:outline-none focus:ring-indigo-500';
+const buttonClass =
+  'px-6 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-400';
+
+// Shown once after enabling 2FA or replacing the codes
+function BackupCodes({ codes }) {
+  return (
+    <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+      <p className="font-medium mb-2">Backup codes</p>
+      <p className="text-sm text-gray-600 mb-3">
+        Each code signs you in once if you lose your phone. Store them somewhere safe; they
+        will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 font-mono">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default function TwoFactorSettings() {
+  const dispatch = useDispatch();
+  const enabled = useSelector((s) => s.auth.user?.twoFactor?.enabled);
+  const [setup, setSetup] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [disableCode, setDisableCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const run = async (action) => {
+    setError('');
+    setMessage('');
+    setLoading(true);
+    try {
+      await action();
+      setCode('');
+      setDisableCode('');
+      setPassword('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Something went wrong');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startSetup = () =>
+    run(async () => {
+      const { data } = await api.post('/auth/2fa/setup');
+      setSetup(data.data);
+    });
+
+  const enable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { data } = await api.post('/auth/2fa/enable', { code });
+      setSetup(null);
+      setBackupCodes(data.data.backupCodes);
+      setMessage(data.message);
+      dispatch(updateUser({ twoFactor: { enabled: true } }));
+    });
+  };
+
+  const regenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { data } = await api.post('/auth/2fa/backup-codes', { code });
+      setBackupCodes(data.data.backupCodes);
+      setMessage(data.message);
+    });
+  };
+
+  const disable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { data } = await api.post('/auth/2fa/disable', { password, code: disableCode });
+      setBackupCodes(null);
+      setMessage(data.message);
+      dispatch(updateUser({ twoFactor: { enabled: false } }));
+    });
+  };
+
+  const codeInput = (value, setValue) => (
+    <input
+      type="text"
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      placeholder="6-digit code"
+      autoComplete="one-time-code"
+      required
+      className={inputClass}
+    />
+  );
+
+  return (
+    <div className="max-w-md mx-auto">
+      <h1 className="text-3xl font-bold mb-8 text-center">Two-Factor Authentication</h1>
+      {error && <div className="mb-4 p-3 bg-red-100 text-red-600 rounded">{error}</div>}
+      {message && <div className="mb-4 p-3 bg-green-100 text-green-700 rounded">{message}</div>}
+      {backupCodes && <BackupCodes codes={backupCodes} />}
+
+      {!enabled && !setup && (
+        <div className="border rounded-lg p-6">
+          <p className="text-gray-600 mb-4">
+            Protect your account with a code from an authenticator app (such as Google
+            Authenticator or 1Password) as well as your password.
+          </p>
+          <button onClick={startSetup} disabled={loading} className={buttonClass}>
+            {loading ? 'Starting...' : 'Set up two-factor authentication'}
+          </button>
+        </div>
+      )}
+
+      {!enabled && setup && (
+        <form onSubmit={enable} className="space-y-4 border rounded-lg p-6">
+          <p className="text-gray-600">Scan this QR code with your authenticator app.</p>
+          <img src={setup.qrCode} alt="Authenticator QR code" className="mx-auto w-48 h-48" />
+          <p className="text-sm text-gray-500 break-all">
+            Or enter this key manually: <span className="font-mono">{setup.secret}</span>
+          </p>
+          <label className="block text-sm font-medium">Code from the app</label>
+          {codeInput(code, setCode)}
+          <button type="submit" disabled={loading} className={buttonClass}>
+            {loading ? 'Verifying...' : 'Turn on'}
+          </button>
+        </form>
+      )}
+
+      {enabled && (
+        <div className="space-y-6">
+          <form onSubmit={regenerate} className="space-y-4 border rounded-lg p-6">
+            <h2 className="font-bold">New backup codes</h2>
+            <p className="text-sm text-gray-600">Your old backup codes will stop working.</p>
+            {codeInput(code, setCode)}
+            <button type="submit" disabled={loading} className={buttonClass}>
+              Generate new codes
+            </button>
+          </form>
+
+          <form onSubmit={disable} className="space-y-4 border rounded-lg p-6">
+            <h2 className="font-bold">Turn off two-factor authentication</h2>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              required
+              className={inputClass}
+            />
+            {codeInput(disableCode, setDisableCode)}
+            <button
+              type="submit"
+              disabled={loading}
+              className="px-6 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:bg-gray-400"
+            >
+              Turn off
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
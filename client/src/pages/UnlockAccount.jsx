@@ -0,0 +1,47 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import api from '../services/axios';
+
+export default function UnlockAccount() {
+  const { token } = useParams();
+  const [status, setStatus] = useState('unlocking');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const unlock = async () => {
+      try {
+        const { data } = await api.post(`/auth/unlock/${token}`);
+        setMessage(data.message);
+        setStatus('unlocked');
+      } catch (err) {
+        setMessage(err.response?.data?.message || 'Could not unlock your account');
+        setStatus('failed');
+      }
+    };
+    unlock();
+  }, [token]);
+
+  return (
+    <div className="max-w-md mx-auto text-center">
+      <h1 className="text-3xl font-bold mb-8">Unlock Account</h1>
+      {status === 'unlocking' && <p className="text-gray-600">Unlocking your account...</p>}
+      {status === 'unlocked' && (
+        <div className="p-4 bg-green-100 text-green-700 rounded">
+          {message}{' '}
+          <Link to="/login" className="underline">
+            Login
+          </Link>
+        </div>
+      )}
+      {status === 'failed' && (
+        <div className="p-4 bg-red-100 text-red-600 rounded">
+          {message} The lock may already have ended; otherwise{' '}
+          <Link to="/forgot-password" className="underline">
+            reset your password
+          </Link>
+          .
+        </div>
+      )}
+    </div>
+  );
+}
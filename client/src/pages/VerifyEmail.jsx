@@ -0,0 +1,43 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useDispatch } from 'react-redux';
+import api from '../services/axios';
+import { updateUser } from '../slices/authSlice';
+
+export default function VerifyEmail() {
+  const { token } = useParams();
+  const dispatch = useDispatch();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const verify = async () => {
+      try {
+        await api.post(`/auth/verify-email/${token}`);
+        dispatch(updateUser({ verified: true }));
+        setStatus('verified');
+      } catch (err) {
+        setError(err.response?.data?.message || 'Verification failed');
+        setStatus('failed');
+      }
+    };
+    verify();
+  }, [token, dispatch]);
+
+  return (
+    <div className="max-w-md mx-auto text-center">
+      <h1 className="text-3xl font-bold mb-8">Email Verification</h1>
+      {status === 'verifying' && <p className="text-gray-600">Verifying your email...</p>}
+      {status === 'verified' && (
+        <div className="p-4 bg-green-100 text-green-700 rounded">
+          Your email is verified. <Link to="/" className="underline">Continue shopping</Link>
+        </div>
+      )}
+      {status === 'failed' && (
+        <div className="p-4 bg-red-100 text-red-600 rounded">
+          {error} Sign in and use “Resend email” in the banner to get a new link.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -75,10 +75,18 @@ export const apiService = {
   auth: {
     register: (data) => api.post('/auth/register', data),
     login: (data) => api.post('/auth/login', data),
-    logout: () => api.get('/auth/logout'),
+    logout: () => api.post('/auth/logout'),
     getMe: () => api.get('/auth/me'),
     updateProfile: (data) => api.put('/auth/update', data),
     changePassword: (data) => api.put('/auth/password', data),
+    forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+    resetPassword: (token, password) =>
+      api.post(`/auth/reset-password/${token}`, { password }),
+    verifyEmail: (token) => api.post(`/auth/verify-email/${token}`),
+    resendVerification: () => api.post('/auth/resend-verification'),
+    getSessions: () => api.get('/auth/sessions'),
+    revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+    revokeOtherSessions: () => api.delete('/auth/sessions'),
   },
 
   // Bags endpoints
@@ -88,7 +96,8 @@ export const apiService = {
     create: (data) => api.post('/bags', data),
     update: (id, data) => api.put(`/bags/${id}`, data),
     delete: (id) => api.delete(`/bags/${id}`),
-    uploadImage: (formData) => api.post('/bags/upload', formData, {
+    // formData carries the files in an "images" field (Admin only)
+    uploadImage: (formData) => api.post('/uploads/images', formData, {
       headers: { 'Content-Type': 'multipart/form-data' },
     }),
   },
@@ -109,8 +118,8 @@ export const apiService = {
 
   // Payment endpoints
   payments: {
-    initialize: (data) => api.post('/payments/initialize', data),
-    verify: (reference) => api.get(`/payments/verify/${reference}`),
+    initialize: (data) => api.post('/payment/initialize', data),
+    verify: (reference) => api.post(`/payment/verify/${reference}`),
   },
 
   // Reviews endpoints
@@ -2,33 +2,101 @@ import axios from 'axios';
 import store from '../store';
 import { logout } from '../slices/authSlice';
 
+// Cookie mode: the server keeps the tokens in httpOnly cookies, out of reach
+// of page scripts, and the browser sends them with every request
 const api = axios.create({
   baseURL: import.meta.env.VITE_API_URL || 'http://localhost:5000/api/v1',
-  headers: { 'Content-Type': 'application/json' },
+  withCredentials: true,
+  headers: { 'Content-Type': 'application/json', 'X-Auth-Mode': 'cookie' },
 });
 
-// Request interceptor: attach token
+const UNSAFE_METHODS = ['post', 'put', 'patch', 'delete'];
+
+// 401s for a wrong password or code typed into a form; the user is still signed in
+const CREDENTIAL_ERRORS = ['INVALID_CREDENTIALS', 'INVALID_TWO_FACTOR_CODE'];
+
+// Echoed on every write (double-submit CSRF). The server sends it in a header
+// on login and on authenticated reads; the cookie only helps when the API is
+// on the page's own host.
+let csrfToken = null;
+
+const readCsrfCookie = () =>
+  document.cookie
+    .split('; ')
+    .find((cookie) => cookie.startsWith('csrfToken='))
+    ?.split('=')[1];
+
+// Request interceptor: attach CSRF token to writes
 api.interceptors.request.use((config) => {
-  const state = store.getState();
-  const token = state?.auth?.token;
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
+  const token = csrfToken || readCsrfCookie();
+  if (token && UNSAFE_METHODS.includes(config.method)) {
+    config.headers['X-CSRF-Token'] = token;
   }
   return config;
 });
 
-// Response interceptor: handle 401 globally
+// Silent refresh. Access tokens expire after 15 minutes; the first request
+// to fail with TOKEN_EXPIRED starts one /auth/refresh, any others failing
+// meanwhile wait for that same refresh, and then all of them are replayed.
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = api
+      .post('/auth/refresh', null, { skipAuthRefresh: true, skipAuthRedirect: true })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Clearing the user lets ProtectedRoute send the visitor to /login and back
+// afterwards, without a page reload that would empty the cart
+const signOut = () => {
+  try {
+    store.dispatch(logout());
+  } catch (e) {
+    console.error('Logout dispatch error:', e);
+  }
+};
+
+// Response interceptor: remember the CSRF token, refresh expired sessions
 api.interceptors.response.use(
-  (res) => res,
-  (err) => {
-    if (err.response && err.response.status === 401) {
-      // Dispatch logout and redirect to login
+  (res) => {
+    const token = res.headers['x-csrf-token'];
+    if (token) {
+      csrfToken = token;
+    }
+    return res;
+  },
+  async (err) => {
+    const { config, response } = err;
+
+    if (!config || response?.status !== 401 || CREDENTIAL_ERRORS.includes(response.data?.code)) {
+      return Promise.reject(err);
+    }
+
+    if (
+      response.data?.code === 'TOKEN_EXPIRED' &&
+      !config.skipAuthRefresh &&
+      !config.authRetried
+    ) {
       try {
-        store.dispatch(logout());
-      } catch (e) {
-        console.error('Logout dispatch error:', e);
+        await refreshSession();
+      } catch {
+        // The session itself is over (expired, revoked or signed out)
+        if (!config.skipAuthRedirect) signOut();
+        return Promise.reject(err);
       }
-      window.location.href = '/login';
+
+      // Replayed once only, with the cookies the refresh just set
+      return api({ ...config, authRetried: true });
+    }
+
+    // Requests that expect a 401 (e.g. the startup session check) opt out
+    if (!config.skipAuthRedirect) {
+      signOut();
     }
     return Promise.reject(err);
   }
@@ -0,0 +1,14 @@
+import api from './axios';
+
+// Start a deposit or balance payment and return the Paystack checkout details.
+// The amount is decided by the server from the order.
+export const initializePayment = async (orderId, type) => {
+  const { data } = await api.post('/payment/initialize', { orderId, type });
+  return data.data;
+};
+
+// Confirm a payment after Paystack redirects back to the app
+export const verifyPayment = async (reference) => {
+  const { data } = await api.post(`/payment/verify/${encodeURIComponent(reference)}`);
+  return data.data;
+};
@@ -1,8 +1,12 @@
 import { createSlice } from '@reduxjs/toolkit';
 
+// Tokens are httpOnly cookies now; drop any left by the old localStorage login
+localStorage.removeItem('token');
+
 const initialState = {
   user: null,
-  token: localStorage.getItem('token') || null,
+  // False until the startup session check has answered
+  initialized: false,
   loading: false,
   error: null,
 };
@@ -13,13 +17,17 @@ const auth = createSlice({
   reducers: {
     setCredentials(state, action) {
       state.user = action.payload.user;
-      state.token = action.payload.token;
-      localStorage.setItem('token', action.payload.token);
+      state.initialized = true;
+    },
+    // Merge changed profile fields (e.g. verified) into the signed-in user
+    updateUser(state, action) {
+      if (state.user) {
+        state.user = { ...state.user, ...action.payload };
+      }
     },
     logout(state) {
       state.user = null;
-      state.token = null;
-      localStorage.removeItem('token');
+      state.initialized = true;
     },
     setLoading(state, action) {
       state.loading = action.payload;
@@ -30,5 +38,5 @@ const auth = createSlice({
   },
 });
 
-export const { setCredentials, logout, setLoading, setError } = auth.actions;
+export const { setCredentials, updateUser, logout, setLoading, setError } = auth.actions;
 export default auth.reducer;
@@ -11,7 +11,7 @@ const cart = createSlice({
   reducers: {
     addItem(state, action) {
       const existingItem = state.items.find(
-        (i) => i._id === action.payload._id
+        (i) => i._id === action.payload._id && i.variant === action.payload.variant
       );
       if (existingItem) {
         existingItem.quantity += action.payload.quantity || 1;
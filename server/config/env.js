@@ -10,6 +10,16 @@ const envSchema = Joi.object({
   PORT: Joi.number()
     .port()
     .default(5000),
+  LOG_LEVEL: Joi.string()
+    .valid('error', 'warn', 'info', 'http', 'debug', 'silent')
+    .when('NODE_ENV', {
+      switch: [
+        { is: 'development', then: Joi.string().default('debug') },
+        { is: 'test', then: Joi.string().default('silent') },
+      ],
+      otherwise: Joi.string().default('info'),
+    })
+    .description('Lowest log level written (default: debug in development, silent in test, info otherwise)'),
   
   // Database Configuration
   MONGODB_URI: Joi.string()
@@ -28,6 +38,52 @@ const envSchema = Joi.object({
   JWT_COOKIE_EXPIRE: Joi.number()
     .default(7)
     .description('JWT cookie expiration in days'),
+  AUTH_COOKIE_SAME_SITE: Joi.string()
+    .valid('strict', 'lax', 'none')
+    .default('lax')
+    .description('SameSite for auth cookies; none (HTTPS only) when the API is on another site'),
+  AUTH_COOKIE_DOMAIN: Joi.string()
+    .allow('')
+    .default('')
+    .description('Domain for auth cookies, e.g. .example.com to share with a subdomain'),
+  PASSWORD_RESET_EXPIRE_MINUTES: Joi.number()
+    .integer()
+    .min(5)
+    .max(1440)
+    .default(30)
+    .description('How long a password reset link stays valid'),
+  EMAIL_VERIFICATION_EXPIRE_HOURS: Joi.number()
+    .integer()
+    .min(1)
+    .max(720)
+    .default(24)
+    .description('How long an email verification link stays valid'),
+  EMAIL_VERIFICATION_RESEND_SECONDS: Joi.number()
+    .integer()
+    .min(0)
+    .default(60)
+    .description('Shortest gap between verification emails to one account'),
+  REQUIRE_VERIFIED_EMAIL: Joi.string()
+    .pattern(/^((checkout|reviews)(,(checkout|reviews))*)?$/)
+    .allow('')
+    .default('')
+    .description('Comma-separated actions that need a verified email: checkout, reviews (unused)'),
+  LOGIN_MAX_FAILED_ATTEMPTS: Joi.number()
+    .integer()
+    .min(3)
+    .default(10)
+    .description('Failed logins in a row that lock an account'),
+  LOGIN_LOCK_MINUTES: Joi.number()
+    .integer()
+    .min(1)
+    .default(15)
+    .description('How long a locked account stays locked'),
+  REQUIRE_ADMIN_2FA: Joi.boolean()
+    .default(false)
+    .description('Block admin routes until the admin has enabled two-factor authentication'),
+  TWO_FACTOR_ISSUER: Joi.string()
+    .default('Latodabags')
+    .description('Account issuer shown in authenticator apps'),
   
   // Paystack Configuration
   PAYSTACK_SECRET_KEY: Joi.string()
@@ -36,6 +92,22 @@ const envSchema = Joi.object({
   PAYSTACK_PUBLIC_KEY: Joi.string()
     .required()
     .description('Paystack public key'),
+  PAYSTACK_BASE_URL: Joi.string()
+    .uri()
+    .default('https://api.paystack.co')
+    .description('Paystack API base URL (point at the mock server for offline development)'),
+  PAYSTACK_MOCK_PORT: Joi.number()
+    .port()
+    .default(5050)
+    .description('Port for the local Paystack mock server'),
+  PAYSTACK_MOCK_WEBHOOK_URL: Joi.string()
+    .uri()
+    .default('http://localhost:5000/api/v1/payment/webhook')
+    .description('Where the Paystack mock server delivers webhooks'),
+  WEBHOOK_RETRY_INTERVAL_SECONDS: Joi.number()
+    .min(0)
+    .default(30)
+    .description('Seconds between runs retrying failed webhook events (0 disables the job)'),
   
   // CORS Configuration
   CLIENT_URL: Joi.string()
@@ -44,9 +116,17 @@ const envSchema = Joi.object({
     .description('Frontend URL for CORS'),
   
   // Email Configuration (Optional for development)
+  EMAIL_TRANSPORT: Joi.string()
+    .valid('smtp', 'file')
+    .when('NODE_ENV', {
+      is: 'production',
+      then: Joi.string().default('smtp'),
+      otherwise: Joi.string().default('file'),
+    })
+    .description('smtp sends through EMAIL_HOST; file writes each email to EMAIL_OUTBOX_DIR'),
   EMAIL_HOST: Joi.string()
     .allow('', null)
-    .optional(),
+    .when('EMAIL_TRANSPORT', { is: 'smtp', then: Joi.required().invalid('', null) }),
   EMAIL_PORT: Joi.number()
     .port()
     .default(587),
@@ -59,18 +139,107 @@ const envSchema = Joi.object({
   EMAIL_FROM: Joi.string()
     .email()
     .default('noreply@handmadebags.ng'),
+  EMAIL_FROM_NAME: Joi.string()
+    .default('Latodabags')
+    .description('Sender name shown in inboxes'),
+  EMAIL_OUTBOX_DIR: Joi.string()
+    .default('tmp/emails')
+    .description('Where EMAIL_TRANSPORT=file writes emails (relative to the server folder)'),
+  EMAIL_MAX_ATTEMPTS: Joi.number()
+    .integer()
+    .min(1)
+    .default(5)
+    .description('Delivery attempts before an outbox email is marked failed'),
+  EMAIL_RETRY_INTERVAL_SECONDS: Joi.number()
+    .min(0)
+    .default(60)
+    .description('Seconds between outbox retry runs (0 disables the job)'),
   
-  // Cloudinary Configuration (for image uploads)
+  // Image Uploads
+  UPLOAD_STORAGE: Joi.string()
+    .valid('local', 'cloudinary')
+    .default('cloudinary')
+    .description('Where uploaded images are stored: local disk (served from /public) or Cloudinary'),
+  UPLOAD_MAX_FILE_SIZE_MB: Joi.number()
+    .min(1)
+    .max(20)
+    .default(5)
+    .description('Largest image accepted, in megabytes'),
+  UPLOAD_MAX_FILES: Joi.number()
+    .integer()
+    .min(1)
+    .max(20)
+    .default(10)
+    .description('Most images accepted in one upload request'),
+  UPLOAD_IMAGE_WIDTHS: Joi.string()
+    .pattern(/^\d+(,\d+)*$/)
+    .default('320,640,1024,1600')
+    .description('Comma-separated widths (px) generated for each uploaded image'),
+
+  // Cloudinary Configuration (required when UPLOAD_STORAGE=cloudinary)
   CLOUDINARY_CLOUD_NAME: Joi.string()
-    .required()
+    .when('UPLOAD_STORAGE', { is: 'cloudinary', then: Joi.required() })
     .description('Cloudinary cloud name'),
   CLOUDINARY_API_KEY: Joi.string()
-    .required()
+    .when('UPLOAD_STORAGE', { is: 'cloudinary', then: Joi.required() })
     .description('Cloudinary API key'),
   CLOUDINARY_API_SECRET: Joi.string()
-    .required()
+    .when('UPLOAD_STORAGE', { is: 'cloudinary', then: Joi.required() })
     .description('Cloudinary API secret'),
+  CLOUDINARY_FOLDER: Joi.string()
+    .default('handmade-bags')
+    .description('Cloudinary folder that uploads are stored under'),
   
+  // Order Pricing (amounts in Naira)
+  SHIPPING_FEE: Joi.number()
+    .min(0)
+    .default(2500)
+    .description('Flat shipping fee per order'),
+  FREE_SHIPPING_THRESHOLD: Joi.number()
+    .min(0)
+    .default(100000)
+    .description('Order value (after discount) above which shipping is free'),
+  BULK_DISCOUNT_MIN_QUANTITY: Joi.number()
+    .integer()
+    .min(1)
+    .default(5)
+    .description('Number of bags in one order that unlocks the bulk discount'),
+  BULK_DISCOUNT_PERCENT: Joi.number()
+    .min(0)
+    .max(100)
+    .default(5)
+    .description('Bulk discount percentage applied to the subtotal'),
+  DEPOSIT_PERCENT: Joi.number()
+    .min(1)
+    .max(100)
+    .default(50)
+    .description('Share of the order total charged as a deposit before production'),
+
+  // Artisan Payouts
+  PLATFORM_COMMISSION_PERCENT: Joi.number()
+    .min(0)
+    .max(100)
+    .default(15)
+    .description('Share of each delivered order kept by the platform'),
+  PAYOUT_MIN_AMOUNT: Joi.number()
+    .min(100)
+    .default(1000)
+    .description('Smallest payout (Naira) sent to an artisan in a batch'),
+  PAYOUT_RETRY_INTERVAL_SECONDS: Joi.number()
+    .min(0)
+    .default(60)
+    .description('Seconds between payout retry and transfer check runs (0 disables the job)'),
+
+  // Payment Reconciliation
+  RECONCILIATION_INTERVAL_HOURS: Joi.number()
+    .min(0)
+    .default(24)
+    .description('Hours between scheduled reconciliation runs (0 disables the job)'),
+  RECONCILIATION_LOOKBACK_HOURS: Joi.number()
+    .min(1)
+    .default(48)
+    .description('How far back each scheduled run checks'),
+
   // Rate Limiting
   RATE_LIMIT_WINDOW_MS: Joi.number()
     .default(900000)
@@ -93,6 +262,7 @@ if (error) {
 module.exports = {
   env: envVars.NODE_ENV,
   port: envVars.PORT,
+  logLevel: envVars.LOG_LEVEL,
   mongoose: {
     url: envVars.MONGODB_URI,
     options: {
@@ -109,24 +279,72 @@ module.exports = {
     expire: envVars.JWT_EXPIRE,
     cookieExpire: envVars.JWT_COOKIE_EXPIRE,
   },
+  auth: {
+    passwordResetExpireMinutes: envVars.PASSWORD_RESET_EXPIRE_MINUTES,
+    emailVerificationExpireHours: envVars.EMAIL_VERIFICATION_EXPIRE_HOURS,
+    emailVerificationResendSeconds: envVars.EMAIL_VERIFICATION_RESEND_SECONDS,
+    requireVerifiedFor: envVars.REQUIRE_VERIFIED_EMAIL.split(',').filter(Boolean),
+    maxFailedLogins: envVars.LOGIN_MAX_FAILED_ATTEMPTS,
+    loginLockMinutes: envVars.LOGIN_LOCK_MINUTES,
+    requireAdminTwoFactor: envVars.REQUIRE_ADMIN_2FA,
+    twoFactorIssuer: envVars.TWO_FACTOR_ISSUER,
+    cookieSameSite: envVars.AUTH_COOKIE_SAME_SITE,
+    cookieDomain: envVars.AUTH_COOKIE_DOMAIN || undefined,
+  },
   paystack: {
     secretKey: envVars.PAYSTACK_SECRET_KEY,
     publicKey: envVars.PAYSTACK_PUBLIC_KEY,
+    baseUrl: envVars.PAYSTACK_BASE_URL,
+    mock: {
+      port: envVars.PAYSTACK_MOCK_PORT,
+      webhookUrl: envVars.PAYSTACK_MOCK_WEBHOOK_URL,
+    },
+    webhookRetryIntervalSeconds: envVars.WEBHOOK_RETRY_INTERVAL_SECONDS,
   },
   cors: {
     origin: envVars.CLIENT_URL,
   },
   email: {
+    transport: envVars.EMAIL_TRANSPORT,
     host: envVars.EMAIL_HOST,
     port: envVars.EMAIL_PORT,
     user: envVars.EMAIL_USER,
     password: envVars.EMAIL_PASSWORD,
     from: envVars.EMAIL_FROM,
+    fromName: envVars.EMAIL_FROM_NAME,
+    outboxDir: envVars.EMAIL_OUTBOX_DIR,
+    maxAttempts: envVars.EMAIL_MAX_ATTEMPTS,
+    retryIntervalSeconds: envVars.EMAIL_RETRY_INTERVAL_SECONDS,
   },
   cloudinary: {
     cloudName: envVars.CLOUDINARY_CLOUD_NAME,
     apiKey: envVars.CLOUDINARY_API_KEY,
     apiSecret: envVars.CLOUDINARY_API_SECRET,
+    folder: envVars.CLOUDINARY_FOLDER,
+  },
+  uploads: {
+    storage: envVars.UPLOAD_STORAGE,
+    maxFileSize: envVars.UPLOAD_MAX_FILE_SIZE_MB * 1024 * 1024,
+    maxFiles: envVars.UPLOAD_MAX_FILES,
+    imageWidths: envVars.UPLOAD_IMAGE_WIDTHS.split(',').map(Number),
+  },
+  pricing: {
+    shippingFee: envVars.SHIPPING_FEE,
+    freeShippingThreshold: envVars.FREE_SHIPPING_THRESHOLD,
+    bulkDiscount: {
+      minQuantity: envVars.BULK_DISCOUNT_MIN_QUANTITY,
+      percent: envVars.BULK_DISCOUNT_PERCENT,
+    },
+    depositPercent: envVars.DEPOSIT_PERCENT,
+  },
+  payouts: {
+    commissionPercent: envVars.PLATFORM_COMMISSION_PERCENT,
+    minAmount: envVars.PAYOUT_MIN_AMOUNT,
+    retryIntervalSeconds: envVars.PAYOUT_RETRY_INTERVAL_SECONDS,
+  },
+  reconciliation: {
+    intervalHours: envVars.RECONCILIATION_INTERVAL_HOURS,
+    lookbackHours: envVars.RECONCILIATION_LOOKBACK_HOURS,
   },
   rateLimit: {
     windowMs: envVars.RATE_LIMIT_WINDOW_MS,
@@ -0,0 +1,111 @@
+/**
+ * Order Status Configuration
+ * Made-to-order lifecycle and the transitions allowed between stages
+ */
+
+const ORDER_STATUSES = [
+  'pending',
+  'awaiting_deposit',
+  'in_production',
+  'quality_check',
+  'ready_to_ship',
+  'shipped',
+  'delivered',
+  'returned',
+  'cancelled',
+  'refunded',
+];
+
+// Human-readable labels for timelines and emails
+const STATUS_LABELS = {
+  pending: 'Order placed',
+  awaiting_deposit: 'Awaiting deposit',
+  in_production: 'In production',
+  quality_check: 'Quality check',
+  ready_to_ship: 'Ready to ship',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  returned: 'Returned',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded',
+};
+
+// Allowed next statuses for each status
+const STATUS_TRANSITIONS = {
+  pending: ['awaiting_deposit', 'cancelled'],
+  awaiting_deposit: ['in_production', 'cancelled'],
+  in_production: ['quality_check', 'cancelled'],
+  // A failed quality check sends the bag back to the workshop
+  quality_check: ['in_production', 'ready_to_ship'],
+  ready_to_ship: ['shipped'],
+  shipped: ['delivered'],
+  delivered: ['returned'],
+  // Set by the refund service once every payment has been refunded
+  returned: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+};
+
+// Statuses from which the customer may cancel (nothing has been made yet)
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'awaiting_deposit'];
+
+// Statuses in which each part of the payment may be made
+const DEPOSIT_PAYABLE_STATUSES = ['pending', 'awaiting_deposit'];
+const BALANCE_PAYABLE_STATUSES = [
+  'awaiting_deposit',
+  'in_production',
+  'quality_check',
+  'ready_to_ship',
+];
+
+// Statuses in which paid money may be refunded to the customer
+const REFUNDABLE_STATUSES = ['cancelled', 'returned'];
+
+// Payments that must be settled before an order can enter a status
+const PAYMENT_REQUIREMENTS = {
+  in_production: {
+    field: 'depositPaid',
+    message: 'Deposit must be paid before production can start',
+  },
+  shipped: {
+    field: 'balancePaid',
+    message: 'Balance must be paid before the order can be shipped',
+  },
+  refunded: {
+    field: 'fullyRefunded',
+    message: 'Every payment must be refunded before the order is marked refunded',
+  },
+};
+
+// Happy path, used to show upcoming steps on the timeline
+const FULFILMENT_PATH = [
+  'pending',
+  'awaiting_deposit',
+  'in_production',
+  'quality_check',
+  'ready_to_ship',
+  'shipped',
+  'delivered',
+];
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) =>
+  (STATUS_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  ORDER_STATUSES,
+  STATUS_LABELS,
+  STATUS_TRANSITIONS,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  DEPOSIT_PAYABLE_STATUSES,
+  BALANCE_PAYABLE_STATUSES,
+  REFUNDABLE_STATUSES,
+  PAYMENT_REQUIREMENTS,
+  FULFILMENT_PATH,
+  canTransition,
+};
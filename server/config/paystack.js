@@ -11,8 +11,14 @@ const paystackConfig = {
   secretKey: config.paystack.secretKey,
   publicKey: config.paystack.publicKey,
 
-  // API endpoints
-  baseUrl: 'https://api.paystack.co',
+  // API endpoints (PAYSTACK_BASE_URL can point at the local mock server)
+  baseUrl: config.paystack.baseUrl,
+
+  // Local mock server (bin/paystack-mock)
+  mock: {
+    port: config.paystack.mock.port,
+    webhookUrl: config.paystack.mock.webhookUrl,
+  },
 
   // Webhook settings
   webhook: {
@@ -29,6 +35,20 @@ const paystackConfig = {
     minAmount: 10000,
     // Transaction timeout in seconds
     timeout: 3600,
+    // Final failure statuses; anything else (ongoing, pending, queued...)
+    // may still succeed and is settled by the webhook or reconciliation
+    failedStatuses: ['failed', 'abandoned'],
+  },
+
+  // Retry settings for failed artisan payout transfers
+  transfer: {
+    maxAttempts: 3,
+    initialDelayMs: 60000,
+    maxDelayMs: 3600000,
+    // How long to wait for a webhook before asking Paystack about a transfer
+    verifyDelayMs: 300000,
+    // Statuses that mean the money did not go out
+    failedStatuses: ['failed', 'reversed', 'abandoned', 'blocked', 'rejected'],
   },
 
   // Retry settings for webhook processing
@@ -1,281 +1,652 @@
 const User = require('../models/User');
+const emailService = require('../services/emailService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtection = require('../services/loginProtectionService');
 const config = require('../config/env');
+const logger = require('../utils/logger');
+const asyncHandler = require('../utils/asyncHandler');
+const { signPurposeToken, verifyPurposeToken } = require('../utils/jwt');
+const { wantsCookies, setAuthCookies, clearAuthCookies } = require('../utils/authCookies');
+const {
+  AppError,
+  ValidationError,
+  AuthError,
+  ConflictError,
+  ForbiddenError,
+  ERROR_CODES,
+} = require('../utils/errors');
+
+// Signed-link purpose for email verification
+const VERIFY_EMAIL = 'verify_email';
+
+// Signed-token purpose for the second login step, and how long it lasts
+const TWO_FACTOR_LOGIN = 'two_factor_login';
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+
+// Hidden fields twoFactorService.verify() needs
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const invalidTwoFactorCode = () =>
+  new AuthError('Invalid authentication code', {
+    code: ERROR_CODES.INVALID_TWO_FACTOR_CODE,
+  });
+
+// Email a fresh verification link and note when it was sent
+const sendVerificationEmail = async (user) => {
+  const { emailVerificationExpireHours } = config.auth;
+  const token = signPurposeToken(
+    VERIFY_EMAIL,
+    { id: user._id, email: user.email },
+    `${emailVerificationExpireHours}h`
+  );
+
+  user.verificationSentAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  await emailService.sendEmailVerification(user, {
+    verifyUrl: `${config.cors.origin}/verify-email/${token}`,
+    expiresInHours: emailVerificationExpireHours,
+  });
+};
+
+// Cookie-mode clients get their tokens as httpOnly cookies and only the
+// CSRF token in the body; everyone else gets the tokens in the body
+const issueTokens = (req, res, { accessToken, refreshToken }) => {
+  if (wantsCookies(req)) {
+    return { csrfToken: setAuthCookies(res, { accessToken, refreshToken }) };
+  }
+
+  return { accessToken, refreshToken };
+};
 
 // @desc    Register new user
 // @route   POST /api/v1/auth/register
 // @access  Public
-exports.register = async (req, res) => {
-  try {
-    const { name, email, password, phone, address } = req.body;
-
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email already registered',
-      });
-    }
-
-    // Create user
-    const user = await User.create({
-      name,
-      email,
-      password, // Will be hashed by pre-save hook
-      phone,
-      address,
-      verified: false, // Email verification disabled for MVP
-    });
-
-    // Generate tokens
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
-
-    // Save refresh token to user
-    user.refreshToken = refreshToken;
-    await user.save();
-
-    // Get public profile
-    const userProfile = user.getPublicProfile();
-
-    res.status(201).json({
-      success: true,
-      message: 'Registration successful',
-      data: {
-        user: userProfile,
-        accessToken,
-        refreshToken,
-      },
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Registration failed',
-      error: config.env === 'development' ? error.message : undefined,
+exports.register = asyncHandler(async (req, res) => {
+  const { name, email, password, phone, address } = req.body;
+
+  // Check if user already exists
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new ConflictError('Email already registered', {
+      code: ERROR_CODES.DUPLICATE_VALUE,
     });
   }
-};
+
+  // Create user
+  const user = await User.create({
+    name,
+    email,
+    password, // Will be hashed by pre-save hook
+    phone,
+    address,
+    verified: false,
+  });
+
+  // Sign in on this device
+  const tokens = await sessionService.create(user, req);
+
+  await emailService.sendWelcome(user);
+  await sendVerificationEmail(user);
+
+  // Get public profile
+  const userProfile = user.getPublicProfile();
+
+  res.status(201).json({
+    success: true,
+    message: 'Registration successful',
+    data: {
+      user: userProfile,
+      ...issueTokens(req, res, tokens),
+    },
+  });
+});
 
 // @desc    Login user
 // @route   POST /api/v1/auth/login
 // @access  Public
-exports.login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide email and password',
-      });
-    }
+exports.login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
 
-    // Find user and include password
-    const user = await User.findOne({ email }).select('+password');
+  // Validate input
+  if (!email || !password) {
+    throw new ValidationError('Please provide email and password');
+  }
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials',
-      });
-    }
+  await loginProtection.assertIpAllowed(req.ip);
 
-    // Compare password
-    const isPasswordMatch = await user.comparePassword(password);
+  // Find user and include password and failed-login counters
+  const user = await User.findOne({ email }).select(`+password ${loginProtection.fields}`);
 
-    if (!isPasswordMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials',
-      });
-    }
+  if (!user) {
+    await loginProtection.recordFailure(null, req.ip);
+    throw new AuthError('Invalid credentials', { code: ERROR_CODES.INVALID_CREDENTIALS });
+  }
 
-    // Generate tokens
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
+  // Locked, or still waiting out the delay after recent failures
+  loginProtection.assertAccountAllowed(user);
 
-    // Save refresh token to user
-    user.refreshToken = refreshToken;
-    await user.save();
+  // Compare password
+  const isPasswordMatch = await user.comparePassword(password);
 
-    // Get public profile
-    const userProfile = user.getPublicProfile();
+  if (!isPasswordMatch) {
+    if (await loginProtection.recordFailure(user, req.ip)) {
+      throw loginProtection.lockedError();
+    }
+    throw new AuthError('Invalid credentials', { code: ERROR_CODES.INVALID_CREDENTIALS });
+  }
 
-    res.status(200).json({
+  // With 2FA on, the password only earns a challenge for /auth/2fa/verify.
+  // Failures are only cleared once the code is right too.
+  if (user.twoFactor.enabled) {
+    return res.status(200).json({
       success: true,
-      message: 'Login successful',
+      message: 'Enter the code from your authenticator app',
       data: {
-        user: userProfile,
-        accessToken,
-        refreshToken,
+        twoFactorRequired: true,
+        challengeToken: signPurposeToken(
+          TWO_FACTOR_LOGIN,
+          { id: user._id },
+          TWO_FACTOR_CHALLENGE_EXPIRE
+        ),
       },
     });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Login failed',
-      error: config.env === 'development' ? error.message : undefined,
-    });
   }
-};
+
+  await loginProtection.recordSuccess(user);
+
+  // Each login is a separate session, so other devices stay signed in
+  const tokens = await sessionService.create(user, req);
+
+  // Get public profile
+  const userProfile = user.getPublicProfile();
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: userProfile,
+      ...issueTokens(req, res, tokens),
+    },
+  });
+});
 
 // @desc    Refresh access token
 // @route   POST /api/v1/auth/refresh
 // @access  Public (with refresh token)
-exports.refreshToken = async (req, res) => {
-  try {
-    // User is attached by verifyRefreshToken middleware
-    const user = req.user;
+exports.refreshToken = asyncHandler(async (req, res) => {
+  // User and session are attached by verifyRefreshToken middleware
+  const { user, authSession } = req;
 
-    // Generate new access token
-    const accessToken = user.generateAccessToken();
+  // Refresh tokens are single-use: the old one stops working now
+  const tokens = await sessionService.rotate(authSession, user, req);
 
-    res.status(200).json({
-      success: true,
-      message: 'Token refreshed successfully',
-      data: {
-        accessToken,
-      },
-    });
-  } catch (error) {
-    console.error('Refresh token error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Token refresh failed',
-      error: config.env === 'development' ? error.message : undefined,
-    });
-  }
-};
+  res.status(200).json({
+    success: true,
+    message: 'Token refreshed successfully',
+    data: issueTokens(req, res, tokens),
+  });
+});
 
 // @desc    Get current user
 // @route   GET /api/v1/auth/me
 // @access  Private
-exports.getMe = async (req, res) => {
-  try {
-    // User is already attached by isAuth middleware
-    const user = req.user;
+exports.getMe = asyncHandler(async (req, res) => {
+  // User is already attached by isAuth middleware
+  const user = req.user;
 
-    res.status(200).json({
-      success: true,
-      data: user,
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+// @desc    Logout user
+// @route   POST /api/v1/auth/logout
+// @access  Private
+exports.logout = asyncHandler(async (req, res) => {
+  // Sign out this device only; other sessions stay active
+  if (req.sessionId) {
+    await sessionService.revoke(req.user._id, req.sessionId, 'logout').catch(() => null);
+  }
+
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    message: 'Logout successful',
+  });
+});
+
+// @desc    Update user profile
+// @route   PUT /api/v1/auth/update
+// @access  Private
+exports.updateProfile = asyncHandler(async (req, res) => {
+  const { name, phone, address } = req.body;
+
+  // Fields to update
+  const fieldsToUpdate = {};
+  if (name) fieldsToUpdate.name = name;
+  if (phone) fieldsToUpdate.phone = phone;
+  if (address) fieldsToUpdate.address = address;
+
+  // Update user
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    fieldsToUpdate,
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Profile updated successfully',
+    data: user.getPublicProfile(),
+  });
+});
+
+// @desc    Change password
+// @route   PUT /api/v1/auth/password
+// @access  Private
+exports.changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    throw new ValidationError('Please provide current and new password');
+  }
+
+  // Get user with password
+  const user = await User.findById(req.user._id).select('+password');
+
+  // Verify current password
+  const isPasswordMatch = await user.comparePassword(currentPassword);
+
+  if (!isPasswordMatch) {
+    throw new AuthError('Current password is incorrect', {
+      code: ERROR_CODES.INVALID_CREDENTIALS,
     });
-  } catch (error) {
-    console.error('Get me error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get user data',
-      error: config.env === 'development' ? error.message : undefined,
+  }
+
+  // Update password
+  user.password = newPassword;
+  await user.save(); // Will be hashed by pre-save hook
+
+  // Keep this device signed in and sign out the others
+  await sessionService.revokeAll(user._id, {
+    except: req.sessionId,
+    reason: 'password_change',
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed successfully',
+  });
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  // Answer the same either way so the endpoint cannot reveal who has an account
+  if (user) {
+    const token = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    await emailService.sendPasswordReset(user, {
+      resetUrl: `${config.cors.origin}/reset-password/${token}`,
+      expiresInMinutes: config.auth.passwordResetExpireMinutes,
     });
+
+    logger.info('Password reset requested', { userId: user._id });
   }
-};
 
-// @desc    Logout user
-// @route   GET /api/v1/auth/logout
-// @access  Private
-exports.logout = async (req, res) => {
-  try {
-    const user = req.user;
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent.',
+  });
+});
 
-    // Clear refresh token
-    user.refreshToken = undefined;
-    await user.save();
+// @desc    Set a new password using an emailed reset token
+// @route   POST /api/v1/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const { password } = req.body;
 
-    res.status(200).json({
-      success: true,
-      message: 'Logout successful',
+  const user = await User.findOne({
+    resetPasswordToken: User.hashToken(req.params.token),
+    resetPasswordExpire: { $gt: new Date() },
+  }).select('+resetPasswordToken +resetPasswordExpire');
+
+  if (!user) {
+    throw new ValidationError('Password reset link is invalid or has expired', undefined, {
+      code: ERROR_CODES.INVALID_TOKEN,
     });
+  }
+
+  // The token works once; every existing session is signed out
+  user.password = password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  user.passwordChangedAt = new Date();
+  await user.save();
+
+  await sessionService.revokeAll(user._id, { reason: 'password_reset' });
+
+  // Proving ownership of the email also lifts a lockout
+  await loginProtection.reset(user._id);
+
+  logger.info('Password reset completed', { userId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password reset successful. Please login with your new password.',
+  });
+});
+
+// @desc    Confirm an email address from the emailed link
+// @route   POST /api/v1/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = asyncHandler(async (req, res) => {
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(VERIFY_EMAIL, req.params.token);
   } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Logout failed',
-      error: config.env === 'development' ? error.message : undefined,
+    const expired = error.name === 'TokenExpiredError';
+    throw new ValidationError(
+      expired
+        ? 'Verification link has expired. Please request a new one.'
+        : 'Verification link is invalid',
+      undefined,
+      { code: expired ? ERROR_CODES.TOKEN_EXPIRED : ERROR_CODES.INVALID_TOKEN }
+    );
+  }
+
+  const user = await User.findById(decoded.id);
+
+  // A link sent to an address the account no longer uses is not valid
+  if (!user || user.email !== decoded.email) {
+    throw new ValidationError('Verification link is invalid', undefined, {
+      code: ERROR_CODES.INVALID_TOKEN,
     });
   }
-};
 
-// @desc    Update user profile
-// @route   PUT /api/v1/auth/update
+  if (!user.verified) {
+    user.verified = true;
+    user.verifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('Email verified', { userId: user._id });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully',
+    data: { verified: true },
+  });
+});
+
+// @desc    Send another verification email
+// @route   POST /api/v1/auth/resend-verification
 // @access  Private
-exports.updateProfile = async (req, res) => {
-  try {
-    const { name, phone, address } = req.body;
-
-    // Fields to update
-    const fieldsToUpdate = {};
-    if (name) fieldsToUpdate.name = name;
-    if (phone) fieldsToUpdate.phone = phone;
-    if (address) fieldsToUpdate.address = address;
-
-    // Update user
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      fieldsToUpdate,
-      {
-        new: true,
-        runValidators: true,
-      }
+exports.resendVerification = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  if (user.verified) {
+    throw new ConflictError('Email is already verified');
+  }
+
+  // One email per window, whatever the IP
+  const waitMs =
+    (user.verificationSentAt?.getTime() || 0) +
+    config.auth.emailVerificationResendSeconds * 1000 -
+    Date.now();
+  if (waitMs > 0) {
+    const retryAfter = Math.ceil(waitMs / 1000);
+    throw new AppError(
+      `Please wait ${retryAfter} seconds before requesting another email.`,
+      429,
+      ERROR_CODES.RATE_LIMITED,
+      { retryAfter }
     );
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Profile updated successfully',
-      data: user.getPublicProfile(),
-    });
-  } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Profile update failed',
-      error: config.env === 'development' ? error.message : undefined,
+  await sendVerificationEmail(user);
+
+  res.status(200).json({
+    success: true,
+    message: `Verification email sent to ${user.email}`,
+  });
+});
+
+// @desc    Unlock an account locked by failed logins, from the emailed link
+// @route   POST /api/v1/auth/unlock/:token
+// @access  Public
+exports.unlockAccount = asyncHandler(async (req, res) => {
+  const user = await loginProtection.unlock(req.params.token);
+
+  if (!user) {
+    throw new ValidationError('Unlock link is invalid or has expired', undefined, {
+      code: ERROR_CODES.INVALID_TOKEN,
     });
   }
-};
 
-// @desc    Change password
-// @route   PUT /api/v1/auth/password
+  res.status(200).json({
+    success: true,
+    message: 'Your account is unlocked. You can sign in again.',
+  });
+});
+
+// @desc    List my signed-in devices
+// @route   GET /api/v1/auth/sessions
 // @access  Private
-exports.changePassword = async (req, res) => {
+exports.getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.list(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => ({
+      id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: String(session._id) === String(req.sessionId),
+    })),
+  });
+});
+
+// @desc    Sign out one device
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+exports.revokeSession = asyncHandler(async (req, res) => {
+  await sessionService.revoke(req.user._id, req.params.id, 'revoked');
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked',
+  });
+});
+
+// @desc    Sign out every other device
+// @route   DELETE /api/v1/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = asyncHandler(async (req, res) => {
+  const count = await sessionService.revokeAll(req.user._id, {
+    except: req.sessionId,
+    reason: 'revoked_all',
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${count} other session(s) revoked`,
+    count,
+  });
+});
+
+// @desc    Finish a login with an authenticator or backup code
+// @route   POST /api/v1/auth/2fa/verify
+// @access  Public (with the challenge token from login)
+exports.verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  let decoded;
   try {
-    const { currentPassword, newPassword } = req.body;
+    decoded = verifyPurposeToken(TWO_FACTOR_LOGIN, challengeToken);
+  } catch (error) {
+    throw new AuthError('Login attempt expired. Please login again.', {
+      code: ERROR_CODES.INVALID_TOKEN,
+    });
+  }
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide current and new password',
-      });
-    }
+  await loginProtection.assertIpAllowed(req.ip);
 
-    // Get user with password
-    const user = await User.findById(req.user._id).select('+password');
+  const user = await User.findById(decoded.id).select(
+    `${TWO_FACTOR_FIELDS} ${loginProtection.fields}`
+  );
+
+  if (!user) {
+    throw new AuthError('Login attempt expired. Please login again.', {
+      code: ERROR_CODES.INVALID_TOKEN,
+    });
+  }
 
-    // Verify current password
-    const isPasswordMatch = await user.comparePassword(currentPassword);
+  // Wrong codes count as failed logins, so a known password cannot be
+  // followed by unlimited guesses at the code
+  loginProtection.assertAccountAllowed(user);
 
-    if (!isPasswordMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Current password is incorrect',
-      });
+  const { valid, usedBackupCode } = await twoFactorService.verify(user, code);
+  if (!valid) {
+    logger.warn('Invalid two-factor code at login', { userId: user._id, ip: req.ip });
+    if (await loginProtection.recordFailure(user, req.ip)) {
+      throw loginProtection.lockedError();
     }
+    throw invalidTwoFactorCode();
+  }
 
-    // Update password
-    user.password = newPassword;
-    await user.save(); // Will be hashed by pre-save hook
+  await loginProtection.recordSuccess(user);
 
-    res.status(200).json({
-      success: true,
-      message: 'Password changed successfully',
-    });
-  } catch (error) {
-    console.error('Change password error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Password change failed',
-      error: config.env === 'development' ? error.message : undefined,
+  const tokens = await sessionService.create(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: user.getPublicProfile(),
+      ...issueTokens(req, res, tokens),
+      ...(usedBackupCode && { backupCodesRemaining: user.twoFactor.backupCodes.length }),
+    },
+  });
+});
+
+// @desc    Start 2FA enrolment (secret and QR code for an authenticator app)
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.twoFactor.enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  const { secret, otpauthUrl, qrCode } = await twoFactorService.startSetup(req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code, then confirm with a code from the app',
+    data: { secret, otpauthUrl, qrCode },
+  });
+});
+
+// @desc    Confirm enrolment with a first code; returns the backup codes
+// @route   POST /api/v1/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor.enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  const backupCodes = await twoFactorService.enable(user, req.body.code);
+  if (!backupCodes) {
+    throw invalidTwoFactorCode();
+  }
+
+  // Sessions that never passed the second factor are signed out
+  await sessionService.revokeAll(user._id, {
+    except: req.sessionId,
+    reason: 'two_factor_enabled',
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store these backup codes safely.',
+    data: { backupCodes },
+  });
+});
+
+// @desc    Replace the backup codes
+// @route   POST /api/v1/auth/2fa/backup-codes
+// @access  Private
+exports.regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactor.enabled) {
+    throw new ConflictError('Two-factor authentication is not enabled');
+  }
+
+  const { valid } = await twoFactorService.verify(user, req.body.code);
+  if (!valid) {
+    throw invalidTwoFactorCode();
+  }
+
+  const backupCodes = await twoFactorService.regenerateBackupCodes(user);
+
+  res.status(200).json({
+    success: true,
+    message: 'New backup codes generated; the old ones no longer work',
+    data: { backupCodes },
+  });
+});
+
+// @desc    Turn 2FA off (password and a current code required)
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+  if (!user.twoFactor.enabled) {
+    throw new ConflictError('Two-factor authentication is not enabled');
+  }
+
+  if (twoFactorService.isRequiredFor(user)) {
+    throw new ForbiddenError('Two-factor authentication is required for admin accounts', {
+      code: ERROR_CODES.TWO_FACTOR_REQUIRED,
     });
   }
-};
\ No newline at end of file
+
+  if (!(await user.comparePassword(password))) {
+    throw new AuthError('Password is incorrect', { code: ERROR_CODES.INVALID_CREDENTIALS });
+  }
+
+  const { valid } = await twoFactorService.verify(user, code);
+  if (!valid) {
+    throw invalidTwoFactorCode();
+  }
+
+  await twoFactorService.disable(user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled',
+  });
+});
@@ -0,0 +1,34 @@
+const { priceOrderItems, missingProductsError } = require('../services/pricingService');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * Cart Controller
+ * The cart itself lives in the browser; these endpoints check it
+ * against the catalogue before the buyer reaches checkout
+ */
+
+/**
+ * @desc    Check cart items against their products: variants and each chosen
+ *          customisation (unknown options, values outside the option list or
+ *          limits, missing required options). Returns the server prices.
+ * @route   POST /api/v1/cart/validate
+ * @access  Public
+ * @param   {Array} items - { product, variant, quantity, customSpecs }
+ */
+exports.validateCart = asyncHandler(async (req, res) => {
+  // Throws VALIDATION_ERROR with one entry per problem field
+  const pricing = await priceOrderItems(req.body.items);
+
+  if (pricing.missingProducts.length > 0) {
+    throw missingProductsError(pricing.missingProducts);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart is valid',
+    data: {
+      items: pricing.items,
+      subtotal: pricing.subtotal,
+    },
+  });
+});
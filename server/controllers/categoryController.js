@@ -0,0 +1,276 @@
+const Category = require('../models/category');
+const Product = require('../models/product');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  ERROR_CODES,
+} = require('../utils/errors');
+
+/**
+ * Category Controller
+ * Public category listing and admin category management
+ */
+
+/**
+ * Add product counts to categories and optionally nest them.
+ * A category's productCount includes products in its subcategories.
+ * @private
+ * @param {Array} categories - Category documents, already sorted
+ * @param {boolean} nested - Return a tree of root categories with children
+ * @returns {Promise<Array>}
+ */
+const withProductCounts = async (categories, nested) => {
+  const counts = await Product.aggregate([
+    { $match: { category: { $in: categories.map((category) => category._id) } } },
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+  ]);
+  const countById = new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+
+  const nodes = categories.map((category) => ({
+    ...category.toObject(),
+    children: [],
+  }));
+  const nodeById = new Map(nodes.map((node) => [node._id.toString(), node]));
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodeById.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const total = (node) => {
+    node.productCount =
+      (countById.get(node._id.toString()) || 0) +
+      node.children.reduce((sum, child) => sum + total(child), 0);
+    return node.productCount;
+  };
+  roots.forEach(total);
+
+  if (nested) {
+    return roots;
+  }
+
+  return nodes.map(({ children, ...node }) => node);
+};
+
+/**
+ * Check a requested parent exists and would not create a loop
+ * @private
+ */
+const assertValidParent = async (parentId, categoryId) => {
+  if (!parentId) return;
+
+  const parent = await Category.findById(parentId);
+  if (!parent) {
+    throw new ValidationError('Validation failed', [
+      { field: 'parent', message: 'Parent category not found' },
+    ]);
+  }
+
+  if (categoryId && (await Category.wouldCreateCycle(categoryId, parentId))) {
+    throw new ValidationError('Validation failed', [
+      { field: 'parent', message: 'A category cannot be placed inside itself' },
+    ]);
+  }
+};
+
+/**
+ * @desc    List active categories with product counts
+ * @route   GET /api/v1/categories
+ * @access  Public
+ * @param   {boolean} tree - Nest subcategories under their parents
+ */
+exports.getCategories = asyncHandler(async (req, res) => {
+  const categories = await Category.find({ active: true })
+    .select('-__v -createdBy')
+    .sort('sortOrder name');
+
+  // Subcategories of an inactive category are hidden with it, at any depth
+  let visible = categories;
+  let previousLength;
+  do {
+    previousLength = visible.length;
+    const visibleIds = new Set(visible.map((category) => category._id.toString()));
+    visible = visible.filter(
+      (category) => !category.parent || visibleIds.has(category.parent.toString())
+    );
+  } while (visible.length !== previousLength);
+
+  const data = await withProductCounts(visible, req.query.tree);
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+});
+
+/**
+ * @desc    List every category, including inactive ones
+ * @route   GET /api/v1/categories/admin/all
+ * @access  Private/Admin
+ * @param   {boolean} tree - Nest subcategories under their parents
+ */
+exports.getAllCategories = asyncHandler(async (req, res) => {
+  const categories = await Category.find().select('-__v').sort('sortOrder name');
+
+  const data = await withProductCounts(categories, req.query.tree);
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+});
+
+/**
+ * @desc    Get an active category by ID or slug, with its subcategories
+ * @route   GET /api/v1/categories/:idOrSlug
+ * @access  Public
+ */
+exports.getCategory = asyncHandler(async (req, res) => {
+  const category = await Category.findByIdOrSlug(req.params.idOrSlug, { active: true });
+
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const ids = await Category.getDescendantIds(category._id, { active: true });
+  const [categories, parent] = await Promise.all([
+    Category.find({ _id: { $in: ids } })
+      .select('-__v -createdBy')
+      .sort('sortOrder name'),
+    category.parent ? Category.findById(category.parent).select('name slug') : null,
+  ]);
+
+  // The requested category is the only root: its parent is not in the set
+  const [data] = await withProductCounts(categories, true);
+
+  res.status(200).json({
+    success: true,
+    data: { ...data, parent },
+  });
+});
+
+/**
+ * @desc    Create a category
+ * @route   POST /api/v1/categories
+ * @access  Private/Admin
+ */
+exports.createCategory = asyncHandler(async (req, res) => {
+  const { name, slug, description, image, sortOrder, parent, active } = req.body;
+
+  await assertValidParent(parent);
+
+  const category = await Category.create({
+    name,
+    slug,
+    description,
+    image,
+    sortOrder,
+    parent: parent || null,
+    active,
+    createdBy: req.user._id,
+  });
+
+  logger.info('Category created', {
+    categoryId: category._id,
+    slug: category.slug,
+    by: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    data: category,
+  });
+});
+
+/**
+ * @desc    Update a category
+ * @route   PUT /api/v1/categories/:id
+ * @access  Private/Admin
+ */
+exports.updateCategory = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  if (req.body.parent !== undefined) {
+    await assertValidParent(req.body.parent, category._id);
+  }
+
+  const fields = ['name', 'slug', 'description', 'image', 'sortOrder', 'parent', 'active'];
+  fields.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      category[field] = req.body[field];
+    }
+  });
+
+  // Keep the slug in step with a renamed category unless one was given
+  if (req.body.name !== undefined && req.body.slug === undefined) {
+    category.slug = Category.slugify(category.name);
+  }
+
+  await category.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Category updated successfully',
+    data: category,
+  });
+});
+
+/**
+ * @desc    Delete an empty category
+ * @route   DELETE /api/v1/categories/:id
+ * @access  Private/Admin
+ *
+ * Categories that still hold products or subcategories cannot be
+ * deleted; deactivate them instead.
+ */
+exports.deleteCategory = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const [productCount, childCount] = await Promise.all([
+    Product.countDocuments({ category: category._id }),
+    Category.countDocuments({ parent: category._id }),
+  ]);
+
+  if (productCount > 0 || childCount > 0) {
+    throw new ConflictError(
+      'Category still has products or subcategories. Move them or deactivate the category instead.',
+      {
+        code: ERROR_CODES.CATEGORY_IN_USE,
+        details: { productCount, childCount },
+      }
+    );
+  }
+
+  await category.deleteOne();
+
+  logger.info('Category deleted', {
+    categoryId: category._id,
+    slug: category.slug,
+    by: req.user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Category deleted successfully',
+    data: {},
+  });
+});
@@ -1,119 +1,389 @@
+const Order = require('../models/order');
+const { priceOrderItems, missingProductsError } = require('../services/pricingService');
+const refundService = require('../services/refundService');
+const payoutService = require('../services/payoutService');
+const inventoryService = require('../services/inventoryService');
+const emailService = require('../services/emailService');
+const User = require('../models/User');
+const { CUSTOMER_CANCELLABLE_STATUSES } = require('../config/orderStatus');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  NotFoundError,
+  ValidationError,
+  ForbiddenError,
+  ConflictError,
+  PaymentError,
+  ERROR_CODES,
+} = require('../utils/errors');
+
+// Fields populated on order responses
+const productPopulate = { path: 'items.product', select: 'name images basePrice category' };
+const userPopulate = { path: 'user', select: 'name email phone' };
+
+// @desc    Get a price quote for a set of items
+// @access  Private
+const getOrderQuote = asyncHandler(async (req, res) => {
+  const pricing = await priceOrderItems(req.body.items);
+
+  if (pricing.missingProducts.length > 0) {
+    throw missingProductsError(pricing.missingProducts);
+  }
+
+  const { missingProducts, ...quote } = pricing;
+
+  return res.status(200).json({
+    success: true,
+    message: 'Quote calculated successfully',
+    quote,
+  });
+});
+
 // @desc    Create a custom order
 // @access  Private
-const createCustomOrder = async (req, res) => {
-  try {
-    return res.status(201).json({
-      success: true,
-      message: 'Custom order created successfully',
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error creating custom order',
-      error: error.message,
+const createCustomOrder = asyncHandler(async (req, res) => {
+  const { title, description, items, total, shippingAddress, images, deadline } =
+    req.body;
+
+  // Prices always come from the stored products, never from the client
+  const pricing = await priceOrderItems(items);
+
+  if (pricing.missingProducts.length > 0) {
+    throw missingProductsError(pricing.missingProducts);
+  }
+
+  // Reject if the client was shown a different figure (stale cart or tampering)
+  if (total !== pricing.total) {
+    const { missingProducts, ...quote } = pricing;
+    throw new ConflictError('Order total has changed. Please review the updated price.', {
+      code: ERROR_CODES.PRICE_CHANGED,
+      details: { quote },
     });
   }
-};
 
-// @desc    Get all my orders
-// @access  Private
-const getMyOrders = async (req, res) => {
+  // Hold variant stock before the order exists so two customers cannot buy the last bag
+  const reserved = await inventoryService.reserveItems(pricing.items);
+
+  let order;
   try {
-    return res.status(200).json({
-      success: true,
-      message: 'Orders retrieved successfully',
-      orders: [],
+    order = await Order.create({
+      user: req.user._id,
+      title,
+      description,
+      items: pricing.items,
+      images,
+      deadline,
+      shippingAddress,
+      subtotal: pricing.subtotal,
+      shippingFee: pricing.shippingFee,
+      discount: pricing.discount,
+      total: pricing.total,
+      depositAmount: pricing.depositAmount,
+      balanceAmount: pricing.balanceAmount,
+      stockStatus: reserved ? 'reserved' : 'none',
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error retrieving orders',
-      error: error.message,
-    });
+    await inventoryService.releaseItems(pricing.items);
+    throw error;
   }
-};
+
+  await emailService.sendOrderReceived(order);
+
+  return res.status(201).json({
+    success: true,
+    message: 'Custom order created successfully',
+    order,
+  });
+});
+
+// @desc    Get all my orders
+// @access  Private
+const getMyOrders = asyncHandler(async (req, res) => {
+  const { page, limit, status, sort } = req.query;
+
+  const filters = { user: req.user._id };
+  if (status) filters.status = status;
+
+  const result = await Order.getPaginated(filters, {
+    page,
+    limit,
+    sort: sort || '-createdAt',
+    populate: [productPopulate],
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Orders retrieved successfully',
+    count: result.orders.length,
+    pagination: result.pagination,
+    orders: result.orders,
+  });
+});
 
 // @desc    Get a single order
 // @access  Private
-const getOrder = async (req, res) => {
-  try {
-    const { id } = req.params;
-    return res.status(200).json({
-      success: true,
-      message: 'Order retrieved successfully',
-      order: null,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error retrieving order',
-      error: error.message,
-    });
+const getOrder = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const order = await Order.findById(id)
+    .populate(userPopulate)
+    .populate(productPopulate);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
   }
-};
+
+  if (!order.isAccessibleBy(req.user)) {
+    throw new ForbiddenError('Unauthorized access to this order');
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'Order retrieved successfully',
+    order,
+  });
+});
+
+// @desc    Get order status timeline
+// @access  Private
+const getOrderTimeline = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const order = await Order.findById(id).select('user status statusHistory');
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (!order.isAccessibleBy(req.user)) {
+    throw new ForbiddenError('Unauthorized access to this order');
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'Order timeline retrieved successfully',
+    timeline: order.getTimeline(),
+  });
+});
 
 // @desc    Get all orders (Admin)
 // @access  Private/Admin
-const getAllOrders = async (req, res) => {
-  try {
-    return res.status(200).json({
-      success: true,
-      message: 'All orders retrieved successfully',
-      orders: [],
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error retrieving orders',
-      error: error.message,
-    });
-  }
-};
+const getAllOrders = asyncHandler(async (req, res) => {
+  const { page, limit, status, sort } = req.query;
+
+  const filters = {};
+  if (status) filters.status = status;
+
+  const result = await Order.getPaginated(filters, {
+    page,
+    limit,
+    sort: sort || '-createdAt',
+    populate: [userPopulate, productPopulate],
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'All orders retrieved successfully',
+    count: result.orders.length,
+    pagination: result.pagination,
+    orders: result.orders,
+  });
+});
 
 // @desc    Update order status (Admin)
 // @access  Private/Admin
-const updateOrderStatus = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status, notes } = req.body;
-    return res.status(200).json({
-      success: true,
-      message: 'Order status updated successfully',
-      order: null,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error updating order status',
-      error: error.message,
-    });
+const updateOrderStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status, notes } = req.body;
+
+  const order = await Order.findById(id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
   }
-};
+
+  // Throws INVALID_STATUS_TRANSITION or PAYMENT_REQUIRED
+  order.transitionTo(status, {
+    changedBy: req.user._id,
+    source: 'admin',
+    notes,
+  });
+
+  await order.save();
+
+  if (status === 'cancelled') {
+    await inventoryService.release(order, 'Order cancelled');
+  } else if (status === 'shipped') {
+    await inventoryService.commit(order);
+  }
+
+  // The artisan earns once the bag reaches the customer
+  if (status === 'delivered') {
+    await payoutService.accrueEarning(order);
+  } else if (status === 'returned') {
+    await payoutService.reverseEarning(order);
+  }
+
+  await emailService.sendOrderStatus(order, { note: notes });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Order status updated successfully',
+    order,
+  });
+});
 
 // @desc    Cancel an order
 // @access  Private
-const cancelOrder = async (req, res) => {
-  try {
-    const { id } = req.params;
-    return res.status(200).json({
-      success: true,
-      message: 'Order cancelled successfully',
-      order: null,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error cancelling order',
-      error: error.message,
-    });
+const cancelOrder = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const order = await Order.findById(id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
   }
-};
+
+  if (!order.isAccessibleBy(req.user)) {
+    throw new ForbiddenError('Unauthorized access to this order');
+  }
+
+  // Customers may only cancel before production starts; admins follow the status graph
+  const isAdmin = req.user.role === 'admin';
+  if (
+    !order.canTransitionTo('cancelled') ||
+    (!isAdmin && !CUSTOMER_CANCELLABLE_STATUSES.includes(order.status))
+  ) {
+    throw new ValidationError(
+      `Order cannot be cancelled once it is ${order.status}`,
+      undefined,
+      { code: ERROR_CODES.INVALID_STATUS_TRANSITION }
+    );
+  }
+
+  order.transitionTo('cancelled', {
+    changedBy: req.user._id,
+    source: isAdmin ? 'admin' : 'customer',
+    notes: reason,
+  });
+  order.cancellationReason = reason;
+  await order.save();
+
+  await inventoryService.release(order, 'Order cancelled');
+
+  return res.status(200).json({
+    success: true,
+    message: 'Order cancelled successfully',
+    order,
+  });
+});
+
+// @desc    Assign the artisan who will make the order
+// @access  Private/Admin
+const assignArtisan = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { artisanId } = req.body;
+
+  const [order, artisan] = await Promise.all([
+    Order.findById(id),
+    User.findById(artisanId).select('name email role'),
+  ]);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (!artisan || artisan.role !== 'artisan') {
+    throw new ValidationError('Artisan not found');
+  }
+
+  if (['delivered', 'returned', 'cancelled', 'refunded'].includes(order.status)) {
+    throw new ValidationError(`Cannot reassign an order that is ${order.status}`);
+  }
+
+  order.artisan = artisan._id;
+  await order.save();
+
+  return res.status(200).json({
+    success: true,
+    message: 'Artisan assigned successfully',
+    order,
+  });
+});
+
+// @desc    Refund a cancelled or returned order (full, deposit, balance or custom amount)
+// @access  Private/Admin
+const createRefund = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { scope, amount, reason } = req.body;
+
+  const order = await Order.findById(id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  const { order: updated, refunds } = await refundService.createRefund(order, {
+    scope,
+    amount,
+    reason,
+    requestedBy: req.user._id,
+  });
+
+  const failed = refunds.filter((refund) => refund.status === 'failed');
+  if (failed.length === refunds.length) {
+    throw new PaymentError('Paystack rejected the refund', { details: { refunds } });
+  }
+
+  return res.status(201).json({
+    success: true,
+    message:
+      failed.length > 0
+        ? 'Refund partly submitted; some refunds were rejected by Paystack'
+        : 'Refund submitted to Paystack',
+    refunds,
+    status: updated.status,
+    paymentStatus: updated.paymentStatus,
+  });
+});
+
+// @desc    Get refunds recorded on an order
+// @access  Private
+const getOrderRefunds = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const order = await Order.findById(id).select(
+    'user status paymentStatus depositAmount balanceAmount depositPaid balancePaid refunds'
+  );
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (!order.isAccessibleBy(req.user)) {
+    throw new ForbiddenError('Unauthorized access to this order');
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'Refunds retrieved successfully',
+    paymentStatus: order.paymentStatus,
+    amountPaid: order.amountPaid,
+    refundedAmount: order.refundedAmount,
+    refunds: order.refunds,
+  });
+});
 
 module.exports = {
+  getOrderQuote,
   createCustomOrder,
   getMyOrders,
   getOrder,
+  getOrderTimeline,
   getAllOrders,
   updateOrderStatus,
   cancelOrder,
+  assignArtisan,
+  createRefund,
+  getOrderRefunds,
 };
@@ -1,5 +1,25 @@
+const crypto = require('crypto');
+const Order = require('../models/order');
+const Payment = require('../models/payment');
+const WebhookEvent = require('../models/webhookEvent');
+const ReconciliationReport = require('../models/reconciliationReport');
 const paystackService = require('../services/paystackService');
+const paymentService = require('../services/paymentService');
+const webhookService = require('../services/webhookService');
+const inventoryService = require('../services/inventoryService');
+const reconciliationService = require('../services/reconciliationService');
+const paystackConfig = require('../config/paystack');
 const logger = require('../utils/logger');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  NotFoundError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  ConflictError,
+  PaymentError,
+  ERROR_CODES,
+} = require('../utils/errors');
 
 /**
  * Payment Controller
@@ -11,121 +31,155 @@ const logger = require('../utils/logger');
  * @route   POST /api/v1/payment/initialize
  * @access  Private
  * @param   {string} orderId - Order ID (required)
- * @param   {number} amount - Amount in Naira (optional, uses order total if not provided)
+ * @param   {string} type - 'deposit' or 'balance' (optional, defaults to whichever is due)
  */
-exports.initializePayment = async (req, res) => {
-  try {
-    const { orderId, amount } = req.body;
-    const userId = req.user.id;
-
-    // Validate orderId
-    if (!orderId || typeof orderId !== 'string') {
-      return res.status(400).json({
-        success: false,
-        message: 'Order ID is required and must be a string',
-      });
-    }
+exports.initializePayment = asyncHandler(async (req, res) => {
+  const { orderId, type } = req.body;
+  const userId = req.user._id.toString();
 
-    // TODO: Fetch order from database
-    // const order = await Order.findById(orderId);
-    // if (!order) {
-    //   return res.status(404).json({
-    //     success: false,
-    //     message: 'Order not found',
-    //   });
-    // }
-
-    // // Verify order belongs to user
-    // if (order.userId.toString() !== userId) {
-    //   return res.status(403).json({
-    //     success: false,
-    //     message: 'Unauthorized access to this order',
-    //   });
-    // }
-
-    // // Check if order is already paid
-    // if (order.paymentStatus === 'completed') {
-    //   return res.status(400).json({
-    //     success: false,
-    //     message: 'Order is already paid',
-    //   });
-    // }
-
-    // Calculate amount in kobo
-    // Paystack expects amount in kobo (1 Naira = 100 kobo)
-    const orderTotal = amount || 10000; // TODO: Replace with order.totalAmount
-    const amountInKobo = Math.round(orderTotal * 100);
-
-    // Validate amount
-    if (amountInKobo < 10000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order amount must be at least ₦100',
-      });
-    }
+  // Validate orderId
+  if (!orderId || typeof orderId !== 'string') {
+    throw new ValidationError('Order ID is required and must be a string');
+  }
 
-    if (amountInKobo > 50000000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order amount cannot exceed ₦500,000',
-      });
-    }
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
 
-    // Prepare metadata for transaction
-    const metadata = {
-      orderId,
-      userId,
-      orderDate: new Date().toISOString(),
-      customSpecs: {}, // TODO: Include from order if needed
-    };
+  // Verify order belongs to user
+  if (order.user.toString() !== userId) {
+    throw new ForbiddenError('Unauthorized access to this order');
+  }
 
-    // TODO: Get user email
-    const userEmail = 'customer@test.com'; // Replace with actual user email
+  // Work out which part of the payment is due now
+  const dueType = order.getNextPaymentType();
+  if (!dueType) {
+    throw new ConflictError(
+      order.paymentStatus === 'paid'
+        ? 'Order is already paid'
+        : `No payment is due while the order is ${order.status}`
+    );
+  }
 
-    // Initialize transaction with Paystack
-    const paystackResponse = await paystackService.initializeTransaction(
-      userEmail,
-      amountInKobo,
-      metadata
+  if (type && type !== dueType) {
+    throw new ValidationError(`The ${dueType} is due for this order, not the ${type}`);
+  }
+
+  // Amount always comes from the order, never from the client
+  const amount = dueType === 'deposit' ? order.depositAmount : order.balanceAmount;
+  const amountInKobo = Math.round(amount * 100);
+
+  // Validate amount
+  if (amountInKobo < paystackConfig.transaction.minAmount) {
+    throw new ValidationError(
+      `Payment amount must be at least ₦${paystackConfig.transaction.minAmount / 100}`
     );
+  }
 
-    // TODO: Update order with payment reference (idempotency key)
-    // await Order.findByIdAndUpdate(orderId, {
-    //   paymentReference: paystackResponse.reference,
-    //   paymentStatus: 'pending',
-    //   paymentInitiatedAt: new Date(),
-    // });
+  if (amountInKobo > paystackConfig.transaction.maxAmount) {
+    throw new ValidationError(
+      `Payment amount cannot exceed ₦${(
+        paystackConfig.transaction.maxAmount / 100
+      ).toLocaleString()}`
+    );
+  }
 
-    logger.info('Payment initialized successfully', {
+  // A failed deposit released the order's stock; hold it again before charging
+  if (dueType === 'deposit') {
+    await inventoryService.reserve(order);
+  }
+
+  // Reuse a recent pending transaction instead of opening a second checkout
+  const reuseAfter = new Date(
+    Date.now() - paystackConfig.transaction.timeout * 1000
+  );
+  const existingPayment = await Payment.findOne({
+    order: order._id,
+    type: dueType,
+    status: 'pending',
+    amountInKobo,
+    createdAt: { $gte: reuseAfter },
+  }).sort('-createdAt');
+
+  if (existingPayment) {
+    logger.info('Reusing pending payment', {
       orderId,
-      reference: paystackResponse.reference,
-      amount: orderTotal,
+      reference: existingPayment.reference,
     });
 
-    res.status(200).json({
+    return res.status(200).json({
       success: true,
       message: 'Payment initialization successful',
       data: {
-        authorizationUrl: paystackResponse.authorizationUrl,
-        accessCode: paystackResponse.accessCode,
-        reference: paystackResponse.reference,
-        amount: orderTotal,
+        authorizationUrl: existingPayment.authorizationUrl,
+        accessCode: existingPayment.accessCode,
+        reference: existingPayment.reference,
+        type: dueType,
+        amount,
         amountInKobo,
       },
     });
+  }
+
+  const reference = generateReference(order, dueType);
+
+  // Prepare metadata for transaction
+  const metadata = {
+    orderId,
+    userId,
+    paymentType: dueType,
+    orderDate: order.createdAt.toISOString(),
+  };
+
+  // Initialize transaction with Paystack
+  let paystackResponse;
+  try {
+    paystackResponse = await paystackService.initializeTransaction(
+      req.user.email,
+      amountInKobo,
+      metadata,
+      { reference }
+    );
   } catch (error) {
     logger.error('Payment initialization error', {
       error: error.message,
-      orderId: req.body.orderId,
-    });
-
-    res.status(500).json({
-      success: false,
-      message: 'Failed to initialize payment',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      orderId,
     });
+    throw new PaymentError('Failed to initialize payment');
   }
-};
+
+  await Payment.create({
+    order: order._id,
+    user: order.user,
+    type: dueType,
+    amount,
+    amountInKobo,
+    reference: paystackResponse.reference,
+    authorizationUrl: paystackResponse.authorizationUrl,
+    accessCode: paystackResponse.accessCode,
+  });
+
+  logger.info('Payment initialized successfully', {
+    orderId,
+    reference: paystackResponse.reference,
+    type: dueType,
+    amount,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment initialization successful',
+    data: {
+      authorizationUrl: paystackResponse.authorizationUrl,
+      accessCode: paystackResponse.accessCode,
+      reference: paystackResponse.reference,
+      type: dueType,
+      amount,
+      amountInKobo,
+    },
+  });
+});
 
 /**
  * @desc    Verify payment transaction
@@ -133,165 +187,182 @@ exports.initializePayment = async (req, res) => {
  * @access  Private
  * @param   {string} reference - Paystack transaction reference
  */
-exports.verifyPayment = async (req, res) => {
-  try {
-    const { reference } = req.params;
-    const userId = req.user.id;
+exports.verifyPayment = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+  const userId = req.user._id;
 
-    if (!reference) {
-      return res.status(400).json({
-        success: false,
-        message: 'Transaction reference is required',
-      });
-    }
+  if (!reference) {
+    throw new ValidationError('Transaction reference is required');
+  }
 
-    // Verify transaction with Paystack
-    const verification = await paystackService.verifyTransaction(reference);
+  const payment = await Payment.findOne({ reference, user: userId });
 
-    if (verification.status !== 'success') {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment verification failed',
-        status: verification.status,
-      });
-    }
-
-    // TODO: Update order with payment confirmation
-    // const order = await Order.findOne({
-    //   paymentReference: reference,
-    //   userId,
-    // });
-
-    // if (!order) {
-    //   return res.status(404).json({
-    //     success: false,
-    //     message: 'Order not found',
-    //   });
-    // }
-
-    // // Idempotency: Check if already processed
-    // if (order.paymentStatus === 'completed') {
-    //   return res.status(200).json({
-    //     success: true,
-    //     message: 'Payment already verified and processed',
-    //     data: {
-    //       orderId: order._id,
-    //       paymentStatus: 'completed',
-    //       depositPaid: true,
-    //     },
-    //   });
-    // }
-
-    // // Update order
-    // order.paymentStatus = 'completed';
-    // order.depositPaid = true;
-    // order.paidAt = new Date();
-    // order.authorizationCode = verification.authorizationCode;
-    // await order.save();
-
-    logger.info('Payment verified successfully', {
-      reference,
-      userId,
-    });
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
 
-    res.status(200).json({
+  // Idempotency: webhook may already have confirmed this payment
+  if (payment.status === 'success') {
+    const order = await Order.findById(payment.order);
+    return res.status(200).json({
       success: true,
-      message: 'Payment verified successfully',
-      data: {
-        status: verification.status,
-        amount: verification.amount / 100, // Convert back to Naira
-        depositPaid: true,
-        paidAt: verification.paidAt,
-      },
+      message: 'Payment already verified and processed',
+      data: buildPaymentResponse(payment, order),
     });
+  }
+
+  // Verify transaction with Paystack
+  let verification;
+  try {
+    verification = await paystackService.verifyTransaction(reference);
   } catch (error) {
     logger.error('Payment verification error', {
       error: error.message,
-      reference: req.params.reference,
+      reference,
     });
+    throw new PaymentError('Payment verification failed');
+  }
 
-    res.status(500).json({
-      success: false,
-      message: 'Payment verification failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  // Still in progress at Paystack: leave the payment pending for the
+  // webhook or reconciliation to settle rather than failing it now
+  if (
+    verification.status !== 'success' &&
+    !paystackConfig.transaction.failedStatuses.includes(verification.status)
+  ) {
+    logger.info('Payment not yet settled at verification', {
+      reference,
+      status: verification.status,
+    });
+
+    const order = await Order.findById(payment.order);
+    return res.status(200).json({
+      success: true,
+      message: 'Payment is still being processed',
+      data: { ...buildPaymentResponse(payment, order), gatewayStatus: verification.status },
     });
   }
-};
+
+  if (verification.status !== 'success') {
+    await paymentService.recordFailedPayment(payment, {
+      status: verification.status,
+      gatewayResponse: verification.gatewayResponse,
+    });
+
+    throw new ValidationError('Payment verification failed', undefined, {
+      code: ERROR_CODES.PAYMENT_FAILED,
+      details: { status: verification.status },
+    });
+  }
+
+  const order = await paymentService.applySuccessfulPayment(payment, {
+    amount: verification.amount,
+    paidAt: verification.paidAt,
+    channel: verification.channel,
+    gatewayResponse: verification.gatewayResponse,
+    authorizationCode: verification.authorizationCode,
+    source: 'verify',
+  });
+
+  if (payment.status !== 'success') {
+    throw new ValidationError('Payment verification failed', undefined, {
+      code: ERROR_CODES.PAYMENT_FAILED,
+      details: { status: payment.status },
+    });
+  }
+
+  logger.info('Payment verified successfully', {
+    reference,
+    userId,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment verified successfully',
+    data: buildPaymentResponse(payment, order),
+  });
+});
 
 /**
  * @desc    Paystack webhook handler
  * @route   POST /api/v1/payment/webhook
  * @access  Public (verified via signature)
  *
+ * Every event is stored in the WebhookEvent collection before it is
+ * handled. Re-deliveries of an already handled event are skipped, and
+ * failed handlers are retried with backoff by jobs/webhookRetryJob
+ * (see config/paystack.js retry).
+ *
  * Handles:
  * - charge.success: Payment successful
  * - charge.failed: Payment failed
  * - transfer.success: Payout successful
  * - transfer.failed: Payout failed
  */
-exports.handleWebhook = async (req, res) => {
+exports.handleWebhook = async (req, res, next) => {
   try {
     // Get signature from header
     const signature = req.headers['x-paystack-signature'];
 
     if (!signature) {
       logger.warn('Webhook received without signature');
-      return res.status(400).json({
-        success: false,
-        message: 'Missing signature header',
-      });
+      return next(
+        new AuthError('Missing signature header', { code: ERROR_CODES.INVALID_SIGNATURE })
+      );
     }
 
-    // Verify webhook signature
-    // Note: Express middleware should pass raw body for this
+    // Verify webhook signature against the exact bytes Paystack sent
+    const rawBody = req.rawBody || JSON.stringify(req.body);
     const isValidSignature = paystackService.verifyWebhookSignature(
       signature,
-      req.rawBody || JSON.stringify(req.body)
+      rawBody
     );
 
+    // Store what Paystack sent, before any sanitising middleware touched it
+    let payload = req.body;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch (error) {
+      logger.warn('Webhook body is not valid JSON', { error: error.message });
+    }
+
+    const { event: storedEvent, duplicate } = await webhookService.recordEvent({
+      rawBody,
+      payload,
+      signatureValid: isValidSignature,
+    });
+
     if (!isValidSignature) {
       logger.warn('Webhook signature verification failed', {
         signature: signature.substring(0, 10),
+        eventId: storedEvent._id,
       });
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid webhook signature',
-      });
+      return next(
+        new AuthError('Invalid webhook signature', { code: ERROR_CODES.INVALID_SIGNATURE })
+      );
     }
 
-    // Parse webhook event
-    const event = paystackService.parseWebhookEvent(req.body);
+    const claimed = !duplicate && (await webhookService.claim(storedEvent._id));
+
+    if (!claimed) {
+      logger.info('Duplicate webhook skipped', {
+        event: storedEvent.event,
+        reference: storedEvent.reference,
+        status: storedEvent.status,
+      });
+      return res.status(200).json({
+        success: true,
+        message: 'Webhook already processed',
+      });
+    }
 
     logger.info('Valid webhook received', {
-      event: event.event,
-      reference: event.reference,
+      event: claimed.event,
+      reference: claimed.reference,
     });
 
-    // Handle different event types
-    switch (event.event) {
-      case 'charge.success':
-        await handleChargeSuccess(event);
-        break;
-
-      case 'charge.failed':
-        await handleChargeFailed(event);
-        break;
-
-      case 'transfer.success':
-        await handleTransferSuccess(event);
-        break;
-
-      case 'transfer.failed':
-        await handleTransferFailed(event);
-        break;
+    await webhookService.process(claimed);
 
-      default:
-        logger.info('Unhandled webhook event', {
-          event: event.event,
-        });
-    }
-
-    // Always return 200 to acknowledge receipt
+    // Always return 200 to acknowledge receipt; failures are retried by us
     res.status(200).json({
       success: true,
       message: 'Webhook processed',
@@ -311,112 +382,210 @@ exports.handleWebhook = async (req, res) => {
 };
 
 /**
- * Handle successful charge event
- * @private
+ * @desc    List stored webhook events
+ * @route   GET /api/v1/payment/webhook-events
+ * @access  Private/Admin
  */
-async function handleChargeSuccess(event) {
-  try {
-    const { reference, data } = event;
+exports.listWebhookEvents = asyncHandler(async (req, res) => {
+  const { status, event, reference, page = 1, limit = 20 } = req.query;
+
+  const filters = {};
+  if (status) filters.status = status;
+  if (event) filters.event = event;
+  if (reference) filters.reference = reference;
+
+  const skip = (page - 1) * limit;
+
+  const [events, total] = await Promise.all([
+    WebhookEvent.find(filters)
+      .select('-rawBody')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit),
+    WebhookEvent.countDocuments(filters),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalEvents: total,
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1,
+    },
+    data: events,
+  });
+});
 
-    logger.info('Processing successful charge', {
-      reference,
-      amount: data.amount,
-    });
+/**
+ * @desc    Get a single stored webhook event (including raw body)
+ * @route   GET /api/v1/payment/webhook-events/:id
+ * @access  Private/Admin
+ */
+exports.getWebhookEvent = asyncHandler(async (req, res) => {
+  const event = await WebhookEvent.findById(req.params.id);
 
-    // TODO: Update order payment status
-    // const order = await Order.findOne({
-    //   paymentReference: reference,
-    // });
-
-    // if (order) {
-    //   // Idempotency: Check if already processed
-    //   if (order.paymentStatus === 'completed') {
-    //     logger.info('Payment already processed (idempotent)', { reference });
-    //     return;
-    //   }
-
-    //   order.paymentStatus = 'completed';
-    //   order.depositPaid = true;
-    //   order.paidAt = new Date();
-    //   order.authorizationCode = data.authorization.authorization_code;
-    //   await order.save();
-
-    //   // TODO: Send confirmation email to customer
-    //   // TODO: Notify artisan about new order
-    // }
-  } catch (error) {
-    logger.error('Error handling charge success', {
-      error: error.message,
-      reference: event.reference,
-    });
+  if (!event) {
+    throw new NotFoundError('Webhook event not found');
   }
-}
+
+  res.status(200).json({
+    success: true,
+    data: event,
+  });
+});
 
 /**
- * Handle failed charge event
- * @private
+ * @desc    Re-run the handler for a stored webhook event
+ * @route   POST /api/v1/payment/webhook-events/:id/replay
+ * @access  Private/Admin
+ *
+ * Handlers are idempotent, so replaying an already processed event is safe.
  */
-async function handleChargeFailed(event) {
-  try {
-    const { reference } = event;
+exports.replayWebhookEvent = asyncHandler(async (req, res) => {
+  const event = await WebhookEvent.findById(req.params.id);
 
-    logger.warn('Processing failed charge', {
-      reference,
-    });
+  if (!event) {
+    throw new NotFoundError('Webhook event not found');
+  }
 
-    // TODO: Update order payment status
-    // const order = await Order.findOne({
-    //   paymentReference: reference,
-    // });
+  if (!event.signatureValid) {
+    throw new ValidationError('Events with an invalid signature cannot be replayed');
+  }
 
-    // if (order) {
-    //   order.paymentStatus = 'failed';
-    //   order.failureReason = event.data.gateway_response || 'Unknown error';
-    //   await order.save();
+  const claimed = await webhookService.claim(event._id);
 
-    //   // TODO: Send failure notification to customer
-    // }
-  } catch (error) {
-    logger.error('Error handling charge failed', {
-      error: error.message,
-      reference: event.reference,
-    });
+  if (!claimed) {
+    throw new ConflictError('Webhook event is currently being processed');
   }
-}
+
+  logger.info('Replaying webhook event', {
+    id: event._id,
+    event: event.event,
+    adminId: req.user._id,
+  });
+
+  const replayed = await webhookService.process(claimed, { manual: true });
+
+  res.status(200).json({
+    success: replayed.status !== 'failed',
+    message:
+      replayed.status === 'failed'
+        ? 'Webhook event replay failed'
+        : 'Webhook event replayed',
+    data: {
+      id: replayed._id,
+      status: replayed.status,
+      attempts: replayed.attempts,
+      lastError: replayed.lastError,
+    },
+  });
+});
 
 /**
- * Handle successful transfer event
- * @private
+ * @desc    Run a reconciliation against Paystack for a date range
+ * @route   POST /api/v1/payment/reconciliation-reports
+ * @access  Private/Admin
+ * @param   {string} from - Start date (ISO)
+ * @param   {string} to - End date (ISO)
+ * @param   {boolean} autoFix - Apply safe fixes (default true)
  */
-async function handleTransferSuccess(event) {
-  try {
-    logger.info('Transfer successful', {
-      transferId: event.data.id,
-    });
+exports.runReconciliation = asyncHandler(async (req, res) => {
+  const { from, to, autoFix } = req.body;
+
+  const report = await reconciliationService.run({
+    from,
+    to,
+    autoFix,
+    trigger: 'admin',
+  });
+
+  if (report.status === 'failed') {
+    throw new PaymentError('Reconciliation failed', { details: { data: report } });
+  }
 
-    // TODO: Update artisan payout status if implemented
-  } catch (error) {
-    logger.error('Error handling transfer success', {
-      error: error.message,
-    });
+  res.status(201).json({
+    success: true,
+    message: `Reconciliation completed with ${report.summary.issues} issue(s)`,
+    data: report,
+  });
+});
+
+/**
+ * @desc    List reconciliation reports (newest first, without issue details)
+ * @route   GET /api/v1/payment/reconciliation-reports
+ * @access  Private/Admin
+ */
+exports.listReconciliationReports = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const [reports, total] = await Promise.all([
+    ReconciliationReport.find()
+      .select('-issues')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    ReconciliationReport.countDocuments(),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: reports.length,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalReports: total,
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1,
+    },
+    data: reports,
+  });
+});
+
+/**
+ * @desc    Get a reconciliation report with its issues
+ * @route   GET /api/v1/payment/reconciliation-reports/:id
+ * @access  Private/Admin
+ */
+exports.getReconciliationReport = asyncHandler(async (req, res) => {
+  const report = await ReconciliationReport.findById(req.params.id);
+
+  if (!report) {
+    throw new NotFoundError('Reconciliation report not found');
   }
-}
+
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+});
 
 /**
- * Handle failed transfer event
+ * Generate a unique transaction reference for an order payment
  * @private
  */
-async function handleTransferFailed(event) {
-  try {
-    logger.warn('Transfer failed', {
-      transferId: event.data.id,
-      reason: event.data.reason,
-    });
+function generateReference(order, type) {
+  const random = crypto.randomBytes(4).toString('hex');
+  return `LTB-${order._id.toString().slice(-6)}-${type.toUpperCase()}-${Date.now()}-${random}`;
+}
 
-    // TODO: Handle payout failure and retry logic
-  } catch (error) {
-    logger.error('Error handling transfer failed', {
-      error: error.message,
-    });
-  }
+/**
+ * Shape the verify response for the client
+ * @private
+ */
+function buildPaymentResponse(payment, order) {
+  return {
+    reference: payment.reference,
+    type: payment.type,
+    status: payment.status,
+    amount: payment.amount,
+    paidAt: payment.paidAt,
+    orderId: payment.order,
+    depositPaid: order ? order.depositPaid : undefined,
+    balancePaid: order ? order.balancePaid : undefined,
+    paymentStatus: order ? order.paymentStatus : undefined,
+  };
 }
@@ -0,0 +1,272 @@
+const User = require('../models/User');
+const ArtisanEarning = require('../models/artisanEarning');
+const Payout = require('../models/payout');
+const PayoutAccount = require('../models/payoutAccount');
+const paystackService = require('../services/paystackService');
+const payoutService = require('../services/payoutService');
+const logger = require('../utils/logger');
+const asyncHandler = require('../utils/asyncHandler');
+const { NotFoundError, ValidationError, PaymentError } = require('../utils/errors');
+
+/**
+ * Payout Controller
+ * Artisan bank details, earnings and admin-approved payouts
+ */
+
+/**
+ * @desc    List banks that can receive payouts
+ * @route   GET /api/v1/payouts/banks
+ * @access  Private/Artisan
+ */
+exports.getBanks = asyncHandler(async (req, res) => {
+  let banks;
+  try {
+    banks = await paystackService.listBanks();
+  } catch (error) {
+    logger.error('Get banks error', {
+      error: error.message,
+    });
+    throw new PaymentError('Failed to fetch banks from payment provider');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: banks,
+  });
+});
+
+/**
+ * @desc    Register or replace the artisan's payout bank account
+ * @route   PUT /api/v1/payouts/account
+ * @access  Private/Artisan
+ */
+exports.savePayoutAccount = asyncHandler(async (req, res) => {
+  const { bankCode, accountNumber, accountName } = req.body;
+
+  let recipient;
+  try {
+    recipient = await paystackService.createTransferRecipient({
+      name: accountName,
+      accountNumber,
+      bankCode,
+    });
+  } catch (error) {
+    throw new ValidationError(`Bank account could not be verified: ${error.message}`);
+  }
+
+  let account = await PayoutAccount.findOne({ artisan: req.user._id });
+  if (!account) {
+    account = new PayoutAccount({ artisan: req.user._id });
+  }
+
+  account.set({
+    bankCode,
+    bankName: recipient.bankName,
+    accountNumber,
+    accountName: recipient.accountName,
+    recipientCode: recipient.recipientCode,
+    active: true,
+  });
+  await account.save();
+
+  logger.info('Payout account saved', {
+    artisan: req.user._id,
+    bankCode,
+  });
+
+  const data = account.toObject();
+  delete data.accountNumber;
+
+  res.status(200).json({
+    success: true,
+    message: 'Payout account saved',
+    data,
+  });
+});
+
+/**
+ * @desc    Get the artisan's payout bank account
+ * @route   GET /api/v1/payouts/account
+ * @access  Private/Artisan
+ */
+exports.getPayoutAccount = asyncHandler(async (req, res) => {
+  const account = await PayoutAccount.findOne({ artisan: req.user._id });
+
+  if (!account) {
+    throw new NotFoundError('No payout account registered');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: account,
+  });
+});
+
+/**
+ * @desc    Get the artisan's earnings with totals per status
+ * @route   GET /api/v1/payouts/earnings
+ * @access  Private/Artisan
+ */
+exports.getMyEarnings = asyncHandler(async (req, res) => {
+  const [earnings, totals] = await Promise.all([
+    ArtisanEarning.find({ artisan: req.user._id })
+      .populate('order', 'title total status')
+      .sort('-createdAt'),
+    ArtisanEarning.aggregate([
+      { $match: { artisan: req.user._id } },
+      { $group: { _id: '$status', amount: { $sum: '$netAmount' } } },
+    ]),
+  ]);
+
+  const summary = { available: 0, in_payout: 0, paid: 0, reversed: 0 };
+  totals.forEach((total) => {
+    summary[total._id] = total.amount;
+  });
+
+  res.status(200).json({
+    success: true,
+    summary,
+    count: earnings.length,
+    data: earnings,
+  });
+});
+
+/**
+ * @desc    Get the artisan's payouts
+ * @route   GET /api/v1/payouts/my
+ * @access  Private/Artisan
+ */
+exports.getMyPayouts = asyncHandler(async (req, res) => {
+  const payouts = await Payout.find({ artisan: req.user._id })
+    .select('-recipientCode')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    data: payouts,
+  });
+});
+
+/**
+ * @desc    Give a user the artisan role
+ * @route   PUT /api/v1/payouts/artisans/:userId
+ * @access  Private/Admin
+ */
+exports.registerArtisan = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user.role === 'admin') {
+    throw new ValidationError('Admins cannot be registered as artisans');
+  }
+
+  user.role = 'artisan';
+  await user.save();
+
+  logger.info('User registered as artisan', {
+    userId: user._id,
+    by: req.user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User registered as artisan',
+    data: user.getPublicProfile(),
+  });
+});
+
+/**
+ * @desc    List payouts (filter by status, batch or artisan)
+ * @route   GET /api/v1/payouts
+ * @access  Private/Admin
+ */
+exports.listPayouts = asyncHandler(async (req, res) => {
+  const { status, batchId, artisan, page = 1, limit = 20 } = req.query;
+
+  const filters = {};
+  if (status) filters.status = status;
+  if (batchId) filters.batchId = batchId;
+  if (artisan) filters.artisan = artisan;
+
+  const skip = (page - 1) * limit;
+
+  const [payouts, total] = await Promise.all([
+    Payout.find(filters)
+      .populate('artisan', 'name email')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit),
+    Payout.countDocuments(filters),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalPayouts: total,
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1,
+    },
+    data: payouts,
+  });
+});
+
+/**
+ * @desc    Group available earnings into payouts awaiting approval
+ * @route   POST /api/v1/payouts/batch
+ * @access  Private/Admin
+ */
+exports.createPayoutBatch = asyncHandler(async (req, res) => {
+  const { batchId, payouts } = await payoutService.createBatch();
+
+  res.status(201).json({
+    success: true,
+    message:
+      payouts.length > 0
+        ? `${payouts.length} payout(s) awaiting approval`
+        : 'No artisan has enough available earnings for a payout',
+    batchId,
+    data: payouts,
+  });
+});
+
+/**
+ * @desc    Approve payouts and send them as Paystack transfers
+ * @route   POST /api/v1/payouts/approve
+ * @access  Private/Admin
+ * @param   {string[]} payoutIds - Payouts in pending_approval
+ */
+exports.approvePayouts = asyncHandler(async (req, res) => {
+  const payouts = await payoutService.approve(req.body.payoutIds, req.user._id);
+
+  if (payouts.length === 0) {
+    throw new ValidationError('None of the selected payouts are awaiting approval');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${payouts.length} payout(s) approved`,
+    data: payouts,
+  });
+});
+
+/**
+ * @desc    Retry a failed payout now
+ * @route   POST /api/v1/payouts/:id/retry
+ * @access  Private/Admin
+ */
+exports.retryPayout = asyncHandler(async (req, res) => {
+  const payout = await payoutService.retryNow(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Payout retried',
+    data: payout,
+  });
+});
@@ -1,278 +1,347 @@
 const Product = require('../models/product');
-const config = require('../config/env');
+const Category = require('../models/category');
+const inventoryService = require('../services/inventoryService');
+const uploadService = require('../services/uploadService');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+
+// Category fields shown on product responses
+const categoryPopulate = { path: 'category', select: 'name slug' };
+
+// Reserved counts are for admins; shoppers see what is left to buy
+const publicSelect = '-__v -variants.reserved';
+
+// Products in a category include those in its active subcategories
+const getCategoryFilter = async (idOrSlug) => {
+  const category = await Category.findByIdOrSlug(idOrSlug, { active: true });
+
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const ids = await Category.getDescendantIds(category._id, { active: true });
+  return { category, filter: { $in: ids } };
+};
+
+// New or moved products must go into an existing, active category
+const assertCategoryAssignable = async (categoryId) => {
+  const exists = await Category.exists({ _id: categoryId, active: true });
+
+  if (!exists) {
+    throw new ValidationError('Validation failed', [
+      { field: 'category', message: 'Category does not exist or is inactive' },
+    ]);
+  }
+};
+
+// Edited variants keep the units already held by open orders.
+// Variants with held units cannot be dropped, only deactivated.
+const mergeVariants = (product, variants) => {
+  const merged = variants.map(({ _id, ...variant }) => {
+    const current = (_id && product.variants.id(_id)) || product.findVariant(variant.sku);
+    return current ? { ...variant, _id: current._id, reserved: current.reserved } : variant;
+  });
+
+  const keptIds = new Set(merged.filter((v) => v._id).map((v) => v._id.toString()));
+  const dropped = product.variants.filter(
+    (variant) => variant.reserved > 0 && !keptIds.has(variant._id.toString())
+  );
+
+  if (dropped.length > 0) {
+    throw new ConflictError(
+      'Variants with stock held by open orders cannot be removed. Deactivate them instead.',
+      { details: { skus: dropped.map((variant) => variant.sku) } }
+    );
+  }
+
+  return merged;
+};
 
 // @desc    Get all products with filtering and pagination
 // @route   GET /api/v1/products
 // @access  Public
-exports.getProducts = async (req, res) => {
-  try {
-    const {
-      category,
-      featured,
-      search,
-      minPrice,
-      maxPrice,
-      page = 1,
-      limit = 12,
-      sort = '-createdAt',
-    } = req.query;
-
-    // Build filter object
-    const filters = {};
-
-    if (category) {
-      filters.category = category.toLowerCase();
-    }
-
-    if (featured !== undefined) {
-      filters.featured = featured === 'true';
-    }
+exports.getProducts = asyncHandler(async (req, res) => {
+  const {
+    category,
+    featured,
+    search,
+    minPrice,
+    maxPrice,
+    page = 1,
+    limit = 12,
+    sort = '-createdAt',
+  } = req.query;
+
+  // Build filter object
+  const filters = {};
+
+  if (category) {
+    filters.category = (await getCategoryFilter(category)).filter;
+  }
 
-    if (search) {
-      filters.$text = { $search: search };
-    }
+  if (featured !== undefined) {
+    filters.featured = featured === 'true';
+  }
 
-    if (minPrice || maxPrice) {
-      filters.basePrice = {};
-      if (minPrice) filters.basePrice.$gte = Number(minPrice);
-      if (maxPrice) filters.basePrice.$lte = Number(maxPrice);
-    }
+  if (search) {
+    filters.$text = { $search: search };
+  }
 
-    // Get paginated results
-    const result = await Product.getPaginated(filters, {
-      page: Number(page),
-      limit: Number(limit),
-      sort,
-      select: '-__v', // Exclude __v from list, keep _id for frontend routing
-    });
-
-    res.status(200).json({
-      success: true,
-      count: result.products.length,
-      pagination: result.pagination,
-      data: result.products,
-    });
-  } catch (error) {
-    console.error('Get products error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch products',
-      error: config.env === 'development' ? error.message : undefined,
-    });
+  if (minPrice || maxPrice) {
+    filters.basePrice = {};
+    if (minPrice) filters.basePrice.$gte = Number(minPrice);
+    if (maxPrice) filters.basePrice.$lte = Number(maxPrice);
   }
-};
+
+  // Get paginated results
+  const result = await Product.getPaginated(filters, {
+    page: Number(page),
+    limit: Number(limit),
+    sort,
+    select: publicSelect, // Exclude __v from list, keep _id for frontend routing
+    populate: categoryPopulate,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: result.products.length,
+    pagination: result.pagination,
+    data: result.products,
+  });
+});
 
 // @desc    Get single product by ID
 // @route   GET /api/v1/products/:id
 // @access  Public
-exports.getProduct = async (req, res) => {
-  try {
-    const product = await Product.findById(req.params.id).select('-__v');
-
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found',
-      });
-    }
+exports.getProduct = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id)
+    .select(publicSelect)
+    .populate(categoryPopulate);
 
-    res.status(200).json({
-      success: true,
-      data: product,
-    });
-  } catch (error) {
-    console.error('Get product error:', error);
-
-    // Handle invalid MongoDB ObjectId
-    if (error.name === 'CastError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid product ID',
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch product',
-      error: config.env === 'development' ? error.message : undefined,
-    });
+  if (!product) {
+    throw new NotFoundError('Product not found');
   }
-};
+
+  res.status(200).json({
+    success: true,
+    data: product,
+  });
+});
 
 // @desc    Create new product
 // @route   POST /api/v1/products
 // @access  Private/Admin
-exports.createProduct = async (req, res) => {
-  try {
-    const {
-      name,
-      basePrice,
-      images,
-      customOptions,
-      description,
-      category,
-      featured,
-    } = req.body;
-
-    // Add creator to product
-    const productData = {
-      name,
-      basePrice,
-      images,
-      customOptions,
-      description,
-      category,
-      featured,
-      createdBy: req.user._id,
-    };
-
-    const product = await Product.create(productData);
-
-    res.status(201).json({
-      success: true,
-      message: 'Product created successfully',
-      data: product,
-    });
-  } catch (error) {
-    console.error('Create product error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create product',
-      error: config.env === 'development' ? error.message : undefined,
-    });
-  }
-};
+exports.createProduct = asyncHandler(async (req, res) => {
+  const {
+    name,
+    basePrice,
+    images,
+    customOptions,
+    variants,
+    description,
+    category,
+    featured,
+  } = req.body;
+
+  await assertCategoryAssignable(category);
+
+  // Add creator to product
+  const productData = {
+    name,
+    basePrice,
+    images,
+    customOptions,
+    variants,
+    description,
+    category,
+    featured,
+    createdBy: req.user._id,
+  };
+
+  const product = await Product.create(productData);
+
+  res.status(201).json({
+    success: true,
+    message: 'Product created successfully',
+    data: product,
+  });
+});
 
 // @desc    Update product
 // @route   PUT /api/v1/products/:id
 // @access  Private/Admin
-exports.updateProduct = async (req, res) => {
-  try {
-    const {
-      name,
-      basePrice,
-      images,
-      customOptions,
-      description,
-      category,
-      featured,
-    } = req.body;
-
-    // Fields allowed to update
-    const updateData = {};
-    if (name !== undefined) updateData.name = name;
-    if (basePrice !== undefined) updateData.basePrice = basePrice;
-    if (images !== undefined) updateData.images = images;
-    if (customOptions !== undefined) updateData.customOptions = customOptions;
-    if (description !== undefined) updateData.description = description;
-    if (category !== undefined) updateData.category = category;
-    if (featured !== undefined) updateData.featured = featured;
-
-    const product = await Product.findByIdAndUpdate(req.params.id, updateData, {
-      new: true,
-      runValidators: true,
-    });
-
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found',
-      });
+exports.updateProduct = asyncHandler(async (req, res) => {
+  const {
+    name,
+    basePrice,
+    images,
+    customOptions,
+    variants,
+    description,
+    category,
+    featured,
+  } = req.body;
+
+  // Fields allowed to update
+  const updateData = {};
+  if (name !== undefined) updateData.name = name;
+  if (basePrice !== undefined) updateData.basePrice = basePrice;
+  if (images !== undefined) updateData.images = images;
+  if (customOptions !== undefined) updateData.customOptions = customOptions;
+  if (description !== undefined) updateData.description = description;
+  if (category !== undefined) updateData.category = category;
+  if (featured !== undefined) updateData.featured = featured;
+
+  if (category !== undefined) {
+    await assertCategoryAssignable(category);
+  }
+
+  let current;
+  if (variants !== undefined || images !== undefined) {
+    current = await Product.findById(req.params.id).select('variants images');
+
+    if (!current) {
+      throw new NotFoundError('Product not found');
     }
+  }
+
+  if (variants !== undefined) {
+    updateData.variants = mergeVariants(current, variants);
+  }
+
+  const product = await Product.findByIdAndUpdate(req.params.id, updateData, {
+    new: true,
+    runValidators: true,
+  });
 
-    res.status(200).json({
-      success: true,
-      message: 'Product updated successfully',
-      data: product,
-    });
-  } catch (error) {
-    console.error('Update product error:', error);
-
-    if (error.name === 'CastError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid product ID',
-      });
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+
+  // Remove uploaded images the product no longer uses
+  if (images !== undefined) {
+    await uploadService.deleteOrphans(
+      current.images.filter((image) => !product.images.some((kept) => kept.url === image.url))
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Product updated successfully',
+    data: product,
+  });
+});
+
+// @desc    Restock or correct the stock of one variant
+// @route   PATCH /api/v1/products/:id/variants/:variantId/stock
+// @access  Private/Admin
+exports.adjustVariantStock = asyncHandler(async (req, res) => {
+  const { id, variantId } = req.params;
+  const { adjustment, reason } = req.body;
+
+  // Applied atomically so it never overwrites a reservation made meanwhile
+  const product = await Product.findOneAndUpdate(
+    {
+      _id: id,
+      variants: {
+        $elemMatch: {
+          _id: variantId,
+          ...(adjustment < 0 && { stock: { $gte: -adjustment } }),
+        },
+      },
+    },
+    { $inc: { 'variants.$.stock': adjustment } },
+    { new: true }
+  );
+
+  if (!product) {
+    const exists = await Product.exists({ _id: id, 'variants._id': variantId });
+
+    if (!exists) {
+      throw new NotFoundError('Variant not found');
     }
 
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update product',
-      error: config.env === 'development' ? error.message : undefined,
-    });
+    throw new ValidationError('Validation failed', [
+      { field: 'adjustment', message: 'Stock cannot go below zero' },
+    ]);
   }
-};
+
+  const variant = product.variants.id(variantId);
+
+  logger.info('Variant stock adjusted', {
+    productId: product._id,
+    sku: variant.sku,
+    adjustment,
+    stock: variant.stock,
+    reason,
+    by: req.user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Stock updated successfully',
+    data: variant,
+  });
+});
+
+// @desc    List variants at or below their low-stock threshold
+// @route   GET /api/v1/products/admin/low-stock
+// @access  Private/Admin
+exports.getLowStock = asyncHandler(async (req, res) => {
+  const variants = await inventoryService.getLowStock();
+
+  res.status(200).json({
+    success: true,
+    count: variants.length,
+    data: variants,
+  });
+});
 
 // @desc    Delete product
 // @route   DELETE /api/v1/products/:id
 // @access  Private/Admin
-exports.deleteProduct = async (req, res) => {
-  try {
-    const product = await Product.findById(req.params.id);
-
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found',
-      });
-    }
+exports.deleteProduct = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
 
-    await product.deleteOne();
-
-    res.status(200).json({
-      success: true,
-      message: 'Product deleted successfully',
-      data: {},
-    });
-  } catch (error) {
-    console.error('Delete product error:', error);
-
-    if (error.name === 'CastError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid product ID',
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete product',
-      error: config.env === 'development' ? error.message : undefined,
-    });
+  if (!product) {
+    throw new NotFoundError('Product not found');
   }
-};
+
+  await product.deleteOne();
+  await uploadService.deleteOrphans(product.images);
+
+  res.status(200).json({
+    success: true,
+    message: 'Product deleted successfully',
+    data: {},
+  });
+});
 
 // @desc    Get products by category
 // @route   GET /api/v1/products/category/:category
 // @access  Public
-exports.getProductsByCategory = async (req, res) => {
-  try {
-    const { category } = req.params;
-    const { page = 1, limit = 12, sort = '-createdAt' } = req.query;
-
-    const result = await Product.getPaginated(
-      { category: category.toLowerCase() },
-      {
-        page: Number(page),
-        limit: Number(limit),
-        sort,
-        select: '-_id -__v',
-      }
-    );
+exports.getProductsByCategory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 12, sort = '-createdAt' } = req.query;
 
-    res.status(200).json({
-      success: true,
-      category,
-      count: result.products.length,
-      pagination: result.pagination,
-      data: result.products,
-    });
-  } catch (error) {
-    console.error('Get products by category error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch products',
-      error: config.env === 'development' ? error.message : undefined,
-    });
-  }
-};
+  const { category, filter } = await getCategoryFilter(req.params.category.toLowerCase());
+
+  const result = await Product.getPaginated(
+    { category: filter },
+    {
+      page: Number(page),
+      limit: Number(limit),
+      sort,
+      select: `-_id ${publicSelect}`,
+      populate: categoryPopulate,
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    category,
+    count: result.products.length,
+    pagination: result.pagination,
+    data: result.products,
+  });
+});
@@ -0,0 +1,26 @@
+const uploadService = require('../services/uploadService');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * Upload Controller
+ * Admin image uploads for products
+ */
+
+/**
+ * @desc    Upload product images
+ * @route   POST /api/v1/uploads/images
+ * @access  Private/Admin
+ * @param   {File[]} images - multipart/form-data field, JPEG, PNG or WebP
+ */
+exports.uploadImages = asyncHandler(async (req, res) => {
+  const images = await uploadService.uploadImages(req.files, {
+    uploadedBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Images uploaded successfully',
+    count: images.length,
+    data: images,
+  });
+});
@@ -0,0 +1,53 @@
+const emailService = require('../services/emailService');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+/**
+ * Email outbox retries
+ * Every EMAIL_RETRY_INTERVAL_SECONDS, sends outbox emails whose earlier
+ * attempt failed or that were never picked up
+ */
+
+let timer = null;
+let running = false;
+
+const runOnce = async () => {
+  // Skip a tick rather than overlap a slow run
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    await emailService.processOutbox();
+  } catch (error) {
+    logger.error('Email outbox run error', {
+      error: error.message,
+    });
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  const { retryIntervalSeconds } = config.email;
+
+  if (!retryIntervalSeconds || timer) {
+    return;
+  }
+
+  timer = setInterval(runOnce, retryIntervalSeconds * 1000);
+  // Do not keep the process alive just for the job
+  timer.unref();
+
+  logger.info('Email outbox job scheduled', { retryIntervalSeconds });
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { start, stop, runOnce };
@@ -0,0 +1,54 @@
+const payoutService = require('../services/payoutService');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+/**
+ * Artisan payout retries
+ * Every PAYOUT_RETRY_INTERVAL_SECONDS, re-sends failed transfers that are
+ * due and asks Paystack about transfers that never got a webhook. Both
+ * times are stored on the payout, so a restart does not strand them.
+ */
+
+let timer = null;
+let running = false;
+
+const runOnce = async () => {
+  // Skip a tick rather than overlap a slow run
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    await payoutService.retryDue();
+  } catch (error) {
+    logger.error('Payout retry run error', {
+      error: error.message,
+    });
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  const { retryIntervalSeconds } = config.payouts;
+
+  if (!retryIntervalSeconds || timer) {
+    return;
+  }
+
+  timer = setInterval(runOnce, retryIntervalSeconds * 1000);
+  // Do not keep the process alive just for the job
+  timer.unref();
+
+  logger.info('Payout retry job scheduled', { retryIntervalSeconds });
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { start, stop, runOnce };
@@ -0,0 +1,58 @@
+const reconciliationService = require('../services/reconciliationService');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+/**
+ * Scheduled payment reconciliation
+ * Every RECONCILIATION_INTERVAL_HOURS, checks the last
+ * RECONCILIATION_LOOKBACK_HOURS of Paystack transactions
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+const runOnce = async () => {
+  // Skip a tick rather than overlap a slow run
+  if (running) {
+    logger.warn('Reconciliation still running; skipping scheduled run');
+    return;
+  }
+
+  running = true;
+  try {
+    const to = new Date();
+    const from = new Date(to.getTime() - config.reconciliation.lookbackHours * HOUR_MS);
+    await reconciliationService.run({ from, to, trigger: 'schedule' });
+  } catch (error) {
+    logger.error('Scheduled reconciliation error', {
+      error: error.message,
+    });
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  const { intervalHours } = config.reconciliation;
+
+  if (!intervalHours || timer) {
+    return;
+  }
+
+  timer = setInterval(runOnce, intervalHours * HOUR_MS);
+  // Do not keep the process alive just for the job
+  timer.unref();
+
+  logger.info('Reconciliation job scheduled', { intervalHours });
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { start, stop, runOnce };
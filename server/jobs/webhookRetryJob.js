@@ -0,0 +1,54 @@
+const webhookService = require('../services/webhookService');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook event retries
+ * Every WEBHOOK_RETRY_INTERVAL_SECONDS, re-runs failed Paystack events
+ * whose nextAttemptAt has passed. Retry times are stored on the event, so
+ * nothing is lost when the server restarts between attempts.
+ */
+
+let timer = null;
+let running = false;
+
+const runOnce = async () => {
+  // Skip a tick rather than overlap a slow run
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    await webhookService.retryDue();
+  } catch (error) {
+    logger.error('Webhook retry run error', {
+      error: error.message,
+    });
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  const { webhookRetryIntervalSeconds } = config.paystack;
+
+  if (!webhookRetryIntervalSeconds || timer) {
+    return;
+  }
+
+  timer = setInterval(runOnce, webhookRetryIntervalSeconds * 1000);
+  // Do not keep the process alive just for the job
+  timer.unref();
+
+  logger.info('Webhook retry job scheduled', { webhookRetryIntervalSeconds });
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { start, stop, runOnce };
@@ -1,89 +1,156 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
 const config = require('../config/env');
+const logger = require('../utils/logger');
+const asyncHandler = require('../utils/asyncHandler');
+const { TOKEN_TYPES, verifySessionToken } = require('../utils/jwt');
+const { COOKIE_NAMES, CSRF_HEADER, hasValidCsrfToken } = require('../utils/authCookies');
+const { AuthError, ForbiddenError, ValidationError, ERROR_CODES } = require('../utils/errors');
+
+// Translate a jsonwebtoken failure into an AuthError
+const tokenError = (error, expiredMessage, invalidMessage) => {
+  if (error.name === 'TokenExpiredError') {
+    return new AuthError(expiredMessage, { code: ERROR_CODES.TOKEN_EXPIRED });
+  }
 
-// Protect routes - verify JWT token
-exports.isAuth = async (req, res, next) => {
-  try {
-    // Get token from header
-    const authHeader = req.headers.authorization;
-
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. No token provided.',
-      });
-    }
+  if (error.name === 'JsonWebTokenError') {
+    return new AuthError(invalidMessage, { code: ERROR_CODES.INVALID_TOKEN });
+  }
 
-    // Extract token
-    const token = authHeader.split(' ')[1];
+  return error;
+};
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. Invalid token format.',
-      });
-    }
+const csrfError = () =>
+  new ForbiddenError('Missing or invalid CSRF token', { code: ERROR_CODES.CSRF_INVALID });
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, config.jwt.secret);
+// Access token from the Bearer header, or else from the cookie-mode cookie
+const getAccessToken = (req) => {
+  const authHeader = req.headers.authorization;
 
-      // Get user from database
-      const user = await User.findById(decoded.id).select('-password -refreshToken');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return { token: authHeader.split(' ')[1], fromCookie: false };
+  }
 
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found. Token is invalid.',
-        });
-      }
+  return { token: req.cookies?.[COOKIE_NAMES.access], fromCookie: true };
+};
 
-      // Attach user to request object
-      req.user = user;
-      next();
-    } catch (error) {
-      if (error.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Token expired. Please login again.',
-          expired: true,
-        });
-      }
+// Protect routes - verify JWT token
+exports.isAuth = asyncHandler(async (req, res, next) => {
+  const { token, fromCookie } = getAccessToken(req);
 
-      if (error.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token. Please login again.',
-        });
-      }
+  if (fromCookie && !token) {
+    throw new AuthError('Access denied. No token provided.');
+  }
 
-      throw error;
-    }
+  if (!token) {
+    throw new AuthError('Access denied. Invalid token format.', {
+      code: ERROR_CODES.INVALID_TOKEN,
+    });
+  }
+
+  // Browsers attach cookies to forged cross-site requests; headers they cannot
+  if (fromCookie && !hasValidCsrfToken(req)) {
+    throw csrfError();
+  }
+
+  let decoded;
+  try {
+    // Verify token; a refresh token is not accepted here
+    decoded = verifySessionToken(TOKEN_TYPES.ACCESS, token);
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Authentication failed',
+    throw tokenError(
+      error,
+      'Token expired. Please login again.',
+      'Invalid token. Please login again.'
+    );
+  }
+
+  // Get user from database
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    throw new AuthError('User not found. Token is invalid.', {
+      code: ERROR_CODES.INVALID_TOKEN,
+    });
+  }
+
+  // Password resets sign out every existing session
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw new AuthError('Password was changed. Please login again.', {
+      code: ERROR_CODES.INVALID_TOKEN,
     });
   }
-};
+
+  // Signing out a device revokes its session before its access token expires
+  if (decoded.sid && !(await sessionService.isActive(decoded.sid))) {
+    throw new AuthError('Session has ended. Please login again.', {
+      code: ERROR_CODES.INVALID_TOKEN,
+    });
+  }
+
+  // Hand the CSRF token back so a reloaded page can recover it
+  if (fromCookie && req.cookies[COOKIE_NAMES.csrf]) {
+    res.set(CSRF_HEADER, req.cookies[COOKIE_NAMES.csrf]);
+  }
+
+  // Attach user and session to request object
+  req.user = user;
+  req.sessionId = decoded.sid;
+  next();
+});
 
 // Check if user is admin
 exports.isAdmin = (req, res, next) => {
   // This middleware should be used after isAuth
   if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication required',
-    });
+    return next(new AuthError());
   }
 
   if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin privileges required.',
-    });
+    return next(new ForbiddenError('Access denied. Admin privileges required.'));
+  }
+
+  // REQUIRE_ADMIN_2FA: admins can sign in, but must enrol before admin work
+  if (config.auth.requireAdminTwoFactor && !req.user.twoFactor?.enabled) {
+    return next(
+      new ForbiddenError('Set up two-factor authentication to use admin features.', {
+        code: ERROR_CODES.TWO_FACTOR_REQUIRED,
+      })
+    );
+  }
+
+  next();
+};
+
+// Block an action until the user has verified their email, when
+// REQUIRE_VERIFIED_EMAIL lists it ('checkout' or 'reviews'). There are no
+// review routes yet, so only 'checkout' is enforced today.
+exports.requireVerifiedEmail = (action) => (req, res, next) => {
+  // This middleware should be used after isAuth
+  if (!req.user) {
+    return next(new AuthError());
+  }
+
+  if (config.auth.requireVerifiedFor.includes(action) && !req.user.verified) {
+    return next(
+      new ForbiddenError('Please verify your email address to continue.', {
+        code: ERROR_CODES.EMAIL_NOT_VERIFIED,
+      })
+    );
+  }
+
+  next();
+};
+
+// Check if user is an artisan
+exports.isArtisan = (req, res, next) => {
+  // This middleware should be used after isAuth
+  if (!req.user) {
+    return next(new AuthError());
+  }
+
+  if (req.user.role !== 'artisan') {
+    return next(new ForbiddenError('Access denied. Artisan account required.'));
   }
 
   next();
@@ -92,84 +159,52 @@ exports.isAdmin = (req, res, next) => {
 // Optional authentication - doesn't fail if no token
 exports.optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
+    const { token, fromCookie } = getAccessToken(req);
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return next(); // Continue without user
-    }
-
-    const token = authHeader.split(' ')[1];
-
-    if (!token) {
+    // A cookie without its CSRF token is ignored rather than rejected
+    if (!token || (fromCookie && !hasValidCsrfToken(req))) {
       return next(); // Continue without user
     }
 
     try {
-      const decoded = jwt.verify(token, config.jwt.secret);
-      const user = await User.findById(decoded.id).select('-password -refreshToken');
+      const decoded = verifySessionToken(TOKEN_TYPES.ACCESS, token);
+      const user = await User.findById(decoded.id).select('-password');
 
       if (user) {
         req.user = user;
       }
     } catch (error) {
       // Token invalid or expired, but we don't fail the request
-      console.log('Optional auth failed:', error.message);
+      logger.debug('Optional auth failed', { error: error.message });
     }
 
     next();
   } catch (error) {
-    console.error('Optional auth error:', error);
+    logger.error('Optional auth error', { error });
     next(); // Continue even if error
   }
 };
 
-// Verify refresh token
-exports.verifyRefreshToken = async (req, res, next) => {
-  try {
-    const { refreshToken } = req.body;
-
-    if (!refreshToken) {
-      return res.status(400).json({
-        success: false,
-        message: 'Refresh token is required',
-      });
-    }
+// Verify refresh token (from the body, or the cookie in cookie mode)
+exports.verifyRefreshToken = asyncHandler(async (req, res, next) => {
+  const fromCookie = !req.body.refreshToken;
+  const refreshToken = req.body.refreshToken || req.cookies?.[COOKIE_NAMES.refresh];
 
-    try {
-      // Verify refresh token
-      const decoded = jwt.verify(refreshToken, config.jwt.secret);
-
-      // Find user and compare refresh token
-      const user = await User.findById(decoded.id).select('+refreshToken');
+  if (!refreshToken) {
+    throw new ValidationError('Refresh token is required', [
+      { field: 'refreshToken', message: 'Refresh token is required' },
+    ]);
+  }
 
-      if (!user || user.refreshToken !== refreshToken) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid refresh token',
-        });
-      }
+  if (fromCookie && !hasValidCsrfToken(req)) {
+    throw csrfError();
+  }
 
-      // Attach user to request
-      req.user = user;
-      next();
-    } catch (error) {
-      if (error.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Refresh token expired. Please login again.',
-        });
-      }
+  // Also detects a replayed (already rotated) token and revokes its session
+  const { user, session } = await sessionService.verifyRefreshToken(refreshToken);
 
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid refresh token',
-      });
-    }
-  } catch (error) {
-    console.error('Refresh token verification error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Token verification failed',
-    });
-  }
-};
\ No newline at end of file
+  // Attach user and session to request
+  req.user = user;
+  req.authSession = session;
+  next();
+});
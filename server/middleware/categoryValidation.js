@@ -0,0 +1,110 @@
+const Joi = require('joi');
+const mongoSanitize = require('express-mongo-sanitize');
+const { ValidationError } = require('../utils/errors');
+
+// Validation middleware wrapper
+const validate = (schema) => {
+  return (req, res, next) => {
+    req.body = mongoSanitize.sanitize(req.body);
+    req.params = mongoSanitize.sanitize(req.params);
+
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errors = error.details.map((detail) => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return next(new ValidationError('Validation failed', errors));
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+// Validate query parameters
+const validateQueryParams = (schema) => {
+  return (req, res, next) => {
+    req.query = mongoSanitize.sanitize(req.query);
+
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errors = error.details.map((detail) => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return next(new ValidationError('Invalid query parameters', errors));
+    }
+
+    req.query = value;
+    next();
+  };
+};
+
+const objectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Invalid ID format',
+  });
+
+const categoryFields = {
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(50)
+    .messages({
+      'string.min': 'Category name must be at least 2 characters',
+      'string.max': 'Category name cannot exceed 50 characters',
+    }),
+  slug: Joi.string()
+    .trim()
+    .lowercase()
+    .max(60)
+    .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .messages({
+      'string.pattern.base': 'Slug may only contain letters, numbers and hyphens',
+    }),
+  description: Joi.string().trim().max(500).allow(''),
+  image: Joi.string()
+    .uri()
+    .allow('')
+    .messages({
+      'string.uri': 'Image must be a valid URL',
+    }),
+  sortOrder: Joi.number().integer().min(0),
+  // null moves a category to the top level
+  parent: objectId.allow(null),
+  active: Joi.boolean(),
+};
+
+// Create category schema
+const createCategorySchema = Joi.object({
+  ...categoryFields,
+  name: categoryFields.name.required().messages({
+    'any.required': 'Category name is required',
+  }),
+});
+
+// Update category schema
+const updateCategorySchema = Joi.object(categoryFields).min(1);
+
+// Category list query schema
+const categoryQuerySchema = Joi.object({
+  tree: Joi.boolean().default(false),
+});
+
+module.exports = {
+  validateCreateCategory: validate(createCategorySchema),
+  validateUpdateCategory: validate(updateCategorySchema),
+  validateCategoryQuery: validateQueryParams(categoryQuerySchema),
+};
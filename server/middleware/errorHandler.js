@@ -0,0 +1,148 @@
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const {
+  ERROR_CODES,
+  AppError,
+  NotFoundError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  ConflictError,
+} = require('../utils/errors');
+
+/**
+ * Error Handling Middleware
+ * Every route funnels its errors through here so the response shape
+ * and error codes stay the same across the API:
+ * { success: false, code, message, errors?, ...details }
+ */
+
+// Codes for errors that carry a status but no code of their own
+const CODE_BY_STATUS = {
+  400: ERROR_CODES.VALIDATION_ERROR,
+  401: ERROR_CODES.AUTH_REQUIRED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  429: ERROR_CODES.RATE_LIMITED,
+  502: ERROR_CODES.PAYMENT_ERROR,
+};
+
+/**
+ * Convert library and legacy errors into AppErrors
+ * @param {Error} err
+ * @returns {AppError}
+ */
+const normalizeError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (err.message === 'Not allowed by CORS') {
+    return new ForbiddenError('CORS policy violation', {
+      code: ERROR_CODES.CORS_NOT_ALLOWED,
+    });
+  }
+
+  // Mongoose document validation
+  if (err.name === 'ValidationError' && err.errors) {
+    return new ValidationError(
+      'Validation failed',
+      Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }))
+    );
+  }
+
+  // Malformed ObjectId or value in a query
+  if (err.name === 'CastError') {
+    const field = err.path === '_id' ? 'ID' : err.path;
+    return new ValidationError(`Invalid ${field}`, undefined, {
+      code: ERROR_CODES.INVALID_ID,
+    });
+  }
+
+  // Mongo duplicate key
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyPattern || err.keyValue || {})[0] || 'Value';
+    return new ConflictError(`${field} already exists`, {
+      code: ERROR_CODES.DUPLICATE_VALUE,
+    });
+  }
+
+  if (err.name === 'TokenExpiredError') {
+    return new AuthError('Token expired', { code: ERROR_CODES.TOKEN_EXPIRED });
+  }
+
+  if (err.name === 'JsonWebTokenError') {
+    return new AuthError('Invalid token', { code: ERROR_CODES.INVALID_TOKEN });
+  }
+
+  // express.json() could not parse the body
+  if (err.type === 'entity.parse.failed') {
+    return new ValidationError('Malformed JSON in request body', undefined, {
+      code: ERROR_CODES.INVALID_JSON,
+    });
+  }
+
+  // http-errors style errors (body-parser limits, etc.) and legacy { statusCode } errors
+  const statusCode = err.statusCode || err.status;
+  if (statusCode >= 400 && statusCode < 500) {
+    return new AppError(
+      err.message,
+      statusCode,
+      CODE_BY_STATUS[statusCode] || ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  return new AppError('Internal Server Error', statusCode || 500, CODE_BY_STATUS[statusCode]);
+};
+
+/**
+ * 404 for requests no route matched
+ */
+exports.notFound = (req, res, next) => {
+  next(
+    new NotFoundError('Route not found', {
+      code: ERROR_CODES.ROUTE_NOT_FOUND,
+      details: { path: req.originalUrl },
+    })
+  );
+};
+
+/**
+ * Final error middleware: log the error and send the JSON response
+ */
+exports.errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+  const { statusCode } = error;
+
+  if (statusCode >= 500) {
+    logger.error('Request failed', {
+      method: req.method,
+      url: req.originalUrl,
+      statusCode,
+      code: error.code,
+      error: err,
+    });
+  } else {
+    logger.debug('Request rejected', {
+      method: req.method,
+      url: req.originalUrl,
+      statusCode,
+      code: error.code,
+      message: error.message,
+    });
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    errors: error.errors,
+    ...error.details,
+    error: config.env === 'development' && statusCode >= 500 ? err.stack : undefined,
+  });
+};
@@ -1,5 +1,7 @@
 const Joi = require('joi');
 const mongoSanitize = require('express-mongo-sanitize');
+const { ORDER_STATUSES } = require('../config/orderStatus');
+const { ValidationError } = require('../utils/errors');
 
 // Validation middleware wrapper
 const validate = (schema) => {
@@ -26,11 +28,7 @@ const validate = (schema) => {
         message: detail.message,
       }));
 
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors,
-      });
+      return next(new ValidationError('Validation failed', errors));
     }
 
     req.body = value;
@@ -56,11 +54,7 @@ const validateQueryParams = (schema) => {
         message: detail.message,
       }));
 
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid query parameters',
-        errors,
-      });
+      return next(new ValidationError('Invalid query parameters', errors));
     }
 
     req.query = value;
@@ -69,6 +63,7 @@ const validateQueryParams = (schema) => {
 };
 
 // Custom specification schema
+// Prices are never accepted from the client; they are derived from the product
 const customSpecSchema = Joi.object({
   name: Joi.string()
     .trim()
@@ -78,26 +73,104 @@ const customSpecSchema = Joi.object({
     }),
   value: Joi.string()
     .trim()
+    .max(500)
     .required()
     .messages({
       'string.empty': 'Specification value is required',
+      'string.max': 'Specification value cannot exceed 500 characters',
     }),
-  priceAdjustment: Joi.number()
-    .default(0)
+});
+
+// Order line item schema
+const orderItemSchema = Joi.object({
+  product: Joi.string()
+    .hex()
+    .length(24)
+    .required()
     .messages({
-      'number.base': 'Price adjustment must be a number',
+      'string.hex': 'Product ID must be a valid ID',
+      'string.length': 'Product ID format is invalid',
+      'any.required': 'Product is required',
+    }),
+
+  // Variant ID or SKU; required for products that come in variants
+  variant: Joi.string()
+    .trim()
+    .max(40)
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .messages({
+      'string.pattern.base': 'Variant must be a variant ID or SKU',
+    }),
+
+  quantity: Joi.number()
+    .integer()
+    .min(1)
+    .max(50)
+    .default(1)
+    .messages({
+      'number.base': 'Quantity must be a number',
+      'number.min': 'Quantity must be at least 1',
+      'number.max': 'Quantity cannot exceed 50',
+    }),
+
+  customSpecs: Joi.array()
+    .items(customSpecSchema)
+    .default([])
+    .messages({
+      'array.base': 'Custom specifications must be an array',
+    }),
+});
+
+// Shipping address schema
+const shippingAddressSchema = Joi.object({
+  street: Joi.string()
+    .trim()
+    .max(200)
+    .required()
+    .messages({
+      'string.empty': 'Street address is required',
+      'any.required': 'Street address is required',
+    }),
+  city: Joi.string().trim().allow(''),
+  state: Joi.string().trim().allow(''),
+  zipCode: Joi.string().trim().allow(''),
+  country: Joi.string().trim().default('Nigeria'),
+  phone: Joi.string()
+    .pattern(/^(\+234|0)[7-9][0-1]\d{8}$/)
+    .required()
+    .messages({
+      'string.empty': 'Phone number is required',
+      'string.pattern.base': 'Please provide a valid Nigerian phone number',
+      'any.required': 'Phone number is required',
     }),
 });
 
+// Order items array (shared by quote and create)
+const orderItemsSchema = Joi.array()
+  .items(orderItemSchema)
+  .min(1)
+  .max(20)
+  .required()
+  .messages({
+    'array.base': 'Items must be an array',
+    'array.min': 'Order must contain at least one item',
+    'array.max': 'Order cannot contain more than 20 items',
+    'any.required': 'Order items are required',
+  });
+
+// Order quote validation schema
+const orderQuoteSchema = Joi.object({
+  items: orderItemsSchema,
+});
+
 // Create custom order validation schema
 const createCustomOrderSchema = Joi.object({
   title: Joi.string()
     .trim()
     .min(3)
     .max(100)
-    .required()
+    .optional()
     .messages({
-      'string.empty': 'Order title is required',
       'string.min': 'Order title must be at least 3 characters',
       'string.max': 'Order title cannot exceed 100 characters',
     }),
@@ -110,22 +183,22 @@ const createCustomOrderSchema = Joi.object({
       'string.max': 'Description cannot exceed 1000 characters',
     }),
 
-  customSpecs: Joi.array()
-    .items(customSpecSchema)
-    .optional()
-    .messages({
-      'array.base': 'Custom specifications must be an array',
-    }),
+  items: orderItemsSchema,
 
-  basePrice: Joi.number()
+  // Total the client displayed; rejected if it differs from the server's figure
+  total: Joi.number()
     .min(0)
     .required()
     .messages({
-      'number.base': 'Base price must be a number',
-      'number.min': 'Base price cannot be negative',
-      'any.required': 'Base price is required',
+      'number.base': 'Total must be a number',
+      'number.min': 'Total cannot be negative',
+      'any.required': 'Total is required; get it from /orders/quote',
     }),
 
+  shippingAddress: shippingAddressSchema.required().messages({
+    'any.required': 'Shipping address is required',
+  }),
+
   images: Joi.array()
     .items(Joi.string().trim())
     .optional()
@@ -145,11 +218,11 @@ const createCustomOrderSchema = Joi.object({
 // Update order status validation schema
 const updateOrderStatusSchema = Joi.object({
   status: Joi.string()
-    .valid('pending', 'processing', 'shipped', 'delivered', 'cancelled')
+    .valid(...ORDER_STATUSES)
     .required()
     .messages({
       'any.required': 'Status is required',
-      'any.only': 'Status must be one of: pending, processing, shipped, delivered, cancelled',
+      'any.only': `Status must be one of: ${ORDER_STATUSES.join(', ')}`,
     }),
 
   notes: Joi.string()
@@ -161,6 +234,58 @@ const updateOrderStatusSchema = Joi.object({
     }),
 });
 
+// Create refund validation schema
+const createRefundSchema = Joi.object({
+  scope: Joi.string()
+    .valid('full', 'deposit', 'balance', 'custom')
+    .required()
+    .messages({
+      'any.only': 'Scope must be one of: full, deposit, balance, custom',
+      'any.required': 'Refund scope is required',
+    }),
+  amount: Joi.when('scope', {
+    is: 'custom',
+    then: Joi.number().positive().precision(2).required().messages({
+      'number.positive': 'Refund amount must be greater than 0',
+      'any.required': 'Amount is required for a custom refund',
+    }),
+    otherwise: Joi.forbidden().messages({
+      'any.unknown': 'Amount is only allowed for a custom refund',
+    }),
+  }),
+  reason: Joi.string()
+    .trim()
+    .min(3)
+    .max(500)
+    .required()
+    .messages({
+      'string.max': 'Refund reason cannot exceed 500 characters',
+      'any.required': 'Refund reason is required',
+    }),
+});
+
+// Assign artisan validation schema
+const assignArtisanSchema = Joi.object({
+  artisanId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid artisan ID format',
+      'any.required': 'Artisan ID is required',
+    }),
+});
+
+// Cancel order validation schema
+const cancelOrderSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .messages({
+      'string.max': 'Cancellation reason cannot exceed 500 characters',
+    }),
+});
+
 // Query validation schema
 const querySchema = Joi.object({
   page: Joi.number()
@@ -184,10 +309,10 @@ const querySchema = Joi.object({
     }),
 
   status: Joi.string()
-    .valid('pending', 'processing', 'shipped', 'delivered', 'cancelled')
+    .valid(...ORDER_STATUSES)
     .optional()
     .messages({
-      'any.only': 'Status must be one of: pending, processing, shipped, delivered, cancelled',
+      'any.only': `Status must be one of: ${ORDER_STATUSES.join(', ')}`,
     }),
 
   sort: Joi.string()
@@ -199,7 +324,13 @@ const querySchema = Joi.object({
 });
 
 module.exports = {
+  validateOrderQuote: validate(orderQuoteSchema),
+  // Cart items follow the same rules as quoted order items
+  validateCartItems: validate(orderQuoteSchema),
   validateCreateCustomOrder: validate(createCustomOrderSchema),
   validateUpdateOrderStatus: validate(updateOrderStatusSchema),
+  validateCancelOrder: validate(cancelOrderSchema),
+  validateCreateRefund: validate(createRefundSchema),
+  validateAssignArtisan: validate(assignArtisanSchema),
   validateQuery: validateQueryParams(querySchema),
 };
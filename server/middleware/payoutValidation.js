@@ -0,0 +1,131 @@
+const Joi = require('joi');
+const mongoSanitize = require('express-mongo-sanitize');
+const { ValidationError } = require('../utils/errors');
+
+// Validation middleware wrapper
+const validate = (schema) => {
+  return (req, res, next) => {
+    // Sanitize inputs to prevent NoSQL injection
+    if (req.body) {
+      req.body = mongoSanitize.sanitize(req.body);
+    }
+    if (req.query) {
+      req.query = mongoSanitize.sanitize(req.query);
+    }
+    if (req.params) {
+      req.params = mongoSanitize.sanitize(req.params);
+    }
+
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errors = error.details.map((detail) => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return next(new ValidationError('Validation failed', errors));
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+// Validate query parameters
+const validateQueryParams = (schema) => {
+  return (req, res, next) => {
+    if (req.query) {
+      req.query = mongoSanitize.sanitize(req.query);
+    }
+
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errors = error.details.map((detail) => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      }));
+
+      return next(new ValidationError('Invalid query parameters', errors));
+    }
+
+    req.query = value;
+    next();
+  };
+};
+
+const objectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Invalid ID format',
+  });
+
+// Artisan bank account schema
+const payoutAccountSchema = Joi.object({
+  bankCode: Joi.string()
+    .trim()
+    .pattern(/^\d{3,6}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid bank code',
+      'any.required': 'Bank code is required',
+    }),
+  accountNumber: Joi.string()
+    .trim()
+    .pattern(/^\d{10}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Account number must be 10 digits',
+      'any.required': 'Account number is required',
+    }),
+  accountName: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'Account name is required',
+    }),
+});
+
+// Admin approval of a batch of payouts
+const approvePayoutsSchema = Joi.object({
+  payoutIds: Joi.array()
+    .items(objectId.required())
+    .min(1)
+    .max(100)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'Select at least one payout to approve',
+      'any.required': 'payoutIds is required',
+    }),
+});
+
+// Payout list query schema
+const payoutQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid(
+    'pending_approval',
+    'processing',
+    'retrying',
+    'success',
+    'failed'
+  ),
+  batchId: Joi.string().trim().max(50),
+  artisan: objectId,
+});
+
+module.exports = {
+  validatePayoutAccount: validate(payoutAccountSchema),
+  validateApprovePayouts: validate(approvePayoutsSchema),
+  validatePayoutQuery: validateQueryParams(payoutQuerySchema),
+};
@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const mongoSanitize = require('express-mongo-sanitize');
+const { ValidationError } = require('../utils/errors');
 
 // Validation middleware wrapper
 const validate = (schema) => {
@@ -20,11 +21,7 @@ const validate = (schema) => {
         message: detail.message,
       }));
 
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors,
-      });
+      return next(new ValidationError('Validation failed', errors));
     }
 
     req.body = value;
@@ -32,6 +29,49 @@ const validate = (schema) => {
   };
 };
 
+// Products reference a Category document
+const categoryId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Category must be a valid category ID',
+  });
+
+// Product images are absolute URLs or files uploaded to local storage
+const imageUrl = Joi.alternatives()
+  .try(Joi.string().uri(), Joi.string().pattern(/^\/public\/[\w\-./]+$/))
+  .messages({
+    'alternatives.match': 'Each image must be a valid URL',
+  });
+
+// An image as returned by the upload endpoint, or a bare URL
+const productImage = Joi.alternatives()
+  .try(
+    imageUrl,
+    Joi.object({
+      url: imageUrl.required(),
+      alt: Joi.string().trim().max(150).allow(''),
+      sortOrder: Joi.number().integer().min(0),
+      width: Joi.number().integer().min(1),
+      height: Joi.number().integer().min(1),
+      blurhash: Joi.string().max(100),
+      sources: Joi.array()
+        .items(
+          Joi.object({
+            url: imageUrl.required(),
+            width: Joi.number().integer().min(1),
+            height: Joi.number().integer().min(1),
+            format: Joi.string().valid('avif', 'webp', 'jpeg', 'png'),
+            size: Joi.number().integer().min(0),
+          })
+        )
+        .max(50),
+    })
+  )
+  .messages({
+    'alternatives.match': 'Each image must be a URL or an uploaded image',
+    'string.max': 'Alt text cannot exceed 150 characters',
+  });
+
 // Custom option schema
 const customOptionSchema = Joi.object({
   name: Joi.string()
@@ -40,6 +80,12 @@ const customOptionSchema = Joi.object({
     .messages({
       'string.empty': 'Option name is required',
     }),
+  label: Joi.string()
+    .trim()
+    .max(60)
+    .messages({
+      'string.max': 'Option label cannot exceed 60 characters',
+    }),
   type: Joi.string()
     .valid('select', 'text', 'color', 'number')
     .required()
@@ -57,13 +103,128 @@ const customOptionSchema = Joi.object({
     .messages({
       'array.min': 'At least one option is required for select/color types',
     }),
+  required: Joi.boolean().default(false),
+  default: Joi.string().trim().allow(''),
   priceModifier: Joi.number()
     .default(0)
     .messages({
       'number.base': 'Price modifier must be a number',
     }),
+  valueModifiers: Joi.array()
+    .items(
+      Joi.object({
+        value: Joi.string().trim().required(),
+        priceModifier: Joi.number().required(),
+      })
+    )
+    .default([])
+    .messages({
+      'array.base': 'Value modifiers must be an array',
+      'number.base': 'Price modifier must be a number',
+    }),
+  minLength: Joi.number()
+    .integer()
+    .min(0)
+    .when('type', { not: 'text', then: Joi.forbidden() })
+    .messages({
+      'any.unknown': 'Length limits only apply to text options',
+    }),
+  maxLength: Joi.number()
+    .integer()
+    .min(1)
+    .max(500)
+    .when('type', { not: 'text', then: Joi.forbidden() })
+    .messages({
+      'any.unknown': 'Length limits only apply to text options',
+    }),
+  min: Joi.number()
+    .when('type', { not: 'number', then: Joi.forbidden() })
+    .messages({
+      'any.unknown': 'Min and max only apply to number options',
+    }),
+  max: Joi.number()
+    .when('type', { not: 'number', then: Joi.forbidden() })
+    .messages({
+      'any.unknown': 'Min and max only apply to number options',
+    }),
+  // Show this option only when an earlier option has one of these values
+  showIf: Joi.object({
+    option: Joi.string().trim().required(),
+    values: Joi.array().items(Joi.string().trim()).min(1).required(),
+  }).messages({
+    'array.min': 'showIf needs at least one value',
+  }),
 });
 
+// Variant schema
+const variantSchema = Joi.object({
+  // Present when editing an existing variant
+  _id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Variant ID is invalid',
+    }),
+  sku: Joi.string()
+    .trim()
+    .uppercase()
+    .max(40)
+    .pattern(/^[A-Z0-9_-]+$/)
+    .required()
+    .messages({
+      'string.empty': 'SKU is required',
+      'string.pattern.base': 'SKU may only contain letters, numbers, hyphens and underscores',
+      'any.required': 'SKU is required',
+    }),
+  attributes: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().trim().max(50).required(),
+        value: Joi.string().trim().max(50).required(),
+      })
+    )
+    .min(1)
+    .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase())
+    .required()
+    .messages({
+      'array.min': 'Variant must have at least one attribute',
+      'array.unique': 'Each attribute may only appear once per variant',
+      'any.required': 'Variant attributes are required',
+    }),
+  price: Joi.number()
+    .min(0)
+    .allow(null)
+    .messages({
+      'number.base': 'Variant price must be a number',
+      'number.min': 'Variant price cannot be negative',
+    }),
+  stock: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.base': 'Stock must be a number',
+      'number.min': 'Stock cannot be negative',
+    }),
+  lowStockThreshold: Joi.number()
+    .integer()
+    .min(0)
+    .default(5)
+    .messages({
+      'number.min': 'Low-stock threshold cannot be negative',
+    }),
+  active: Joi.boolean().default(true),
+});
+
+const variantsSchema = Joi.array()
+  .items(variantSchema)
+  .max(100)
+  .unique('sku')
+  .messages({
+    'array.base': 'Variants must be an array',
+    'array.max': 'A product cannot have more than 100 variants',
+    'array.unique': 'Each variant must have a different SKU',
+  });
+
 // Create product validation schema
 const createProductSchema = Joi.object({
   name: Joi.string()
@@ -87,13 +248,12 @@ const createProductSchema = Joi.object({
     }),
   
   images: Joi.array()
-    .items(Joi.string().uri())
+    .items(productImage)
     .min(1)
     .required()
     .messages({
       'array.base': 'Images must be an array',
       'array.min': 'At least one image is required',
-      'string.uri': 'Each image must be a valid URL',
       'any.required': 'Images are required',
     }),
   
@@ -104,6 +264,8 @@ const createProductSchema = Joi.object({
       'array.base': 'Custom options must be an array',
     }),
   
+  variants: variantsSchema.default([]),
+  
   description: Joi.string()
     .trim()
     .min(10)
@@ -115,13 +277,11 @@ const createProductSchema = Joi.object({
       'string.max': 'Description cannot exceed 2000 characters',
     }),
   
-  category: Joi.string()
-    .valid('tote', 'sling', 'clutch', 'backpack', 'crossbody')
-    .lowercase()
+  category: categoryId
     .required()
     .messages({
-      'any.only': 'Category must be one of: tote, sling, clutch, backpack, crossbody',
       'string.empty': 'Category is required',
+      'any.required': 'Category is required',
     }),
   
   featured: Joi.boolean()
@@ -150,11 +310,10 @@ const updateProductSchema = Joi.object({
     }),
   
   images: Joi.array()
-    .items(Joi.string().uri())
+    .items(productImage)
     .min(1)
     .messages({
       'array.min': 'At least one image is required',
-      'string.uri': 'Each image must be a valid URL',
     }),
   
   customOptions: Joi.array()
@@ -163,6 +322,8 @@ const updateProductSchema = Joi.object({
       'array.base': 'Custom options must be an array',
     }),
   
+  variants: variantsSchema,
+  
   description: Joi.string()
     .trim()
     .min(10)
@@ -172,12 +333,7 @@ const updateProductSchema = Joi.object({
       'string.max': 'Description cannot exceed 2000 characters',
     }),
   
-  category: Joi.string()
-    .valid('tote', 'sling', 'clutch', 'backpack', 'crossbody')
-    .lowercase()
-    .messages({
-      'any.only': 'Category must be one of: tote, sling, clutch, backpack, crossbody',
-    }),
+  category: categoryId,
   
   featured: Joi.boolean()
     .messages({
@@ -185,12 +341,32 @@ const updateProductSchema = Joi.object({
     }),
 }).min(1); // At least one field must be present
 
+// Stock adjustment schema (restock, damage, stock count corrections)
+const stockAdjustmentSchema = Joi.object({
+  adjustment: Joi.number()
+    .integer()
+    .invalid(0)
+    .required()
+    .messages({
+      'number.base': 'Adjustment must be a number',
+      'number.integer': 'Adjustment must be a whole number',
+      'any.invalid': 'Adjustment cannot be zero',
+      'any.required': 'Adjustment is required',
+    }),
+  reason: Joi.string().trim().max(200).allow(''),
+});
+
 // Query validation for filtering
 const queryValidation = (req, res, next) => {
   const querySchema = Joi.object({
+    // Category ID or slug
     category: Joi.string()
-      .valid('tote', 'sling', 'clutch', 'backpack', 'crossbody')
-      .lowercase(),
+      .trim()
+      .lowercase()
+      .pattern(/^[a-z0-9-]{1,60}$/)
+      .messages({
+        'string.pattern.base': 'Category must be a category ID or slug',
+      }),
     featured: Joi.string()
       .valid('true', 'false'),
     search: Joi.string()
@@ -225,11 +401,7 @@ const queryValidation = (req, res, next) => {
       message: detail.message,
     }));
 
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid query parameters',
-      errors,
-    });
+    return next(new ValidationError('Invalid query parameters', errors));
   }
 
   req.query = value;
@@ -239,5 +411,6 @@ const queryValidation = (req, res, next) => {
 module.exports = {
   validateCreateProduct: validate(createProductSchema),
   validateUpdateProduct: validate(updateProductSchema),
+  validateStockAdjustment: validate(stockAdjustmentSchema),
   validateQuery: queryValidation,
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const { RateLimiterMemory } = require('rate-limiter-flexible');
 const config = require('../config/env');
+const { AppError, ERROR_CODES } = require('../utils/errors');
 
 // Create rate limiter instance
 // 100 requests per 15 minutes per IP
@@ -9,12 +10,45 @@ const rateLimiter = new RateLimiterMemory({
   blockDuration: 0, // Do not block, just return 429
 });
 
-// Stricter rate limiter for authentication routes
-const authRateLimiter = new RateLimiterMemory({
-  points: 5, // 5 requests
-  duration: 900, // per 15 minutes (900 seconds)
-  blockDuration: 900, // Block for 15 minutes after limit exceeded
-});
+// Authentication limiters, one per kind of endpoint so that e.g. token
+// refreshes never use up the login allowance. Failed logins are also
+// counted per account and per IP by services/loginProtectionService.js.
+const authRateLimiters = {
+  // Failed password and 2FA login attempts. This only slows down one IP
+  // guessing across many accounts; the per-account lock is the main defence.
+  login: new RateLimiterMemory({
+    keyPrefix: 'auth_login',
+    points: 30, // 30 failed attempts
+    duration: 900, // per 15 minutes
+    blockDuration: 900, // Block for 15 minutes after limit exceeded
+  }),
+  register: new RateLimiterMemory({
+    keyPrefix: 'auth_register',
+    points: 10, // 10 accounts
+    duration: 3600, // per hour
+    blockDuration: 3600,
+  }),
+  refresh: new RateLimiterMemory({
+    keyPrefix: 'auth_refresh',
+    points: 60, // 60 refreshes (several tabs)
+    duration: 900, // per 15 minutes
+    blockDuration: 0,
+  }),
+  // Requests that send an email (forgot password, resend verification)
+  email: new RateLimiterMemory({
+    keyPrefix: 'auth_email',
+    points: 5, // 5 emails
+    duration: 3600, // per hour
+    blockDuration: 3600,
+  }),
+  // Emailed links (reset password, verify email, unlock account)
+  link: new RateLimiterMemory({
+    keyPrefix: 'auth_link',
+    points: 20, // 20 requests
+    duration: 900, // per 15 minutes
+    blockDuration: 900,
+  }),
+};
 
 // Payment rate limiter - more restrictive
 const paymentRateLimiter = new RateLimiterMemory({
@@ -23,75 +57,100 @@ const paymentRateLimiter = new RateLimiterMemory({
   blockDuration: 1800, // Block for 30 minutes after limit exceeded
 });
 
-// General rate limiter middleware
-const rateLimiterMiddleware = async (req, res, next) => {
-  try {
-    const key = req.ip || req.connection.remoteAddress;
-    await rateLimiter.consume(key);
-    next();
-  } catch (error) {
-    if (error instanceof Error) {
-      return res.status(500).json({
-        success: false,
-        message: 'Rate limiter error',
-      });
-    }
-    
-    // Rate limit exceeded
-    res.status(429).json({
-      success: false,
-      message: 'Too many requests. Please try again later.',
-      retryAfter: Math.round(error.msBeforeNext / 1000) || 900,
-    });
-  }
-};
+/**
+ * Build middleware that consumes one point per request for the client IP
+ * @param {RateLimiterMemory} limiter
+ * @param {string} message - Sent with the 429
+ * @param {number} defaultRetryAfter - Seconds, if the limiter does not say
+ * @param {object} [options]
+ * @param {boolean} [options.skipSuccessfulRequests] - Give the point back
+ *   when the response is not an error, so only failures count
+ */
+const createLimiterMiddleware = (limiter, message, defaultRetryAfter, options = {}) => {
+  return async (req, res, next) => {
+    try {
+      const key = req.ip || req.connection.remoteAddress;
+      // Consumed up front so parallel requests cannot all slip through
+      await limiter.consume(key);
+
+      if (options.skipSuccessfulRequests) {
+        res.on('finish', () => {
+          if (res.statusCode < 400) {
+            limiter.reward(key).catch(() => {});
+          }
+        });
+      }
 
-// Authentication rate limiter middleware
-const authRateLimiterMiddleware = async (req, res, next) => {
-  try {
-    const key = req.ip || req.connection.remoteAddress;
-    await authRateLimiter.consume(key);
-    next();
-  } catch (error) {
-    if (error instanceof Error) {
-      return res.status(500).json({
-        success: false,
-        message: 'Rate limiter error',
-      });
+      next();
+    } catch (error) {
+      // The limiter itself failed
+      if (error instanceof Error) {
+        return next(error);
+      }
+
+      // Rate limit exceeded
+      next(
+        new AppError(message, 429, ERROR_CODES.RATE_LIMITED, {
+          retryAfter: Math.round(error.msBeforeNext / 1000) || defaultRetryAfter,
+        })
+      );
     }
-    
-    res.status(429).json({
-      success: false,
-      message: 'Too many authentication attempts. Please try again after 15 minutes.',
-      retryAfter: Math.round(error.msBeforeNext / 1000) || 900,
-    });
-  }
+  };
 };
 
+// General rate limiter middleware
+const rateLimiterMiddleware = createLimiterMiddleware(
+  rateLimiter,
+  'Too many requests. Please try again later.',
+  900
+);
+
+// Authentication rate limiter middleware, per endpoint
+// Successful logins do not count, so a shared office IP is not locked out
+const loginRateLimiterMiddleware = createLimiterMiddleware(
+  authRateLimiters.login,
+  'Too many failed login attempts. Please try again after 15 minutes.',
+  900,
+  { skipSuccessfulRequests: true }
+);
+
+const registerRateLimiterMiddleware = createLimiterMiddleware(
+  authRateLimiters.register,
+  'Too many accounts created. Please try again after an hour.',
+  3600
+);
+
+const refreshRateLimiterMiddleware = createLimiterMiddleware(
+  authRateLimiters.refresh,
+  'Too many token refreshes. Please try again later.',
+  900
+);
+
+const authEmailRateLimiterMiddleware = createLimiterMiddleware(
+  authRateLimiters.email,
+  'Too many emails requested. Please try again after an hour.',
+  3600
+);
+
+const authLinkRateLimiterMiddleware = createLimiterMiddleware(
+  authRateLimiters.link,
+  'Too many attempts. Please try again after 15 minutes.',
+  900
+);
+
 // Payment rate limiter middleware
-const paymentRateLimiterMiddleware = async (req, res, next) => {
-  try {
-    const key = req.ip || req.connection.remoteAddress;
-    await paymentRateLimiter.consume(key);
-    next();
-  } catch (error) {
-    if (error instanceof Error) {
-      return res.status(500).json({
-        success: false,
-        message: 'Rate limiter error',
-      });
-    }
-    
-    res.status(429).json({
-      success: false,
-      message: 'Too many payment requests. Please try again after 30 minutes.',
-      retryAfter: Math.round(error.msBeforeNext / 1000) || 1800,
-    });
-  }
-};
+const paymentRateLimiterMiddleware = createLimiterMiddleware(
+  paymentRateLimiter,
+  'Too many payment requests. Please try again after 30 minutes.',
+  1800
+);
 
 module.exports = {
   rateLimiterMiddleware,
-  authRateLimiterMiddleware,
+  loginRateLimiterMiddleware,
+  registerRateLimiterMiddleware,
+  refreshRateLimiterMiddleware,
+  authEmailRateLimiterMiddleware,
+  authLinkRateLimiterMiddleware,
   paymentRateLimiterMiddleware,
 };
\ No newline at end of file
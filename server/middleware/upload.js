@@ -0,0 +1,49 @@
+const multer = require('multer');
+const config = require('../config/env');
+const uploadService = require('../services/uploadService');
+const { ValidationError } = require('../utils/errors');
+
+// Files stay in memory so their contents can be checked before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.uploads.maxFileSize,
+    files: config.uploads.maxFiles,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!uploadService.allowedTypes.includes(file.mimetype)) {
+      return cb(
+        new ValidationError('Validation failed', [
+          {
+            field: 'images',
+            message: `${file.originalname} must be a JPEG, PNG or WebP image`,
+          },
+        ])
+      );
+    }
+    cb(null, true);
+  },
+});
+
+const maxSizeMb = config.uploads.maxFileSize / (1024 * 1024);
+
+// Readable messages for multer's limit errors
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each image must be ${maxSizeMb}MB or smaller`,
+  LIMIT_FILE_COUNT: `Upload at most ${config.uploads.maxFiles} images at a time`,
+  LIMIT_UNEXPECTED_FILE: 'Images must be sent in the "images" field',
+};
+
+// Parse up to UPLOAD_MAX_FILES images from the multipart "images" field
+exports.uploadImages = (req, res, next) => {
+  upload.array('images', config.uploads.maxFiles)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(
+        new ValidationError('Validation failed', [
+          { field: 'images', message: MULTER_MESSAGES[error.code] || error.message },
+        ])
+      );
+    }
+    next(error);
+  });
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { ValidationError } = require('../utils/errors');
 
 // Validation middleware wrapper
 const validate = (schema) => {
@@ -14,11 +15,7 @@ const validate = (schema) => {
         message: detail.message,
       }));
 
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors,
-      });
+      return next(new ValidationError('Validation failed', errors));
     }
 
     // Replace req.body with validated value
@@ -99,9 +96,9 @@ const loginSchema = Joi.object({
 });
 
 // Refresh token validation schema
+// Cookie-mode clients send no body; the token comes from the refresh cookie
 const refreshTokenSchema = Joi.object({
   refreshToken: Joi.string()
-    .required()
     .messages({
       'string.empty': 'Refresh token is required',
     }),
@@ -154,6 +151,69 @@ const changePasswordSchema = Joi.object({
     }),
 });
 
+// Forgot password validation schema
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .lowercase()
+    .trim()
+    .required()
+    .messages({
+      'string.empty': 'Email is required',
+      'string.email': 'Please provide a valid email address',
+    }),
+});
+
+// Reset password validation schema
+const resetPasswordSchema = Joi.object({
+  password: Joi.string()
+    .min(8)
+    .max(128)
+    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .required()
+    .messages({
+      'string.empty': 'Password is required',
+      'string.min': 'Password must be at least 8 characters',
+      'string.max': 'Password cannot exceed 128 characters',
+      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number',
+    }),
+});
+
+// A 6-digit authenticator code, or a backup code such as 3f9a-21bc
+const twoFactorCode = Joi.string()
+  .trim()
+  .pattern(/^(\d{6}|[0-9a-fA-F]{4}-?[0-9a-fA-F]{4})$/)
+  .required()
+  .messages({
+    'string.empty': 'Authentication code is required',
+    'string.pattern.base': 'Enter the 6-digit code from your authenticator app or a backup code',
+  });
+
+// Confirm an authenticator code (enable 2FA, new backup codes)
+const twoFactorCodeSchema = Joi.object({
+  code: twoFactorCode,
+});
+
+// Second login step
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Challenge token is required',
+    }),
+  code: twoFactorCode,
+});
+
+// Turning 2FA off needs the password as well as a code
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Password is required',
+    }),
+  code: twoFactorCode,
+});
+
 // Export validation middleware
 module.exports = {
   validate,
@@ -162,4 +222,9 @@ module.exports = {
   validateRefreshToken: validate(refreshTokenSchema),
   validateUpdateProfile: validate(updateProfileSchema),
   validateChangePassword: validate(changePasswordSchema),
+  validateForgotPassword: validate(forgotPasswordSchema),
+  validateResetPassword: validate(resetPasswordSchema),
+  validateTwoFactorCode: validate(twoFactorCodeSchema),
+  validateTwoFactorLogin: validate(twoFactorLoginSchema),
+  validateDisableTwoFactor: validate(disableTwoFactorSchema),
 };
\ No newline at end of file
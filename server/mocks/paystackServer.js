@@ -0,0 +1,552 @@
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * Paystack Mock Server
+ * In-memory stand-in for https://api.paystack.co so checkout, refunds and
+ * payouts can be exercised offline. Responses follow Paystack's
+ * { status, message, data } envelope and webhooks are signed with the
+ * same secret key the API uses to verify them.
+ */
+
+// A few Nigerian banks for GET /bank and recipient creation
+const BANKS = [
+  { id: 1, name: 'Access Bank', slug: 'access-bank', code: '044' },
+  { id: 2, name: 'First Bank of Nigeria', slug: 'first-bank-of-nigeria', code: '011' },
+  { id: 3, name: 'Guaranty Trust Bank', slug: 'guaranty-trust-bank', code: '058' },
+  { id: 4, name: 'United Bank For Africa', slug: 'united-bank-for-africa', code: '033' },
+  { id: 5, name: 'Zenith Bank', slug: 'zenith-bank', code: '057' },
+];
+
+// Transfers to this account number fail, to exercise transfer.failed
+const FAILING_ACCOUNT_NUMBER = '0000000000';
+
+/**
+ * Create the mock Paystack app
+ * @param {object} options
+ * @param {string} options.secretKey - Secret key expected in the Authorization header
+ * @param {string} options.webhookUrl - URL that receives signed webhooks
+ * @param {string} options.publicUrl - Public URL of the mock (used for checkout links)
+ * @param {number} options.webhookDelayMs - Delay before async events (refunds, transfers)
+ * @returns {express.Application} App with a `store` property exposing in-memory state
+ */
+const createPaystackMock = ({
+  secretKey,
+  webhookUrl,
+  publicUrl,
+  webhookDelayMs = 1000,
+}) => {
+  const app = express();
+
+  const store = {
+    transactions: new Map(), // by reference
+    customers: new Map(), // by email
+    refunds: new Map(), // by id
+    recipients: new Map(), // by recipient_code
+    transfers: new Map(), // by reference
+    webhooks: [], // delivery log
+  };
+  let nextId = 1000;
+
+  const randomCode = (prefix) =>
+    `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+  const ok = (res, message, data, status = 200) =>
+    res.status(status).json({ status: true, message, data });
+
+  const fail = (res, status, message) =>
+    res.status(status).json({ status: false, message });
+
+  /**
+   * Sign and POST an event to the configured webhook URL
+   */
+  const sendWebhook = async (event, data) => {
+    const body = JSON.stringify({ event, data });
+    const signature = crypto
+      .createHmac('sha512', secretKey)
+      .update(body)
+      .digest('hex');
+    const delivery = { event, reference: data.reference, sentAt: new Date() };
+
+    try {
+      const response = await axios.post(webhookUrl, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Paystack-Signature': signature,
+        },
+        timeout: 10000,
+      });
+      delivery.responseStatus = response.status;
+    } catch (error) {
+      delivery.responseStatus = error.response?.status;
+      delivery.error = error.message;
+      console.error(`[paystack-mock] Webhook ${event} failed: ${error.message}`);
+    }
+
+    store.webhooks.push(delivery);
+    return delivery;
+  };
+
+  /**
+   * Find or create a customer record
+   */
+  const upsertCustomer = (email, details = {}) => {
+    let customer = store.customers.get(email);
+
+    if (!customer) {
+      customer = {
+        id: nextId++,
+        email,
+        customer_code: randomCode('CUS'),
+        first_name: null,
+        last_name: null,
+        phone: null,
+        createdAt: new Date().toISOString(),
+      };
+      store.customers.set(email, customer);
+    }
+
+    Object.assign(customer, details);
+    return customer;
+  };
+
+  const findTransaction = (idOrReference) => {
+    if (store.transactions.has(String(idOrReference))) {
+      return store.transactions.get(String(idOrReference));
+    }
+
+    return [...store.transactions.values()].find(
+      (transaction) => String(transaction.id) === String(idOrReference)
+    );
+  };
+
+  const findByAccessCode = (accessCode) =>
+    [...store.transactions.values()].find(
+      (transaction) => transaction.access_code === accessCode
+    );
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  /**
+   * Hosted checkout page (no auth, opened by the customer's browser)
+   */
+  app.get('/checkout/:accessCode', (req, res) => {
+    const transaction = findByAccessCode(req.params.accessCode);
+
+    if (!transaction) {
+      return res.status(404).send('Unknown checkout session');
+    }
+
+    if (transaction.status !== 'pending') {
+      return res
+        .status(409)
+        .send(`Transaction ${transaction.reference} is already ${transaction.status}`);
+    }
+
+    const naira = (transaction.amount / 100).toLocaleString('en-NG');
+
+    res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Paystack Mock Checkout</title>
+  <style>
+    body { font-family: sans-serif; max-width: 420px; margin: 60px auto; }
+    button { display: block; width: 100%; padding: 12px; margin: 8px 0; font-size: 16px; cursor: pointer; }
+    .success { background: #0ba4db; color: #fff; border: 0; }
+    .failed { background: #e53935; color: #fff; border: 0; }
+  </style>
+</head>
+<body>
+  <h2>Paystack Mock Checkout</h2>
+  <p><strong>${transaction.customer.email}</strong> is paying <strong>₦${naira}</strong></p>
+  <p>Reference: <code>${transaction.reference}</code></p>
+  <form method="post">
+    <button class="success" name="outcome" value="success">Simulate successful payment</button>
+    <button class="failed" name="outcome" value="failed">Simulate failed payment</button>
+    <button name="outcome" value="abandoned">Abandon payment</button>
+  </form>
+</body>
+</html>`);
+  });
+
+  /**
+   * Complete a checkout with the chosen outcome, fire the webhook and
+   * redirect back to the callback URL like Paystack does
+   */
+  app.post('/checkout/:accessCode', async (req, res) => {
+    const transaction = findByAccessCode(req.params.accessCode);
+    const outcome = req.body.outcome;
+
+    if (!transaction) {
+      return res.status(404).send('Unknown checkout session');
+    }
+
+    if (!['success', 'failed', 'abandoned'].includes(outcome)) {
+      return res.status(400).send('Outcome must be success, failed or abandoned');
+    }
+
+    if (transaction.status !== 'pending') {
+      return res
+        .status(409)
+        .send(`Transaction ${transaction.reference} is already ${transaction.status}`);
+    }
+
+    transaction.status = outcome;
+
+    if (outcome === 'success') {
+      transaction.paid_at = new Date().toISOString();
+      transaction.channel = 'card';
+      transaction.gateway_response = 'Successful';
+      transaction.authorization = {
+        authorization_code: randomCode('AUTH'),
+        bin: '408408',
+        last4: '4081',
+        exp_month: '12',
+        exp_year: '2030',
+        channel: 'card',
+        card_type: 'visa',
+        bank: 'TEST BANK',
+        country_code: 'NG',
+        brand: 'visa',
+        reusable: true,
+      };
+      await sendWebhook('charge.success', transaction);
+    } else if (outcome === 'failed') {
+      transaction.channel = 'card';
+      transaction.gateway_response = 'Declined';
+      await sendWebhook('charge.failed', transaction);
+    } else {
+      // Paystack sends no webhook for abandoned checkouts
+      transaction.gateway_response = 'The transaction was not completed';
+    }
+
+    if (!transaction.callback_url) {
+      return res.send(`Transaction ${transaction.reference} ${outcome}`);
+    }
+
+    const callback = new URL(transaction.callback_url);
+    callback.searchParams.set('trxref', transaction.reference);
+    callback.searchParams.set('reference', transaction.reference);
+    res.redirect(callback.toString());
+  });
+
+  /**
+   * Inspect in-memory state (no auth; development only)
+   */
+  app.get('/_mock/state', (req, res) => {
+    res.json({
+      transactions: [...store.transactions.values()],
+      customers: [...store.customers.values()],
+      refunds: [...store.refunds.values()],
+      recipients: [...store.recipients.values()],
+      transfers: [...store.transfers.values()],
+      webhooks: store.webhooks,
+    });
+  });
+
+  // Everything below mirrors the Paystack API and needs the secret key
+  app.use((req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${secretKey}`) {
+      return fail(res, 401, 'Invalid key');
+    }
+    next();
+  });
+
+  /**
+   * Transactions
+   */
+  app.post('/transaction/initialize', (req, res) => {
+    const { email, amount, reference, metadata, callback_url } = req.body;
+
+    if (!email) {
+      return fail(res, 400, 'Email is required');
+    }
+
+    if (!Number.isInteger(Number(amount)) || Number(amount) < 100) {
+      return fail(res, 400, 'Invalid amount');
+    }
+
+    const txReference = reference || crypto.randomBytes(6).toString('hex');
+    if (store.transactions.has(txReference)) {
+      return fail(res, 400, 'Duplicate Transaction Reference');
+    }
+
+    const accessCode = crypto.randomBytes(8).toString('hex');
+    const customer = upsertCustomer(email);
+
+    const transaction = {
+      id: nextId++,
+      domain: 'test',
+      status: 'pending',
+      reference: txReference,
+      amount: Number(amount),
+      currency: 'NGN',
+      gateway_response: null,
+      paid_at: null,
+      created_at: new Date().toISOString(),
+      channel: null,
+      metadata: metadata || {},
+      customer: {
+        id: customer.id,
+        email: customer.email,
+        customer_code: customer.customer_code,
+      },
+      authorization: null,
+      access_code: accessCode,
+      callback_url,
+    };
+    store.transactions.set(txReference, transaction);
+
+    ok(res, 'Authorization URL created', {
+      authorization_url: `${publicUrl}/checkout/${accessCode}`,
+      access_code: accessCode,
+      reference: txReference,
+    });
+  });
+
+  app.get('/transaction', (req, res) => {
+    const from = req.query.from ? new Date(req.query.from) : new Date(0);
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const perPage = Math.min(Number(req.query.perPage) || 50, 100);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+
+    const matches = [...store.transactions.values()].filter((transaction) => {
+      const createdAt = new Date(transaction.created_at);
+      return createdAt >= from && createdAt <= to;
+    });
+    const pageCount = Math.max(Math.ceil(matches.length / perPage), 1);
+
+    res.json({
+      status: true,
+      message: 'Transactions retrieved',
+      data: matches.slice((page - 1) * perPage, page * perPage),
+      meta: { total: matches.length, perPage, page, pageCount },
+    });
+  });
+
+  app.get('/transaction/verify/:reference', (req, res) => {
+    const transaction = store.transactions.get(req.params.reference);
+
+    if (!transaction) {
+      return fail(res, 404, 'Transaction reference not found');
+    }
+
+    ok(res, 'Verification successful', transaction);
+  });
+
+  app.get('/transaction/:id', (req, res) => {
+    const transaction = findTransaction(req.params.id);
+
+    if (!transaction) {
+      return fail(res, 404, 'Transaction not found');
+    }
+
+    ok(res, 'Transaction retrieved', transaction);
+  });
+
+  /**
+   * Refunds
+   */
+  app.post('/refund', (req, res) => {
+    const transaction = findTransaction(req.body.transaction);
+
+    if (!transaction) {
+      return fail(res, 404, 'Transaction not found');
+    }
+
+    if (transaction.status !== 'success') {
+      return fail(res, 400, 'Cannot refund a transaction that was not successful');
+    }
+
+    const refunded = [...store.refunds.values()]
+      .filter((refund) => refund.transaction.id === transaction.id && refund.status !== 'failed')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    const amount = req.body.amount ? Number(req.body.amount) : transaction.amount - refunded;
+
+    if (!Number.isInteger(amount) || amount <= 0 || refunded + amount > transaction.amount) {
+      return fail(res, 400, 'Refund amount cannot be more than the unrefunded transaction amount');
+    }
+
+    const refund = {
+      id: nextId++,
+      transaction: { id: transaction.id, reference: transaction.reference },
+      amount,
+      currency: transaction.currency,
+      status: 'pending',
+      customer_note: req.body.customer_note,
+      merchant_note: req.body.merchant_note,
+      refunded_at: null,
+      createdAt: new Date().toISOString(),
+    };
+    store.refunds.set(String(refund.id), refund);
+
+    // Paystack settles refunds asynchronously
+    setTimeout(() => {
+      refund.status = 'processed';
+      refund.refunded_at = new Date().toISOString();
+      if (refunded + amount === transaction.amount) {
+        transaction.status = 'reversed';
+      }
+      sendWebhook('refund.processed', {
+        id: refund.id,
+        status: refund.status,
+        amount: refund.amount,
+        currency: refund.currency,
+        transaction_reference: transaction.reference,
+        refund_reference: `RFD-${refund.id}`,
+        processed_at: refund.refunded_at,
+        customer: transaction.customer,
+      });
+    }, webhookDelayMs).unref();
+
+    ok(res, 'Refund has been queued for processing', refund);
+  });
+
+  app.get('/refund', (req, res) => {
+    ok(res, 'Refunds retrieved', [...store.refunds.values()]);
+  });
+
+  app.get('/refund/:id', (req, res) => {
+    const refund = store.refunds.get(req.params.id);
+
+    if (!refund) {
+      return fail(res, 404, 'Refund not found');
+    }
+
+    ok(res, 'Refund retrieved', refund);
+  });
+
+  /**
+   * Transfers
+   */
+  app.get('/bank', (req, res) => {
+    ok(res, 'Banks retrieved', BANKS);
+  });
+
+  app.post('/transferrecipient', (req, res) => {
+    const { type = 'nuban', name, account_number, bank_code } = req.body;
+    const bank = BANKS.find((b) => b.code === bank_code);
+
+    if (!name || !/^\d{10}$/.test(account_number || '')) {
+      return fail(res, 400, 'Account number and name are required');
+    }
+
+    if (!bank) {
+      return fail(res, 400, 'Unknown bank code');
+    }
+
+    const recipient = {
+      id: nextId++,
+      type,
+      name,
+      recipient_code: randomCode('RCP'),
+      active: true,
+      details: {
+        account_number,
+        account_name: name,
+        bank_code,
+        bank_name: bank.name,
+      },
+      createdAt: new Date().toISOString(),
+    };
+    store.recipients.set(recipient.recipient_code, recipient);
+
+    ok(res, 'Transfer recipient created successfully', recipient, 201);
+  });
+
+  app.post('/transfer', (req, res) => {
+    const { amount, recipient: recipientCode, reason, reference } = req.body;
+    const recipient = store.recipients.get(recipientCode);
+
+    if (!recipient) {
+      return fail(res, 400, 'Invalid recipient');
+    }
+
+    if (!Number.isInteger(Number(amount)) || Number(amount) < 100) {
+      return fail(res, 400, 'Invalid amount');
+    }
+
+    const txReference = reference || crypto.randomBytes(8).toString('hex');
+    if (store.transfers.has(txReference)) {
+      return fail(res, 400, 'Duplicate Transfer Reference');
+    }
+
+    const transfer = {
+      id: nextId++,
+      amount: Number(amount),
+      currency: 'NGN',
+      reason,
+      reference: txReference,
+      transfer_code: randomCode('TRF'),
+      status: 'pending',
+      recipient,
+      createdAt: new Date().toISOString(),
+    };
+    store.transfers.set(txReference, transfer);
+
+    setTimeout(() => {
+      const failed = recipient.details.account_number === FAILING_ACCOUNT_NUMBER;
+      transfer.status = failed ? 'failed' : 'success';
+      if (failed) {
+        transfer.reason = 'Could not credit recipient account';
+      }
+      sendWebhook(failed ? 'transfer.failed' : 'transfer.success', transfer);
+    }, webhookDelayMs).unref();
+
+    ok(res, 'Transfer has been queued', transfer);
+  });
+
+  app.get('/transfer/verify/:reference', (req, res) => {
+    const transfer = store.transfers.get(req.params.reference);
+
+    if (!transfer) {
+      return fail(res, 404, 'Transfer not found');
+    }
+
+    ok(res, 'Transfer retrieved', transfer);
+  });
+
+  /**
+   * Customers
+   */
+  app.post('/customer', (req, res) => {
+    const { email, first_name, last_name, phone } = req.body;
+
+    if (!email) {
+      return fail(res, 400, 'Email is required');
+    }
+
+    const existed = store.customers.has(email);
+    const customer = upsertCustomer(email, { first_name, last_name, phone });
+
+    ok(res, existed ? 'Customer updated' : 'Customer created', customer);
+  });
+
+  app.get('/customer/:emailOrCode', (req, res) => {
+    const customer = [...store.customers.values()].find(
+      (c) =>
+        c.email === req.params.emailOrCode ||
+        c.customer_code === req.params.emailOrCode
+    );
+
+    if (!customer) {
+      return fail(res, 404, 'Customer not found');
+    }
+
+    ok(res, 'Customer retrieved', customer);
+  });
+
+  app.use((req, res) => {
+    fail(res, 404, `Mock does not implement ${req.method} ${req.path}`);
+  });
+
+  app.store = store;
+  app.sendWebhook = sendWebhook;
+
+  return app;
+};
+
+module.exports = { createPaystackMock, FAILING_ACCOUNT_NUMBER };
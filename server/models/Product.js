@@ -1,5 +1,206 @@
 const mongoose = require('mongoose');
 
+// One attribute of a variant, e.g. { name: 'Size', value: 'Large' }
+const VariantAttributeSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Attribute name is required'],
+      trim: true,
+    },
+    value: {
+      type: String,
+      required: [true, 'Attribute value is required'],
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// A stocked version of the product, e.g. Large / Tan
+const VariantSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: [true, 'SKU is required'],
+      trim: true,
+      uppercase: true,
+      maxlength: [40, 'SKU cannot exceed 40 characters'],
+    },
+    attributes: {
+      type: [VariantAttributeSchema],
+      validate: {
+        validator: function (arr) {
+          return arr && arr.length > 0;
+        },
+        message: 'Variant must have at least one attribute',
+      },
+    },
+    // Replaces the product's basePrice when set
+    price: {
+      type: Number,
+      min: [0, 'Variant price cannot be negative'],
+    },
+    // Units available to sell; reserved units are already taken off
+    stock: {
+      type: Number,
+      default: 0,
+      min: [0, 'Stock cannot be negative'],
+    },
+    // Units held by open orders that have not shipped yet
+    reserved: {
+      type: Number,
+      default: 0,
+      min: [0, 'Reserved stock cannot be negative'],
+    },
+    lowStockThreshold: {
+      type: Number,
+      default: 5,
+      min: [0, 'Low-stock threshold cannot be negative'],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    _id: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+VariantSchema.virtual('inStock').get(function () {
+  return this.active && this.stock > 0;
+});
+
+VariantSchema.virtual('isLowStock').get(function () {
+  return this.stock <= this.lowStockThreshold;
+});
+
+// "Size: Large / Colour: Tan"
+VariantSchema.virtual('label').get(function () {
+  return (this.attributes || [])
+    .map((attribute) => `${attribute.name}: ${attribute.value}`)
+    .join(' / ');
+});
+
+// Stable key for an attribute combination, independent of attribute order
+const attributeKey = (attributes = []) =>
+  attributes
+    .map((attribute) => `${attribute.name.toLowerCase()}=${attribute.value.toLowerCase()}`)
+    .sort()
+    .join('|');
+
+// One stored size and format of a product image
+const ImageSourceSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true, trim: true },
+    width: Number,
+    height: Number,
+    format: {
+      type: String,
+      enum: ['avif', 'webp', 'jpeg', 'png'],
+    },
+    // Bytes
+    size: Number,
+  },
+  { _id: false }
+);
+
+// A product photo. `url` is the largest JPEG/PNG and works everywhere;
+// `sources` holds the resized AVIF/WebP/JPEG files for srcset.
+const ProductImageSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, 'Image URL is required'],
+      trim: true,
+    },
+    alt: {
+      type: String,
+      trim: true,
+      maxlength: [150, 'Alt text cannot exceed 150 characters'],
+    },
+    // Lower numbers are shown first; the first image is the cover
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    width: Number,
+    height: Number,
+    // Placeholder drawn while the image loads
+    blurhash: String,
+    sources: {
+      type: [ImageSourceSchema],
+      default: [],
+    },
+  },
+  { _id: true }
+);
+
+/**
+ * Check custom option definitions fit together
+ * @param {Array} options - customOptions
+ * @returns {string|null} The first problem found, or null
+ */
+const checkCustomOptions = (options = []) => {
+  const seen = new Map();
+
+  for (const option of options) {
+    const hasChoices = option.type === 'select' || option.type === 'color';
+
+    if (seen.has(option.name)) {
+      return `Option "${option.name}" is defined more than once`;
+    }
+
+    if (option.default && hasChoices && !option.options.includes(option.default)) {
+      return `Default for "${option.name}" must be one of its options`;
+    }
+
+    const unknownValue = (option.valueModifiers || []).find(
+      (modifier) => hasChoices && !option.options.includes(modifier.value)
+    );
+    if (unknownValue) {
+      return `Price modifier for "${option.name}" has unknown value "${unknownValue.value}"`;
+    }
+
+    const { minLength, maxLength, min, max } = option;
+
+    if (minLength != null && maxLength != null && minLength > maxLength) {
+      return `Minimum length of "${option.name}" exceeds its maximum length`;
+    }
+
+    if (min != null && max != null && min > max) {
+      return `Minimum of "${option.name}" exceeds its maximum`;
+    }
+
+    if (option.showIf && option.showIf.option) {
+      const parent = seen.get(option.showIf.option);
+
+      if (!parent) {
+        return `"${option.name}" can only depend on an option listed before it`;
+      }
+
+      if (!option.showIf.values || option.showIf.values.length === 0) {
+        return `"${option.name}" must list the values of "${parent.name}" that show it`;
+      }
+
+      const parentHasChoices = parent.type === 'select' || parent.type === 'color';
+      const unknown = option.showIf.values.find(
+        (value) => parentHasChoices && !parent.options.includes(value)
+      );
+      if (unknown) {
+        return `"${option.name}" depends on unknown value "${unknown}" of "${parent.name}"`;
+      }
+    }
+
+    seen.set(option.name, option);
+  }
+
+  return null;
+};
+
 const ProductSchema = new mongoose.Schema(
   {
     name: {
@@ -15,8 +216,15 @@ const ProductSchema = new mongoose.Schema(
       min: [0, 'Base price cannot be negative'],
     },
     images: {
-      type: [String],
+      type: [ProductImageSchema],
       required: [true, 'At least one image is required'],
+      // Plain URL strings (older clients, seeds) become image objects;
+      // images sent without a sortOrder keep the order they came in
+      set: (images) =>
+        (images || []).map((image, index) => {
+          const value = typeof image === 'string' ? { url: image } : image;
+          return value.sortOrder == null ? { ...value, sortOrder: index } : value;
+        }),
       validate: {
         validator: function (arr) {
           return arr && arr.length > 0;
@@ -32,6 +240,12 @@ const ProductSchema = new mongoose.Schema(
             required: true,
             trim: true,
           },
+          // Shown to the customer instead of the name when set
+          label: {
+            type: String,
+            trim: true,
+            maxlength: [60, 'Option label cannot exceed 60 characters'],
+          },
           type: {
             type: String,
             required: true,
@@ -53,13 +267,88 @@ const ProductSchema = new mongoose.Schema(
               message: 'Options array is required for select and color types',
             },
           },
+          required: {
+            type: Boolean,
+            default: false,
+          },
+          // Pre-selected value, used when the customer leaves the option blank
+          default: {
+            type: String,
+            trim: true,
+          },
+          // Charged for any value without its own entry in valueModifiers
           priceModifier: {
             type: Number,
             default: 0,
           },
+          // Optional per-value modifiers, e.g. Large costs more than Small.
+          // When a value has an entry here it overrides priceModifier.
+          valueModifiers: {
+            type: [
+              {
+                _id: false,
+                value: { type: String, required: true, trim: true },
+                priceModifier: { type: Number, required: true },
+              },
+            ],
+            default: [],
+          },
+          // Length limits for text options
+          minLength: {
+            type: Number,
+            min: [0, 'Minimum length cannot be negative'],
+          },
+          maxLength: {
+            type: Number,
+            min: [1, 'Maximum length must be at least 1'],
+          },
+          // Range for number options
+          min: Number,
+          max: Number,
+          // Only offer this option when an earlier option has one of these
+          // values, e.g. monogram text only if Monogram = Yes
+          showIf: {
+            type: {
+              _id: false,
+              option: { type: String, trim: true },
+              values: { type: [String], default: undefined },
+            },
+            default: undefined,
+          },
         },
       ],
       default: [],
+      validate: {
+        validator: function (arr) {
+          const problem = checkCustomOptions(arr);
+          if (problem) {
+            throw new Error(problem);
+          }
+          return true;
+        },
+      },
+    },
+    // Optional stocked variants. Products without variants are made to order
+    // and have no stock limit.
+    variants: {
+      type: [VariantSchema],
+      default: [],
+      validate: [
+        {
+          validator: function (arr) {
+            const skus = arr.map((variant) => variant.sku);
+            return new Set(skus).size === skus.length;
+          },
+          message: 'Each variant must have a different SKU',
+        },
+        {
+          validator: function (arr) {
+            const keys = arr.map((variant) => attributeKey(variant.attributes));
+            return new Set(keys).size === keys.length;
+          },
+          message: 'Each variant must have a different combination of attributes',
+        },
+      ],
     },
     description: {
       type: String,
@@ -69,13 +358,9 @@ const ProductSchema = new mongoose.Schema(
       maxlength: [2000, 'Description cannot exceed 2000 characters'],
     },
     category: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
       required: [true, 'Product category is required'],
-      enum: {
-        values: ['tote', 'sling', 'clutch', 'backpack', 'crossbody'],
-        message: '{VALUE} is not a valid category',
-      },
-      lowercase: true,
     },
     featured: {
       type: Boolean,
@@ -108,12 +393,50 @@ const ProductSchema = new mongoose.Schema(
 ProductSchema.index({ category: 1, createdAt: -1 });
 ProductSchema.index({ featured: 1, createdAt: -1 });
 ProductSchema.index({ name: 'text', description: 'text' });
+// SKUs are unique across the whole catalogue
+ProductSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
 
 // Virtual to expose _id as id for frontend routing
 ProductSchema.virtual('id').get(function () {
   return this._id.toString();
 });
 
+// Cover image: the image with the lowest sortOrder
+ProductSchema.virtual('primaryImage').get(function () {
+  if (!this.images || this.images.length === 0) return null;
+  return [...this.images].sort((a, b) => a.sortOrder - b.sortOrder)[0];
+});
+
+ProductSchema.virtual('hasVariants').get(function () {
+  return (this.variants || []).some((variant) => variant.active);
+});
+
+// Units available across active variants; null for made-to-order products
+ProductSchema.virtual('totalStock').get(function () {
+  if (!this.hasVariants) return null;
+  return this.variants
+    .filter((variant) => variant.active)
+    .reduce((sum, variant) => sum + variant.stock, 0);
+});
+
+ProductSchema.virtual('inStock').get(function () {
+  return !this.hasVariants || this.totalStock > 0;
+});
+
+// Lowest and highest price before customisation, for listings
+ProductSchema.virtual('priceRange').get(function () {
+  const prices = this.hasVariants
+    ? this.variants
+        .filter((variant) => variant.active)
+        .map((variant) => variant.price ?? this.basePrice)
+    : [this.basePrice];
+
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+});
+
 // Virtual for reviews
 ProductSchema.virtual('reviews', {
   ref: 'Review',
@@ -122,20 +445,89 @@ ProductSchema.virtual('reviews', {
   justOne: false,
 });
 
+// Find a variant by ID or SKU
+ProductSchema.methods.findVariant = function (idOrSku) {
+  if (!idOrSku) return null;
+  const key = String(idOrSku);
+
+  return (
+    this.variants.find(
+      (variant) => variant._id.toString() === key || variant.sku === key.toUpperCase()
+    ) || null
+  );
+};
+
+// Method to get the price modifier for one selected option value
+ProductSchema.methods.getOptionPriceModifier = function (optionName, value) {
+  const option = this.customOptions.find((opt) => opt.name === optionName);
+
+  if (!option || value === undefined || value === null || value === '') {
+    return 0;
+  }
+
+  const valueModifier = (option.valueModifiers || []).find(
+    (vm) => vm.value === String(value)
+  );
+
+  if (valueModifier) {
+    return valueModifier.priceModifier;
+  }
+
+  return option.priceModifier || 0;
+};
+
+// Whether an option is offered given the values chosen so far
+ProductSchema.methods.isOptionActive = function (option, selection = {}) {
+  if (!option.showIf || !option.showIf.option) {
+    return true;
+  }
+
+  const value = selection[option.showIf.option];
+  return value !== undefined && option.showIf.values.includes(String(value));
+};
+
+/**
+ * Apply defaults to a customer's choices and drop options that their
+ * other choices hide. Options are resolved in order, so an option can
+ * only depend on one listed before it.
+ * @param {object} selectedOptions - { optionName: value }
+ * @returns {object} The effective { optionName: value } selection
+ */
+ProductSchema.methods.resolveSelection = function (selectedOptions = {}) {
+  const selection = {};
+
+  this.customOptions.forEach((option) => {
+    if (!this.isOptionActive(option, selection)) {
+      return;
+    }
+
+    const value = selectedOptions[option.name];
+    if (value !== undefined && value !== null && value !== '') {
+      selection[option.name] = String(value);
+    } else if (option.default) {
+      selection[option.name] = option.default;
+    }
+  });
+
+  return selection;
+};
+
 // Method to calculate final price with custom options
-ProductSchema.methods.calculatePrice = function (selectedOptions = {}) {
-  let finalPrice = this.basePrice;
+// A variant's own price replaces the base price
+ProductSchema.methods.calculatePrice = function (selectedOptions = {}, variant = null) {
+  let finalPrice = variant?.price ?? this.basePrice;
+  const selection = this.resolveSelection(selectedOptions);
 
   // Add price modifiers from selected custom options
   this.customOptions.forEach((option) => {
-    if (selectedOptions[option.name] && option.priceModifier) {
-      finalPrice += option.priceModifier;
-    }
+    finalPrice += this.getOptionPriceModifier(option.name, selection[option.name]);
   });
 
   return finalPrice;
 };
 
+ProductSchema.statics.checkCustomOptions = checkCustomOptions;
+
 // Static method to get products with pagination
 ProductSchema.statics.getPaginated = async function (
   filters = {},
@@ -146,6 +538,7 @@ ProductSchema.statics.getPaginated = async function (
     limit = 12,
     sort = '-createdAt',
     select = '-__v',
+    populate,
   } = options;
 
   const skip = (page - 1) * limit;
@@ -156,6 +549,10 @@ ProductSchema.statics.getPaginated = async function (
     .skip(skip)
     .limit(limit);
 
+  if (populate) {
+    query.populate(populate);
+  }
+
   const products = await query;
   const total = await this.countDocuments(filters);
 
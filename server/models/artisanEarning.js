@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// What an artisan earned from one delivered order
+const ArtisanEarningSchema = new mongoose.Schema(
+  {
+    artisan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // One earning per order
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      unique: true,
+    },
+    // Order value after discount, excluding shipping (Naira)
+    grossAmount: {
+      type: Number,
+      required: true,
+      min: [0, 'Gross amount cannot be negative'],
+    },
+    commissionPercent: {
+      type: Number,
+      required: true,
+    },
+    commissionAmount: {
+      type: Number,
+      required: true,
+    },
+    netAmount: {
+      type: Number,
+      required: true,
+      min: [0, 'Net amount cannot be negative'],
+    },
+    // available -> in_payout -> paid; reversed if the order is returned first
+    status: {
+      type: String,
+      enum: {
+        values: ['available', 'in_payout', 'paid', 'reversed'],
+        message: '{VALUE} is not a valid earning status',
+      },
+      default: 'available',
+    },
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payout',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+ArtisanEarningSchema.index({ artisan: 1, status: 1 });
+
+module.exports = mongoose.model('ArtisanEarning', ArtisanEarningSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+/**
+ * Category Model
+ * Admin-managed product categories. Categories can be nested one inside
+ * another; products are filed under a single category.
+ */
+
+// "Mini Tote Bags" -> "mini-tote-bags"
+const slugify = (value) =>
+  value
+    .toString()
+    .toLowerCase()
+    .trim()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+const CategorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Category name is required'],
+      trim: true,
+      minlength: [2, 'Category name must be at least 2 characters'],
+      maxlength: [50, 'Category name cannot exceed 50 characters'],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain letters, numbers and hyphens'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    image: {
+      type: String,
+      trim: true,
+    },
+    // Lower numbers are listed first
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+    // Inactive categories are hidden from shoppers and cannot take new products
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+CategorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+CategorySchema.index({ active: 1 });
+
+// Derive the slug from the name unless one was given
+CategorySchema.pre('validate', function (next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+/**
+ * Find a category by ID or slug
+ * @param {string} idOrSlug
+ * @param {object} filters - Extra conditions, e.g. { active: true }
+ * @returns {Promise<object|null>}
+ */
+CategorySchema.statics.findByIdOrSlug = function (idOrSlug, filters = {}) {
+  const key = mongoose.isValidObjectId(idOrSlug) ? { _id: idOrSlug } : { slug: idOrSlug };
+  return this.findOne({ ...key, ...filters });
+};
+
+/**
+ * IDs of a category and every category nested beneath it
+ * @param {ObjectId} categoryId
+ * @param {object} filters - Applied to descendants, e.g. { active: true }
+ * @returns {Promise<ObjectId[]>}
+ */
+CategorySchema.statics.getDescendantIds = async function (categoryId, filters = {}) {
+  const ids = [categoryId];
+  let level = [categoryId];
+
+  while (level.length > 0) {
+    const children = await this.find({ parent: { $in: level }, ...filters }).select('_id');
+    level = children.map((child) => child._id);
+    ids.push(...level);
+  }
+
+  return ids;
+};
+
+/**
+ * Would making `parentId` the parent of `categoryId` create a loop?
+ * @param {ObjectId} categoryId
+ * @param {ObjectId} parentId
+ * @returns {Promise<boolean>}
+ */
+CategorySchema.statics.wouldCreateCycle = async function (categoryId, parentId) {
+  const descendants = await this.getDescendantIds(categoryId);
+  return descendants.some((id) => id.toString() === parentId.toString());
+};
+
+CategorySchema.statics.slugify = slugify;
+
+module.exports = mongoose.model('Category', CategorySchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// An outgoing email. Rendered when queued so the stored copy is exactly
+// what was (or will be) sent; failed sends are retried from here.
+const EmailMessageSchema = new mongoose.Schema(
+  {
+    template: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    to: {
+      type: String,
+      required: [true, 'Recipient is required'],
+      trim: true,
+      lowercase: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    html: {
+      type: String,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    // Stops the same notification being queued twice, e.g. 'shipped:<orderId>'
+    dedupeKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'sending', 'sent', 'failed'],
+        message: '{VALUE} is not a valid email status',
+      },
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    nextAttemptAt: Date,
+    sentAt: Date,
+    // Message ID reported by the transport
+    messageId: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+EmailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailMessageSchema.index({ order: 1, createdAt: -1 });
+EmailMessageSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailMessage', EmailMessageSchema);
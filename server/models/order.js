@@ -0,0 +1,587 @@
+const mongoose = require('mongoose');
+const {
+  ORDER_STATUSES,
+  STATUS_LABELS,
+  STATUS_TRANSITIONS,
+  FULFILMENT_PATH,
+  DEPOSIT_PAYABLE_STATUSES,
+  BALANCE_PAYABLE_STATUSES,
+  PAYMENT_REQUIREMENTS,
+  REFUNDABLE_STATUSES,
+  canTransition,
+} = require('../config/orderStatus');
+const { ValidationError, ERROR_CODES } = require('../utils/errors');
+
+// Selected customisation on a line item (snapshot at order time)
+const CustomSpecSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Specification name is required'],
+      trim: true,
+    },
+    value: {
+      type: String,
+      required: [true, 'Specification value is required'],
+      trim: true,
+    },
+    priceAdjustment: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const OrderItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product is required'],
+    },
+    // Name and image are copied so the order still reads correctly
+    // if the product is later edited or removed
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    image: String,
+    // Stocked variant, when the product has variants
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    sku: {
+      type: String,
+      trim: true,
+    },
+    variantAttributes: {
+      type: [
+        {
+          _id: false,
+          name: { type: String, trim: true },
+          value: { type: String, trim: true },
+        },
+      ],
+      default: undefined,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1'],
+      default: 1,
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit price cannot be negative'],
+    },
+    customSpecs: {
+      type: [CustomSpecSchema],
+      default: [],
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+      min: [0, 'Subtotal cannot be negative'],
+    },
+  },
+  { _id: true }
+);
+
+// One entry per status change, oldest first
+const StatusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: true,
+    },
+    from: {
+      type: String,
+      enum: ORDER_STATUSES,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Who triggered the change; 'system' covers webhooks and jobs
+    source: {
+      type: String,
+      enum: ['customer', 'admin', 'system'],
+      default: 'system',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Money returned to the customer against one Paystack transaction
+const RefundSchema = new mongoose.Schema(
+  {
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: true,
+    },
+    paymentType: {
+      type: String,
+      enum: ['deposit', 'balance'],
+      required: true,
+    },
+    // Reference of the refunded Paystack transaction
+    transactionReference: {
+      type: String,
+      required: true,
+    },
+    // Amount in Naira
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, 'Refund amount must be at least 1'],
+    },
+    amountInKobo: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Refund reason cannot exceed 500 characters'],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'processed', 'failed'],
+        message: '{VALUE} is not a valid refund status',
+      },
+      default: 'pending',
+    },
+    paystackRefundId: String,
+    failureReason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    processedAt: Date,
+  },
+  { _id: true }
+);
+
+const OrderSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Artisan making the bag; earns a payout once the order is delivered
+    artisan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Order title cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    },
+    items: {
+      type: [OrderItemSchema],
+      validate: {
+        validator: function (arr) {
+          return arr && arr.length > 0;
+        },
+        message: 'Order must have at least one item',
+      },
+    },
+    images: {
+      type: [String],
+      default: [],
+    },
+    deadline: Date,
+    shippingAddress: {
+      street: { type: String, required: [true, 'Street address is required'] },
+      city: String,
+      state: String,
+      zipCode: String,
+      country: {
+        type: String,
+        default: 'Nigeria',
+      },
+      phone: {
+        type: String,
+        required: [true, 'Contact phone number is required'],
+      },
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+      min: [0, 'Subtotal cannot be negative'],
+    },
+    shippingFee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Shipping fee cannot be negative'],
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: [0, 'Total cannot be negative'],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ORDER_STATUSES,
+        message: '{VALUE} is not a valid order status',
+      },
+      default: 'pending',
+    },
+    statusHistory: {
+      type: [StatusHistorySchema],
+      default: [],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+    // Payment fields (individual transactions live in the Payment collection)
+    depositAmount: {
+      type: Number,
+      required: true,
+      min: [0, 'Deposit cannot be negative'],
+    },
+    balanceAmount: {
+      type: Number,
+      required: true,
+      min: [0, 'Balance cannot be negative'],
+    },
+    paymentStatus: {
+      type: String,
+      enum: {
+        values: ['unpaid', 'deposit_paid', 'paid', 'partially_refunded', 'refunded'],
+        message: '{VALUE} is not a valid payment status',
+      },
+      default: 'unpaid',
+    },
+    depositPaid: {
+      type: Boolean,
+      default: false,
+    },
+    depositPaidAt: Date,
+    balancePaid: {
+      type: Boolean,
+      default: false,
+    },
+    balancePaidAt: Date,
+    paidAt: Date,
+    refunds: {
+      type: [RefundSchema],
+      default: [],
+    },
+    cancelledAt: Date,
+    cancellationReason: String,
+    // Stock held for variant items: reserved when the order is placed,
+    // released if it is cancelled or the deposit fails, committed on shipping
+    stockStatus: {
+      type: String,
+      enum: {
+        values: ['none', 'reserved', 'released', 'committed'],
+        message: '{VALUE} is not a valid stock status',
+      },
+      default: 'none',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+OrderSchema.index({ user: 1, createdAt: -1 });
+OrderSchema.index({ status: 1, createdAt: -1 });
+OrderSchema.index({ artisan: 1, status: 1 });
+OrderSchema.index({ 'refunds.transactionReference': 1 });
+
+// Total number of bags in the order
+OrderSchema.virtual('itemCount').get(function () {
+  return (this.items || []).reduce((sum, item) => sum + item.quantity, 0);
+});
+
+// Record the initial status when the order is first created
+OrderSchema.pre('validate', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedBy: this.user,
+      source: 'customer',
+    });
+  }
+  next();
+});
+
+// Line items that draw on variant stock
+OrderSchema.methods.getStockedItems = function () {
+  return (this.items || []).filter((item) => item.variant);
+};
+
+// Virtual for payments made against this order
+OrderSchema.virtual('payments', {
+  ref: 'Payment',
+  localField: '_id',
+  foreignField: 'order',
+  justOne: false,
+});
+
+// Amount still owed on the order
+OrderSchema.virtual('amountDue').get(function () {
+  let due = 0;
+  if (!this.depositPaid) due += this.depositAmount || 0;
+  if (!this.balancePaid) due += this.balanceAmount || 0;
+  return due;
+});
+
+// Amount the customer has paid so far
+OrderSchema.virtual('amountPaid').get(function () {
+  let paid = 0;
+  if (this.depositPaid) paid += this.depositAmount || 0;
+  if (this.balancePaid) paid += this.balanceAmount || 0;
+  return paid;
+});
+
+// Amount actually returned to the customer
+OrderSchema.virtual('refundedAmount').get(function () {
+  return (this.refunds || [])
+    .filter((refund) => refund.status === 'processed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+});
+
+// Every payment made has gone back to the customer
+OrderSchema.virtual('fullyRefunded').get(function () {
+  return this.amountPaid > 0 && this.refundedAmount >= this.amountPaid;
+});
+
+// Which payment the customer should make next, if any
+OrderSchema.methods.getNextPaymentType = function () {
+  if (this.status === 'cancelled') return null;
+  if (!this.depositPaid) {
+    return DEPOSIT_PAYABLE_STATUSES.includes(this.status) ? 'deposit' : null;
+  }
+  if (!this.balancePaid && this.balanceAmount > 0) {
+    return BALANCE_PAYABLE_STATUSES.includes(this.status) ? 'balance' : null;
+  }
+  return null;
+};
+
+// Exposed to the client so it knows which pay button to show
+OrderSchema.virtual('nextPaymentType').get(function () {
+  return this.getNextPaymentType();
+});
+
+// Record a successful deposit or balance payment on the order
+OrderSchema.methods.markPaymentReceived = function (type, paidAt = new Date()) {
+  if (type === 'deposit') {
+    this.depositPaid = true;
+    this.depositPaidAt = paidAt;
+    // A 100% deposit settles the whole order
+    if (this.balanceAmount === 0) {
+      this.balancePaid = true;
+      this.balancePaidAt = paidAt;
+    }
+  } else if (type === 'balance') {
+    this.balancePaid = true;
+    this.balancePaidAt = paidAt;
+  }
+
+  if (this.depositPaid && this.balancePaid) {
+    this.paymentStatus = 'paid';
+    this.paidAt = paidAt;
+  } else if (this.depositPaid) {
+    this.paymentStatus = 'deposit_paid';
+  }
+
+  return this;
+};
+
+// Check whether paid money may be refunded in the current status
+OrderSchema.methods.isRefundable = function () {
+  return REFUNDABLE_STATUSES.includes(this.status);
+};
+
+// Amount of a payment not yet refunded or awaiting a refund
+OrderSchema.methods.getRefundableAmount = function (payment) {
+  const committed = this.refunds
+    .filter(
+      (refund) =>
+        refund.payment.toString() === payment._id.toString() &&
+        refund.status !== 'failed'
+    )
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+  return Math.max(payment.amount - committed, 0);
+};
+
+// Recompute paymentStatus after a refund settles
+OrderSchema.methods.syncRefundStatus = function () {
+  const refunded = this.refundedAmount;
+
+  if (refunded > 0) {
+    this.paymentStatus =
+      refunded >= this.amountPaid ? 'refunded' : 'partially_refunded';
+  }
+
+  return this;
+};
+
+// Reason a status change is blocked by an outstanding payment, or null
+OrderSchema.methods.getPaymentBlocker = function (status) {
+  const requirement = PAYMENT_REQUIREMENTS[status];
+
+  if (requirement && !this[requirement.field]) {
+    return requirement.message;
+  }
+
+  return null;
+};
+
+// Check whether the order may move to the given status
+OrderSchema.methods.canTransitionTo = function (status) {
+  return canTransition(this.status, status);
+};
+
+// Statuses the order may move to next
+OrderSchema.methods.getAllowedTransitions = function () {
+  return STATUS_TRANSITIONS[this.status] || [];
+};
+
+// Move the order to a new status and record it in the history.
+// Throws a ValidationError if the transition is not allowed; the caller must save().
+OrderSchema.methods.transitionTo = function (
+  status,
+  { changedBy, source = 'system', notes } = {}
+) {
+  if (!this.canTransitionTo(status)) {
+    throw new ValidationError(
+      `Cannot change order status from ${this.status} to ${status}`,
+      undefined,
+      {
+        code: ERROR_CODES.INVALID_STATUS_TRANSITION,
+        details: { allowedTransitions: this.getAllowedTransitions() },
+      }
+    );
+  }
+
+  const paymentBlocker = this.getPaymentBlocker(status);
+  if (paymentBlocker) {
+    throw new ValidationError(paymentBlocker, undefined, {
+      code: ERROR_CODES.PAYMENT_REQUIRED,
+    });
+  }
+
+  const from = this.status;
+  this.status = status;
+  this.statusHistory.push({ status, from, changedBy, source, notes });
+
+  if (status === 'cancelled') {
+    this.cancelledAt = new Date();
+  }
+
+  return this;
+};
+
+// Build a timeline of completed and upcoming steps for display
+OrderSchema.methods.getTimeline = function () {
+  const events = this.statusHistory.map((entry) => ({
+    status: entry.status,
+    label: STATUS_LABELS[entry.status],
+    from: entry.from,
+    source: entry.source,
+    changedBy: entry.changedBy,
+    notes: entry.notes,
+    at: entry.changedAt,
+  }));
+
+  // Upcoming steps only make sense while the order is still on the happy path
+  const position = FULFILMENT_PATH.indexOf(this.status);
+  const upcoming =
+    position === -1
+      ? []
+      : FULFILMENT_PATH.slice(position + 1).map((status) => ({
+          status,
+          label: STATUS_LABELS[status],
+        }));
+
+  return {
+    currentStatus: this.status,
+    currentLabel: STATUS_LABELS[this.status],
+    events,
+    upcoming,
+  };
+};
+
+// Check whether a user may view/modify this order
+OrderSchema.methods.isAccessibleBy = function (user) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  const ownerId = this.user && this.user._id ? this.user._id : this.user;
+  return ownerId.toString() === user._id.toString();
+};
+
+// Static method to get orders with pagination
+OrderSchema.statics.getPaginated = async function (filters = {}, options = {}) {
+  const {
+    page = 1,
+    limit = 10,
+    sort = '-createdAt',
+    populate = [],
+  } = options;
+
+  const skip = (page - 1) * limit;
+
+  let query = this.find(filters).sort(sort).skip(skip).limit(limit);
+  populate.forEach((p) => {
+    query = query.populate(p);
+  });
+
+  const orders = await query;
+  const total = await this.countDocuments(filters);
+
+  return {
+    orders,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalOrders: total,
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1,
+    },
+  };
+};
+
+module.exports = mongoose.model('Order', OrderSchema);
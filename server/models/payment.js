@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const PaymentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Made-to-order bags are paid in two parts
+    type: {
+      type: String,
+      enum: {
+        values: ['deposit', 'balance'],
+        message: '{VALUE} is not a valid payment type',
+      },
+      required: true,
+    },
+    // Amount in Naira
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Amount cannot be negative'],
+    },
+    // Amount in kobo as sent to Paystack
+    amountInKobo: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: 'NGN',
+    },
+    // Paystack transaction reference (idempotency key)
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'success', 'failed', 'abandoned'],
+        message: '{VALUE} is not a valid payment status',
+      },
+      default: 'pending',
+    },
+    authorizationUrl: String,
+    accessCode: String,
+    channel: String,
+    gatewayResponse: String,
+    failureReason: String,
+    authorizationCode: {
+      type: String,
+      select: false,
+    },
+    paidAt: Date,
+    // Which path confirmed the payment first
+    verifiedVia: {
+      type: String,
+      enum: ['verify', 'webhook', 'reconciliation'],
+    },
+    verifiedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+PaymentSchema.index({ order: 1, type: 1, status: 1 });
+PaymentSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const PayoutSchema = new mongoose.Schema(
+  {
+    artisan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    earnings: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ArtisanEarning',
+      },
+    ],
+    // Amount in Naira
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, 'Payout amount must be at least 1'],
+    },
+    amountInKobo: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: 'NGN',
+    },
+    status: {
+      type: String,
+      enum: {
+        values: [
+          'pending_approval',
+          'processing',
+          'retrying',
+          'success',
+          'failed',
+        ],
+        message: '{VALUE} is not a valid payout status',
+      },
+      default: 'pending_approval',
+    },
+    // Batch this payout was created in
+    batchId: {
+      type: String,
+      index: true,
+    },
+    recipientCode: String,
+    // Reference of the current transfer attempt (a new one per retry)
+    reference: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // References of earlier attempts, so their late webhooks still match
+    previousReferences: {
+      type: [String],
+      index: true,
+    },
+    transferCode: String,
+    // Reference of the attempt that paid the artisan
+    paidReference: String,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    // retrying: when to send the next attempt. processing: when to ask
+    // Paystack about the current one if no webhook has arrived
+    nextAttemptAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    approvedAt: Date,
+    paidAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+PayoutSchema.index({ artisan: 1, createdAt: -1 });
+PayoutSchema.index({ status: 1, createdAt: -1 });
+// Retry job: payouts that are due
+PayoutSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('Payout', PayoutSchema);
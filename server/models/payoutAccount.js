@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Bank account an artisan is paid into (a Paystack transfer recipient)
+const PayoutAccountSchema = new mongoose.Schema(
+  {
+    artisan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    bankCode: {
+      type: String,
+      required: [true, 'Bank code is required'],
+      trim: true,
+    },
+    bankName: {
+      type: String,
+      trim: true,
+    },
+    // Full NUBAN is only needed to create the recipient
+    accountNumber: {
+      type: String,
+      required: [true, 'Account number is required'],
+      match: [/^\d{10}$/, 'Account number must be 10 digits'],
+      select: false,
+    },
+    accountLast4: String,
+    accountName: {
+      type: String,
+      required: [true, 'Account name is required'],
+      trim: true,
+      maxlength: [100, 'Account name cannot exceed 100 characters'],
+    },
+    // Paystack transfer recipient code (RCP_xxx)
+    recipientCode: {
+      type: String,
+      required: true,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PayoutAccountSchema.pre('validate', function (next) {
+  if (this.isModified('accountNumber') && this.accountNumber) {
+    this.accountLast4 = this.accountNumber.slice(-4);
+  }
+  next();
+});
+
+module.exports = mongoose.model('PayoutAccount', PayoutAccountSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// One discrepancy between Paystack and our records
+const ReconciliationIssueSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        'missing_webhook',
+        'missed_failure',
+        'amount_mismatch',
+        'status_mismatch',
+        'orphan_charge',
+        'not_on_paystack',
+      ],
+      required: true,
+    },
+    reference: String,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    paystackStatus: String,
+    localStatus: String,
+    // Amounts in kobo
+    paystackAmount: Number,
+    localAmount: Number,
+    fixed: {
+      type: Boolean,
+      default: false,
+    },
+    note: String,
+  },
+  { _id: false }
+);
+
+const ReconciliationReportSchema = new mongoose.Schema(
+  {
+    from: {
+      type: Date,
+      required: true,
+    },
+    to: {
+      type: Date,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ['schedule', 'cli', 'admin'],
+      required: true,
+    },
+    autoFix: {
+      type: Boolean,
+      default: true,
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+    summary: {
+      paystackTransactions: { type: Number, default: 0 },
+      localPayments: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      issues: { type: Number, default: 0 },
+      fixed: { type: Number, default: 0 },
+    },
+    issues: {
+      type: [ReconciliationIssueSchema],
+      default: [],
+    },
+    error: String,
+    finishedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+ReconciliationReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', ReconciliationReportSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Every refresh rotates `tokenId`; a refresh token
+// carrying an older id means it was copied, and the whole session is revoked.
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // `jti` of the only refresh token currently valid for this session
+    tokenId: {
+      type: String,
+      required: true,
+    },
+    // The token it replaced, tolerated briefly so two tabs refreshing at
+    // once are not mistaken for theft
+    previousTokenId: String,
+    rotatedAt: Date,
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Refresh tokens are valid for 7 days from their last use
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: {
+        values: [
+          'logout',
+          'revoked',
+          'revoked_all',
+          'token_reuse',
+          'password_reset',
+          'password_change',
+          'two_factor_enabled',
+          'limit',
+        ],
+        message: '{VALUE} is not a valid revocation reason',
+      },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+SessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// MongoDB deletes sessions a day after they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+SessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// "Chrome on Windows" style label for the sessions list
+SessionSchema.virtual('device').get(function () {
+  const ua = this.userAgent || '';
+  const browser =
+    (/Edg\//.test(ua) && 'Edge') ||
+    (/OPR\//.test(ua) && 'Opera') ||
+    (/Chrome\//.test(ua) && 'Chrome') ||
+    (/Firefox\//.test(ua) && 'Firefox') ||
+    (/Safari\//.test(ua) && 'Safari') ||
+    null;
+  const os =
+    (/Android/.test(ua) && 'Android') ||
+    (/iPhone|iPad|iPod/.test(ua) && 'iOS') ||
+    (/Windows/.test(ua) && 'Windows') ||
+    (/Mac OS X/.test(ua) && 'macOS') ||
+    (/Linux/.test(ua) && 'Linux') ||
+    null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+});
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -1,7 +1,9 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const config = require('../config/env');
+const { TOKEN_TYPES } = require('../utils/jwt');
 
 const UserSchema = new mongoose.Schema(
   {
@@ -40,15 +42,19 @@ const UserSchema = new mongoose.Schema(
     role: {
       type: String,
       enum: {
-        values: ['buyer', 'admin'],
+        values: ['buyer', 'artisan', 'admin'],
         message: '{VALUE} is not a valid role',
       },
       default: 'buyer',
     },
+    // Set once the user opens the emailed verification link
     verified: {
       type: Boolean,
-      default: false, // Email verification disabled for MVP
+      default: false,
     },
+    verifiedAt: Date,
+    // Last verification email, used to throttle resends
+    verificationSentAt: Date,
     address: {
       street: String,
       city: String,
@@ -59,12 +65,58 @@ const UserSchema = new mongoose.Schema(
         default: 'Nigeria',
       },
     },
-    refreshToken: {
+    // SHA-256 of the emailed reset token; the token itself is never stored
+    resetPasswordToken: {
       type: String,
       select: false,
     },
-    resetPasswordToken: String,
-    resetPasswordExpire: Date,
+    resetPasswordExpire: {
+      type: Date,
+      select: false,
+    },
+    // Tokens issued before this are rejected
+    passwordChangedAt: Date,
+    // Failed logins since the last success (services/loginProtectionService.js)
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      select: false,
+    },
+    lockUntil: {
+      type: Date,
+      select: false,
+    },
+    // TOTP second factor (services/twoFactorService.js). Secrets are stored
+    // encrypted and backup codes as SHA-256 hashes.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Set by /2fa/setup; becomes `secret` once a code from it is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      backupCodes: {
+        type: [String],
+        select: false,
+      },
+      // Time step of the last accepted code, so each code works only once
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -98,13 +150,15 @@ UserSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
-// Generate JWT access token (15 minutes expiry)
-UserSchema.methods.generateAccessToken = function () {
+// Generate JWT access token (15 minutes expiry) for a session
+UserSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       id: this._id,
       email: this.email,
       role: this.role,
+      sid: sessionId,
+      type: TOKEN_TYPES.ACCESS,
     },
     config.jwt.secret,
     {
@@ -113,11 +167,14 @@ UserSchema.methods.generateAccessToken = function () {
   );
 };
 
-// Generate JWT refresh token (7 days expiry)
-UserSchema.methods.generateRefreshToken = function () {
+// Generate JWT refresh token (7 days expiry); `jti` changes on every refresh
+UserSchema.methods.generateRefreshToken = function (session) {
   return jwt.sign(
     {
       id: this._id,
+      sid: session._id,
+      jti: session.tokenId,
+      type: TOKEN_TYPES.REFRESH,
     },
     config.jwt.secret,
     {
@@ -126,13 +183,44 @@ UserSchema.methods.generateRefreshToken = function () {
   );
 };
 
+// Hash a one-time token (password reset) for storage and lookup
+UserSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Start a password reset; returns the plain token to email to the user
+UserSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = this.constructor.hashToken(token);
+  this.resetPasswordExpire = new Date(
+    Date.now() + config.auth.passwordResetExpireMinutes * 60 * 1000
+  );
+
+  return token;
+};
+
+// Check whether a token (JWT `iat`, in seconds) predates the last password change
+UserSchema.methods.changedPasswordAfter = function (issuedAt) {
+  if (!this.passwordChangedAt || !issuedAt) return false;
+  return issuedAt < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
 // Method to get public profile (exclude sensitive data)
 UserSchema.methods.getPublicProfile = function () {
   const userObject = this.toObject();
   delete userObject.password;
-  delete userObject.refreshToken;
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpire;
+  delete userObject.failedLoginAttempts;
+  delete userObject.lastFailedLoginAt;
+  delete userObject.lockUntil;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt,
+    };
+  }
   return userObject;
 };
 
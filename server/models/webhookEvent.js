@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const WebhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      default: 'paystack',
+    },
+    // Event type, e.g. charge.success
+    event: {
+      type: String,
+      trim: true,
+    },
+    reference: {
+      type: String,
+      index: true,
+    },
+    // Deduplication key; only set for events with a valid signature
+    eventKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // Exact body as received, kept for audits and signature re-checks
+    rawBody: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    signatureValid: {
+      type: Boolean,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['received', 'processing', 'processed', 'failed', 'ignored', 'rejected'],
+        message: '{VALUE} is not a valid webhook status',
+      },
+      default: 'received',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    nextAttemptAt: Date,
+    processedAt: Date,
+    // Number of times Paystack re-sent this event after we first stored it
+    duplicateCount: {
+      type: Number,
+      default: 0,
+    },
+    lastDuplicateAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+WebhookEventSchema.index({ status: 1, createdAt: -1 });
+WebhookEventSchema.index({ event: 1, createdAt: -1 });
+// Retry job: failed events that are due
+WebhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
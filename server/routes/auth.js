@@ -8,6 +8,19 @@ const {
   logout,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  unlockAccount,
 } = require('../controllers/authController');
 const {
   validateRegister,
@@ -15,37 +28,54 @@ const {
   validateRefreshToken,
   validateUpdateProfile,
   validateChangePassword,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateDisableTwoFactor,
 } = require('../middleware/validation');
 const { isAuth, verifyRefreshToken } = require('../middleware/auth');
-const { authRateLimiterMiddleware } = require('../middleware/rateLimiter');
+const {
+  loginRateLimiterMiddleware,
+  registerRateLimiterMiddleware,
+  refreshRateLimiterMiddleware,
+  authEmailRateLimiterMiddleware,
+  authLinkRateLimiterMiddleware,
+} = require('../middleware/rateLimiter');
 
-// Apply auth rate limiter to all auth routes
-router.use(authRateLimiterMiddleware);
+// Public endpoints get their own limits on top of the general limiter;
+// signed-in routes rely on the general limiter
 
 // @route   POST /api/v1/auth/register
 // @desc    Register new user
 // @access  Public
-router.post('/register', validateRegister, register);
+router.post('/register', registerRateLimiterMiddleware, validateRegister, register);
 
 // @route   POST /api/v1/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', validateLogin, login);
+router.post('/login', loginRateLimiterMiddleware, validateLogin, login);
 
 // @route   POST /api/v1/auth/refresh
-// @desc    Refresh access token using refresh token
+// @desc    Exchange a refresh token for a new access and refresh token
 // @access  Public (requires refresh token)
-router.post('/refresh', validateRefreshToken, verifyRefreshToken, refreshToken);
+router.post(
+  '/refresh',
+  refreshRateLimiterMiddleware,
+  validateRefreshToken,
+  verifyRefreshToken,
+  refreshToken
+);
 
 // @route   GET /api/v1/auth/me
 // @desc    Get current logged in user
 // @access  Private
 router.get('/me', isAuth, getMe);
 
-// @route   GET /api/v1/auth/logout
-// @desc    Logout user (clear refresh token)
+// @route   POST /api/v1/auth/logout
+// @desc    Logout user (revoke this device's session, clear auth cookies)
 // @access  Private
-router.get('/logout', isAuth, logout);
+router.post('/logout', isAuth, logout);
 
 // @route   PUT /api/v1/auth/update
 // @desc    Update user profile
@@ -57,4 +87,89 @@ router.put('/update', isAuth, validateUpdateProfile, updateProfile);
 // @access  Private
 router.put('/password', isAuth, validateChangePassword, changePassword);
 
+// @route   POST /api/v1/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  '/forgot-password',
+  authEmailRateLimiterMiddleware,
+  validateForgotPassword,
+  forgotPassword
+);
+
+// @route   POST /api/v1/auth/reset-password/:token
+// @desc    Reset password with the emailed token
+// @access  Public
+router.post(
+  '/reset-password/:token',
+  authLinkRateLimiterMiddleware,
+  validateResetPassword,
+  resetPassword
+);
+
+// @route   POST /api/v1/auth/verify-email/:token
+// @desc    Confirm email address from the emailed link
+// @access  Public
+router.post('/verify-email/:token', authLinkRateLimiterMiddleware, verifyEmail);
+
+// @route   POST /api/v1/auth/resend-verification
+// @desc    Send another verification email (throttled)
+// @access  Private
+router.post(
+  '/resend-verification',
+  isAuth,
+  authEmailRateLimiterMiddleware,
+  resendVerification
+);
+
+// @route   GET /api/v1/auth/sessions
+// @desc    List signed-in devices
+// @access  Private
+router.get('/sessions', isAuth, getSessions);
+
+// @route   DELETE /api/v1/auth/sessions
+// @desc    Sign out every device except this one
+// @access  Private
+router.delete('/sessions', isAuth, revokeOtherSessions);
+
+// @route   DELETE /api/v1/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', isAuth, revokeSession);
+
+// @route   POST /api/v1/auth/unlock/:token
+// @desc    Unlock an account locked by failed logins (emailed link)
+// @access  Public
+router.post('/unlock/:token', authLinkRateLimiterMiddleware, unlockAccount);
+
+// @route   POST /api/v1/auth/2fa/verify
+// @desc    Finish a login with an authenticator or backup code
+// @access  Public (requires the challenge token from login)
+router.post(
+  '/2fa/verify',
+  loginRateLimiterMiddleware,
+  validateTwoFactorLogin,
+  verifyTwoFactorLogin
+);
+
+// @route   POST /api/v1/auth/2fa/setup
+// @desc    Start 2FA enrolment (QR code for an authenticator app)
+// @access  Private
+router.post('/2fa/setup', isAuth, setupTwoFactor);
+
+// @route   POST /api/v1/auth/2fa/enable
+// @desc    Confirm enrolment with a code; returns backup codes
+// @access  Private
+router.post('/2fa/enable', isAuth, validateTwoFactorCode, enableTwoFactor);
+
+// @route   POST /api/v1/auth/2fa/backup-codes
+// @desc    Replace the backup codes
+// @access  Private
+router.post('/2fa/backup-codes', isAuth, validateTwoFactorCode, regenerateBackupCodes);
+
+// @route   POST /api/v1/auth/2fa/disable
+// @desc    Turn 2FA off (password and code required)
+// @access  Private
+router.post('/2fa/disable', isAuth, validateDisableTwoFactor, disableTwoFactor);
+
 module.exports = router;
\ No newline at end of file
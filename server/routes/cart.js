@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { validateCart } = require('../controllers/cartController');
+const { validateCartItems } = require('../middleware/orderValidation');
+const { rateLimiterMiddleware } = require('../middleware/rateLimiter');
+
+// Apply general rate limiter to all cart routes
+router.use(rateLimiterMiddleware);
+
+// @route   POST /api/v1/cart/validate
+// @desc    Check cart items and their customisations against the products
+// @access  Public
+router.post('/validate', validateCartItems, validateCart);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCategories,
+  getAllCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require('../controllers/categoryController');
+const {
+  validateCreateCategory,
+  validateUpdateCategory,
+  validateCategoryQuery,
+} = require('../middleware/categoryValidation');
+const { isAuth, isAdmin } = require('../middleware/auth');
+const { rateLimiterMiddleware } = require('../middleware/rateLimiter');
+
+// Apply general rate limiter to all category routes
+router.use(rateLimiterMiddleware);
+
+// ===== Admin Routes =====
+
+// @route   GET /api/v1/categories/admin/all
+// @desc    List every category, including inactive ones
+// @access  Private/Admin
+// Query params: ?tree=true
+router.get('/admin/all', isAuth, isAdmin, validateCategoryQuery, getAllCategories);
+
+// @route   POST /api/v1/categories
+// @desc    Create a category
+// @access  Private/Admin
+router.post('/', isAuth, isAdmin, validateCreateCategory, createCategory);
+
+// @route   PUT /api/v1/categories/:id
+// @desc    Update a category (rename, move, reorder, deactivate)
+// @access  Private/Admin
+router.put('/:id', isAuth, isAdmin, validateUpdateCategory, updateCategory);
+
+// @route   DELETE /api/v1/categories/:id
+// @desc    Delete a category with no products or subcategories
+// @access  Private/Admin
+router.delete('/:id', isAuth, isAdmin, deleteCategory);
+
+// ===== Public Routes =====
+
+// @route   GET /api/v1/categories
+// @desc    List active categories with product counts
+// @access  Public
+// Query params: ?tree=true
+router.get('/', validateCategoryQuery, getCategories);
+
+// @route   GET /api/v1/categories/:idOrSlug
+// @desc    Get an active category with its subcategories
+// @access  Public
+router.get('/:idOrSlug', getCategory);
+
+module.exports = router;
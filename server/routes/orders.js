@@ -1,19 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const {
+  getOrderQuote,
   createCustomOrder,
   getMyOrders,
   getOrder,
+  getOrderTimeline,
   getAllOrders,
   updateOrderStatus,
   cancelOrder,
+  assignArtisan,
+  createRefund,
+  getOrderRefunds,
 } = require('../controllers/orderController');
 const {
+  validateOrderQuote,
   validateCreateCustomOrder,
   validateUpdateOrderStatus,
+  validateCancelOrder,
+  validateCreateRefund,
+  validateAssignArtisan,
   validateQuery,
 } = require('../middleware/orderValidation');
-const { isAuth, isAdmin } = require('../middleware/auth');
+const { isAuth, isAdmin, requireVerifiedEmail } = require('../middleware/auth');
 const { rateLimiterMiddleware } = require('../middleware/rateLimiter');
 
 // Apply rate limiter to all order routes
@@ -21,10 +30,22 @@ router.use(rateLimiterMiddleware);
 
 // ===== Customer Routes =====
 
+// @route   POST /api/v1/orders/quote
+// @desc    Price items server-side (subtotal, discount, shipping, total) without saving
+// @access  Private
+router.post('/quote', isAuth, validateOrderQuote, getOrderQuote);
+
 // @route   POST /api/v1/orders/custom
-// @desc    Create custom order (validates customSpecs, calculates total, saves as PENDING)
+// @desc    Create custom order (validates customSpecs, calculates total, saves as PENDING).
+//          `total` is the figure the buyer was shown; 409 PRICE_CHANGED if it differs
 // @access  Private
-router.post('/custom', isAuth, validateCreateCustomOrder, createCustomOrder);
+router.post(
+  '/custom',
+  isAuth,
+  requireVerifiedEmail('checkout'),
+  validateCreateCustomOrder,
+  createCustomOrder
+);
 
 // @route   GET /api/v1/orders/my
 // @desc    Get my orders (with user and product population)
@@ -36,10 +57,20 @@ router.get('/my', isAuth, validateQuery, getMyOrders);
 // @access  Private
 router.get('/:id', isAuth, getOrder);
 
+// @route   GET /api/v1/orders/:id/timeline
+// @desc    Get order status history and upcoming steps (own order or admin)
+// @access  Private
+router.get('/:id/timeline', isAuth, getOrderTimeline);
+
 // @route   PUT /api/v1/orders/:id/cancel
-// @desc    Cancel order (only if status is pending)
+// @desc    Cancel order (customer: pending/awaiting deposit only; admin: any cancellable status)
 // @access  Private
-router.put('/:id/cancel', isAuth, cancelOrder);
+router.put('/:id/cancel', isAuth, validateCancelOrder, cancelOrder);
+
+// @route   GET /api/v1/orders/:id/refunds
+// @desc    Get refunds recorded on an order (own order or admin)
+// @access  Private
+router.get('/:id/refunds', isAuth, getOrderRefunds);
 
 // ===== Admin Routes =====
 
@@ -49,8 +80,18 @@ router.put('/:id/cancel', isAuth, cancelOrder);
 router.get('/admin/all', isAuth, isAdmin, validateQuery, getAllOrders);
 
 // @route   PUT /api/v1/admin/orders/:id/status
-// @desc    Update order status (admin only)
+// @desc    Update order status (admin only, must follow the allowed transitions)
 // @access  Private/Admin
 router.put('/admin/:id/status', isAuth, isAdmin, validateUpdateOrderStatus, updateOrderStatus);
 
+// @route   PUT /api/v1/orders/admin/:id/artisan
+// @desc    Assign the artisan making the order (earns a payout on delivery)
+// @access  Private/Admin
+router.put('/admin/:id/artisan', isAuth, isAdmin, validateAssignArtisan, assignArtisan);
+
+// @route   POST /api/v1/orders/admin/:id/refunds
+// @desc    Refund a cancelled or returned order via Paystack (full, deposit, balance or custom amount)
+// @access  Private/Admin
+router.post('/admin/:id/refunds', isAuth, isAdmin, validateCreateRefund, createRefund);
+
 module.exports = router;
\ No newline at end of file
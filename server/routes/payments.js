@@ -6,10 +6,17 @@ const {
   initializePayment,
   verifyPayment,
   handleWebhook,
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+  runReconciliation,
+  listReconciliationReports,
+  getReconciliationReport,
 } = require('../controllers/paymentController');
-const { isAuth } = require('../middleware/auth');
+const { isAuth, isAdmin, requireVerifiedEmail } = require('../middleware/auth');
 const { rateLimiterMiddleware } = require('../middleware/rateLimiter');
 const logger = require('../utils/logger');
+const { ValidationError, AuthError, ERROR_CODES } = require('../utils/errors');
 
 /**
  * Payment Routes
@@ -44,9 +51,9 @@ const validateInitializePayment = (req, res, next) => {
         'any.required': 'Order ID is required',
       }),
 
-    amount: Joi.number().positive().optional().messages({
-      'number.positive': 'Amount must be greater than 0',
-      'number.base': 'Amount must be a number',
+    // The amount is always taken from the order
+    type: Joi.string().valid('deposit', 'balance').optional().messages({
+      'any.only': 'Payment type must be either deposit or balance',
     }),
   });
 
@@ -61,11 +68,7 @@ const validateInitializePayment = (req, res, next) => {
       message: detail.message,
     }));
 
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors,
-    });
+    return next(new ValidationError('Validation failed', errors));
   }
 
   req.body = value;
@@ -98,22 +101,94 @@ const validateVerifyPayment = (req, res, next) => {
       message: detail.message,
     }));
 
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors,
-    });
+    return next(new ValidationError('Validation failed', errors));
   }
 
   req.params = value;
   next();
 };
 
+/**
+ * Validate webhook event list query
+ */
+const validateWebhookEventQuery = (req, res, next) => {
+  req.query = mongoSanitize.sanitize(req.query);
+
+  const schema = Joi.object({
+    status: Joi.string()
+      .valid('received', 'processing', 'processed', 'failed', 'ignored', 'rejected')
+      .messages({
+        'any.only': 'Status must be one of: received, processing, processed, failed, ignored, rejected',
+      }),
+    event: Joi.string().trim().max(100),
+    reference: Joi.string().trim().max(255),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  });
+
+  const { error, value } = schema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+
+    return next(new ValidationError('Invalid query parameters', errors));
+  }
+
+  req.query = value;
+  next();
+};
+
+/**
+ * Validate reconciliation run request
+ */
+const validateReconciliation = (req, res, next) => {
+  req.body = mongoSanitize.sanitize(req.body);
+
+  const schema = Joi.object({
+    from: Joi.date().iso().required().messages({
+      'any.required': 'from date is required',
+    }),
+    to: Joi.date().iso().greater(Joi.ref('from')).required().messages({
+      'date.greater': 'to must be after from',
+      'any.required': 'to date is required',
+    }),
+    autoFix: Joi.boolean().default(true),
+  });
+
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+
+    return next(new ValidationError('Validation failed', errors));
+  }
+
+  req.body = value;
+  next();
+};
+
 /**
  * Middleware to capture raw body for webhook signature verification
- * This must be applied BEFORE express.json()
+ * The global JSON parser already stores it for the webhook path; this
+ * covers the case where the router is mounted without that parser.
  */
 const captureRawBody = (req, res, next) => {
+  if (req.rawBody !== undefined) {
+    return next();
+  }
+
   req.rawBody = '';
 
   req.on('data', (chunk) => {
@@ -129,10 +204,11 @@ const captureRawBody = (req, res, next) => {
         logger.error('Invalid JSON in webhook', {
           error: error.message,
         });
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid JSON payload',
-        });
+        return next(
+          new ValidationError('Invalid JSON payload', undefined, {
+            code: ERROR_CODES.INVALID_JSON,
+          })
+        );
       }
     }
     next();
@@ -147,10 +223,9 @@ const verifyWebhookSignature = (req, res, next) => {
 
   if (!signature) {
     logger.warn('Webhook received without X-Paystack-Signature header');
-    return res.status(401).json({
-      success: false,
-      message: 'Missing signature header',
-    });
+    return next(
+      new AuthError('Missing signature header', { code: ERROR_CODES.INVALID_SIGNATURE })
+    );
   }
 
   // Signature verification is done in the controller
@@ -168,7 +243,7 @@ const verifyWebhookSignature = (req, res, next) => {
  * Request body:
  * {
  *   "orderId": "507f1f77bcf86cd799439011",
- *   "amount": 15000 // optional, defaults to order total
+ *   "type": "deposit" // optional, defaults to whichever payment is due
  * }
  *
  * Response:
@@ -177,15 +252,17 @@ const verifyWebhookSignature = (req, res, next) => {
  *   "data": {
  *     "authorizationUrl": "https://checkout.paystack.com/...",
  *     "accessCode": "123456",
- *     "reference": "ref123456",
- *     "amount": 15000,
- *     "amountInKobo": 1500000
+ *     "reference": "LTB-439011-DEPOSIT-1734517800000-a1b2c3d4",
+ *     "type": "deposit",
+ *     "amount": 7500,
+ *     "amountInKobo": 750000
  *   }
  * }
  */
 router.post(
   '/initialize',
   isAuth,
+  requireVerifiedEmail('checkout'),
   rateLimiterMiddleware, // Prevent abuse
   validateInitializePayment,
   initializePayment
@@ -203,10 +280,15 @@ router.post(
  * {
  *   "success": true,
  *   "data": {
+ *     "reference": "LTB-439011-DEPOSIT-1734517800000-a1b2c3d4",
+ *     "type": "deposit",
  *     "status": "success",
- *     "amount": 15000,
+ *     "amount": 7500,
+ *     "paidAt": "2025-12-18T10:30:00Z",
+ *     "orderId": "507f1f77bcf86cd799439011",
  *     "depositPaid": true,
- *     "paidAt": "2025-12-18T10:30:00Z"
+ *     "balancePaid": false,
+ *     "paymentStatus": "deposit_paid"
  *   }
  * }
  */
@@ -231,7 +313,9 @@ router.post(
  *
  * Security:
  * - Signature verified against PAYSTACK_SECRET_KEY
- * - Idempotent processing using reference
+ * - Every event stored in the WebhookEvent collection
+ * - Idempotent processing: re-deliveries of a handled event are skipped
+ * - Failed handlers retried with backoff (config/paystack.js retry)
  * - Raw body required for signature verification
  *
  * Note:
@@ -242,6 +326,60 @@ router.post(
  */
 router.post('/webhook', captureRawBody, verifyWebhookSignature, handleWebhook);
 
+/**
+ * @route   GET /api/v1/payment/webhook-events
+ * @desc    List stored webhook events (filter by status, event, reference)
+ * @access  Private/Admin
+ */
+router.get(
+  '/webhook-events',
+  isAuth,
+  isAdmin,
+  validateWebhookEventQuery,
+  listWebhookEvents
+);
+
+/**
+ * @route   GET /api/v1/payment/webhook-events/:id
+ * @desc    Get a stored webhook event including its raw body
+ * @access  Private/Admin
+ */
+router.get('/webhook-events/:id', isAuth, isAdmin, getWebhookEvent);
+
+/**
+ * @route   POST /api/v1/payment/webhook-events/:id/replay
+ * @desc    Re-run the handler for a stored webhook event
+ * @access  Private/Admin
+ */
+router.post('/webhook-events/:id/replay', isAuth, isAdmin, replayWebhookEvent);
+
+/**
+ * @route   POST /api/v1/payment/reconciliation-reports
+ * @desc    Reconcile payments against Paystack for a date range
+ * @access  Private/Admin
+ */
+router.post(
+  '/reconciliation-reports',
+  isAuth,
+  isAdmin,
+  validateReconciliation,
+  runReconciliation
+);
+
+/**
+ * @route   GET /api/v1/payment/reconciliation-reports
+ * @desc    List reconciliation reports
+ * @access  Private/Admin
+ */
+router.get('/reconciliation-reports', isAuth, isAdmin, listReconciliationReports);
+
+/**
+ * @route   GET /api/v1/payment/reconciliation-reports/:id
+ * @desc    Get a reconciliation report with its issues
+ * @access  Private/Admin
+ */
+router.get('/reconciliation-reports/:id', isAuth, isAdmin, getReconciliationReport);
+
 /**
  * Health check endpoint for payment service
  */
@@ -255,30 +393,4 @@ router.get('/health', (req, res) => {
   });
 });
 
-/**
- * Error handling for payment routes
- */
-router.use((err, req, res, next) => {
-  logger.error('Payment route error', {
-    error: err.message,
-    path: req.path,
-    method: req.method,
-  });
-
-  // Signature verification error
-  if (err.message === 'Invalid webhook signature') {
-    return res.status(401).json({
-      success: false,
-      message: 'Webhook signature verification failed',
-    });
-  }
-
-  // Default error response
-  res.status(err.statusCode || 500).json({
-    success: false,
-    message: err.message || 'Payment processing error',
-    error: process.env.NODE_ENV === 'development' ? err.stack : undefined,
-  });
-});
-
 module.exports = router;
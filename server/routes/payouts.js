@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBanks,
+  savePayoutAccount,
+  getPayoutAccount,
+  getMyEarnings,
+  getMyPayouts,
+  registerArtisan,
+  listPayouts,
+  createPayoutBatch,
+  approvePayouts,
+  retryPayout,
+} = require('../controllers/payoutController');
+const {
+  validatePayoutAccount,
+  validateApprovePayouts,
+  validatePayoutQuery,
+} = require('../middleware/payoutValidation');
+const { isAuth, isAdmin, isArtisan } = require('../middleware/auth');
+const { rateLimiterMiddleware } = require('../middleware/rateLimiter');
+
+/**
+ * Payout Routes
+ * Artisans register a bank account and see their earnings;
+ * admins batch earnings into payouts and approve the transfers
+ */
+
+// Apply rate limiter to all payout routes
+router.use(rateLimiterMiddleware);
+
+// ===== Artisan Routes =====
+
+// @route   GET /api/v1/payouts/banks
+// @desc    List banks that can receive payouts
+// @access  Private/Artisan
+router.get('/banks', isAuth, isArtisan, getBanks);
+
+// @route   PUT /api/v1/payouts/account
+// @desc    Register or replace payout bank account (creates a Paystack transfer recipient)
+// @access  Private/Artisan
+router.put('/account', isAuth, isArtisan, validatePayoutAccount, savePayoutAccount);
+
+// @route   GET /api/v1/payouts/account
+// @desc    Get payout bank account
+// @access  Private/Artisan
+router.get('/account', isAuth, isArtisan, getPayoutAccount);
+
+// @route   GET /api/v1/payouts/earnings
+// @desc    Get earnings per delivered order with totals per status
+// @access  Private/Artisan
+router.get('/earnings', isAuth, isArtisan, getMyEarnings);
+
+// @route   GET /api/v1/payouts/my
+// @desc    Get my payouts
+// @access  Private/Artisan
+router.get('/my', isAuth, isArtisan, getMyPayouts);
+
+// ===== Admin Routes =====
+
+// @route   PUT /api/v1/payouts/artisans/:userId
+// @desc    Give a user the artisan role
+// @access  Private/Admin
+router.put('/artisans/:userId', isAuth, isAdmin, registerArtisan);
+
+// @route   GET /api/v1/payouts
+// @desc    List payouts (filter by status, batchId, artisan)
+// @access  Private/Admin
+router.get('/', isAuth, isAdmin, validatePayoutQuery, listPayouts);
+
+// @route   POST /api/v1/payouts/batch
+// @desc    Group available earnings into payouts awaiting approval
+// @access  Private/Admin
+router.post('/batch', isAuth, isAdmin, createPayoutBatch);
+
+// @route   POST /api/v1/payouts/approve
+// @desc    Approve payouts and send them as Paystack transfers
+// @access  Private/Admin
+router.post('/approve', isAuth, isAdmin, validateApprovePayouts, approvePayouts);
+
+// @route   POST /api/v1/payouts/:id/retry
+// @desc    Retry a failed payout now
+// @access  Private/Admin
+router.post('/:id/retry', isAuth, isAdmin, retryPayout);
+
+module.exports = router;
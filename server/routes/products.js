@@ -7,11 +7,14 @@ const {
   updateProduct,
   deleteProduct,
   getProductsByCategory,
+  adjustVariantStock,
+  getLowStock,
 } = require('../controllers/productController');
 const {
   validateCreateProduct,
   validateUpdateProduct,
   validateQuery,
+  validateStockAdjustment,
 } = require('../middleware/productValidation');
 const { isAuth, isAdmin } = require('../middleware/auth');
 const { rateLimiterMiddleware } = require('../middleware/rateLimiter');
@@ -30,6 +33,11 @@ router.get('/', validateQuery, getProducts);
 // @access  Public
 router.get('/category/:category', validateQuery, getProductsByCategory);
 
+// @route   GET /api/v1/products/admin/low-stock
+// @desc    List variants at or below their low-stock threshold
+// @access  Private/Admin only
+router.get('/admin/low-stock', isAuth, isAdmin, getLowStock);
+
 // @route   GET /api/v1/products/:id
 // @desc    Get single product by ID
 // @access  Public
@@ -45,6 +53,17 @@ router.post('/', isAuth, isAdmin, validateCreateProduct, createProduct);
 // @access  Private/Admin only
 router.put('/:id', isAuth, isAdmin, validateUpdateProduct, updateProduct);
 
+// @route   PATCH /api/v1/products/:id/variants/:variantId/stock
+// @desc    Restock or correct the stock of one variant
+// @access  Private/Admin only
+router.patch(
+  '/:id/variants/:variantId/stock',
+  isAuth,
+  isAdmin,
+  validateStockAdjustment,
+  adjustVariantStock
+);
+
 // @route   DELETE /api/v1/products/:id
 // @desc    Delete product
 // @access  Private/Admin only
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { uploadImages } = require('../controllers/uploadController');
+const { uploadImages: parseImages } = require('../middleware/upload');
+const { isAuth, isAdmin } = require('../middleware/auth');
+const { rateLimiterMiddleware } = require('../middleware/rateLimiter');
+
+// Apply general rate limiter to all upload routes
+router.use(rateLimiterMiddleware);
+
+// @route   POST /api/v1/uploads/images
+// @desc    Upload product images (multipart field "images")
+// @access  Private/Admin only
+// Returns the stored URLs to put in a product's images array
+router.post('/images', isAuth, isAdmin, parseImages, uploadImages);
+
+module.exports = router;
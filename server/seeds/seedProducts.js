@@ -9,6 +9,7 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Product = require('../models/product');
+const Category = require('../models/category');
 const User = require('../models/User');
 
 // -----------------------------
@@ -63,29 +64,62 @@ const seedProducts = async () => {
       console.log('👤 Admin user found');
     }
 
-    // 4️⃣ Product seed data
+    // 4️⃣ Find or create categories
+    const categorySeeds = [
+      { name: 'Tote', slug: 'tote', sortOrder: 1 },
+      { name: 'Sling', slug: 'sling', sortOrder: 2 },
+      { name: 'Clutch', slug: 'clutch', sortOrder: 3 },
+      { name: 'Backpack', slug: 'backpack', sortOrder: 4 },
+      { name: 'Crossbody', slug: 'crossbody', sortOrder: 5 },
+    ];
+
+    const categories = {};
+    for (const seed of categorySeeds) {
+      categories[seed.slug] = await Category.findOneAndUpdate(
+        { slug: seed.slug },
+        { $setOnInsert: { ...seed, createdBy: admin._id } },
+        { upsert: true, new: true }
+      );
+    }
+    console.log(`🗂️  ${categorySeeds.length} categories ready`);
+
+    // 5️⃣ Product seed data
     const products = [
       {
         name: 'Classic Tote Bag',
         basePrice: 15000,
-        images: ['/public/images/sample1.jpg'],
+        images: [
+          { url: '/public/images/sample1.jpg', alt: 'Brown leather tote bag with twin handles' },
+        ],
         description:
           'A versatile and stylish tote bag perfect for daily use. Made with high-quality leather and durable stitching.',
-        category: 'tote',
+        category: categories.tote._id,
         featured: true,
         customOptions: [
           { name: 'Color', type: 'color', options: ['Brown', 'Black', 'Tan'], priceModifier: 0 },
-          { name: 'Size', type: 'select', options: ['Small', 'Medium', 'Large'], priceModifier: 0 },
+          {
+            name: 'Size',
+            type: 'select',
+            options: ['Small', 'Medium', 'Large'],
+            required: true,
+            default: 'Medium',
+            valueModifiers: [
+              { value: 'Small', priceModifier: -1500 },
+              { value: 'Large', priceModifier: 3000 },
+            ],
+          },
         ],
         createdBy: admin._id,
       },
       {
         name: 'Elegant Sling Bag',
         basePrice: 12000,
-        images: ['/public/images/sling1.jpg'],
+        images: [
+          { url: '/public/images/sling1.jpg', alt: 'Red sling bag with a thin shoulder strap' },
+        ],
         description:
           'Compact and elegant sling bag ideal for evening outings.',
-        category: 'sling',
+        category: categories.sling._id,
         featured: true,
         customOptions: [
           { name: 'Color', type: 'color', options: ['Red', 'Gold', 'Silver'], priceModifier: 0 },
@@ -95,37 +129,59 @@ const seedProducts = async () => {
       {
         name: 'Designer Clutch',
         basePrice: 8000,
-        images: ['/public/images/clutch1.jpg'],
+        images: [
+          { url: '/public/images/clutch1.jpg', alt: 'Leather clutch with a gold clasp' },
+        ],
         description:
           'A sophisticated clutch that combines elegance with functionality.',
-        category: 'clutch',
+        category: categories.clutch._id,
         featured: true,
         customOptions: [
-          { name: 'Material', type: 'select', options: ['Leather', 'Suede', 'Velvet'], priceModifier: 1000 },
+          {
+            name: 'Material',
+            type: 'select',
+            options: ['Leather', 'Suede', 'Velvet'],
+            required: true,
+            default: 'Leather',
+            valueModifiers: [
+              { value: 'Suede', priceModifier: 1000 },
+              { value: 'Velvet', priceModifier: 2500 },
+            ],
+          },
         ],
         createdBy: admin._id,
       },
       {
         name: 'Leather Backpack',
         basePrice: 20000,
-        images: ['/public/images/sample1.jpg'],
+        images: [
+          { url: '/public/images/sample1.jpg', alt: 'Black leather backpack, front view' },
+        ],
         description:
           'Premium leather backpack with multiple compartments.',
-        category: 'backpack',
+        category: categories.backpack._id,
         featured: false,
         customOptions: [
           { name: 'Color', type: 'color', options: ['Black', 'Brown', 'Navy'], priceModifier: 0 },
-          { name: 'Add USB Port', type: 'select', options: ['No', 'Yes'], priceModifier: 2000 },
+          {
+            name: 'Add USB Port',
+            type: 'select',
+            options: ['No', 'Yes'],
+            default: 'No',
+            valueModifiers: [{ value: 'Yes', priceModifier: 2000 }],
+          },
         ],
         createdBy: admin._id,
       },
       {
         name: 'Crossbody Shoulder Bag',
         basePrice: 10000,
-        images: ['/public/images/sling1.jpg'],
+        images: [
+          { url: '/public/images/sling1.jpg', alt: 'Beige crossbody bag with an adjustable strap' },
+        ],
         description:
           'Lightweight crossbody bag perfect for everyday use.',
-        category: 'crossbody',
+        category: categories.crossbody._id,
         featured: false,
         customOptions: [
           { name: 'Color', type: 'color', options: ['Beige', 'Black', 'White'], priceModifier: 0 },
@@ -135,26 +191,44 @@ const seedProducts = async () => {
       {
         name: 'Premium Tote – Limited Edition',
         basePrice: 25000,
-        images: ['/public/images/clutch1.jpg'],
+        images: [
+          { url: '/public/images/clutch1.jpg', alt: 'Limited edition Italian leather tote' },
+        ],
         description:
           'Exclusive limited edition tote bag crafted with premium Italian leather.',
-        category: 'tote',
+        category: categories.tote._id,
         featured: true,
         customOptions: [
-          { name: 'Personalization', type: 'text', options: [], priceModifier: 2000 },
+          {
+            name: 'Monogram',
+            type: 'select',
+            options: ['No', 'Yes'],
+            default: 'No',
+            valueModifiers: [{ value: 'Yes', priceModifier: 2000 }],
+          },
+          {
+            name: 'Monogram Text',
+            label: 'Monogram initials',
+            type: 'text',
+            required: true,
+            minLength: 1,
+            maxLength: 3,
+            showIf: { option: 'Monogram', values: ['Yes'] },
+          },
         ],
         createdBy: admin._id,
       },
     ];
 
-    // 5️⃣ Insert products
+    // 6️⃣ Insert products
     const created = await Product.insertMany(products);
     console.log(`🎉 ${created.length} products seeded`);
 
-    // 6️⃣ Log results
+    // 7️⃣ Log results
     console.log('\n📦 Seeded Products:');
     created.forEach((p, i) => {
-      console.log(`${i + 1}. ${p.name} | ${p.category} | ${p._id}`);
+      const category = Object.values(categories).find((c) => c._id.equals(p.category));
+      console.log(`${i + 1}. ${p.name} | ${category.slug} | ${p._id}`);
     });
 
     await mongoose.connection.close();
@@ -7,8 +7,11 @@ const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss-clean');
 const compression = require('compression');
 const config = require('./config/env');
+const paystackConfig = require('./config/paystack');
 const connectDB = require('./config/db');
+const logger = require('./utils/logger');
 const { rateLimiterMiddleware } = require('./middleware/rateLimiter');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
 
 // Initialize express app
 const app = express();
@@ -16,6 +19,9 @@ const app = express();
 // Connect to MongoDB
 connectDB();
 
+// Request correlation ID - first, so every later log line carries it
+app.use(logger.requestId());
+
 // Security Middleware - Helmet with custom configuration
 app.use(
   helmet({
@@ -52,20 +58,48 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    'X-Request-Id',
+    'X-Auth-Mode',
+    'X-CSRF-Token',
+  ],
+  exposedHeaders: ['X-Request-Id', 'X-CSRF-Token'],
 };
 
 app.use(cors(corsOptions));
 
-// HTTP Request Logger - Morgan
-if (config.env === 'development') {
-  app.use(morgan('dev'));
-} else {
-  app.use(morgan('combined'));
-}
+// HTTP Request Logger - Morgan, written through the structured logger
+app.use(
+  morgan((tokens, req, res) => {
+    logger.http('HTTP request', {
+      requestId: req.id,
+      method: tokens.method(req, res),
+      url: tokens.url(req, res),
+      status: Number(tokens.status(req, res)),
+      durationMs: Number(tokens['response-time'](req, res)),
+      contentLength: tokens.res(req, res, 'content-length'),
+      ip: req.ip,
+      userAgent: tokens['user-agent'](req, res),
+    });
+    // Nothing for morgan itself to write
+    return null;
+  })
+);
 
 // Body Parser Middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(
+  express.json({
+    limit: '10mb',
+    // Keep the exact bytes of Paystack webhooks for signature verification
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith(paystackConfig.webhook.path)) {
+        req.rawBody = buf.toString('utf8');
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Cookie Parser
@@ -110,9 +144,12 @@ app.use('/api/v1/auth', require('./routes/auth'));
 // Other routes (to be implemented)
 app.use('/api/v1/products', require('./routes/products'));
 app.use('/api/v1/orders', require('./routes/orders'));
+app.use('/api/v1/cart', require('./routes/cart'));
 app.use('/api/v1/payment', require('./routes/payments'));
+app.use('/api/v1/payouts', require('./routes/payouts'));
+app.use('/api/v1/categories', require('./routes/categories'));
+app.use('/api/v1/uploads', require('./routes/uploads'));
 // app.use('/api/v1/users', require('./routes/users'));
-// app.use('/api/v1/categories', require('./routes/categories'));
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -125,68 +162,9 @@ app.get('/', (req, res) => {
 });
 
 // 404 Handler
-app.use((req, res, next) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found',
-    path: req.originalUrl,
-  });
-});
+app.use(notFound);
 
 // Global Error Handler
-app.use((err, req, res, next) => {
-  console.error('Error:', err.message);
-  console.error('Stack:', err.stack);
-
-  // CORS Error
-  if (err.message === 'Not allowed by CORS') {
-    return res.status(403).json({
-      success: false,
-      message: 'CORS policy violation',
-      error: config.env === 'development' ? err.message : undefined,
-    });
-  }
-
-  // Mongoose validation error
-  if (err.name === 'ValidationError') {
-    const errors = Object.values(err.errors).map((e) => e.message);
-    return res.status(400).json({
-      success: false,
-      message: 'Validation Error',
-      errors,
-    });
-  }
-
-  // Mongoose duplicate key error
-  if (err.code === 11000) {
-    const field = Object.keys(err.keyPattern)[0];
-    return res.status(400).json({
-      success: false,
-      message: `${field} already exists`,
-    });
-  }
-
-  // JWT errors
-  if (err.name === 'JsonWebTokenError') {
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid token',
-    });
-  }
-
-  if (err.name === 'TokenExpiredError') {
-    return res.status(401).json({
-      success: false,
-      message: 'Token expired',
-    });
-  }
-
-  // Default error
-  res.status(err.statusCode || 500).json({
-    success: false,
-    message: err.message || 'Internal Server Error',
-    error: config.env === 'development' ? err.stack : undefined,
-  });
-});
+app.use(errorHandler);
 
 module.exports = app;
@@ -0,0 +1,423 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const EmailMessage = require('../models/emailMessage');
+const Order = require('../models/order');
+const User = require('../models/User');
+const templates = require('./emailTemplates');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+/**
+ * Email Service
+ * Renders transactional emails, stores them in the outbox and sends
+ * them. Sends that fail are retried with backoff by the outbox job
+ * (jobs/emailOutboxJob.js). Queueing never throws, so an email problem
+ * can never fail the order or payment that triggered it.
+ */
+
+// Backoff between delivery attempts
+const RETRY_INITIAL_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// A send that has not finished after this long is assumed lost (e.g. a crash)
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+// Order statuses that notify the customer, and the template they use
+const STATUS_TEMPLATES = {
+  in_production: 'production_started',
+  shipped: 'shipped',
+  delivered: 'delivered',
+};
+
+// Short, human-friendly order reference used in subjects
+const orderNumber = (order) => `#${order._id.toString().slice(-8).toUpperCase()}`;
+
+// "Colour: Tan, Size: Large" for an order line
+const itemDetails = (item) =>
+  [...(item.variantAttributes || []), ...(item.customSpecs || [])]
+    .map((spec) => `${spec.name}: ${spec.value}`)
+    .join(', ');
+
+class EmailService {
+  constructor() {
+    this.config = config.email;
+    this.transporter = null;
+  }
+
+  /**
+   * Nodemailer transport for the configured EMAIL_TRANSPORT
+   * @private
+   */
+  getTransporter() {
+    if (this.transporter) {
+      return this.transporter;
+    }
+
+    if (this.config.transport === 'smtp') {
+      this.transporter = nodemailer.createTransport({
+        host: this.config.host,
+        port: this.config.port,
+        secure: this.config.port === 465,
+        // Local catchers such as Mailpit need no login
+        auth: this.config.user
+          ? { user: this.config.user, pass: this.config.password }
+          : undefined,
+      });
+    } else {
+      // Build the raw message in memory; deliver() writes it to disk
+      this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Delay before the next attempt after a failed one
+   * @param {number} attempt - Attempt number that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempt) {
+    return Math.min(RETRY_INITIAL_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  }
+
+  /**
+   * Render an email, store it in the outbox and start sending it.
+   * Never throws; problems are logged.
+   * @param {string} template - Template name (see services/emailTemplates)
+   * @param {object} options
+   * @param {string} options.to - Recipient address
+   * @param {object} options.data - Template data
+   * @param {ObjectId} [options.user] - Recipient's account
+   * @param {ObjectId} [options.order] - Order the email is about
+   * @param {string} [options.dedupeKey] - Skip if an email with this key was already queued
+   * @returns {Promise<object|null>} The EmailMessage, or null if not queued
+   */
+  async queue(template, { to, data, user, order, dedupeKey }) {
+    if (!to) {
+      logger.warn('Email not queued: no recipient', { template, user, order });
+      return null;
+    }
+
+    let message;
+    try {
+      const { subject, html, text } = templates.render(template, data);
+      message = await EmailMessage.create({
+        template,
+        to,
+        subject,
+        html,
+        text,
+        user,
+        order,
+        dedupeKey,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        logger.debug('Email already queued', { template, dedupeKey });
+      } else {
+        logger.error('Failed to queue email', { template, user, order, error });
+      }
+      return null;
+    }
+
+    // Send in the background; failures stay in the outbox for the retry job
+    this.deliver(message._id).catch((error) => {
+      logger.error('Email delivery error', { id: message._id, error });
+    });
+
+    return message;
+  }
+
+  /**
+   * Send one outbox email and record the outcome
+   * @param {ObjectId} id - EmailMessage id
+   * @returns {Promise<object|null>} The updated message, or null if another
+   *   worker already has it or it is not due
+   */
+  async deliver(id) {
+    // Claim the message so the retry job and a fresh send cannot both send it
+    const message = await EmailMessage.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { status: 'pending' },
+          { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+        ],
+      },
+      { $set: { status: 'sending' }, $inc: { attempts: 1 }, $unset: { nextAttemptAt: 1 } },
+      { new: true }
+    );
+
+    if (!message) {
+      return null;
+    }
+
+    try {
+      const info = await this.getTransporter().sendMail({
+        from: { name: this.config.fromName, address: this.config.from },
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+      });
+
+      if (this.config.transport === 'file') {
+        await this.writeToDisk(message, info.message);
+      }
+
+      message.status = 'sent';
+      message.sentAt = new Date();
+      message.messageId = info.messageId;
+      message.lastError = undefined;
+      await message.save();
+
+      logger.info('Email sent', {
+        id: message._id,
+        template: message.template,
+        attempts: message.attempts,
+        transport: this.config.transport,
+      });
+    } catch (error) {
+      const canRetry = message.attempts < this.config.maxAttempts;
+
+      message.status = canRetry ? 'pending' : 'failed';
+      message.lastError = error.message;
+      message.nextAttemptAt = canRetry
+        ? new Date(Date.now() + this.getBackoffDelay(message.attempts))
+        : undefined;
+      await message.save();
+
+      logger.error('Email send failed', {
+        id: message._id,
+        template: message.template,
+        attempts: message.attempts,
+        willRetry: canRetry,
+        error: error.message,
+      });
+    }
+
+    return message;
+  }
+
+  /**
+   * Send every outbox email that is due. Called by the outbox job.
+   * @param {object} options
+   * @param {number} options.limit - Most emails to send in one run
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async processOutbox({ limit = 50 } = {}) {
+    const now = new Date();
+    const due = await EmailMessage.find({
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        // Queued but never picked up, e.g. the process stopped before sending
+        { status: 'pending', nextAttemptAt: null, createdAt: { $lt: new Date(now - 60 * 1000) } },
+        { status: 'sending', updatedAt: { $lt: new Date(now - STALE_SENDING_MS) } },
+      ],
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .select('_id');
+
+    const summary = { sent: 0, failed: 0 };
+    for (const { _id } of due) {
+      const message = await this.deliver(_id);
+      if (message?.status === 'sent') summary.sent += 1;
+      else if (message) summary.failed += 1;
+    }
+
+    if (due.length > 0) {
+      logger.info('Email outbox processed', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Write a sent email to EMAIL_OUTBOX_DIR (EMAIL_TRANSPORT=file): the raw
+   * .eml opens in any mail client, the .html in a browser
+   * @private
+   */
+  async writeToDisk(message, raw) {
+    const dir = path.resolve(__dirname, '..', this.config.outboxDir);
+    const name = `${message.createdAt.toISOString().replace(/[:.]/g, '-')}-${message.template}-${message._id}`;
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${name}.eml`), raw);
+    await fs.writeFile(path.join(dir, `${name}.html`), message.html);
+  }
+
+  /**
+   * Welcome a newly registered customer
+   * @param {object} user - User document
+   */
+  async sendWelcome(user) {
+    return this.queue('welcome', {
+      to: user.email,
+      user: user._id,
+      data: { name: user.name, shopUrl: config.cors.origin },
+      dedupeKey: `welcome:${user._id}`,
+    });
+  }
+
+  /**
+   * Send a password reset link
+   * @param {object} user - User document
+   * @param {object} options
+   * @param {string} options.resetUrl - Link carrying the reset token
+   * @param {number} options.expiresInMinutes
+   */
+  async sendPasswordReset(user, { resetUrl, expiresInMinutes }) {
+    return this.queue('password_reset', {
+      to: user.email,
+      user: user._id,
+      data: { name: user.name, resetUrl, expiresInMinutes },
+    });
+  }
+
+  /**
+   * Send an email verification link
+   * @param {object} user - User document
+   * @param {object} options
+   * @param {string} options.verifyUrl - Signed verification link
+   * @param {number} options.expiresInHours
+   */
+  async sendEmailVerification(user, { verifyUrl, expiresInHours }) {
+    return this.queue('verify_email', {
+      to: user.email,
+      user: user._id,
+      data: { name: user.name, verifyUrl, expiresInHours },
+    });
+  }
+
+  /**
+   * Tell a user their account was locked after failed logins
+   * @param {object} user - User document
+   * @param {object} options
+   * @param {string} options.unlockUrl - Signed unlock link
+   * @param {number} options.lockMinutes
+   */
+  async sendAccountLocked(user, { unlockUrl, lockMinutes }) {
+    return this.queue('account_locked', {
+      to: user.email,
+      user: user._id,
+      data: {
+        name: user.name,
+        unlockUrl,
+        lockMinutes,
+        resetUrl: `${config.cors.origin}/forgot-password`,
+      },
+    });
+  }
+
+  /**
+   * Confirm a newly placed order
+   * @param {object} order - Order document
+   */
+  async sendOrderReceived(order) {
+    return this.sendOrderEmail('order_received', order, {}, `order_received:${order._id}`);
+  }
+
+  /**
+   * Confirm a deposit payment
+   * @param {object} order - Order document
+   * @param {object} payment - The successful deposit Payment
+   */
+  async sendDepositReceived(order, payment) {
+    return this.sendOrderEmail(
+      'deposit_received',
+      order,
+      { amount: payment.amount },
+      `deposit_received:${payment._id}`
+    );
+  }
+
+  /**
+   * Tell the customer their order reached a new stage. Statuses without a
+   * template (e.g. quality_check) send nothing.
+   * @param {object} order - Order document, already moved to its new status
+   * @param {object} options
+   * @param {string} [options.note] - Message from the team, e.g. a tracking number
+   */
+  async sendOrderStatus(order, { note } = {}) {
+    const template = STATUS_TEMPLATES[order.status];
+    if (!template) {
+      return null;
+    }
+
+    // A bag sent back from quality check does not "start production" twice
+    return this.sendOrderEmail(template, order, { note }, `${template}:${order._id}`);
+  }
+
+  /**
+   * Tell the customer a card payment failed
+   * @param {object} payment - The failed Payment
+   */
+  async sendPaymentFailed(payment) {
+    const order = await Order.findById(payment.order).catch(() => null);
+    if (!order) {
+      return null;
+    }
+
+    return this.sendOrderEmail(
+      'payment_failed',
+      order,
+      {
+        amount: payment.amount,
+        paymentType: payment.type,
+        reason: payment.gatewayResponse,
+      },
+      `payment_failed:${payment._id}`
+    );
+  }
+
+  /**
+   * Queue an order email to the order's customer
+   * @private
+   */
+  async sendOrderEmail(template, order, extra, dedupeKey) {
+    let user;
+    try {
+      user = order.user?.email
+        ? order.user
+        : await User.findById(order.user).select('name email');
+    } catch (error) {
+      logger.error('Failed to load order customer for email', { orderId: order._id, error });
+      return null;
+    }
+
+    if (!user) {
+      return null;
+    }
+
+    return this.queue(template, {
+      to: user.email,
+      user: user._id,
+      order: order._id,
+      dedupeKey,
+      data: {
+        name: user.name,
+        orderUrl: `${config.cors.origin}/orders`,
+        order: {
+          number: orderNumber(order),
+          items: order.items.map((item) => ({
+            name: item.name,
+            quantity: item.quantity,
+            subtotal: item.subtotal,
+            details: itemDetails(item),
+          })),
+          subtotal: order.subtotal,
+          shippingFee: order.shippingFee,
+          discount: order.discount,
+          total: order.total,
+          depositAmount: order.depositAmount,
+          balanceAmount: order.balanceAmount,
+        },
+        ...extra,
+      },
+    });
+  }
+}
+
+module.exports = new EmailService();
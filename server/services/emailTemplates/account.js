@@ -0,0 +1,116 @@
+const { escapeHtml, paragraph, button } = require('./layout');
+
+/**
+ * Account emails
+ * Each template takes its data and returns the subject, heading and
+ * the HTML and text bodies that go inside the layout
+ */
+
+/**
+ * @param {object} data
+ * @param {string} data.name
+ * @param {string} data.shopUrl
+ * @param {string} data.brand
+ */
+const welcome = ({ name, shopUrl, brand }) => ({
+  subject: `Welcome to ${brand}`,
+  title: `Welcome, ${name}!`,
+  preheader: 'Your account is ready. Start designing your bag.',
+  html:
+    paragraph(`Hi ${escapeHtml(name)}, thanks for creating an account.`) +
+    paragraph(
+      'Every bag is made to order by our artisans. Pick a design, choose your ' +
+        'colours and size, and we will build it for you.'
+    ) +
+    button('Browse bags', shopUrl),
+  text:
+    `Hi ${name}, thanks for creating an account.\n\n` +
+    'Every bag is made to order by our artisans. Pick a design, choose your ' +
+    'colours and size, and we will build it for you.\n\n' +
+    `Browse bags: ${shopUrl}`,
+});
+
+/**
+ * @param {object} data
+ * @param {string} data.name
+ * @param {string} data.resetUrl - Link carrying the one-time reset token
+ * @param {number} data.expiresInMinutes
+ */
+const passwordReset = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your password',
+  title: 'Reset your password',
+  preheader: `This link expires in ${expiresInMinutes} minutes.`,
+  html:
+    paragraph(`Hi ${escapeHtml(name)}, we received a request to reset your password.`) +
+    button('Choose a new password', resetUrl) +
+    paragraph(
+      `The link expires in ${expiresInMinutes} minutes and can be used once. ` +
+        'If you did not ask for this, ignore this email; your password has not changed.'
+    ),
+  text:
+    `Hi ${name}, we received a request to reset your password.\n\n` +
+    `Choose a new password: ${resetUrl}\n\n` +
+    `The link expires in ${expiresInMinutes} minutes and can be used once. ` +
+    'If you did not ask for this, ignore this email; your password has not changed.',
+});
+
+/**
+ * @param {object} data
+ * @param {string} data.name
+ * @param {string} data.verifyUrl - Signed verification link
+ * @param {number} data.expiresInHours
+ */
+const verifyEmail = ({ name, verifyUrl, expiresInHours }) => ({
+  subject: 'Confirm your email address',
+  title: 'Confirm your email address',
+  preheader: 'One click to confirm this is your email.',
+  html:
+    paragraph(`Hi ${escapeHtml(name)}, please confirm that this is your email address.`) +
+    button('Confirm email', verifyUrl) +
+    paragraph(
+      `The link expires in ${expiresInHours} hours. If you did not create an account, ` +
+        'you can ignore this email.'
+    ),
+  text:
+    `Hi ${name}, please confirm that this is your email address.\n\n` +
+    `Confirm email: ${verifyUrl}\n\n` +
+    `The link expires in ${expiresInHours} hours. If you did not create an account, ` +
+    'you can ignore this email.',
+});
+
+/**
+ * @param {object} data
+ * @param {string} data.name
+ * @param {string} data.unlockUrl - Signed unlock link
+ * @param {number} data.lockMinutes
+ * @param {string} data.resetUrl - Forgot-password page
+ */
+const accountLocked = ({ name, unlockUrl, lockMinutes, resetUrl }) => ({
+  subject: 'Your account has been locked',
+  title: 'Too many failed sign-in attempts',
+  preheader: `Sign-in is paused for ${lockMinutes} minutes.`,
+  html:
+    paragraph(
+      `Hi ${escapeHtml(name)}, there were too many failed attempts to sign in to your ` +
+        `account, so we have paused sign-in for ${lockMinutes} minutes.`
+    ) +
+    paragraph('If this was you, unlock your account now:') +
+    button('Unlock my account', unlockUrl) +
+    paragraph(
+      `If it was not you, someone may be guessing your password. ` +
+        `<a href="${escapeHtml(resetUrl)}">Choose a new password</a> to be safe.`
+    ),
+  text:
+    `Hi ${name}, there were too many failed attempts to sign in to your account, ` +
+    `so we have paused sign-in for ${lockMinutes} minutes.\n\n` +
+    `If this was you, unlock your account now: ${unlockUrl}\n\n` +
+    'If it was not you, someone may be guessing your password. ' +
+    `Choose a new password to be safe: ${resetUrl}`,
+});
+
+module.exports = {
+  welcome,
+  password_reset: passwordReset,
+  verify_email: verifyEmail,
+  account_locked: accountLocked,
+};
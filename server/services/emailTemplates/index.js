@@ -0,0 +1,44 @@
+const config = require('../../config/env');
+const account = require('./account');
+const orders = require('./orders');
+const { layout, textLayout } = require('./layout');
+
+/**
+ * Email Templates
+ * Each template is a function of its data returning
+ * { subject, title, preheader, html, text }; render() wraps the bodies
+ * in the shared layout.
+ */
+
+const TEMPLATES = {
+  ...account,
+  ...orders,
+};
+
+/**
+ * Render a template
+ * @param {string} name - Template name, e.g. 'order_received'
+ * @param {object} data - Template data
+ * @returns {{subject: string, html: string, text: string}}
+ */
+const render = (name, data = {}) => {
+  const template = TEMPLATES[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const brand = config.email.fromName;
+  const content = template({ brand, ...data });
+
+  return {
+    subject: content.subject,
+    html: layout({ ...content, body: content.html, brand }),
+    text: textLayout({ title: content.title, body: content.text, brand }),
+  };
+};
+
+module.exports = {
+  render,
+  names: Object.keys(TEMPLATES),
+};
@@ -0,0 +1,99 @@
+/**
+ * Shared pieces for email templates: escaping, formatting and the
+ * branded HTML wrapper every message is rendered into
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Customer-supplied text (names, custom specs) must never become markup
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+const formatNaira = (amount) => `₦${Number(amount || 0).toLocaleString('en-NG')}`;
+
+const paragraph = (text) =>
+  `<p style="margin:0 0 16px;font-size:15px;line-height:1.6;color:#374151">${text}</p>`;
+
+const button = (label, url) =>
+  `<p style="margin:24px 0"><a href="${escapeHtml(url)}" style="display:inline-block;` +
+  `padding:12px 24px;background:#4f46e5;color:#ffffff;border-radius:6px;` +
+  `text-decoration:none;font-weight:600">${escapeHtml(label)}</a></p>`;
+
+/**
+ * Order lines as an HTML table
+ * @param {Array<{name: string, quantity: number, subtotal: number, details: string}>} items
+ * @returns {string}
+ */
+const itemsTable = (items) => {
+  const rows = items
+    .map(
+      (item) =>
+        `<tr><td style="padding:8px 0;border-bottom:1px solid #e5e7eb">` +
+        `${escapeHtml(item.name)} × ${item.quantity}` +
+        (item.details
+          ? `<br><span style="font-size:13px;color:#6b7280">${escapeHtml(item.details)}</span>`
+          : '') +
+        `</td><td style="padding:8px 0;border-bottom:1px solid #e5e7eb;text-align:right">` +
+        `${formatNaira(item.subtotal)}</td></tr>`
+    )
+    .join('');
+
+  return `<table style="width:100%;border-collapse:collapse;font-size:14px;margin:0 0 16px">${rows}</table>`;
+};
+
+// Order lines as plain text
+const itemsText = (items) =>
+  items
+    .map(
+      (item) =>
+        `- ${item.name} x ${item.quantity}: ${formatNaira(item.subtotal)}` +
+        (item.details ? `\n  ${item.details}` : '')
+    )
+    .join('\n');
+
+/**
+ * Wrap a message body in the branded layout
+ * @param {object} options
+ * @param {string} options.title - Heading shown at the top
+ * @param {string} options.body - Inner HTML (already escaped)
+ * @param {string} options.preheader - Preview text shown by inbox lists
+ * @param {string} options.brand - Shop name
+ * @returns {string}
+ */
+const layout = ({ title, body, preheader = '', brand }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif">
+<div style="display:none;max-height:0;overflow:hidden">${escapeHtml(preheader)}</div>
+<table role="presentation" style="width:100%;border-collapse:collapse">
+<tr><td style="padding:24px 12px">
+<table role="presentation" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;border-collapse:collapse">
+<tr><td style="padding:24px 32px;border-bottom:1px solid #e5e7eb;font-size:20px;font-weight:700;color:#4f46e5">${escapeHtml(brand)}</td></tr>
+<tr><td style="padding:32px">
+<h1 style="margin:0 0 16px;font-size:22px;color:#111827">${escapeHtml(title)}</h1>
+${body}
+</td></tr>
+<tr><td style="padding:16px 32px;border-top:1px solid #e5e7eb;font-size:12px;color:#9ca3af">Handmade in Nigeria by ${escapeHtml(brand)}. You are receiving this email because of activity on your account.</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+
+// Plain-text counterpart of layout()
+const textLayout = ({ title, body, brand }) =>
+  `${title}\n${'='.repeat(title.length)}\n\n${body}\n\n--\n${brand}\n`;
+
+module.exports = {
+  escapeHtml,
+  formatNaira,
+  paragraph,
+  button,
+  itemsTable,
+  itemsText,
+  layout,
+  textLayout,
+};
@@ -0,0 +1,196 @@
+const {
+  escapeHtml,
+  formatNaira,
+  paragraph,
+  button,
+  itemsTable,
+  itemsText,
+} = require('./layout');
+
+/**
+ * Order and payment emails
+ * Every template gets the customer's name, an order summary and a link
+ * to their orders page:
+ *   { name, orderUrl, order: { number, items, subtotal, shippingFee,
+ *     discount, total, depositAmount, balanceAmount } }
+ * plus the extra fields listed on each template
+ */
+
+// Totals block shared by the order summaries
+const totals = (order) => {
+  const lines = [['Subtotal', order.subtotal]];
+  if (order.discount > 0) lines.push(['Discount', -order.discount]);
+  lines.push(['Shipping', order.shippingFee], ['Total', order.total]);
+
+  return {
+    html: lines
+      .map(([label, amount]) =>
+        paragraph(
+          `${label}: <strong>${amount < 0 ? '-' : ''}${formatNaira(Math.abs(amount))}</strong>`
+        )
+      )
+      .join(''),
+    text: lines
+      .map(([label, amount]) => `${label}: ${amount < 0 ? '-' : ''}${formatNaira(Math.abs(amount))}`)
+      .join('\n'),
+  };
+};
+
+// Optional message from the workshop, e.g. a tracking number
+const noteBlock = (note) => ({
+  html: note ? paragraph(`Note from our team: ${escapeHtml(note)}`) : '',
+  text: note ? `\n\nNote from our team: ${note}` : '',
+});
+
+const orderReceived = ({ name, order, orderUrl }) => {
+  const summary = totals(order);
+
+  return {
+    subject: `Order ${order.number} received`,
+    title: 'We have received your order',
+    preheader: `Pay your ${formatNaira(order.depositAmount)} deposit to start production.`,
+    html:
+      paragraph(`Hi ${escapeHtml(name)}, thank you for your order <strong>${order.number}</strong>.`) +
+      itemsTable(order.items) +
+      summary.html +
+      paragraph(
+        `An artisan will confirm your order shortly. Production starts once the ` +
+          `<strong>${formatNaira(order.depositAmount)}</strong> deposit is paid; the remaining ` +
+          `${formatNaira(order.balanceAmount)} is due before we ship.`
+      ) +
+      button('View your order', orderUrl),
+    text:
+      `Hi ${name}, thank you for your order ${order.number}.\n\n` +
+      `${itemsText(order.items)}\n\n${summary.text}\n\n` +
+      `An artisan will confirm your order shortly. Production starts once the ` +
+      `${formatNaira(order.depositAmount)} deposit is paid; the remaining ` +
+      `${formatNaira(order.balanceAmount)} is due before we ship.\n\n` +
+      `View your order: ${orderUrl}`,
+  };
+};
+
+/**
+ * @param {object} data
+ * @param {number} data.amount - Deposit paid
+ */
+const depositReceived = ({ name, order, orderUrl, amount }) => ({
+  subject: `Deposit received for order ${order.number}`,
+  title: 'Deposit received',
+  preheader: `We received your ${formatNaira(amount)} deposit.`,
+  html:
+    paragraph(
+      `Hi ${escapeHtml(name)}, we received your deposit of <strong>${formatNaira(amount)}</strong> ` +
+        `for order <strong>${order.number}</strong>.`
+    ) +
+    paragraph(
+      `The balance of ${formatNaira(order.balanceAmount)} is due before your bag ships. ` +
+        'We will email you as your order moves through the workshop.'
+    ) +
+    button('View your order', orderUrl),
+  text:
+    `Hi ${name}, we received your deposit of ${formatNaira(amount)} for order ${order.number}.\n\n` +
+    `The balance of ${formatNaira(order.balanceAmount)} is due before your bag ships. ` +
+    'We will email you as your order moves through the workshop.\n\n' +
+    `View your order: ${orderUrl}`,
+});
+
+/**
+ * @param {object} data
+ * @param {string} [data.note]
+ */
+const productionStarted = ({ name, order, orderUrl, note }) => {
+  const extra = noteBlock(note);
+
+  return {
+    subject: `Your bag is being made (order ${order.number})`,
+    title: 'Production has started',
+    preheader: 'Our artisans have started on your bag.',
+    html:
+      paragraph(
+        `Hi ${escapeHtml(name)}, our artisans have started making order <strong>${order.number}</strong>.`
+      ) +
+      itemsTable(order.items) +
+      extra.html +
+      button('Track your order', orderUrl),
+    text:
+      `Hi ${name}, our artisans have started making order ${order.number}.\n\n` +
+      `${itemsText(order.items)}${extra.text}\n\n` +
+      `Track your order: ${orderUrl}`,
+  };
+};
+
+/**
+ * @param {object} data
+ * @param {string} [data.note] - e.g. courier and tracking number
+ */
+const shipped = ({ name, order, orderUrl, note }) => {
+  const extra = noteBlock(note);
+
+  return {
+    subject: `Order ${order.number} has shipped`,
+    title: 'Your order is on its way',
+    preheader: 'Your handmade bag has left the workshop.',
+    html:
+      paragraph(
+        `Hi ${escapeHtml(name)}, order <strong>${order.number}</strong> has left our workshop ` +
+          'and is on its way to you.'
+      ) +
+      extra.html +
+      button('Track your order', orderUrl),
+    text:
+      `Hi ${name}, order ${order.number} has left our workshop and is on its way to you.` +
+      `${extra.text}\n\nTrack your order: ${orderUrl}`,
+  };
+};
+
+const delivered = ({ name, order, orderUrl }) => ({
+  subject: `Order ${order.number} delivered`,
+  title: 'Your order has been delivered',
+  preheader: 'We hope you love your new bag.',
+  html:
+    paragraph(
+      `Hi ${escapeHtml(name)}, order <strong>${order.number}</strong> has been delivered. ` +
+        'We hope you love it!'
+    ) +
+    paragraph('If anything is not right, reply to this email and we will help.') +
+    button('View your order', orderUrl),
+  text:
+    `Hi ${name}, order ${order.number} has been delivered. We hope you love it!\n\n` +
+    'If anything is not right, reply to this email and we will help.\n\n' +
+    `View your order: ${orderUrl}`,
+});
+
+/**
+ * @param {object} data
+ * @param {number} data.amount - Amount of the failed charge
+ * @param {string} data.paymentType - 'deposit' or 'balance'
+ * @param {string} [data.reason] - Gateway response
+ */
+const paymentFailed = ({ name, order, orderUrl, amount, paymentType, reason }) => ({
+  subject: `Payment for order ${order.number} did not go through`,
+  title: 'Your payment did not go through',
+  preheader: `Your ${paymentType} payment of ${formatNaira(amount)} failed.`,
+  html:
+    paragraph(
+      `Hi ${escapeHtml(name)}, your ${paymentType} payment of <strong>${formatNaira(amount)}</strong> ` +
+        `for order <strong>${order.number}</strong> was not successful` +
+        (reason ? ` (${escapeHtml(reason)})` : '') +
+        '.'
+    ) +
+    paragraph('No money has been taken. You can try again from your orders page.') +
+    button('Try again', orderUrl),
+  text:
+    `Hi ${name}, your ${paymentType} payment of ${formatNaira(amount)} for order ` +
+    `${order.number} was not successful${reason ? ` (${reason})` : ''}.\n\n` +
+    'No money has been taken. You can try again from your orders page.\n\n' +
+    `Try again: ${orderUrl}`,
+});
+
+module.exports = {
+  order_received: orderReceived,
+  deposit_received: depositReceived,
+  production_started: productionStarted,
+  shipped,
+  delivered,
+  payment_failed: paymentFailed,
+};
@@ -0,0 +1,100 @@
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const config = require('../config/env');
+
+/**
+ * Image Service
+ * Turns one uploaded photo into the set of files the storefront needs:
+ * several widths, each as AVIF, WebP and a JPEG/PNG fallback, plus a
+ * blurhash placeholder shown while they load
+ */
+
+// Encoder settings per output format
+const ENCODERS = {
+  avif: { extension: 'avif', options: { quality: 50, effort: 4 } },
+  webp: { extension: 'webp', options: { quality: 78 } },
+  jpeg: { extension: 'jpg', options: { quality: 82, mozjpeg: true } },
+  png: { extension: 'png', options: { compressionLevel: 9, palette: true } },
+};
+
+// Blurhash detail: more components = more detail, longer string
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+
+class ImageService {
+  constructor() {
+    this.widths = config.uploads.imageWidths;
+  }
+
+  /**
+   * Build every derivative of an image
+   * @param {Buffer} buffer - Original upload
+   * @returns {Promise<{width: number, height: number, blurhash: string,
+   *   fallbackFormat: string, renditions: Array<{buffer: Buffer, width: number,
+   *   height: number, format: string, extension: string}>}>}
+   */
+  async process(buffer) {
+    // Apply EXIF rotation once so every derivative is the right way up
+    const { data: upright, info } = await sharp(buffer).rotate().toBuffer({
+      resolveWithObject: true,
+    });
+    const { width, height } = info;
+
+    // Images with an alpha channel stay PNG; everything else falls back to JPEG
+    const hasAlpha = info.channels === 2 || info.channels === 4;
+    const fallbackFormat = hasAlpha ? 'png' : 'jpeg';
+
+    // Never upscale: widths wider than the original collapse to the original
+    const widths = [...new Set(this.widths.map((w) => Math.min(w, width)))].sort(
+      (a, b) => a - b
+    );
+
+    const renditions = [];
+    for (const targetWidth of widths) {
+      for (const format of ['avif', 'webp', fallbackFormat]) {
+        const { data, info: out } = await sharp(upright)
+          .resize({ width: targetWidth, withoutEnlargement: true })
+          [format](ENCODERS[format].options)
+          .toBuffer({ resolveWithObject: true });
+
+        renditions.push({
+          buffer: data,
+          width: out.width,
+          height: out.height,
+          format,
+          extension: ENCODERS[format].extension,
+        });
+      }
+    }
+
+    return {
+      width,
+      height,
+      blurhash: await this.blurhash(upright),
+      fallbackFormat,
+      renditions,
+    };
+  }
+
+  /**
+   * Compute a blurhash from a small copy of the image
+   * @param {Buffer} buffer
+   * @returns {Promise<string>}
+   */
+  async blurhash(buffer) {
+    const { data, info } = await sharp(buffer)
+      .resize(32, 32, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return encode(
+      new Uint8ClampedArray(data),
+      info.width,
+      info.height,
+      BLURHASH_COMPONENTS.x,
+      BLURHASH_COMPONENTS.y
+    );
+  }
+}
+
+module.exports = new ImageService();
@@ -0,0 +1,262 @@
+const Product = require('../models/product');
+const Order = require('../models/order');
+const logger = require('../utils/logger');
+const { ConflictError, ERROR_CODES } = require('../utils/errors');
+
+/**
+ * Inventory Service
+ * Holds variant stock for orders. Stock is reserved when an order is
+ * placed, released if the order is cancelled or its deposit fails, and
+ * committed (taken off the shelf for good) when the order ships.
+ *
+ * Every stock change is a single atomic update on the product so that
+ * two customers can never both take the last bag.
+ */
+
+class InventoryService {
+  /**
+   * Reserve stock for priced line items. All or nothing: if any variant
+   * is short, whatever was taken is put back and nothing is reserved.
+   * @param {Array} items - Line items with product, variant and quantity
+   * @returns {Promise<boolean>} Whether any stock was reserved
+   */
+  async reserveItems(items) {
+    const stocked = items.filter((item) => item.variant);
+    const taken = [];
+    const shortages = [];
+
+    for (const item of stocked) {
+      const product = await Product.findOneAndUpdate(
+        {
+          _id: item.product,
+          variants: {
+            $elemMatch: { _id: item.variant, active: true, stock: { $gte: item.quantity } },
+          },
+        },
+        {
+          $inc: {
+            'variants.$.stock': -item.quantity,
+            'variants.$.reserved': item.quantity,
+          },
+        },
+        { new: true }
+      );
+
+      if (!product) {
+        shortages.push(item);
+        continue;
+      }
+
+      taken.push(item);
+      this.warnIfLow(product, product.variants.id(item.variant));
+    }
+
+    if (shortages.length > 0) {
+      await this.releaseItems(taken);
+      throw await this.outOfStockError(shortages);
+    }
+
+    return taken.length > 0;
+  }
+
+  /**
+   * Return reserved stock to the shelf
+   * @param {Array} items - Line items with product, variant and quantity
+   * @returns {Promise<void>}
+   */
+  async releaseItems(items) {
+    await this.moveReserved(items, (item) => ({
+      'variants.$.stock': item.quantity,
+      'variants.$.reserved': -item.quantity,
+    }));
+  }
+
+  /**
+   * Drop reserved stock once the bags have left the workshop
+   * @param {Array} items - Line items with product, variant and quantity
+   * @returns {Promise<void>}
+   */
+  async commitItems(items) {
+    await this.moveReserved(items, (item) => ({
+      'variants.$.reserved': -item.quantity,
+    }));
+  }
+
+  /**
+   * Reserve stock again for an order whose reservation was released,
+   * e.g. when the customer retries a failed deposit
+   * @param {object} order - Order document
+   * @returns {Promise<object>} The order
+   */
+  async reserve(order) {
+    if (order.stockStatus !== 'released') {
+      return order;
+    }
+
+    const items = order.getStockedItems();
+    await this.reserveItems(items);
+
+    const result = await Order.updateOne(
+      { _id: order._id, stockStatus: 'released' },
+      { stockStatus: 'reserved' }
+    );
+
+    // Another request re-reserved first; give back what we just took
+    if (result.modifiedCount === 0) {
+      await this.releaseItems(items);
+    }
+
+    order.stockStatus = 'reserved';
+    logger.info('Order stock reserved again', { orderId: order._id });
+
+    return order;
+  }
+
+  /**
+   * Release an order's reserved stock. Safe to call more than once.
+   * @param {object} order - Order document
+   * @param {string} reason - Logged with the release
+   * @returns {Promise<boolean>} Whether stock was released by this call
+   */
+  async release(order, reason) {
+    const released = await this.transition(order, 'reserved', 'released');
+
+    if (released) {
+      await this.releaseItems(order.getStockedItems());
+      logger.info('Order stock released', { orderId: order._id, reason });
+    }
+
+    return released;
+  }
+
+  /**
+   * Commit an order's reserved stock when it ships. Safe to call more than once.
+   * @param {object} order - Order document
+   * @returns {Promise<boolean>} Whether stock was committed by this call
+   */
+  async commit(order) {
+    const committed = await this.transition(order, 'reserved', 'committed');
+
+    if (committed) {
+      await this.commitItems(order.getStockedItems());
+    }
+
+    return committed;
+  }
+
+  /**
+   * Variants at or below their low-stock threshold
+   * @returns {Promise<Array>}
+   */
+  async getLowStock() {
+    const products = await Product.find({ 'variants.active': true }).select(
+      'name images variants'
+    );
+
+    return products.flatMap((product) =>
+      product.variants
+        .filter((variant) => variant.active && variant.isLowStock)
+        .map((variant) => ({
+          product: product._id,
+          name: product.name,
+          image: product.primaryImage?.url,
+          variant: variant._id,
+          sku: variant.sku,
+          label: variant.label,
+          stock: variant.stock,
+          reserved: variant.reserved,
+          lowStockThreshold: variant.lowStockThreshold,
+        }))
+    );
+  }
+
+  /**
+   * Atomically move an order's stockStatus so concurrent cancels,
+   * webhooks and jobs release or commit stock only once
+   * @private
+   */
+  async transition(order, from, to) {
+    const result = await Order.updateOne(
+      { _id: order._id, stockStatus: from },
+      { stockStatus: to }
+    );
+
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    order.stockStatus = to;
+    return true;
+  }
+
+  /**
+   * Apply a stock change to units that are currently reserved
+   * @private
+   */
+  async moveReserved(items, increments) {
+    for (const item of items.filter((entry) => entry.variant)) {
+      const result = await Product.updateOne(
+        {
+          _id: item.product,
+          variants: {
+            $elemMatch: { _id: item.variant, reserved: { $gte: item.quantity } },
+          },
+        },
+        { $inc: increments(item) }
+      );
+
+      // The variant was removed or its counts edited by hand since the order was placed
+      if (result.modifiedCount === 0) {
+        logger.warn('Reserved stock not found for variant', {
+          productId: item.product,
+          variant: item.variant,
+          sku: item.sku,
+          quantity: item.quantity,
+        });
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  warnIfLow(product, variant) {
+    if (variant && variant.isLowStock) {
+      logger.warn('Variant stock is low', {
+        productId: product._id,
+        sku: variant.sku,
+        stock: variant.stock,
+        lowStockThreshold: variant.lowStockThreshold,
+      });
+    }
+  }
+
+  /**
+   * Build the 409 returned when variants cannot cover an order
+   * @private
+   */
+  async outOfStockError(shortages) {
+    const products = await Product.find({
+      _id: { $in: shortages.map((item) => item.product) },
+    }).select('variants');
+    const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+    const items = shortages.map((item) => {
+      const variant = productMap.get(item.product.toString())?.variants.id(item.variant);
+      return {
+        product: item.product,
+        variant: item.variant,
+        sku: item.sku,
+        requested: item.quantity,
+        available: variant && variant.active ? variant.stock : 0,
+      };
+    });
+
+    return new ConflictError('Some items are out of stock or no longer available', {
+      code: ERROR_CODES.OUT_OF_STOCK,
+      details: { items },
+    });
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,235 @@
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { signPurposeToken, verifyPurposeToken } = require('../utils/jwt');
+const { AppError, ERROR_CODES } = require('../utils/errors');
+
+/**
+ * Login Protection Service
+ * Counts failed logins per account and per IP. After a few failures on an
+ * account each further attempt has to wait longer; after
+ * LOGIN_MAX_FAILED_ATTEMPTS the account is locked for LOGIN_LOCK_MINUTES
+ * and the owner is emailed an unlock link. Only failures count, so an
+ * office sharing one IP is not throttled by its own successful logins.
+ */
+
+// Failures allowed before delays start, and the longest delay (seconds)
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+
+// Failed logins from one IP across all accounts, per hour
+const IP_MAX_FAILURES = 50;
+
+// Signed-link purpose for unlocking, and how long the link works
+const UNLOCK_ACCOUNT = 'unlock_account';
+const UNLOCK_LINK_EXPIRE = '24h';
+
+// Fields to select on the user before calling this service
+const PROTECTION_FIELDS = '+failedLoginAttempts +lastFailedLoginAt +lockUntil';
+
+const ipFailures = new RateLimiterMemory({
+  keyPrefix: 'login_fail_ip',
+  points: IP_MAX_FAILURES,
+  duration: 3600, // per hour
+  blockDuration: 3600, // Block for an hour after the limit is exceeded
+});
+
+const tooManyAttempts = (message, retryAfter) =>
+  new AppError(message, 429, ERROR_CODES.RATE_LIMITED, { retryAfter });
+
+const accountLocked = (retryAfter) =>
+  new AppError(
+    'Account temporarily locked after too many failed sign-in attempts. ' +
+      'Check your email for an unlock link or reset your password.',
+    423,
+    ERROR_CODES.ACCOUNT_LOCKED,
+    { retryAfter }
+  );
+
+class LoginProtectionService {
+  constructor() {
+    this.fields = PROTECTION_FIELDS;
+  }
+
+  /**
+   * Seconds an account must wait after `failures` failed attempts
+   * @param {number} failures
+   * @returns {number}
+   */
+  getDelaySeconds(failures) {
+    if (failures <= FREE_ATTEMPTS) {
+      return 0;
+    }
+    return Math.min(2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_SECONDS);
+  }
+
+  /**
+   * Refuse an attempt from an IP with too many recent failures
+   * @param {string} ip
+   */
+  async assertIpAllowed(ip) {
+    const res = await ipFailures.get(ip);
+
+    if (res && res.consumedPoints > IP_MAX_FAILURES) {
+      throw tooManyAttempts(
+        'Too many failed sign-in attempts from your network. Please try again later.',
+        Math.ceil(res.msBeforeNext / 1000)
+      );
+    }
+  }
+
+  /**
+   * Refuse an attempt on a locked account, or one still in its delay
+   * @param {object} user - User document selected with `this.fields`
+   */
+  assertAccountAllowed(user) {
+    const now = Date.now();
+
+    if (user.lockUntil && user.lockUntil.getTime() > now) {
+      throw this.lockedError(Math.ceil((user.lockUntil.getTime() - now) / 1000));
+    }
+
+    const delayMs = this.getDelaySeconds(user.failedLoginAttempts) * 1000;
+    const waitMs = user.lastFailedLoginAt
+      ? user.lastFailedLoginAt.getTime() + delayMs - now
+      : 0;
+
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      throw tooManyAttempts(
+        `Too many failed sign-in attempts. Please wait ${retryAfter} second(s) and try again.`,
+        retryAfter
+      );
+    }
+  }
+
+  /**
+   * Error for a locked account
+   * @param {number} [retryAfter] - Seconds; defaults to the full lock
+   * @returns {AppError}
+   */
+  lockedError(retryAfter = config.auth.loginLockMinutes * 60) {
+    return accountLocked(retryAfter);
+  }
+
+  /**
+   * Count a failed password or two-factor code
+   * @param {object|null} user - The account, or null if the email is unknown
+   * @param {string} ip
+   * @returns {Promise<boolean>} Whether this failure locked the account
+   */
+  async recordFailure(user, ip) {
+    // Rejects once the IP is over its limit, which assertIpAllowed reports
+    await ipFailures.consume(ip).catch(() => null);
+
+    if (!user) {
+      return false;
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+      { new: true }
+    ).select(PROTECTION_FIELDS);
+
+    if (!updated || updated.failedLoginAttempts < config.auth.maxFailedLogins) {
+      return false;
+    }
+
+    return this.lock(updated);
+  }
+
+  /**
+   * Clear the counters after a complete login
+   * @param {object} user - User document selected with `this.fields`
+   */
+  async recordSuccess(user) {
+    if (!user.failedLoginAttempts && !user.lockUntil) {
+      return;
+    }
+
+    await this.reset(user._id);
+  }
+
+  /**
+   * Unlock an account from the emailed link. A link only lifts the lock it
+   * was sent for, not a later one.
+   * @param {string} token
+   * @returns {Promise<object|null>} The user, or null if the link is invalid
+   *   or that lock is already over
+   */
+  async unlock(token) {
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(UNLOCK_ACCOUNT, token);
+    } catch (error) {
+      return null;
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: decoded.id, lockUntil: new Date(decoded.lockUntil) },
+      { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+    );
+    if (user) {
+      logger.info('Account unlocked from email link', { userId: user._id });
+    }
+
+    return user;
+  }
+
+  /**
+   * Forget an account's failures and lock
+   * @param {ObjectId} userId
+   * @returns {Promise<object|null>}
+   */
+  async reset(userId) {
+    return User.findByIdAndUpdate(userId, {
+      $set: { failedLoginAttempts: 0 },
+      $unset: { lastFailedLoginAt: 1, lockUntil: 1 },
+    });
+  }
+
+  /**
+   * Lock an account and email the owner. The counter restarts, so once
+   * the lock ends the account gets its free attempts back.
+   * @private
+   */
+  async lock(user) {
+    const { loginLockMinutes } = config.auth;
+    const now = new Date();
+
+    // Only the request that locks the account sends the email
+    const locked = await User.findOneAndUpdate(
+      { _id: user._id, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+      {
+        $set: {
+          lockUntil: new Date(now.getTime() + loginLockMinutes * 60 * 1000),
+          failedLoginAttempts: 0,
+        },
+      },
+      { new: true }
+    );
+
+    if (!locked) {
+      return false;
+    }
+
+    logger.warn('Account locked after failed logins', { userId: locked._id });
+
+    const token = signPurposeToken(
+      UNLOCK_ACCOUNT,
+      { id: locked._id, lockUntil: locked.lockUntil.getTime() },
+      UNLOCK_LINK_EXPIRE
+    );
+    await emailService.sendAccountLocked(locked, {
+      unlockUrl: `${config.cors.origin}/unlock-account/${token}`,
+      lockMinutes: loginLockMinutes,
+    });
+
+    return true;
+  }
+}
+
+module.exports = new LoginProtectionService();
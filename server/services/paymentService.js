@@ -0,0 +1,143 @@
+const Order = require('../models/order');
+const inventoryService = require('./inventoryService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+/**
+ * Payment Service
+ * Applies Paystack charge outcomes to Payment and Order records
+ */
+
+class PaymentService {
+  /**
+   * Mark a payment successful and update its order.
+   * Shared by the verify endpoint, the charge.success webhook and
+   * reconciliation; safe to call more than once for the same payment.
+   * @param {object} payment - Payment document
+   * @param {object} details - Charge details from Paystack (amount in kobo)
+   * @returns {Promise<object|null>} The updated order
+   */
+  async applySuccessfulPayment(payment, details) {
+    const order = await Order.findById(payment.order);
+
+    if (payment.status === 'success') {
+      logger.info('Payment already processed (idempotent)', {
+        reference: payment.reference,
+      });
+      return order;
+    }
+
+    // Never trust a charge for a different amount than we asked for
+    if (details.amount !== payment.amountInKobo) {
+      logger.error('Payment amount mismatch', {
+        reference: payment.reference,
+        expected: payment.amountInKobo,
+        received: details.amount,
+      });
+      await this.recordFailedPayment(payment, {
+        status: 'failed',
+        gatewayResponse: details.gatewayResponse,
+        failureReason: `Amount mismatch: expected ${payment.amountInKobo}, received ${details.amount}`,
+      });
+      return order;
+    }
+
+    const paidAt = details.paidAt ? new Date(details.paidAt) : new Date();
+
+    payment.status = 'success';
+    payment.paidAt = paidAt;
+    payment.channel = details.channel;
+    payment.gatewayResponse = details.gatewayResponse;
+    payment.authorizationCode = details.authorizationCode;
+    payment.verifiedVia = details.source;
+    payment.verifiedAt = new Date();
+    payment.failureReason = undefined;
+    await payment.save();
+
+    if (!order) {
+      logger.error('Order not found for successful payment', {
+        reference: payment.reference,
+        orderId: payment.order,
+      });
+      return null;
+    }
+
+    order.markPaymentReceived(payment.type, paidAt);
+
+    // Stock was released when an earlier deposit attempt failed; take it back
+    if (payment.type === 'deposit' && order.stockStatus === 'released') {
+      try {
+        await inventoryService.reserve(order);
+      } catch (error) {
+        logger.warn('Deposit paid but stock is no longer available', {
+          orderId: order._id,
+          reference: payment.reference,
+          error: error.message,
+        });
+      }
+    }
+
+    // Deposit unlocks production once the artisan has confirmed the order
+    if (
+      payment.type === 'deposit' &&
+      order.status === 'awaiting_deposit' &&
+      order.canTransitionTo('in_production')
+    ) {
+      order.transitionTo('in_production', {
+        source: 'system',
+        notes: 'Deposit received',
+      });
+    }
+
+    await order.save();
+
+    logger.info('Order payment recorded', {
+      orderId: order._id,
+      reference: payment.reference,
+      type: payment.type,
+      paymentStatus: order.paymentStatus,
+    });
+
+    if (payment.type === 'deposit') {
+      await emailService.sendDepositReceived(order, payment);
+      await emailService.sendOrderStatus(order);
+    }
+
+    return order;
+  }
+
+  /**
+   * Mark a pending payment as failed or abandoned.
+   * A failed deposit releases the order's reserved stock; it is
+   * reserved again if the customer retries. The customer is emailed
+   * about failed (not abandoned) payments.
+   * @param {object} payment - Payment document
+   * @returns {Promise<object>} The payment
+   */
+  async recordFailedPayment(payment, { status, gatewayResponse, failureReason }) {
+    if (payment.status === 'success') {
+      return payment;
+    }
+
+    payment.status = status === 'abandoned' ? 'abandoned' : 'failed';
+    payment.gatewayResponse = gatewayResponse;
+    payment.failureReason = failureReason || gatewayResponse || 'Unknown error';
+    await payment.save();
+
+    if (payment.type === 'deposit') {
+      const order = await Order.findById(payment.order);
+      if (order && !order.depositPaid) {
+        await inventoryService.release(order, `Deposit ${payment.status}`);
+      }
+    }
+
+    // An abandoned checkout is the customer's choice; only real failures are emailed
+    if (payment.status === 'failed') {
+      await emailService.sendPaymentFailed(payment);
+    }
+
+    return payment;
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,480 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ArtisanEarning = require('../models/artisanEarning');
+const Payout = require('../models/payout');
+const PayoutAccount = require('../models/payoutAccount');
+const paystackService = require('./paystackService');
+const paystackConfig = require('../config/paystack');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+/**
+ * Payout Service
+ * Accrues artisan earnings from delivered orders and pays them out
+ * as Paystack transfers once an admin approves the batch. A transfer
+ * whose outcome is unknown is never re-sent; it is checked with Paystack
+ * first, and jobs/payoutRetryJob picks up retries and checks that are due.
+ */
+
+// Payouts handled per retry job run
+const RETRY_BATCH_SIZE = 20;
+
+class PayoutService {
+  constructor() {
+    this.retry = paystackConfig.transfer;
+  }
+
+  /**
+   * Record what the artisan earned from a delivered order.
+   * Safe to call more than once per order.
+   * @param {object} order - Order document
+   * @returns {Promise<object|null>} The earning, or null if no artisan is assigned
+   */
+  async accrueEarning(order) {
+    if (!order.artisan) {
+      logger.warn('Delivered order has no artisan; no earning recorded', {
+        orderId: order._id,
+      });
+      return null;
+    }
+
+    const existing = await ArtisanEarning.findOne({ order: order._id });
+    if (existing) {
+      return existing;
+    }
+
+    const { commissionPercent } = config.payouts;
+    const grossAmount = order.subtotal - (order.discount || 0);
+    const commissionAmount = Math.round((grossAmount * commissionPercent) / 100);
+
+    const earning = await ArtisanEarning.create({
+      artisan: order.artisan,
+      order: order._id,
+      grossAmount,
+      commissionPercent,
+      commissionAmount,
+      netAmount: grossAmount - commissionAmount,
+    });
+
+    logger.info('Artisan earning accrued', {
+      orderId: order._id,
+      artisan: order.artisan,
+      netAmount: earning.netAmount,
+    });
+
+    return earning;
+  }
+
+  /**
+   * Withdraw an earning when its order is returned before it was paid out
+   * @param {object} order - Order document
+   * @returns {Promise<object|null>}
+   */
+  async reverseEarning(order) {
+    const earning = await ArtisanEarning.findOneAndUpdate(
+      { order: order._id, status: 'available' },
+      { status: 'reversed' },
+      { new: true }
+    );
+
+    if (!earning) {
+      const paidOut = await ArtisanEarning.exists({
+        order: order._id,
+        status: { $in: ['in_payout', 'paid'] },
+      });
+      if (paidOut) {
+        logger.warn('Returned order was already included in a payout', {
+          orderId: order._id,
+        });
+      }
+    }
+
+    return earning;
+  }
+
+  /**
+   * Group each artisan's available earnings into a payout awaiting approval.
+   * Earnings are claimed before the payout is built, so two batches created
+   * at the same time never include the same earning.
+   * @returns {Promise<{batchId: string, payouts: Array}>}
+   */
+  async createBatch() {
+    const batchId = `BATCH-${Date.now()}`;
+    const { minAmount } = config.payouts;
+
+    const candidates = await ArtisanEarning.aggregate([
+      { $match: { status: 'available' } },
+      { $group: { _id: '$artisan', amount: { $sum: '$netAmount' } } },
+      { $match: { amount: { $gte: minAmount } } },
+    ]);
+
+    const payouts = [];
+    for (const { _id: artisan } of candidates) {
+      const payoutId = new mongoose.Types.ObjectId();
+
+      await ArtisanEarning.updateMany(
+        { artisan, status: 'available' },
+        { status: 'in_payout', payout: payoutId }
+      );
+
+      const earnings = await ArtisanEarning.find({ payout: payoutId, status: 'in_payout' });
+      const amount = earnings.reduce((sum, earning) => sum + earning.netAmount, 0);
+
+      // Another batch claimed some of them first
+      if (earnings.length === 0 || amount < minAmount) {
+        await ArtisanEarning.updateMany(
+          { payout: payoutId, status: 'in_payout' },
+          { status: 'available', $unset: { payout: 1 } }
+        );
+        continue;
+      }
+
+      const payout = await Payout.create({
+        _id: payoutId,
+        artisan,
+        earnings: earnings.map((earning) => earning._id),
+        amount,
+        amountInKobo: Math.round(amount * 100),
+        batchId,
+      });
+
+      payouts.push(payout);
+    }
+
+    logger.info('Payout batch created', {
+      batchId,
+      payouts: payouts.length,
+    });
+
+    return { batchId, payouts };
+  }
+
+  /**
+   * Approve payouts and send them as Paystack transfers
+   * @param {string[]} payoutIds - Payouts to approve
+   * @param {string} approvedBy - Admin user ID
+   * @returns {Promise<Array>} Updated payouts
+   */
+  async approve(payoutIds, approvedBy) {
+    const payouts = [];
+
+    for (const id of payoutIds) {
+      // Claim each one so a double-submitted approval sends it only once
+      const payout = await Payout.findOneAndUpdate(
+        { _id: id, status: 'pending_approval' },
+        {
+          status: 'processing',
+          approvedBy,
+          approvedAt: new Date(),
+          nextAttemptAt: new Date(Date.now() + this.retry.verifyDelayMs),
+        },
+        { new: true }
+      );
+
+      if (payout) {
+        payouts.push(await this.sendTransfer(payout));
+      }
+    }
+
+    return payouts;
+  }
+
+  /**
+   * Start a new transfer attempt for a payout. If an earlier attempt
+   * exists, Paystack is asked about it first and nothing new is sent
+   * unless it clearly failed.
+   * @param {object} payout - Payout document
+   * @returns {Promise<object>} The updated payout
+   */
+  async sendTransfer(payout) {
+    if (payout.reference && (await this.checkTransfer(payout)) !== 'failed') {
+      return payout;
+    }
+
+    const account = await PayoutAccount.findOne({
+      artisan: payout.artisan,
+      active: true,
+    });
+
+    if (!account) {
+      payout.status = 'failed';
+      payout.nextAttemptAt = undefined;
+      payout.lastError = 'Artisan has no active payout account';
+      await payout.save();
+      return payout;
+    }
+
+    payout.attempts += 1;
+
+    // Paystack rejects reused references, so each attempt gets its own
+    if (payout.reference) {
+      payout.previousReferences.push(payout.reference);
+    }
+    payout.reference = `PAYOUT-${payout._id}-${payout.attempts}-${crypto
+      .randomBytes(3)
+      .toString('hex')}`;
+    payout.recipientCode = account.recipientCode;
+    payout.transferCode = undefined;
+    payout.status = 'processing';
+    // If the server stops before Paystack answers, the job checks this attempt
+    payout.nextAttemptAt = new Date(Date.now() + this.retry.verifyDelayMs);
+    await payout.save();
+
+    try {
+      const result = await paystackService.initiateTransfer({
+        amount: payout.amountInKobo,
+        recipient: account.recipientCode,
+        reference: payout.reference,
+        reason: 'Latodabags artisan payout',
+      });
+
+      payout.transferCode = result.transferCode;
+
+      if (result.status === 'success') {
+        await this.markPaid(payout);
+      } else if (result.status === 'failed') {
+        await this.markFailed(payout, 'Transfer failed');
+      } else {
+        await payout.save();
+      }
+    } catch (error) {
+      if (error.rejected) {
+        await this.markFailed(payout, error.message);
+      } else {
+        // The transfer may have gone through; wait for the webhook or the check
+        payout.lastError = error.message;
+        await payout.save();
+
+        logger.warn('Artisan payout outcome unknown', {
+          payoutId: payout._id,
+          reference: payout.reference,
+          error: error.message,
+        });
+      }
+    }
+
+    return payout;
+  }
+
+  /**
+   * Ask Paystack how the current attempt went and apply the answer.
+   * A paid transfer marks the payout paid; one still in progress leaves it
+   * processing and checks again later.
+   * @param {object} payout - Payout document with a reference
+   * @returns {Promise<string>} 'success', 'failed' or 'pending'
+   */
+  async checkTransfer(payout) {
+    let transfer;
+    try {
+      transfer = await paystackService.verifyTransfer(payout.reference);
+    } catch (error) {
+      await this.awaitOutcome(payout, error.message);
+      return 'pending';
+    }
+
+    if (transfer?.status === 'success') {
+      await this.markPaid(payout);
+      return 'success';
+    }
+
+    // Paystack has no such transfer, or says it did not go out
+    if (!transfer || this.retry.failedStatuses.includes(transfer.status)) {
+      if (transfer?.reason) {
+        payout.lastError = transfer.reason;
+      }
+      return 'failed';
+    }
+
+    await this.awaitOutcome(payout);
+    return 'pending';
+  }
+
+  /**
+   * Send retries and check on unconfirmed transfers that are due.
+   * Called by the payout retry job.
+   * @returns {Promise<{handled: number}>}
+   */
+  async retryDue() {
+    const now = new Date();
+    const dueFilter = {
+      status: { $in: ['retrying', 'processing'] },
+      nextAttemptAt: { $lte: now },
+    };
+
+    const due = await Payout.find(dueFilter)
+      .sort({ nextAttemptAt: 1 })
+      .limit(RETRY_BATCH_SIZE)
+      .select('_id');
+
+    let handled = 0;
+    for (const { _id } of due) {
+      // Moving nextAttemptAt claims the payout; if this run dies, the job
+      // picks it up again once that time passes
+      const payout = await Payout.findOneAndUpdate(
+        { _id, ...dueFilter },
+        { nextAttemptAt: new Date(Date.now() + this.retry.verifyDelayMs) },
+        { new: true }
+      );
+
+      if (!payout) {
+        continue;
+      }
+
+      try {
+        // No reference yet: approved, but the first attempt was never sent
+        if (payout.status === 'retrying' || !payout.reference) {
+          await this.sendTransfer(payout);
+        } else if ((await this.checkTransfer(payout)) === 'failed') {
+          await this.markFailed(payout, payout.lastError || 'Transfer failed');
+        }
+        handled += 1;
+      } catch (error) {
+        logger.error('Payout retry error', {
+          payoutId: payout._id,
+          error: error.message,
+        });
+      }
+    }
+
+    return { handled };
+  }
+
+  /**
+   * Apply a transfer.success / transfer.failed / transfer.reversed webhook.
+   * Events for earlier attempts still count if they report money sent.
+   * @param {string} eventName - Webhook event type
+   * @param {object} data - Webhook data
+   * @returns {Promise<boolean>} false if the transfer is not a payout
+   */
+  async applyTransferEvent(eventName, data) {
+    const payout = await Payout.findOne({
+      $or: [{ reference: data.reference }, { previousReferences: data.reference }],
+    });
+
+    if (!payout) {
+      logger.warn('Transfer event for unknown payout', {
+        event: eventName,
+        reference: data.reference,
+      });
+      return false;
+    }
+
+    const isCurrent = payout.reference === data.reference;
+
+    if (eventName === 'transfer.success') {
+      if (payout.status === 'success') {
+        if ((payout.paidReference || payout.reference) !== data.reference) {
+          logger.error('Artisan payout paid more than once', {
+            payoutId: payout._id,
+            reference: data.reference,
+          });
+        }
+        return true;
+      }
+
+      await this.markPaid(payout, data.reference);
+      return true;
+    }
+
+    // A failure only matters for the attempt still in flight
+    if (isCurrent && payout.status === 'processing') {
+      await this.markFailed(payout, data.reason || data.gateway_response || eventName);
+    }
+
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  async markPaid(payout, reference = payout.reference) {
+    payout.status = 'success';
+    payout.paidAt = new Date();
+    payout.paidReference = reference;
+    payout.nextAttemptAt = undefined;
+    payout.lastError = undefined;
+    await payout.save();
+
+    await ArtisanEarning.updateMany(
+      { _id: { $in: payout.earnings } },
+      { status: 'paid' }
+    );
+
+    logger.info('Artisan payout paid', {
+      payoutId: payout._id,
+      artisan: payout.artisan,
+      amount: payout.amount,
+      reference,
+    });
+  }
+
+  /**
+   * Record a failed attempt and schedule a retry while attempts remain
+   * @private
+   */
+  async markFailed(payout, reason) {
+    payout.lastError = reason;
+
+    const canRetry = payout.attempts < this.retry.maxAttempts;
+    if (canRetry) {
+      const delay = Math.min(
+        this.retry.initialDelayMs * 2 ** (payout.attempts - 1),
+        this.retry.maxDelayMs
+      );
+      payout.status = 'retrying';
+      payout.nextAttemptAt = new Date(Date.now() + delay);
+    } else {
+      payout.status = 'failed';
+      payout.nextAttemptAt = undefined;
+    }
+
+    await payout.save();
+
+    logger.error('Artisan payout failed', {
+      payoutId: payout._id,
+      attempts: payout.attempts,
+      willRetry: canRetry,
+      error: reason,
+    });
+  }
+
+  /**
+   * Leave a payout processing and check on it again later
+   * @private
+   */
+  async awaitOutcome(payout, error) {
+    payout.status = 'processing';
+    if (error) {
+      payout.lastError = error;
+    }
+    payout.nextAttemptAt = new Date(Date.now() + this.retry.verifyDelayMs);
+    await payout.save();
+  }
+
+  /**
+   * Retry a failed payout immediately (admin action)
+   * @param {string} payoutId
+   * @returns {Promise<object>}
+   */
+  async retryNow(payoutId) {
+    const payout = await Payout.findOneAndUpdate(
+      { _id: payoutId, status: { $in: ['failed', 'retrying'] } },
+      // Keeps the retry job off it while this request runs
+      { nextAttemptAt: new Date(Date.now() + this.retry.verifyDelayMs) },
+      { new: true }
+    );
+
+    if (!payout) {
+      const existing = await Payout.findById(payoutId).select('status');
+      if (!existing) {
+        throw new NotFoundError('Payout not found');
+      }
+      throw new ConflictError(`Cannot retry a payout that is ${existing.status}`);
+    }
+
+    return this.sendTransfer(payout);
+  }
+}
+
+module.exports = new PayoutService();
@@ -20,9 +20,11 @@ class PaystackService {
    * @param {string} email - Customer email
    * @param {number} amount - Amount in kobo
    * @param {object} metadata - Additional transaction data
+   * @param {object} options - Optional settings
+   * @param {string} options.reference - Our own reference (Paystack generates one if omitted)
    * @returns {Promise<{authorizationUrl, accessCode, reference}>}
    */
-  async initializeTransaction(email, amount, metadata = {}) {
+  async initializeTransaction(email, amount, metadata = {}, options = {}) {
     try {
       // Validate amount
       if (amount < paystackConfig.transaction.minAmount) {
@@ -45,6 +47,7 @@ class PaystackService {
           email,
           amount,
           metadata,
+          reference: options.reference,
           // Callback URL will be handled by frontend
           callback_url: process.env.CLIENT_URL + '/payment/callback',
         },
@@ -129,7 +132,10 @@ class PaystackService {
         customerId: transaction.customer.customer_code,
         metadata: transaction.metadata || {},
         paidAt: transaction.paid_at,
-        authorizationCode: transaction.authorization.authorization_code,
+        channel: transaction.channel,
+        gatewayResponse: transaction.gateway_response,
+        // Absent on failed/abandoned transactions
+        authorizationCode: transaction.authorization?.authorization_code,
       };
     } catch (error) {
       logger.error('Paystack verification error', {
@@ -208,6 +214,47 @@ class PaystackService {
     }
   }
 
+  /**
+   * List transactions created in a date range (one page)
+   * @param {object} params
+   * @param {Date} params.from - Start of range
+   * @param {Date} params.to - End of range
+   * @param {number} params.page - Page number (1-based)
+   * @param {number} params.perPage - Page size (max 100)
+   * @returns {Promise<{transactions: Array, pageCount: number}>}
+   */
+  async listTransactions({ from, to, page = 1, perPage = 100 }) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/transaction`, {
+        params: {
+          from: from.toISOString(),
+          to: to.toISOString(),
+          page,
+          perPage,
+        },
+        headers: {
+          Authorization: `Bearer ${this.secretKey}`,
+        },
+        timeout: 20000,
+      });
+
+      if (!response.data.status) {
+        throw new Error('Failed to list transactions');
+      }
+
+      return {
+        transactions: response.data.data,
+        pageCount: response.data.meta?.pageCount || 1,
+      };
+    } catch (error) {
+      logger.error('Error listing transactions', {
+        error: error.message,
+        page,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Create customer on Paystack
    * @param {string} email - Customer email
@@ -260,6 +307,266 @@ class PaystackService {
     }
   }
 
+  /**
+   * Refund a successful transaction in full or in part
+   * @param {string} transaction - Transaction reference or ID
+   * @param {number} amount - Amount in kobo (omit for the full unrefunded amount)
+   * @param {object} notes - Optional notes
+   * @param {string} notes.customerNote - Shown to the customer
+   * @param {string} notes.merchantNote - Internal note
+   * @returns {Promise<{refundId, status, amount}>}
+   */
+  async createRefund(transaction, amount, { customerNote, merchantNote } = {}) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/refund`,
+        {
+          transaction,
+          amount,
+          currency: 'NGN',
+          customer_note: customerNote,
+          merchant_note: merchantNote,
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${this.secretKey}`,
+            'Content-Type': 'application/json',
+          },
+          timeout: 10000,
+        }
+      );
+
+      if (!response.data.status) {
+        throw new Error(response.data.message || 'Failed to create refund');
+      }
+
+      const refund = response.data.data;
+
+      logger.info('Paystack refund created', {
+        transaction,
+        refundId: refund.id,
+        amount: refund.amount,
+        status: refund.status,
+      });
+
+      return {
+        success: true,
+        refundId: refund.id,
+        status: refund.status, // 'pending', 'processing', 'processed', 'failed'
+        amount: refund.amount, // in kobo
+      };
+    } catch (error) {
+      // Paystack explains rejected refunds in the response body
+      const message = error.response?.data?.message || error.message;
+
+      logger.error('Paystack refund error', {
+        error: message,
+        transaction,
+        amount,
+      });
+      throw new Error(message);
+    }
+  }
+
+  /**
+   * List Nigerian banks that can receive transfers
+   * @returns {Promise<Array<{name, code}>>}
+   */
+  async listBanks() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/bank`, {
+        params: { country: 'nigeria', currency: 'NGN' },
+        headers: {
+          Authorization: `Bearer ${this.secretKey}`,
+        },
+        timeout: 10000,
+      });
+
+      if (!response.data.status) {
+        throw new Error('Failed to fetch banks');
+      }
+
+      return response.data.data.map((bank) => ({
+        name: bank.name,
+        code: bank.code,
+      }));
+    } catch (error) {
+      logger.error('Error fetching banks', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Register a bank account as a transfer recipient
+   * @param {object} account
+   * @param {string} account.name - Account holder name
+   * @param {string} account.accountNumber - 10-digit NUBAN
+   * @param {string} account.bankCode - Paystack bank code
+   * @returns {Promise<{recipientCode, bankName, accountName}>}
+   */
+  async createTransferRecipient({ name, accountNumber, bankCode }) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/transferrecipient`,
+        {
+          type: 'nuban',
+          name,
+          account_number: accountNumber,
+          bank_code: bankCode,
+          currency: 'NGN',
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${this.secretKey}`,
+            'Content-Type': 'application/json',
+          },
+          timeout: 10000,
+        }
+      );
+
+      if (!response.data.status) {
+        throw new Error(
+          response.data.message || 'Failed to create transfer recipient'
+        );
+      }
+
+      const recipient = response.data.data;
+
+      logger.info('Paystack transfer recipient created', {
+        recipientCode: recipient.recipient_code,
+        bankCode,
+      });
+
+      return {
+        recipientCode: recipient.recipient_code,
+        bankName: recipient.details?.bank_name,
+        accountName: recipient.details?.account_name || name,
+      };
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+
+      logger.error('Paystack transfer recipient error', {
+        error: message,
+        bankCode,
+      });
+      throw new Error(message);
+    }
+  }
+
+  /**
+   * Send money from the Paystack balance to a recipient
+   * @param {object} transfer
+   * @param {number} transfer.amount - Amount in kobo
+   * @param {string} transfer.recipient - Recipient code
+   * @param {string} transfer.reference - Our unique reference
+   * @param {string} transfer.reason - Shown on the recipient's statement
+   * @returns {Promise<{transferCode, status}>}
+   * @throws {Error} With `rejected: true` when Paystack answered and refused
+   *   the transfer. Otherwise (timeout, network error, 5xx) it may have gone
+   *   through and must be checked with verifyTransfer before trying again.
+   */
+  async initiateTransfer({ amount, recipient, reference, reason }) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/transfer`,
+        {
+          source: 'balance',
+          amount,
+          recipient,
+          reference,
+          reason,
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${this.secretKey}`,
+            'Content-Type': 'application/json',
+          },
+          timeout: 10000,
+        }
+      );
+
+      if (!response.data.status) {
+        const refused = new Error(response.data.message || 'Failed to initiate transfer');
+        refused.rejected = true;
+        throw refused;
+      }
+
+      const transfer = response.data.data;
+
+      logger.info('Paystack transfer initiated', {
+        reference,
+        transferCode: transfer.transfer_code,
+        amount,
+        status: transfer.status,
+      });
+
+      return {
+        transferCode: transfer.transfer_code,
+        status: transfer.status, // 'pending', 'success', 'otp', 'failed'
+      };
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+
+      const rejected =
+        Boolean(error.rejected) || (error.response ? error.response.status < 500 : false);
+
+      logger.error('Paystack transfer error', {
+        error: message,
+        reference,
+        amount,
+        rejected,
+      });
+
+      const failure = new Error(message);
+      failure.rejected = rejected;
+      throw failure;
+    }
+  }
+
+  /**
+   * Look up a transfer by our reference
+   * @param {string} reference - Reference the transfer was sent with
+   * @returns {Promise<{transferCode, status, reason}|null>} null if Paystack
+   *   has no transfer with that reference
+   */
+  async verifyTransfer(reference) {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/transfer/verify/${encodeURIComponent(reference)}`,
+        {
+          headers: {
+            Authorization: `Bearer ${this.secretKey}`,
+          },
+          timeout: 10000,
+        }
+      );
+
+      if (!response.data.status) {
+        throw new Error(response.data.message || 'Transfer verification failed');
+      }
+
+      const transfer = response.data.data;
+
+      return {
+        transferCode: transfer.transfer_code,
+        status: transfer.status, // 'pending', 'success', 'failed', 'reversed', 'otp', ...
+        reason: transfer.reason,
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      logger.error('Paystack transfer verification error', {
+        error: error.response?.data?.message || error.message,
+        reference,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Parse and validate webhook event
    * @param {object} event - Paystack webhook event
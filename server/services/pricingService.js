@@ -0,0 +1,205 @@
+const Product = require('../models/product');
+const config = require('../config/env');
+const { ValidationError } = require('../utils/errors');
+const { validateCustomSpecs } = require('../utils/validators');
+
+/**
+ * Pricing Service
+ * Computes order totals from the stored products so that the
+ * client never decides what an order costs.
+ */
+
+/**
+ * Round a Naira amount to the nearest whole Naira
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundNaira = (amount) => Math.round(amount);
+
+/**
+ * 400 when some requested products do not exist
+ * @param {string[]} missingProducts - Product IDs
+ * @returns {ValidationError}
+ */
+const missingProductsError = (missingProducts) =>
+  new ValidationError(
+    'One or more products no longer exist',
+    missingProducts.map((id) => ({
+      field: 'items.product',
+      message: `Product ${id} not found`,
+    }))
+  );
+
+/**
+ * Convert a customSpecs array into the { name: value } map
+ * expected by Product.calculatePrice
+ * @param {Array<{name: string, value: string}>} customSpecs
+ * @returns {object}
+ */
+const specsToSelection = (customSpecs = []) =>
+  customSpecs.reduce((selection, spec) => {
+    selection[spec.name] = spec.value;
+    return selection;
+  }, {});
+
+/**
+ * Calculate shipping fee for an order
+ * @param {number} amountAfterDiscount - Subtotal minus discount
+ * @returns {number}
+ */
+const calculateShipping = (amountAfterDiscount) => {
+  const { shippingFee, freeShippingThreshold } = config.pricing;
+
+  if (freeShippingThreshold > 0 && amountAfterDiscount >= freeShippingThreshold) {
+    return 0;
+  }
+
+  return shippingFee;
+};
+
+/**
+ * Calculate the bulk discount for an order
+ * @param {number} subtotal - Sum of all line items
+ * @param {number} quantity - Total number of bags
+ * @returns {number}
+ */
+const calculateDiscount = (subtotal, quantity) => {
+  const { minQuantity, percent } = config.pricing.bulkDiscount;
+
+  if (!percent || quantity < minQuantity) {
+    return 0;
+  }
+
+  return roundNaira((subtotal * percent) / 100);
+};
+
+/**
+ * Split an order total into the deposit charged at order time
+ * and the balance charged before shipping
+ * @param {number} total - Order total
+ * @returns {{depositAmount: number, balanceAmount: number}}
+ */
+const splitPayment = (total) => {
+  const depositAmount = roundNaira((total * config.pricing.depositPercent) / 100);
+
+  return {
+    depositAmount,
+    balanceAmount: total - depositAmount,
+  };
+};
+
+/**
+ * Pick the variant an order item asks for
+ * @param {object} product - Product document
+ * @param {object} item - Requested item; `variant` is a variant ID or SKU
+ * @param {string} field - Path of the item's variant, for error fields
+ * @returns {{variant: object|null, error: object|null}} variant is null for
+ *   products without variants
+ */
+const resolveVariant = (product, item, field) => {
+  if (!product.hasVariants) {
+    return {
+      variant: null,
+      error: item.variant
+        ? { field, message: `${product.name} does not come in variants` }
+        : null,
+    };
+  }
+
+  if (!item.variant) {
+    return { variant: null, error: { field, message: `Choose a variant of ${product.name}` } };
+  }
+
+  const variant = product.findVariant(item.variant);
+  if (!variant || !variant.active) {
+    return {
+      variant: null,
+      error: { field, message: `Variant ${item.variant} of ${product.name} is not available` },
+    };
+  }
+
+  return { variant, error: null };
+};
+
+/**
+ * Price a list of requested order items against the product catalogue
+ * @param {Array<{product: string, variant: string, quantity: number, customSpecs: Array}>} items
+ * @returns {Promise<{missingProducts: string[], items: Array, subtotal: number,
+ *   shippingFee: number, discount: number, total: number,
+ *   depositAmount: number, balanceAmount: number}>}
+ * @throws {ValidationError} When a variant or customisation does not fit its product
+ */
+const priceOrderItems = async (items) => {
+  // Load every referenced product in one query
+  const productIds = [...new Set(items.map((item) => item.product.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const missingProducts = productIds.filter((id) => !productMap.has(id));
+  if (missingProducts.length > 0) {
+    return { missingProducts };
+  }
+
+  // Every variant and customisation problem across all items is reported together
+  const errors = [];
+
+  // Build line items with a snapshot of the product at order time
+  const pricedItems = items.map((item, index) => {
+    const product = productMap.get(item.product.toString());
+    const { variant, error } = resolveVariant(product, item, `items.${index}.variant`);
+    if (error) errors.push(error);
+    errors.push(
+      ...validateCustomSpecs(product, item.customSpecs, `items.${index}.customSpecs`)
+    );
+    // Defaults fill blanks and options hidden by other choices are dropped
+    const selection = product.resolveSelection(specsToSelection(item.customSpecs));
+    const customSpecs = Object.entries(selection).map(([name, value]) => ({
+      name,
+      value,
+      priceAdjustment: product.getOptionPriceModifier(name, value),
+    }));
+    const unitPrice = roundNaira(product.calculatePrice(selection, variant));
+
+    return {
+      product: product._id,
+      name: product.name,
+      image: product.primaryImage?.url,
+      ...(variant && {
+        variant: variant._id,
+        sku: variant.sku,
+        variantAttributes: variant.attributes.map(({ name, value }) => ({ name, value })),
+      }),
+      quantity: item.quantity,
+      unitPrice,
+      customSpecs,
+      subtotal: unitPrice * item.quantity,
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Some items have invalid options', errors);
+  }
+
+  const subtotal = pricedItems.reduce((sum, item) => sum + item.subtotal, 0);
+  const quantity = pricedItems.reduce((sum, item) => sum + item.quantity, 0);
+  const discount = calculateDiscount(subtotal, quantity);
+  const shippingFee = calculateShipping(subtotal - discount);
+  const total = subtotal - discount + shippingFee;
+
+  return {
+    missingProducts: [],
+    items: pricedItems,
+    subtotal,
+    shippingFee,
+    discount,
+    total,
+    ...splitPayment(total),
+  };
+};
+
+module.exports = {
+  priceOrderItems,
+  missingProductsError,
+  splitPayment,
+  specsToSelection,
+};
@@ -0,0 +1,255 @@
+const Payment = require('../models/payment');
+const ReconciliationReport = require('../models/reconciliationReport');
+const paystackService = require('./paystackService');
+const paymentService = require('./paymentService');
+const paystackConfig = require('../config/paystack');
+const logger = require('../utils/logger');
+
+/**
+ * Reconciliation Service
+ * Compares Paystack's transaction records with our Payment collection
+ * and reports drift. Only fixes that cannot lose money are applied
+ * automatically; everything else is left for an admin.
+ */
+
+class ReconciliationService {
+  constructor() {
+    // A pending payment older than this will never complete
+    this.staleAfterMs = paystackConfig.transaction.timeout * 1000;
+  }
+
+  /**
+   * Pull every Paystack transaction created in the range
+   * @param {Date} from
+   * @param {Date} to
+   * @returns {Promise<Array>}
+   */
+  async fetchTransactions(from, to) {
+    const transactions = [];
+    let page = 1;
+    let pageCount = 1;
+
+    do {
+      const result = await paystackService.listTransactions({ from, to, page });
+      transactions.push(...result.transactions);
+      pageCount = result.pageCount;
+      page += 1;
+    } while (page <= pageCount);
+
+    return transactions;
+  }
+
+  /**
+   * Reconcile a date range and store the report
+   * @param {object} params
+   * @param {Date} params.from - Start of range
+   * @param {Date} params.to - End of range
+   * @param {boolean} params.autoFix - Apply safe fixes
+   * @param {string} params.trigger - 'schedule', 'cli' or 'admin'
+   * @returns {Promise<object>} ReconciliationReport document
+   */
+  async run({ from, to, autoFix = true, trigger }) {
+    const report = await ReconciliationReport.create({ from, to, autoFix, trigger });
+
+    try {
+      const transactions = await this.fetchTransactions(from, to);
+      const paystackByReference = new Map(
+        transactions.map((transaction) => [transaction.reference, transaction])
+      );
+
+      // Local payments in the range, plus any Paystack listed that fall just outside it
+      const payments = await Payment.find({
+        $or: [
+          { createdAt: { $gte: from, $lte: to } },
+          { reference: { $in: [...paystackByReference.keys()] } },
+        ],
+      });
+      const paymentByReference = new Map(
+        payments.map((payment) => [payment.reference, payment])
+      );
+
+      const issues = [];
+      let matched = 0;
+
+      for (const transaction of transactions) {
+        const payment = paymentByReference.get(transaction.reference);
+
+        if (!payment) {
+          if (transaction.status === 'success') {
+            issues.push({
+              type: 'orphan_charge',
+              reference: transaction.reference,
+              paystackStatus: transaction.status,
+              paystackAmount: transaction.amount,
+              note: 'Successful charge with no matching payment record',
+            });
+          }
+          continue;
+        }
+
+        const issue = await this.compare(transaction, payment, autoFix);
+        if (issue) {
+          issues.push(issue);
+        } else {
+          matched += 1;
+        }
+      }
+
+      for (const payment of payments) {
+        if (paystackByReference.has(payment.reference)) continue;
+
+        const issue = await this.checkUnlisted(payment, autoFix);
+        if (issue) issues.push(issue);
+      }
+
+      report.issues = issues;
+      report.summary = {
+        paystackTransactions: transactions.length,
+        localPayments: payments.length,
+        matched,
+        issues: issues.length,
+        fixed: issues.filter((issue) => issue.fixed).length,
+      };
+      report.status = 'completed';
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+
+      logger.error('Reconciliation failed', {
+        reportId: report._id,
+        error: error.message,
+      });
+    }
+
+    report.finishedAt = new Date();
+    await report.save();
+
+    logger.info('Reconciliation finished', {
+      reportId: report._id,
+      trigger,
+      status: report.status,
+      summary: report.toObject().summary,
+    });
+
+    return report;
+  }
+
+  /**
+   * Compare one Paystack transaction with its local payment
+   * @private
+   * @returns {Promise<object|null>} An issue, or null if they agree
+   */
+  async compare(transaction, payment, autoFix) {
+    const issue = {
+      reference: payment.reference,
+      payment: payment._id,
+      order: payment.order,
+      paystackStatus: transaction.status,
+      localStatus: payment.status,
+      paystackAmount: transaction.amount,
+      localAmount: payment.amountInKobo,
+    };
+
+    // Never fixed automatically: someone has to look at the charge
+    if (transaction.amount !== payment.amountInKobo) {
+      return { ...issue, type: 'amount_mismatch' };
+    }
+
+    if (transaction.status === 'success' && payment.status !== 'success') {
+      // Only a still-pending payment is safe to complete; a failed or
+      // abandoned one may belong to an order that has since moved on
+      if (autoFix && payment.status === 'pending') {
+        await paymentService.applySuccessfulPayment(payment, {
+          amount: transaction.amount,
+          paidAt: transaction.paid_at || transaction.paidAt,
+          channel: transaction.channel,
+          gatewayResponse: transaction.gateway_response,
+          authorizationCode: transaction.authorization?.authorization_code,
+          source: 'reconciliation',
+        });
+        return { ...issue, type: 'missing_webhook', fixed: true, note: 'Payment applied' };
+      }
+
+      return {
+        ...issue,
+        type: payment.status === 'pending' ? 'missing_webhook' : 'status_mismatch',
+        note: 'Paystack charged the customer but the payment is not marked paid',
+      };
+    }
+
+    if (
+      paystackConfig.transaction.failedStatuses.includes(transaction.status) &&
+      payment.status === 'pending'
+    ) {
+      // Paystack lists open checkouts as abandoned, so wait until the session has expired
+      const expired = Date.now() - payment.createdAt.getTime() > this.staleAfterMs;
+      if (transaction.status === 'abandoned' && !expired) {
+        return null;
+      }
+
+      if (autoFix) {
+        await paymentService.recordFailedPayment(payment, {
+          status: transaction.status,
+          gatewayResponse: transaction.gateway_response,
+        });
+        return { ...issue, type: 'missed_failure', fixed: true, note: `Marked ${transaction.status}` };
+      }
+
+      return { ...issue, type: 'missed_failure' };
+    }
+
+    // Refunded charges show as reversed on Paystack; refunds are tracked on the order
+    if (
+      payment.status === 'success' &&
+      !['success', 'reversed'].includes(transaction.status)
+    ) {
+      return {
+        ...issue,
+        type: 'status_mismatch',
+        note: 'Payment is marked paid but Paystack does not show a successful charge',
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a local payment that Paystack did not list
+   * @private
+   * @returns {Promise<object|null>}
+   */
+  async checkUnlisted(payment, autoFix) {
+    const issue = {
+      reference: payment.reference,
+      payment: payment._id,
+      order: payment.order,
+      localStatus: payment.status,
+      localAmount: payment.amountInKobo,
+    };
+
+    if (payment.status === 'success') {
+      return {
+        ...issue,
+        type: 'not_on_paystack',
+        note: 'Payment is marked paid but Paystack has no such transaction',
+      };
+    }
+
+    const expired = Date.now() - payment.createdAt.getTime() > this.staleAfterMs;
+    if (payment.status === 'pending' && expired) {
+      if (autoFix) {
+        await paymentService.recordFailedPayment(payment, {
+          status: 'abandoned',
+          failureReason: 'Transaction never reached Paystack',
+        });
+        return { ...issue, type: 'not_on_paystack', fixed: true, note: 'Marked abandoned' };
+      }
+
+      return { ...issue, type: 'not_on_paystack' };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new ReconciliationService();
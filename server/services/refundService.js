@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const Payment = require('../models/payment');
+const paystackService = require('./paystackService');
+const { REFUNDABLE_STATUSES } = require('../config/orderStatus');
+const logger = require('../utils/logger');
+const { ValidationError, ConflictError, ERROR_CODES } = require('../utils/errors');
+
+/**
+ * Refund Service
+ * Returns deposit and balance payments to customers through Paystack.
+ * Each Paystack transaction is refunded separately, so one request may
+ * produce a refund record per payment.
+ */
+
+// Refund the most recent money first when an amount spans both payments
+const PAYMENT_REFUND_ORDER = ['balance', 'deposit'];
+
+// Naira already refunded or awaiting a refund from one payment, as a
+// query expression (the database-side twin of order.getRefundableAmount)
+const committedExpr = (paymentId) => ({
+  $sum: {
+    $map: {
+      input: {
+        $filter: {
+          input: '$refunds',
+          cond: {
+            $and: [{ $eq: ['$$this.payment', paymentId] }, { $ne: ['$$this.status', 'failed'] }],
+          },
+        },
+      },
+      in: '$$this.amount',
+    },
+  },
+});
+
+class RefundService {
+  /**
+   * Work out how much to refund from each successful payment
+   * @param {object} order - Order document
+   * @param {Array} payments - Successful Payment documents for the order
+   * @param {string} scope - 'full', 'deposit', 'balance' or 'custom'
+   * @param {number} amount - Amount in Naira (custom scope only)
+   * @returns {Array<{payment: object, amount: number}>}
+   */
+  allocate(order, payments, scope, amount) {
+    const refundable = PAYMENT_REFUND_ORDER.map((type) =>
+      payments.find((payment) => payment.type === type)
+    )
+      .filter(Boolean)
+      .map((payment) => ({
+        payment,
+        amount: order.getRefundableAmount(payment),
+      }))
+      .filter((entry) => entry.amount > 0);
+
+    if (scope === 'deposit' || scope === 'balance') {
+      const entry = refundable.find((e) => e.payment.type === scope);
+      if (!entry) {
+        throw new ValidationError(`No refundable ${scope} payment on this order`);
+      }
+      return [entry];
+    }
+
+    const available = refundable.reduce((sum, entry) => sum + entry.amount, 0);
+    if (available === 0) {
+      throw new ValidationError('Nothing left to refund on this order');
+    }
+
+    if (scope === 'full') {
+      return refundable;
+    }
+
+    if (amount > available) {
+      throw new ValidationError(
+        `Refund amount cannot exceed the refundable balance of ₦${available}`
+      );
+    }
+
+    // Custom amount: take from each payment in turn until covered
+    const allocations = [];
+    let remaining = amount;
+    for (const entry of refundable) {
+      if (remaining === 0) break;
+      const share = Math.min(entry.amount, remaining);
+      allocations.push({ payment: entry.payment, amount: share });
+      remaining -= share;
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Refund a cancelled or returned order
+   * @param {object} order - Order document
+   * @param {object} params
+   * @param {string} params.scope - 'full', 'deposit', 'balance' or 'custom'
+   * @param {number} params.amount - Amount in Naira (custom scope only)
+   * @param {string} params.reason - Why the money is being returned
+   * @param {string} params.requestedBy - Admin user ID
+   * @returns {Promise<{order: object, refunds: Array}>} The updated order and
+   *   the refund records created by this request
+   */
+  async createRefund(order, { scope, amount, reason, requestedBy }) {
+    if (!order.isRefundable()) {
+      throw new ValidationError(
+        `Only cancelled or returned orders can be refunded (order is ${order.status})`,
+        undefined,
+        { code: ERROR_CODES.INVALID_STATUS_TRANSITION }
+      );
+    }
+
+    const payments = await Payment.find({ order: order._id, status: 'success' });
+    const allocations = this.allocate(order, payments, scope, amount);
+
+    const refunds = allocations.map(({ payment, amount: share }) => ({
+      _id: new mongoose.Types.ObjectId(),
+      payment: payment._id,
+      paymentType: payment.type,
+      transactionReference: payment.reference,
+      amount: share,
+      amountInKobo: Math.round(share * 100),
+      reason,
+      requestedBy,
+    }));
+
+    // Record the refunds before calling Paystack so a crash cannot leave
+    // money refunded without a trace on the order. The balance check is part
+    // of the same update, so two concurrent requests cannot both spend it.
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        status: { $in: REFUNDABLE_STATUSES },
+        $and: allocations.map(({ payment, amount: share }) => ({
+          $expr: { $lte: [{ $add: [committedExpr(payment._id), share] }, payment.amount] },
+        })),
+      },
+      { $push: { refunds: { $each: refunds } } },
+      { new: true, runValidators: true }
+    );
+
+    if (!claimed) {
+      throw new ConflictError(
+        'Refundable balance changed during this refund; reload the order and try again'
+      );
+    }
+
+    const results = new Map();
+    for (const refund of refunds) {
+      try {
+        const result = await paystackService.createRefund(
+          refund.transactionReference,
+          refund.amountInKobo,
+          { merchantNote: reason }
+        );
+        results.set(String(refund._id), { paystackRefundId: String(result.refundId), result });
+      } catch (error) {
+        results.set(String(refund._id), { error });
+      }
+    }
+
+    // Reload: a webhook may have settled one of the refunds in the meantime
+    const updated = await Order.findById(order._id);
+    const created = updated.refunds.filter((refund) => results.has(String(refund._id)));
+
+    for (const refund of created) {
+      const { paystackRefundId, result, error } = results.get(String(refund._id));
+
+      if (error) {
+        refund.status = 'failed';
+        refund.failureReason = error.message;
+        continue;
+      }
+
+      refund.paystackRefundId = paystackRefundId;
+      if (result.status === 'processed' && refund.status === 'pending') {
+        refund.status = 'processed';
+        refund.processedAt = new Date();
+      }
+    }
+
+    this.settle(updated);
+    await updated.save();
+
+    logger.info('Order refund requested', {
+      orderId: updated._id,
+      scope,
+      refunds: created.map((refund) => ({
+        id: refund._id,
+        amount: refund.amount,
+        status: refund.status,
+      })),
+    });
+
+    return { order: updated, refunds: created };
+  }
+
+  /**
+   * Apply a refund.processed / refund.failed webhook.
+   * Throws if the order cannot be saved so the webhook is retried.
+   * @param {string} eventName - Webhook event type
+   * @param {object} data - Webhook data
+   * @returns {Promise<boolean>} false if no matching refund was found
+   */
+  async applyRefundEvent(eventName, data) {
+    const transactionReference =
+      data.transaction_reference || data.transaction?.reference;
+    const refundId = data.id ? String(data.id) : undefined;
+    const amountInKobo = Number(data.amount);
+
+    const order = await Order.findOne({
+      'refunds.transactionReference': transactionReference,
+    });
+
+    // Prefer the Paystack refund ID; fall back to the oldest pending
+    // refund of the same amount on that transaction
+    const refund =
+      order &&
+      (order.refunds.find((r) => refundId && r.paystackRefundId === refundId) ||
+        order.refunds.find(
+          (r) =>
+            r.transactionReference === transactionReference &&
+            r.status === 'pending' &&
+            r.amountInKobo === amountInKobo
+        ));
+
+    if (!refund) {
+      logger.warn('Refund event for unknown refund', {
+        event: eventName,
+        transactionReference,
+        refundId,
+      });
+      return false;
+    }
+
+    const status = eventName === 'refund.processed' ? 'processed' : 'failed';
+    if (refund.status === status) {
+      return true;
+    }
+
+    refund.status = status;
+    if (status === 'processed') {
+      refund.processedAt = data.processed_at || new Date();
+    } else {
+      refund.failureReason = data.reason || data.gateway_response || 'Refund failed';
+    }
+
+    this.settle(order);
+    await order.save();
+
+    logger.info('Refund status updated', {
+      orderId: order._id,
+      refundId: refund._id,
+      status,
+    });
+
+    return true;
+  }
+
+  /**
+   * Update paymentStatus after a refund settles, and mark the order
+   * refunded once every payment has gone back to the customer
+   * @private
+   */
+  settle(order) {
+    order.syncRefundStatus();
+
+    if (order.fullyRefunded && order.canTransitionTo('refunded')) {
+      order.transitionTo('refunded', {
+        source: 'system',
+        notes: `Refunded ₦${order.refundedAmount}`,
+      });
+    }
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const Session = require('../models/session');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { TOKEN_TYPES, verifySessionToken } = require('../utils/jwt');
+const { AuthError, NotFoundError, ERROR_CODES } = require('../utils/errors');
+
+/**
+ * Session Service
+ * One Session per signed-in device. Refresh tokens are single-use: each
+ * refresh issues a new one, and replaying a used token revokes the
+ * session it belongs to, signing out both the thief and the owner.
+ */
+
+// Matches the refresh token's 7d expiry
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// A just-replaced token may arrive from a second tab for this long
+const ROTATION_GRACE_MS = 10 * 1000;
+
+// Oldest sessions are signed out beyond this many devices
+const MAX_ACTIVE_SESSIONS = 10;
+
+const newTokenId = () => crypto.randomBytes(16).toString('hex');
+
+// Same message whatever went wrong, so a probe learns nothing
+const invalidRefreshToken = () =>
+  new AuthError('Invalid refresh token', { code: ERROR_CODES.INVALID_TOKEN });
+
+class SessionService {
+  /**
+   * Start a session for a user who just signed in
+   * @param {object} user - User document
+   * @param {object} req - Express request (user agent and IP are recorded)
+   * @returns {Promise<{session: object, accessToken: string, refreshToken: string}>}
+   */
+  async create(user, req) {
+    const session = await Session.create({
+      user: user._id,
+      tokenId: newTokenId(),
+      userAgent: req.get('user-agent')?.slice(0, 500),
+      ip: req.ip,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    });
+
+    await this.enforceLimit(user._id);
+
+    logger.info('Session started', { userId: user._id, sessionId: session._id });
+
+    return {
+      session,
+      accessToken: user.generateAccessToken(session._id),
+      refreshToken: user.generateRefreshToken(session),
+    };
+  }
+
+  /**
+   * Check a refresh token and find its session and user. Replaying a
+   * token that was already rotated revokes the session.
+   * @param {string} refreshToken
+   * @returns {Promise<{user: object, session: object}>}
+   */
+  async verifyRefreshToken(refreshToken) {
+    let decoded;
+    try {
+      decoded = verifySessionToken(TOKEN_TYPES.REFRESH, refreshToken);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AuthError('Refresh token expired. Please login again.', {
+          code: ERROR_CODES.TOKEN_EXPIRED,
+        });
+      }
+      throw invalidRefreshToken();
+    }
+
+    // Tokens from before sessions existed carry no session id
+    if (!decoded.sid || !decoded.jti) {
+      throw invalidRefreshToken();
+    }
+
+    const session = await Session.findById(decoded.sid).catch(() => null);
+    if (!session || String(session.user) !== String(decoded.id) || !session.isActive) {
+      throw invalidRefreshToken();
+    }
+
+    if (decoded.jti !== session.tokenId) {
+      const withinGrace =
+        decoded.jti === session.previousTokenId &&
+        Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS;
+
+      if (!withinGrace) {
+        await this.revokeSession(session, 'token_reuse');
+        logger.warn('Refresh token reuse detected; session revoked', {
+          userId: session.user,
+          sessionId: session._id,
+          ip: session.ip,
+        });
+      }
+
+      throw invalidRefreshToken();
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      throw invalidRefreshToken();
+    }
+
+    return { user, session };
+  }
+
+  /**
+   * Replace a session's refresh token (call after verifyRefreshToken)
+   * @param {object} session - Session document
+   * @param {object} user - User document
+   * @param {object} req - Express request
+   * @returns {Promise<{accessToken: string, refreshToken: string}>}
+   */
+  async rotate(session, user, req) {
+    const now = new Date();
+
+    // Only the first of two concurrent refreshes with the same token wins
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenId: session.tokenId, revokedAt: null },
+      {
+        $set: {
+          previousTokenId: session.tokenId,
+          tokenId: newTokenId(),
+          rotatedAt: now,
+          lastUsedAt: now,
+          ip: req.ip,
+          expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+        },
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      throw invalidRefreshToken();
+    }
+
+    return {
+      accessToken: user.generateAccessToken(rotated._id),
+      refreshToken: user.generateRefreshToken(rotated),
+    };
+  }
+
+  /**
+   * Whether a session can still be used
+   * @param {ObjectId} sessionId
+   * @returns {Promise<boolean>}
+   */
+  async isActive(sessionId) {
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+    return Boolean(session?.isActive);
+  }
+
+  /**
+   * A user's active sessions, most recently used first
+   * @param {ObjectId} userId
+   * @returns {Promise<Array>}
+   */
+  async list(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('userAgent ip lastUsedAt createdAt expiresAt revokedAt')
+      .sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {ObjectId} userId
+   * @param {ObjectId} sessionId
+   * @param {string} reason - One of the Session revokedReason values
+   * @returns {Promise<object>} The revoked session
+   */
+  async revoke(userId, sessionId, reason = 'revoked') {
+    const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+
+    if (!session) {
+      throw new NotFoundError('Session not found');
+    }
+
+    return this.revokeSession(session, reason);
+  }
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {ObjectId} userId
+   * @param {object} options
+   * @param {ObjectId} [options.except] - Session to keep (usually the current one)
+   * @param {string} options.reason
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAll(userId, { except, reason = 'revoked_all' } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const result = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    if (result.modifiedCount > 0) {
+      logger.info('Sessions revoked', { userId, count: result.modifiedCount, reason });
+    }
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * @private
+   */
+  async revokeSession(session, reason) {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+
+    logger.info('Session revoked', { userId: session.user, sessionId: session._id, reason });
+    return session;
+  }
+
+  /**
+   * Sign out the least recently used sessions beyond MAX_ACTIVE_SESSIONS
+   * @private
+   */
+  async enforceLimit(userId) {
+    const extra = await Session.find({ user: userId, revokedAt: null })
+      .sort({ lastUsedAt: -1 })
+      .skip(MAX_ACTIVE_SESSIONS)
+      .select('_id');
+
+    if (extra.length > 0) {
+      await Session.updateMany(
+        { _id: { $in: extra.map((session) => session._id) } },
+        { $set: { revokedAt: new Date(), revokedReason: 'limit' } }
+      );
+    }
+  }
+}
+
+module.exports = new SessionService();
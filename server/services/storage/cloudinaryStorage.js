@@ -0,0 +1,96 @@
+const { v2: cloudinary } = require('cloudinary');
+const config = require('../../config/env');
+
+/**
+ * Cloudinary Storage
+ * Keeps uploads in the configured Cloudinary folder. The storage key
+ * is the Cloudinary public ID.
+ */
+
+class CloudinaryStorage {
+  constructor() {
+    this.name = 'cloudinary';
+    this.folder = config.cloudinary.folder;
+
+    cloudinary.config({
+      cloud_name: config.cloudinary.cloudName,
+      api_key: config.cloudinary.apiKey,
+      api_secret: config.cloudinary.apiSecret,
+      secure: true,
+    });
+  }
+
+  /**
+   * Upload a file
+   * @param {Buffer} buffer - File contents
+   * @param {object} options
+   * @param {string} options.key - Path under the folder, e.g. 'products/abc/640.webp'
+   * @returns {Promise<{key: string, url: string}>}
+   */
+  save(buffer, { key }) {
+    // Public IDs carry no extension; keep the format in the name so
+    // 640.webp and 640.avif do not collide
+    const publicId = `${this.folder}/${key.replace(/\.([a-z0-9]+)$/i, '-$1')}`;
+
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        { public_id: publicId, resource_type: 'image', overwrite: false },
+        (error, result) => {
+          if (error) return reject(error);
+          resolve({ key: result.public_id, url: result.secure_url });
+        }
+      );
+      stream.end(buffer);
+    });
+  }
+
+  /**
+   * Remove an image. Already-deleted images are ignored.
+   * @param {string} key - Cloudinary public ID
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const result = await cloudinary.uploader.destroy(key, {
+      resource_type: 'image',
+      invalidate: true,
+    });
+
+    if (result.result !== 'ok' && result.result !== 'not found') {
+      throw new Error(`Cloudinary could not delete ${key}: ${result.result}`);
+    }
+  }
+
+  /**
+   * The public ID of an image in our folder, or null for any other URL
+   * @param {string} url
+   * @returns {string|null}
+   */
+  keyFromUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    if (parsed.hostname !== 'res.cloudinary.com') {
+      return null;
+    }
+
+    // /<cloud>/image/upload/[transformations/][v123/]<public_id>.<ext>
+    const prefix = `/${config.cloudinary.cloudName}/image/upload/`;
+    if (!parsed.pathname.startsWith(prefix)) {
+      return null;
+    }
+
+    const rest = decodeURIComponent(parsed.pathname.slice(prefix.length));
+    const start = rest.indexOf(`${this.folder}/`);
+    if (start === -1) {
+      return null;
+    }
+
+    return rest.slice(start).replace(/\.[a-z0-9]+$/i, '');
+  }
+}
+
+module.exports = CloudinaryStorage;
@@ -0,0 +1,33 @@
+const config = require('../../config/env');
+const LocalStorage = require('./localStorage');
+const CloudinaryStorage = require('./cloudinaryStorage');
+
+/**
+ * Storage Adapters
+ * Every backend exposes the same interface:
+ *   name                       - 'local' | 'cloudinary'
+ *   save(buffer, { key })      - store a file, resolves { key, url }
+ *   delete(key)                - remove a file; missing files are ignored
+ *   keyFromUrl(url)            - key of a URL this backend produced, else null
+ * UPLOAD_STORAGE picks the backend used for new uploads.
+ */
+
+const backends = {
+  local: LocalStorage,
+  cloudinary: CloudinaryStorage,
+};
+
+let storage;
+
+/**
+ * The configured storage backend (created on first use)
+ * @returns {object}
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = new backends[config.uploads.storage]();
+  }
+  return storage;
+};
+
+module.exports = { getStorage };
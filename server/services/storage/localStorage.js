@@ -0,0 +1,91 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Served by express.static('public') in server.js
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+const URL_PREFIX = '/public/uploads/';
+
+const safePathname = (url) => {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Local Disk Storage
+ * Keeps uploads under public/uploads so the API serves them itself.
+ * Meant for development; files live only on this machine.
+ */
+
+class LocalStorage {
+  constructor() {
+    this.name = 'local';
+    this.root = path.join(PUBLIC_DIR, 'uploads');
+  }
+
+  /**
+   * Write a file
+   * @param {Buffer} buffer - File contents
+   * @param {object} options
+   * @param {string} options.key - Path under the uploads folder, e.g. 'products/abc.jpg'
+   * @returns {Promise<{key: string, url: string}>}
+   */
+  async save(buffer, { key }) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return { key, url: `${URL_PREFIX}${key}` };
+  }
+
+  /**
+   * Remove a file. Missing files are ignored.
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const filePath = this.resolve(key);
+
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // Tidy up the image's folder once its last file is gone
+    await fs.rmdir(path.dirname(filePath)).catch(() => {});
+  }
+
+  /**
+   * The storage key of a URL this backend produced, or null for any other URL
+   * @param {string} url
+   * @returns {string|null}
+   */
+  keyFromUrl(url) {
+    const pathname = url.startsWith('/') ? url : safePathname(url);
+
+    if (!pathname || !pathname.startsWith(URL_PREFIX)) {
+      return null;
+    }
+
+    return decodeURIComponent(pathname.slice(URL_PREFIX.length));
+  }
+
+  /**
+   * Absolute path of a key, refusing anything that escapes the uploads folder
+   * @private
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+}
+
+module.exports = LocalStorage;
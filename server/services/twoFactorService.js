@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+/**
+ * Two-Factor Service
+ * TOTP codes from an authenticator app (RFC 6238), plus single-use backup
+ * codes for when the phone is lost. Callers load the user with the
+ * `+twoFactor.*` fields each method needs.
+ */
+
+// Accept the previous and next 30-second code too, for clock drift
+authenticator.options = { window: 1 };
+
+const BACKUP_CODE_COUNT = 10;
+
+// Secrets are encrypted with a key derived from JWT_SECRET
+const encryptionKey = () =>
+  crypto.createHmac('sha256', config.jwt.secret).update('two_factor_secret').digest();
+
+const hashBackupCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(code.replace(/-/g, '').toLowerCase())
+    .digest('hex');
+
+class TwoFactorService {
+  /**
+   * Start enrolment: create a secret and the QR code to scan. The secret is
+   * only kept as pending until enable() confirms a code from it.
+   * @param {object} user - User document
+   * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+   *   qrCode is a PNG data URL
+   */
+  async startSetup(user) {
+    const secret = authenticator.generateSecret(20);
+    const otpauthUrl = authenticator.keyuri(user.email, config.auth.twoFactorIssuer, secret);
+
+    user.twoFactor.pendingSecret = this.encrypt(secret);
+    await user.save({ validateBeforeSave: false });
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl),
+    };
+  }
+
+  /**
+   * Finish enrolment with a code from the pending secret
+   * @param {object} user - User document with +twoFactor.pendingSecret
+   * @param {string} code - 6-digit code
+   * @returns {Promise<string[]|null>} Backup codes to show once, or null if
+   *   the code is wrong or setup was never started
+   */
+  async enable(user, code) {
+    if (!user.twoFactor.pendingSecret) {
+      return null;
+    }
+
+    const secret = this.decrypt(user.twoFactor.pendingSecret);
+    const step = this.checkCode(secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const backupCodes = this.generateBackupCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.backupCodes = backupCodes.map(hashBackupCode);
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('Two-factor authentication enabled', { userId: user._id });
+    return backupCodes;
+  }
+
+  /**
+   * Check a login code: an authenticator code, or a backup code (which is
+   * then used up). A code that was already accepted is refused.
+   * @param {object} user - User document with +twoFactor.secret
+   *   +twoFactor.backupCodes +twoFactor.lastUsedStep
+   * @param {string} code
+   * @returns {Promise<{valid: boolean, usedBackupCode: boolean}>}
+   */
+  async verify(user, code) {
+    if (!user.twoFactor?.enabled || !user.twoFactor.secret) {
+      return { valid: false, usedBackupCode: false };
+    }
+
+    if (/^\d{6}$/.test(code)) {
+      const step = this.checkCode(this.decrypt(user.twoFactor.secret), code);
+      if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) {
+        return { valid: false, usedBackupCode: false };
+      }
+
+      user.twoFactor.lastUsedStep = step;
+      await user.save({ validateBeforeSave: false });
+      return { valid: true, usedBackupCode: false };
+    }
+
+    const hash = hashBackupCode(code);
+    const remaining = user.twoFactor.backupCodes.filter((stored) => stored !== hash);
+    if (remaining.length === user.twoFactor.backupCodes.length) {
+      return { valid: false, usedBackupCode: false };
+    }
+
+    user.twoFactor.backupCodes = remaining;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('Two-factor backup code used', {
+      userId: user._id,
+      remaining: remaining.length,
+    });
+    return { valid: true, usedBackupCode: true };
+  }
+
+  /**
+   * Replace the backup codes (the old ones stop working)
+   * @param {object} user - User document with +twoFactor.backupCodes
+   * @returns {Promise<string[]>} The new codes, to show once
+   */
+  async regenerateBackupCodes(user) {
+    const backupCodes = this.generateBackupCodes();
+
+    user.twoFactor.backupCodes = backupCodes.map(hashBackupCode);
+    await user.save({ validateBeforeSave: false });
+
+    return backupCodes;
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret
+   * @param {object} user - User document
+   */
+  async disable(user) {
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('Two-factor authentication disabled', { userId: user._id });
+  }
+
+  /**
+   * Whether a user may not turn 2FA off (REQUIRE_ADMIN_2FA)
+   * @param {object} user
+   * @returns {boolean}
+   */
+  isRequiredFor(user) {
+    return config.auth.requireAdminTwoFactor && user.role === 'admin';
+  }
+
+  /**
+   * Time step a code belongs to, or null if it is not valid now
+   * @private
+   */
+  checkCode(secret, code) {
+    const delta = authenticator.checkDelta(code, secret);
+    if (delta === null) {
+      return null;
+    }
+
+    const step = authenticator.allOptions().step;
+    return Math.floor(Date.now() / 1000 / step) + delta;
+  }
+
+  /**
+   * @private
+   */
+  generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(4).toString('hex');
+      return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+  }
+
+  /**
+   * AES-256-GCM, stored as iv:tag:ciphertext (hex)
+   * @private
+   */
+  encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('hex')).join(':');
+  }
+
+  /**
+   * @private
+   */
+  decrypt(stored) {
+    const [iv, tag, encrypted] = stored.split(':').map((part) => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = new TwoFactorService();
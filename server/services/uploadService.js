@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const Product = require('../models/product');
+const { getStorage } = require('./storage');
+const imageService = require('./imageService');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Upload Service
+ * Checks uploaded images, stores them with their resized derivatives in
+ * the configured storage backend and removes stored images that no
+ * product uses any more
+ */
+
+// Image types we accept
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Work out an image's real type from its first bytes, ignoring
+ * whatever name and MIME type the browser sent
+ * @param {Buffer} buffer
+ * @returns {string|null} MIME type, or null if not a supported image
+ */
+const sniffImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  // FF D8 FF
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+
+  // 89 50 4E 47 0D 0A 1A 0A
+  const pngSignature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  if (buffer.subarray(0, 8).equals(pngSignature)) {
+    return 'image/png';
+  }
+
+  // "RIFF" <size> "WEBP"
+  if (
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WEBP'
+  ) {
+    return 'image/webp';
+  }
+
+  return null;
+};
+
+class UploadService {
+  constructor() {
+    this.allowedTypes = IMAGE_TYPES;
+  }
+
+  /**
+   * Check uploaded product images, build their derivatives and store them
+   * @param {Array} files - Files from multer (memory storage)
+   * @param {object} options
+   * @param {ObjectId} options.uploadedBy - Admin who uploaded them
+   * @returns {Promise<Array<{url: string, alt: string, width: number, height: number,
+   *   blurhash: string, sources: Array, storage: string, originalName: string}>>}
+   *   Image objects ready to put in a product's images
+   */
+  async uploadImages(files, { uploadedBy } = {}) {
+    if (!files || files.length === 0) {
+      throw new ValidationError('Validation failed', [
+        { field: 'images', message: 'Choose at least one image to upload' },
+      ]);
+    }
+
+    // Check every file before storing any of them
+    const errors = [];
+    files.forEach((file, index) => {
+      const mimeType = sniffImageType(file.buffer);
+
+      if (!mimeType) {
+        errors.push({
+          field: `images.${index}`,
+          message: `${file.originalname} is not a JPEG, PNG or WebP image`,
+        });
+      } else if (mimeType !== file.mimetype) {
+        errors.push({
+          field: `images.${index}`,
+          message: `${file.originalname} is a ${mimeType} file but was sent as ${file.mimetype}`,
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError('Some files are not valid images', errors);
+    }
+
+    const storage = getStorage();
+    const storedKeys = [];
+    const images = [];
+
+    try {
+      for (const [index, file] of files.entries()) {
+        let processed;
+        try {
+          processed = await imageService.process(file.buffer);
+        } catch (error) {
+          throw new ValidationError('Some files are not valid images', [
+            { field: `images.${index}`, message: `${file.originalname} could not be read` },
+          ]);
+        }
+
+        // Each image gets its own folder: products/<name>/<width>.<ext>
+        const name = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+        const sources = [];
+
+        for (const rendition of processed.renditions) {
+          const { key, url } = await storage.save(rendition.buffer, {
+            key: `products/${name}/${rendition.width}.${rendition.extension}`,
+          });
+          storedKeys.push(key);
+
+          sources.push({
+            url,
+            width: rendition.width,
+            height: rendition.height,
+            format: rendition.format,
+            size: rendition.buffer.length,
+          });
+        }
+
+        // The widest fallback file stands in wherever srcset is not used
+        const fallback = sources
+          .filter((source) => source.format === processed.fallbackFormat)
+          .sort((a, b) => b.width - a.width)[0];
+
+        images.push({
+          url: fallback.url,
+          alt: '',
+          width: processed.width,
+          height: processed.height,
+          blurhash: processed.blurhash,
+          sources,
+          storage: storage.name,
+          originalName: file.originalname,
+        });
+      }
+    } catch (error) {
+      // Leave nothing half-uploaded behind
+      await this.deleteKeys(storedKeys);
+      throw error;
+    }
+
+    logger.info('Images uploaded', {
+      count: images.length,
+      files: storedKeys.length,
+      storage: storage.name,
+      by: uploadedBy,
+    });
+
+    return images;
+  }
+
+  /**
+   * Delete stored images, with all their derivatives, that were dropped
+   * from a product and are not used by any other product. Images this
+   * backend did not store (e.g. seeded or external URLs) are left alone.
+   * Never throws: failures are logged so they cannot fail the product
+   * update that triggered them.
+   * @param {Array<object|string>} images - Images no longer on the product
+   * @returns {Promise<number>} How many files were deleted
+   */
+  async deleteOrphans(images = []) {
+    const storage = getStorage();
+    let deleted = 0;
+
+    for (const image of images) {
+      const url = typeof image === 'string' ? image : image.url;
+      const urls = [url, ...((image.sources || []).map((source) => source.url))];
+      const keys = [...new Set(urls.map((u) => storage.keyFromUrl(u)).filter(Boolean))];
+      if (keys.length === 0) continue;
+
+      try {
+        if (await Product.exists({ 'images.url': url })) continue;
+
+        for (const key of keys) {
+          await storage.delete(key);
+          deleted += 1;
+        }
+      } catch (error) {
+        logger.error('Failed to delete orphaned image', { url, error });
+      }
+    }
+
+    if (deleted > 0) {
+      logger.info('Orphaned images deleted', { count: deleted, storage: storage.name });
+    }
+
+    return deleted;
+  }
+
+  /**
+   * @private
+   */
+  async deleteKeys(keys) {
+    const storage = getStorage();
+
+    await Promise.all(
+      keys.map((key) =>
+        storage.delete(key).catch((error) => {
+          logger.error('Failed to delete uploaded image', { key, error });
+        })
+      )
+    );
+  }
+}
+
+module.exports = new UploadService();
+module.exports.sniffImageType = sniffImageType;
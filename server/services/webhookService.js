@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const WebhookEvent = require('../models/webhookEvent');
+const Payment = require('../models/payment');
+const paystackService = require('./paystackService');
+const paymentService = require('./paymentService');
+const payoutService = require('./payoutService');
+const refundService = require('./refundService');
+const paystackConfig = require('../config/paystack');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook Service
+ * Persists incoming Paystack events, skips duplicates and routes them to
+ * their handlers. Failed events are given a nextAttemptAt with exponential
+ * backoff and picked up by jobs/webhookRetryJob, so retries survive a restart.
+ */
+
+// An event left processing this long was interrupted (e.g. by a restart)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Events retried per run
+const RETRY_BATCH_SIZE = 50;
+
+class WebhookService {
+  constructor() {
+    this.retry = paystackConfig.retry;
+  }
+
+  /**
+   * Build the key used to detect re-deliveries of the same event.
+   * Paystack re-sends the identical event, so type + object id is stable.
+   * @param {object} payload - Parsed webhook body
+   * @param {string} rawBody - Raw request body
+   * @returns {string}
+   */
+  buildEventKey(payload, rawBody) {
+    const data = payload.data || {};
+    const id = data.id || data.transfer_code || data.reference;
+
+    if (id) {
+      return `${payload.event}:${id}`;
+    }
+
+    return `${payload.event}:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+  }
+
+  /**
+   * Delay before the given retry attempt
+   * @param {number} attempt - Attempt number that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempt) {
+    const delay = this.retry.initialDelayMs * 2 ** (attempt - 1);
+    return Math.min(delay, this.retry.maxDelayMs);
+  }
+
+  /**
+   * Persist an incoming webhook
+   * @param {object} params
+   * @param {string} params.rawBody - Raw request body
+   * @param {object} params.payload - Parsed body (may be null if unparseable)
+   * @param {boolean} params.signatureValid - Result of signature verification
+   * @returns {Promise<{event: object, duplicate: boolean}>}
+   */
+  async recordEvent({ rawBody, payload, signatureValid }) {
+    const base = {
+      rawBody,
+      payload,
+      signatureValid,
+      event: payload?.event,
+      reference: payload?.data?.reference,
+    };
+
+    // Rejected events are stored for auditing but never deduplicated
+    if (!signatureValid || !payload?.event) {
+      const event = await WebhookEvent.create({ ...base, status: 'rejected' });
+      return { event, duplicate: false };
+    }
+
+    const eventKey = this.buildEventKey(payload, rawBody);
+
+    try {
+      const event = await WebhookEvent.create({ ...base, eventKey });
+      return { event, duplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const existing = await WebhookEvent.findOneAndUpdate(
+        { eventKey },
+        { $inc: { duplicateCount: 1 }, $set: { lastDuplicateAt: new Date() } },
+        { new: true }
+      );
+
+      // A failed event with a nextAttemptAt is waiting for the retry job; a
+      // re-delivery of one we gave up on is a fresh chance to process it
+      const duplicate = existing.status !== 'failed' || Boolean(existing.nextAttemptAt);
+
+      return { event: existing, duplicate };
+    }
+  }
+
+  /**
+   * Take an event for processing so that the webhook route, an admin replay
+   * and the retry job never run the same event at once
+   * @param {ObjectId} id - WebhookEvent id
+   * @returns {Promise<object|null>} The event, or null if it is already processing
+   */
+  async claim(id) {
+    return WebhookEvent.findOneAndUpdate(
+      { _id: id, status: { $ne: 'processing' } },
+      { $set: { status: 'processing' } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Run the handler for a stored event and record the outcome.
+   * Failures get a nextAttemptAt with backoff up to retry.maxAttempts.
+   * @param {object} event - WebhookEvent document
+   * @param {object} options
+   * @param {boolean} options.manual - Admin replay; ignores the attempt limit
+   * @returns {Promise<object>} The updated event
+   */
+  async process(event, { manual = false } = {}) {
+    event.status = 'processing';
+    event.attempts += 1;
+    event.nextAttemptAt = undefined;
+    await event.save();
+
+    try {
+      const handled = await this.dispatch(event.payload);
+
+      event.status = handled === false ? 'ignored' : 'processed';
+      event.processedAt = new Date();
+      event.lastError = undefined;
+      await event.save();
+
+      logger.info('Webhook event processed', {
+        id: event._id,
+        event: event.event,
+        reference: event.reference,
+        status: event.status,
+        attempts: event.attempts,
+      });
+    } catch (error) {
+      event.status = 'failed';
+      event.lastError = error.message;
+
+      const canRetry = !manual && event.attempts < this.retry.maxAttempts;
+      if (canRetry) {
+        event.nextAttemptAt = new Date(Date.now() + this.getBackoffDelay(event.attempts));
+      }
+
+      await event.save();
+
+      logger.error('Webhook event processing failed', {
+        id: event._id,
+        event: event.event,
+        reference: event.reference,
+        attempts: event.attempts,
+        willRetry: canRetry,
+        error: error.message,
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Retry failed events whose nextAttemptAt has passed, and events left
+   * processing by a run that never finished. Called by the retry job.
+   * @returns {Promise<{retried: number}>}
+   */
+  async retryDue() {
+    const now = new Date();
+    const dueFilter = {
+      $or: [
+        { status: 'failed', nextAttemptAt: { $lte: now } },
+        { status: 'processing', updatedAt: { $lte: new Date(now - STALE_PROCESSING_MS) } },
+      ],
+    };
+
+    const due = await WebhookEvent.find(dueFilter)
+      .sort({ nextAttemptAt: 1 })
+      .limit(RETRY_BATCH_SIZE)
+      .select('_id');
+
+    let retried = 0;
+    for (const { _id } of due) {
+      // Re-check while claiming, in case an admin replay or another
+      // instance got to it first
+      const event = await WebhookEvent.findOneAndUpdate(
+        { _id, ...dueFilter },
+        { $set: { status: 'processing' } },
+        { new: true }
+      );
+
+      if (event) {
+        await this.process(event);
+        retried += 1;
+      }
+    }
+
+    return { retried };
+  }
+
+  /**
+   * Route a webhook payload to its handler.
+   * Handlers throw on failure so the event is retried.
+   * @param {object} payload - Parsed webhook body
+   * @returns {Promise<boolean>} false if the event type is not handled
+   */
+  async dispatch(payload) {
+    const event = paystackService.parseWebhookEvent(payload);
+
+    switch (event.event) {
+      case 'charge.success':
+        await this.handleChargeSuccess(event);
+        return true;
+
+      case 'charge.failed':
+        await this.handleChargeFailed(event);
+        return true;
+
+      case 'transfer.success':
+      case 'transfer.failed':
+      case 'transfer.reversed':
+        logger.info('Processing transfer event', {
+          event: event.event,
+          reference: event.reference,
+          transferCode: event.data.transfer_code,
+        });
+        return payoutService.applyTransferEvent(event.event, event.data);
+
+      case 'refund.processed':
+      case 'refund.failed':
+        return refundService.applyRefundEvent(event.event, event.data);
+
+      default:
+        logger.info('Unhandled webhook event', {
+          event: event.event,
+        });
+        return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async handleChargeSuccess(event) {
+    const { reference, data } = event;
+
+    logger.info('Processing successful charge', {
+      reference,
+      amount: data.amount,
+    });
+
+    const payment = await Payment.findOne({ reference });
+
+    if (!payment) {
+      logger.warn('Charge received for unknown payment reference', { reference });
+      return;
+    }
+
+    await paymentService.applySuccessfulPayment(payment, {
+      amount: data.amount,
+      paidAt: data.paid_at || data.paidAt,
+      channel: data.channel,
+      gatewayResponse: data.gateway_response,
+      authorizationCode: data.authorization?.authorization_code,
+      source: 'webhook',
+    });
+  }
+
+  /**
+   * @private
+   */
+  async handleChargeFailed(event) {
+    const { reference } = event;
+
+    logger.warn('Processing failed charge', {
+      reference,
+    });
+
+    const payment = await Payment.findOne({ reference });
+
+    if (payment) {
+      await paymentService.recordFailedPayment(payment, {
+        status: 'failed',
+        gatewayResponse: event.data.gateway_response,
+      });
+    }
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const Product = require('../models/Product');
+const inventoryService = require('../services/inventoryService');
+const { ERROR_CODES } = require('../utils/errors');
+
+const productId = new mongoose.Types.ObjectId();
+const smallId = new mongoose.Types.ObjectId();
+const largeId = new mongoose.Types.ObjectId();
+
+const tote = new Product({
+  _id: productId,
+  name: 'Lagos Tote',
+  basePrice: 20000,
+  images: ['https://example.com/tote.jpg'],
+  variants: [
+    { _id: smallId, sku: 'TOTE-S', stock: 10, lowStockThreshold: 2 },
+    { _id: largeId, sku: 'TOTE-L', stock: 1, lowStockThreshold: 2 },
+  ],
+});
+
+const small = { product: productId, variant: smallId, sku: 'TOTE-S', quantity: 2 };
+const large = { product: productId, variant: largeId, sku: 'TOTE-L', quantity: 3 };
+
+const modified = (count) => ({ modifiedCount: count });
+
+describe('inventoryService.reserveItems', () => {
+  it('takes stock only from an active variant with enough on the shelf', async () => {
+    const reserve = jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(tote);
+
+    const reserved = await inventoryService.reserveItems([small]);
+
+    expect(reserved).toBe(true);
+    expect(reserve).toHaveBeenCalledWith(
+      {
+        _id: productId,
+        variants: { $elemMatch: { _id: smallId, active: true, stock: { $gte: 2 } } },
+      },
+      { $inc: { 'variants.$.stock': -2, 'variants.$.reserved': 2 } },
+      { new: true }
+    );
+  });
+
+  it('skips made-to-order lines', async () => {
+    const reserve = jest.spyOn(Product, 'findOneAndUpdate');
+
+    const reserved = await inventoryService.reserveItems([{ product: productId, quantity: 1 }]);
+
+    expect(reserved).toBe(false);
+    expect(reserve).not.toHaveBeenCalled();
+  });
+
+  it('puts back what it took when another variant is short', async () => {
+    jest
+      .spyOn(Product, 'findOneAndUpdate')
+      .mockResolvedValueOnce(tote)
+      .mockResolvedValueOnce(null);
+    const restore = jest.spyOn(Product, 'updateOne').mockResolvedValue(modified(1));
+    jest.spyOn(Product, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([tote]) });
+
+    const error = await inventoryService.reserveItems([small, large]).catch((err) => err);
+
+    expect(restore).toHaveBeenCalledTimes(1);
+    expect(restore).toHaveBeenCalledWith(
+      { _id: productId, variants: { $elemMatch: { _id: smallId, reserved: { $gte: 2 } } } },
+      { $inc: { 'variants.$.stock': 2, 'variants.$.reserved': -2 } }
+    );
+    expect(error).toMatchObject({ statusCode: 409, code: ERROR_CODES.OUT_OF_STOCK });
+    expect(error.details.items).toEqual([
+      expect.objectContaining({ sku: 'TOTE-L', requested: 3, available: 1 }),
+    ]);
+  });
+});
+
+describe('inventoryService.commitItems', () => {
+  it('drops reserved units without returning them to the shelf', async () => {
+    const commit = jest.spyOn(Product, 'updateOne').mockResolvedValue(modified(1));
+
+    await inventoryService.commitItems([small]);
+
+    expect(commit).toHaveBeenCalledWith(
+      { _id: productId, variants: { $elemMatch: { _id: smallId, reserved: { $gte: 2 } } } },
+      { $inc: { 'variants.$.reserved': -2 } }
+    );
+  });
+});
+
+describe('inventoryService.release', () => {
+  const order = () =>
+    new Order({ _id: new mongoose.Types.ObjectId(), items: [small], stockStatus: 'reserved' });
+
+  it('returns the stock of a reserved order once', async () => {
+    const placed = order();
+    jest.spyOn(Order, 'updateOne').mockResolvedValue(modified(1));
+    const restore = jest.spyOn(Product, 'updateOne').mockResolvedValue(modified(1));
+
+    const released = await inventoryService.release(placed, 'Order cancelled');
+
+    expect(released).toBe(true);
+    expect(placed.stockStatus).toBe('released');
+    expect(Order.updateOne).toHaveBeenCalledWith(
+      { _id: placed._id, stockStatus: 'reserved' },
+      { stockStatus: 'released' }
+    );
+    expect(restore).toHaveBeenCalledTimes(1);
+  });
+
+  it('does nothing when another request released the stock first', async () => {
+    jest.spyOn(Order, 'updateOne').mockResolvedValue(modified(0));
+    const restore = jest.spyOn(Product, 'updateOne');
+
+    const released = await inventoryService.release(order(), 'Order cancelled');
+
+    expect(released).toBe(false);
+    expect(restore).not.toHaveBeenCalled();
+  });
+});
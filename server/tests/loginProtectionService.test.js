@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const loginProtectionService = require('../services/loginProtectionService');
+const config = require('../config/env');
+const { ERROR_CODES } = require('../utils/errors');
+
+const { maxFailedLogins, loginLockMinutes } = config.auth;
+
+const account = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'ada@example.com',
+  failedLoginAttempts: 0,
+  ...fields,
+});
+
+// User.findByIdAndUpdate(...).select(...) resolving to `result`
+const updated = (result) => ({ select: jest.fn().mockResolvedValue(result) });
+
+let sendAccountLocked;
+
+beforeEach(() => {
+  sendAccountLocked = jest.spyOn(emailService, 'sendAccountLocked').mockResolvedValue();
+});
+
+describe('loginProtectionService', () => {
+  it('allows a few failures before making the account wait', () => {
+    expect(loginProtectionService.getDelaySeconds(3)).toBe(0);
+    expect(loginProtectionService.getDelaySeconds(4)).toBe(1);
+    expect(loginProtectionService.getDelaySeconds(6)).toBe(4);
+    expect(loginProtectionService.getDelaySeconds(40)).toBe(60);
+  });
+
+  it('makes the account wait after repeated failures', () => {
+    const user = account({ failedLoginAttempts: 5, lastFailedLoginAt: new Date() });
+
+    expect(() => loginProtectionService.assertAccountAllowed(user)).toThrow(
+      expect.objectContaining({ statusCode: 429, code: ERROR_CODES.RATE_LIMITED })
+    );
+  });
+
+  it('lets the account try again once the wait is over', () => {
+    const user = account({
+      failedLoginAttempts: 5,
+      lastFailedLoginAt: new Date(Date.now() - 5 * 1000),
+    });
+
+    expect(() => loginProtectionService.assertAccountAllowed(user)).not.toThrow();
+  });
+
+  it('refuses a locked account with the time left', () => {
+    const user = account({ lockUntil: new Date(Date.now() + 10 * 60 * 1000) });
+
+    let error;
+    try {
+      loginProtectionService.assertAccountAllowed(user);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toMatchObject({ statusCode: 423, code: ERROR_CODES.ACCOUNT_LOCKED });
+    expect(error.details.retryAfter).toBeGreaterThan(9 * 60);
+  });
+
+  it('does not lock the account before the limit', async () => {
+    const user = account();
+    jest
+      .spyOn(User, 'findByIdAndUpdate')
+      .mockReturnValue(updated({ ...user, failedLoginAttempts: maxFailedLogins - 1 }));
+    const lock = jest.spyOn(User, 'findOneAndUpdate');
+
+    await expect(loginProtectionService.recordFailure(user, '10.0.0.1')).resolves.toBe(false);
+    expect(lock).not.toHaveBeenCalled();
+  });
+
+  it('locks the account and emails an unlock link at the limit', async () => {
+    const user = account();
+    const lockUntil = new Date(Date.now() + loginLockMinutes * 60 * 1000);
+    jest
+      .spyOn(User, 'findByIdAndUpdate')
+      .mockReturnValue(updated({ ...user, failedLoginAttempts: maxFailedLogins }));
+    const lock = jest
+      .spyOn(User, 'findOneAndUpdate')
+      .mockResolvedValue({ ...user, lockUntil, failedLoginAttempts: 0 });
+
+    await expect(loginProtectionService.recordFailure(user, '10.0.0.2')).resolves.toBe(true);
+
+    expect(lock).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: user._id }),
+      { $set: expect.objectContaining({ lockUntil: expect.any(Date), failedLoginAttempts: 0 }) },
+      { new: true }
+    );
+    expect(sendAccountLocked).toHaveBeenCalledTimes(1);
+    expect(sendAccountLocked.mock.calls[0][1]).toMatchObject({
+      unlockUrl: expect.stringContaining('/unlock-account/'),
+      lockMinutes: loginLockMinutes,
+    });
+  });
+
+  it('sends one email when concurrent failures reach the limit together', async () => {
+    const user = account();
+    jest
+      .spyOn(User, 'findByIdAndUpdate')
+      .mockReturnValue(updated({ ...user, failedLoginAttempts: maxFailedLogins }));
+    // Another request locked the account first
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(loginProtectionService.recordFailure(user, '10.0.0.3')).resolves.toBe(false);
+    expect(sendAccountLocked).not.toHaveBeenCalled();
+  });
+
+  it('blocks an IP after too many failures across accounts', async () => {
+    const ip = '10.0.0.4';
+    await expect(loginProtectionService.assertIpAllowed(ip)).resolves.toBeUndefined();
+
+    // Unknown emails still count against the IP
+    for (let i = 0; i < 51; i += 1) {
+      await loginProtectionService.recordFailure(null, ip);
+    }
+
+    await expect(loginProtectionService.assertIpAllowed(ip)).rejects.toMatchObject({
+      statusCode: 429,
+      code: ERROR_CODES.RATE_LIMITED,
+    });
+    await expect(loginProtectionService.assertIpAllowed('10.0.0.5')).resolves.toBeUndefined();
+  });
+});
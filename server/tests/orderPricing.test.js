@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const Product = require('../models/Product');
+const { priceOrderItems } = require('../services/pricingService');
+const emailService = require('../services/emailService');
+const { createCustomOrder } = require('../controllers/orderController');
+const { validateCreateCustomOrder } = require('../middleware/orderValidation');
+const config = require('../config/env');
+const { ERROR_CODES } = require('../utils/errors');
+
+const { shippingFee } = config.pricing;
+
+const tote = new Product({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Lagos Tote',
+  basePrice: 20000,
+  images: ['https://example.com/tote.jpg'],
+  customOptions: [
+    {
+      name: 'size',
+      type: 'select',
+      options: ['Small', 'Large'],
+      priceModifier: 1000,
+      valueModifiers: [{ value: 'Large', priceModifier: 5000 }],
+    },
+    { name: 'monogram', type: 'text', priceModifier: 1500 },
+  ],
+});
+
+const shippingAddress = { street: '123 Lekki Phase 1', phone: '08012345678' };
+
+const mockRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+// Run the handler the way Express would and capture the outcome
+const callCreate = async (req) => {
+  const res = mockRes();
+  const next = jest.fn();
+
+  await createCustomOrder(req, res, next);
+
+  return { res, error: next.mock.calls[0]?.[0] };
+};
+
+beforeEach(() => {
+  jest.spyOn(Product, 'find').mockResolvedValue([tote]);
+});
+
+describe('pricingService.priceOrderItems', () => {
+  it('prices each line from the stored product and its chosen options', async () => {
+    const pricing = await priceOrderItems([
+      {
+        product: tote._id,
+        quantity: 2,
+        customSpecs: [
+          { name: 'size', value: 'Large' },
+          { name: 'monogram', value: 'AB' },
+        ],
+      },
+    ]);
+
+    // 20000 base + 5000 for Large + 1500 for a monogram
+    expect(pricing.items[0].unitPrice).toBe(26500);
+    expect(pricing.items[0].subtotal).toBe(53000);
+    expect(pricing.items[0].customSpecs).toEqual([
+      expect.objectContaining({ name: 'size', priceAdjustment: 5000 }),
+      expect.objectContaining({ name: 'monogram', priceAdjustment: 1500 }),
+    ]);
+    expect(pricing.total).toBe(53000 + shippingFee);
+  });
+
+  it('ignores prices sent by the client', async () => {
+    const pricing = await priceOrderItems([
+      { product: tote._id, quantity: 1, unitPrice: 1, basePrice: 1, priceAdjustment: -19999 },
+    ]);
+
+    expect(pricing.items[0].unitPrice).toBe(20000);
+  });
+
+  it('applies the bulk discount from the config', async () => {
+    const { minQuantity, percent } = config.pricing.bulkDiscount;
+
+    const pricing = await priceOrderItems([{ product: tote._id, quantity: minQuantity }]);
+
+    const subtotal = 20000 * minQuantity;
+    expect(pricing.discount).toBe(Math.round((subtotal * percent) / 100));
+  });
+
+  it('waives shipping above the free shipping threshold', async () => {
+    const { freeShippingThreshold } = config.pricing;
+    const quantity = Math.ceil((freeShippingThreshold * 2) / 20000);
+
+    const pricing = await priceOrderItems([{ product: tote._id, quantity }]);
+
+    expect(pricing.shippingFee).toBe(0);
+    expect(pricing.total).toBe(pricing.subtotal - pricing.discount);
+  });
+
+  it('reports products that no longer exist', async () => {
+    const missingId = new mongoose.Types.ObjectId();
+
+    const pricing = await priceOrderItems([{ product: missingId, quantity: 1 }]);
+
+    expect(pricing.missingProducts).toEqual([missingId.toString()]);
+  });
+});
+
+describe('orderController.createCustomOrder', () => {
+  const orderRequest = (total) => ({
+    user: { _id: new mongoose.Types.ObjectId() },
+    body: {
+      items: [
+        { product: tote._id, quantity: 1, customSpecs: [{ name: 'size', value: 'Large' }] },
+      ],
+      total,
+      shippingAddress,
+    },
+  });
+
+  it('saves the order at the server price when the client total matches', async () => {
+    const create = jest.spyOn(Order, 'create').mockImplementation(async (doc) => doc);
+    jest.spyOn(emailService, 'sendOrderReceived').mockResolvedValue(null);
+
+    const { res, error } = await callCreate(orderRequest(25000 + shippingFee));
+
+    expect(error).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({ subtotal: 25000, total: 25000 + shippingFee })
+    );
+  });
+
+  it('refuses a tampered or stale total and returns the current quote', async () => {
+    const create = jest.spyOn(Order, 'create');
+
+    const { res, error } = await callCreate(orderRequest(100));
+
+    expect(create).not.toHaveBeenCalled();
+    expect(res.json).not.toHaveBeenCalled();
+    expect(error).toMatchObject({ statusCode: 409, code: ERROR_CODES.PRICE_CHANGED });
+    expect(error.details.quote).toEqual(expect.objectContaining({ total: 25000 + shippingFee }));
+  });
+
+  it('requires the total the buyer was shown', () => {
+    const req = orderRequest(undefined);
+    const res = mockRes();
+    const next = jest.fn();
+
+    validateCreateCustomOrder(req, res, next);
+
+    const [error] = next.mock.calls[0];
+    expect(error).toMatchObject({ statusCode: 400, code: ERROR_CODES.VALIDATION_ERROR });
+    expect(error.errors).toContainEqual(expect.objectContaining({ field: 'total' }));
+  });
+});
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const { ERROR_CODES } = require('../utils/errors');
+
+const buyerId = new mongoose.Types.ObjectId();
+const adminId = new mongoose.Types.ObjectId();
+
+const buildOrder = async (status = 'pending') => {
+  const order = new Order({ user: buyerId, status });
+  // Runs the pre-validate hook that records the initial status
+  await order.validate().catch(() => {});
+  return order;
+};
+
+describe('Order.transitionTo', () => {
+  it('moves along an allowed transition and records who made it', async () => {
+    const order = await buildOrder('pending');
+
+    order.transitionTo('awaiting_deposit', {
+      changedBy: adminId,
+      source: 'admin',
+      notes: 'Quote accepted',
+    });
+
+    expect(order.status).toBe('awaiting_deposit');
+    expect(order.statusHistory[order.statusHistory.length - 1]).toEqual(
+      expect.objectContaining({
+        status: 'awaiting_deposit',
+        from: 'pending',
+        changedBy: adminId,
+        source: 'admin',
+        notes: 'Quote accepted',
+      })
+    );
+  });
+
+  it('rejects a transition that is not allowed', async () => {
+    const order = await buildOrder('delivered');
+
+    expect(() => order.transitionTo('pending')).toThrow(
+      'Cannot change order status from delivered to pending'
+    );
+    expect(() => order.transitionTo('pending')).toThrow(
+      expect.objectContaining({ statusCode: 400, code: ERROR_CODES.INVALID_STATUS_TRANSITION })
+    );
+    expect(order.status).toBe('delivered');
+  });
+
+  it('does not allow skipping production steps', async () => {
+    const order = await buildOrder('in_production');
+
+    expect(order.canTransitionTo('shipped')).toBe(false);
+    expect(order.getAllowedTransitions()).toEqual(['quality_check', 'cancelled']);
+  });
+
+  it('stamps cancelledAt when the order is cancelled', async () => {
+    const order = await buildOrder('pending');
+
+    order.transitionTo('cancelled', { changedBy: buyerId, source: 'customer' });
+
+    expect(order.cancelledAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('Order.getTimeline', () => {
+  it('lists past events and the steps still to come', async () => {
+    const order = await buildOrder('pending');
+    order.transitionTo('awaiting_deposit', { source: 'admin' });
+
+    const timeline = order.getTimeline();
+
+    expect(timeline.currentStatus).toBe('awaiting_deposit');
+    expect(timeline.events.map((event) => event.status)).toEqual([
+      'pending',
+      'awaiting_deposit',
+    ]);
+    expect(timeline.upcoming[0].status).toBe('in_production');
+    expect(timeline.upcoming[timeline.upcoming.length - 1].status).toBe('delivered');
+  });
+
+  it('shows no upcoming steps once the order is cancelled', async () => {
+    const order = await buildOrder('pending');
+    order.transitionTo('cancelled', { source: 'customer' });
+
+    expect(order.getTimeline().upcoming).toEqual([]);
+  });
+});
+
+describe('Order payment gates', () => {
+  it('holds production until the deposit is paid', async () => {
+    const order = await buildOrder('awaiting_deposit');
+
+    expect(order.getPaymentBlocker('in_production')).toBe(
+      'Deposit must be paid before production can start'
+    );
+    expect(() => order.transitionTo('in_production')).toThrow(
+      expect.objectContaining({ statusCode: 400, code: ERROR_CODES.PAYMENT_REQUIRED })
+    );
+
+    order.markPaymentReceived('deposit');
+    order.transitionTo('in_production');
+
+    expect(order.status).toBe('in_production');
+  });
+
+  it('holds shipping until the balance is paid', async () => {
+    const order = await buildOrder('ready_to_ship');
+    order.depositPaid = true;
+
+    expect(() => order.transitionTo('shipped')).toThrow(
+      'Balance must be paid before the order can be shipped'
+    );
+
+    order.markPaymentReceived('balance');
+
+    expect(order.getPaymentBlocker('shipped')).toBeNull();
+    expect(order.paymentStatus).toBe('paid');
+  });
+});
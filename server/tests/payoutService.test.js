@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const ArtisanEarning = require('../models/artisanEarning');
+const Payout = require('../models/payout');
+const PayoutAccount = require('../models/payoutAccount');
+const paystackService = require('../services/paystackService');
+const payoutService = require('../services/payoutService');
+const paystackConfig = require('../config/paystack');
+
+const newPayout = (fields = {}) => {
+  const payout = new Payout({
+    artisan: new mongoose.Types.ObjectId(),
+    earnings: [new mongoose.Types.ObjectId()],
+    amount: 40000,
+    amountInKobo: 4000000,
+    batchId: 'BATCH-1',
+    status: 'processing',
+    ...fields,
+  });
+  jest.spyOn(payout, 'save').mockResolvedValue(payout);
+  return payout;
+};
+
+// A payout whose first transfer was sent but never confirmed
+const sentPayout = () => newPayout({ attempts: 1, reference: 'PAYOUT-1-1-aaaaaa' });
+
+const networkError = () => new Error('socket hang up');
+const rejectedError = () => Object.assign(new Error('Recipient is inactive'), { rejected: true });
+
+let initiateTransfer;
+
+beforeEach(() => {
+  initiateTransfer = jest
+    .spyOn(paystackService, 'initiateTransfer')
+    .mockResolvedValue({ transferCode: 'TRF_2', status: 'pending' });
+  jest.spyOn(PayoutAccount, 'findOne').mockResolvedValue({ recipientCode: 'RCP_1' });
+  jest.spyOn(ArtisanEarning, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe('payoutService.sendTransfer', () => {
+  it('keeps the payout processing when the transfer request times out', async () => {
+    initiateTransfer.mockRejectedValue(networkError());
+    const payout = newPayout();
+
+    await payoutService.sendTransfer(payout);
+
+    expect(payout.status).toBe('processing');
+    expect(payout.attempts).toBe(1);
+    expect(payout.lastError).toBe('socket hang up');
+    expect(payout.nextAttemptAt).toBeInstanceOf(Date);
+  });
+
+  it('schedules a retry when Paystack rejects the transfer', async () => {
+    initiateTransfer.mockRejectedValue(rejectedError());
+    const payout = newPayout();
+
+    await payoutService.sendTransfer(payout);
+
+    expect(payout.status).toBe('retrying');
+    expect(payout.lastError).toBe('Recipient is inactive');
+  });
+
+  it('does not send again while Paystack is still processing the last attempt', async () => {
+    jest.spyOn(paystackService, 'verifyTransfer').mockResolvedValue({ status: 'pending' });
+    const payout = sentPayout();
+
+    await payoutService.sendTransfer(payout);
+
+    expect(initiateTransfer).not.toHaveBeenCalled();
+    expect(payout.status).toBe('processing');
+    expect(payout.reference).toBe('PAYOUT-1-1-aaaaaa');
+  });
+
+  it('does not send again when Paystack cannot be reached to check the last attempt', async () => {
+    jest.spyOn(paystackService, 'verifyTransfer').mockRejectedValue(networkError());
+    const payout = sentPayout();
+
+    await payoutService.sendTransfer(payout);
+
+    expect(initiateTransfer).not.toHaveBeenCalled();
+    expect(payout.status).toBe('processing');
+    expect(payout.attempts).toBe(1);
+  });
+
+  it('marks the payout paid when the last attempt went through', async () => {
+    jest.spyOn(paystackService, 'verifyTransfer').mockResolvedValue({ status: 'success' });
+    const payout = sentPayout();
+
+    await payoutService.sendTransfer(payout);
+
+    expect(initiateTransfer).not.toHaveBeenCalled();
+    expect(payout.status).toBe('success');
+    expect(payout.paidReference).toBe('PAYOUT-1-1-aaaaaa');
+    expect(ArtisanEarning.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: payout.earnings } },
+      { status: 'paid' }
+    );
+  });
+
+  it.each(['failed', 'reversed'])(
+    'sends a new attempt with a new reference once the last one is %s',
+    async (status) => {
+      jest.spyOn(paystackService, 'verifyTransfer').mockResolvedValue({ status });
+      const payout = sentPayout();
+
+      await payoutService.sendTransfer(payout);
+
+      expect(initiateTransfer).toHaveBeenCalledTimes(1);
+      expect(payout.attempts).toBe(2);
+      expect(payout.reference).not.toBe('PAYOUT-1-1-aaaaaa');
+      expect(initiateTransfer).toHaveBeenCalledWith(
+        expect.objectContaining({ reference: payout.reference })
+      );
+      expect(payout.previousReferences).toEqual(['PAYOUT-1-1-aaaaaa']);
+    }
+  );
+
+  it('sends a new attempt when Paystack has no record of the last one', async () => {
+    jest.spyOn(paystackService, 'verifyTransfer').mockResolvedValue(null);
+    const payout = sentPayout();
+
+    await payoutService.sendTransfer(payout);
+
+    expect(initiateTransfer).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('payoutService.retryDue', () => {
+  const query = (result) => ({
+    sort: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    select: jest.fn().mockResolvedValue(result),
+  });
+
+  it('checks an unconfirmed transfer instead of sending it again', async () => {
+    const payout = sentPayout();
+    jest.spyOn(Payout, 'find').mockReturnValue(query([{ _id: payout._id }]));
+    jest.spyOn(Payout, 'findOneAndUpdate').mockResolvedValue(payout);
+    jest.spyOn(paystackService, 'verifyTransfer').mockResolvedValue({ status: 'pending' });
+
+    const { handled } = await payoutService.retryDue();
+
+    expect(handled).toBe(1);
+    expect(initiateTransfer).not.toHaveBeenCalled();
+    expect(payout.status).toBe('processing');
+  });
+
+  it('schedules a retry for an unconfirmed transfer that failed', async () => {
+    const payout = sentPayout();
+    jest.spyOn(Payout, 'find').mockReturnValue(query([{ _id: payout._id }]));
+    jest.spyOn(Payout, 'findOneAndUpdate').mockResolvedValue(payout);
+    jest
+      .spyOn(paystackService, 'verifyTransfer')
+      .mockResolvedValue({ status: 'failed', reason: 'Insufficient balance' });
+
+    await payoutService.retryDue();
+
+    expect(initiateTransfer).not.toHaveBeenCalled();
+    expect(payout.status).toBe('retrying');
+    expect(payout.lastError).toBe('Insufficient balance');
+  });
+
+  it('skips payouts another run has already claimed', async () => {
+    jest.spyOn(Payout, 'find').mockReturnValue(query([{ _id: 'a' }]));
+    jest.spyOn(Payout, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const { handled } = await payoutService.retryDue();
+
+    expect(handled).toBe(0);
+    expect(initiateTransfer).not.toHaveBeenCalled();
+  });
+
+  it('gives up after the last attempt', async () => {
+    const payout = newPayout({
+      status: 'retrying',
+      attempts: paystackConfig.transfer.maxAttempts - 1,
+      reference: 'PAYOUT-1-2-bbbbbb',
+    });
+    jest.spyOn(Payout, 'find').mockReturnValue(query([{ _id: payout._id }]));
+    jest.spyOn(Payout, 'findOneAndUpdate').mockResolvedValue(payout);
+    jest.spyOn(paystackService, 'verifyTransfer').mockResolvedValue({ status: 'failed' });
+    initiateTransfer.mockRejectedValue(rejectedError());
+
+    await payoutService.retryDue();
+
+    expect(payout.attempts).toBe(paystackConfig.transfer.maxAttempts);
+    expect(payout.status).toBe('failed');
+    expect(payout.nextAttemptAt).toBeUndefined();
+  });
+});
+
+describe('payoutService.applyTransferEvent', () => {
+  it('marks a payout paid from a success event for an earlier reference', async () => {
+    const payout = newPayout({
+      attempts: 2,
+      reference: 'PAYOUT-1-2-bbbbbb',
+      previousReferences: ['PAYOUT-1-1-aaaaaa'],
+    });
+    jest.spyOn(Payout, 'findOne').mockResolvedValue(payout);
+
+    await payoutService.applyTransferEvent('transfer.success', { reference: 'PAYOUT-1-1-aaaaaa' });
+
+    expect(payout.status).toBe('success');
+    expect(payout.paidReference).toBe('PAYOUT-1-1-aaaaaa');
+  });
+
+  it('ignores a failure event for an earlier reference', async () => {
+    const payout = newPayout({
+      attempts: 2,
+      reference: 'PAYOUT-1-2-bbbbbb',
+      previousReferences: ['PAYOUT-1-1-aaaaaa'],
+    });
+    jest.spyOn(Payout, 'findOne').mockResolvedValue(payout);
+
+    await payoutService.applyTransferEvent('transfer.failed', { reference: 'PAYOUT-1-1-aaaaaa' });
+
+    expect(payout.status).toBe('processing');
+    expect(payout.save).not.toHaveBeenCalled();
+  });
+});
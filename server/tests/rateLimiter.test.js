@@ -0,0 +1,25 @@
+const express = require('express');
+const request = require('supertest');
+const { loginRateLimiterMiddleware } = require('../middleware/rateLimiter');
+
+// Login limiter in front of stand-in handlers, with the app's error shape
+const app = express();
+app.post('/login/ok', loginRateLimiterMiddleware, (req, res) => res.sendStatus(200));
+app.post('/login/bad', loginRateLimiterMiddleware, (req, res) => res.sendStatus(401));
+app.use((err, req, res, next) => res.status(err.statusCode || 500).json({ code: err.code }));
+
+describe('login rate limiter', () => {
+  it('counts only failed logins from an IP', async () => {
+    // An office sharing one IP can sign in all day
+    for (let i = 0; i < 40; i += 1) {
+      await request(app).post('/login/ok').expect(200);
+    }
+
+    for (let i = 0; i < 30; i += 1) {
+      await request(app).post('/login/bad').expect(401);
+    }
+
+    const blocked = await request(app).post('/login/ok').expect(429);
+    expect(blocked.body.code).toBe('RATE_LIMITED');
+  });
+});
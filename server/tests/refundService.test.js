@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const Payment = require('../models/payment');
+const paystackService = require('../services/paystackService');
+const refundService = require('../services/refundService');
+const { REFUNDABLE_STATUSES } = require('../config/orderStatus');
+
+const deposit = {
+  _id: new mongoose.Types.ObjectId(),
+  type: 'deposit',
+  amount: 10000,
+  reference: 'DEP-1',
+  status: 'success',
+};
+const balance = {
+  _id: new mongoose.Types.ObjectId(),
+  type: 'balance',
+  amount: 15000,
+  reference: 'BAL-1',
+  status: 'success',
+};
+
+const paidOrder = () =>
+  new Order({
+    user: new mongoose.Types.ObjectId(),
+    status: 'cancelled',
+    depositAmount: 10000,
+    balanceAmount: 15000,
+    depositPaid: true,
+    balancePaid: true,
+    paymentStatus: 'paid',
+  });
+
+let stored;
+let claim;
+
+beforeEach(() => {
+  jest.spyOn(Payment, 'find').mockResolvedValue([deposit, balance]);
+  jest.spyOn(Order.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+
+  // Apply the claim to a copy of the order, as the database would
+  claim = jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    stored = paidOrder();
+    stored._id = filter._id;
+    stored.refunds.push(...update.$push.refunds.$each);
+    return stored;
+  });
+  jest.spyOn(Order, 'findById').mockImplementation(async () => stored);
+});
+
+describe('refundService.createRefund', () => {
+  it('claims the refundable balance of each payment in a single update', async () => {
+    jest.spyOn(paystackService, 'createRefund').mockResolvedValue({ refundId: 1, status: 'pending' });
+    const order = paidOrder();
+
+    await refundService.createRefund(order, { scope: 'custom', amount: 20000, reason: 'Cancelled' });
+
+    const [filter, update] = claim.mock.calls[0];
+    expect(filter).toEqual(
+      expect.objectContaining({ _id: order._id, status: { $in: REFUNDABLE_STATUSES } })
+    );
+    // The newest payment is refunded first, then the rest from the deposit
+    expect(filter.$and).toHaveLength(2);
+    expect(filter.$and[0].$expr.$lte[1]).toBe(balance.amount);
+    expect(filter.$and[1].$expr.$lte[1]).toBe(deposit.amount);
+    expect(update.$push.refunds.$each.map((refund) => refund.amount)).toEqual([15000, 5000]);
+  });
+
+  it('refuses with a 409 when another refund spent the balance first', async () => {
+    claim.mockResolvedValue(null);
+    const createRefund = jest.spyOn(paystackService, 'createRefund');
+
+    await expect(
+      refundService.createRefund(paidOrder(), { scope: 'full', reason: 'Cancelled' })
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(createRefund).not.toHaveBeenCalled();
+  });
+
+  it('marks the order refunded once every payment has been returned', async () => {
+    jest.spyOn(paystackService, 'createRefund').mockResolvedValue({ refundId: 1, status: 'processed' });
+
+    const { order, refunds } = await refundService.createRefund(paidOrder(), {
+      scope: 'full',
+      reason: 'Cancelled',
+    });
+
+    expect(refunds.map((refund) => refund.status)).toEqual(['processed', 'processed']);
+    expect(order.paymentStatus).toBe('refunded');
+    expect(order.status).toBe('refunded');
+  });
+
+  it('leaves a partly refunded order in its current status', async () => {
+    jest.spyOn(paystackService, 'createRefund').mockResolvedValue({ refundId: 1, status: 'processed' });
+
+    const { order } = await refundService.createRefund(paidOrder(), {
+      scope: 'deposit',
+      reason: 'Goodwill',
+    });
+
+    expect(order.paymentStatus).toBe('partially_refunded');
+    expect(order.status).toBe('cancelled');
+  });
+
+  it('records a refund Paystack rejected as failed', async () => {
+    jest.spyOn(paystackService, 'createRefund').mockRejectedValue(new Error('Transaction not found'));
+
+    const { refunds } = await refundService.createRefund(paidOrder(), {
+      scope: 'balance',
+      reason: 'Cancelled',
+    });
+
+    expect(refunds[0]).toEqual(
+      expect.objectContaining({ status: 'failed', failureReason: 'Transaction not found' })
+    );
+  });
+});
+
+describe('refundService.applyRefundEvent', () => {
+  it('marks the order refunded when the last pending refund is processed', async () => {
+    const order = paidOrder();
+    order.refunds.push(
+      {
+        payment: deposit._id,
+        paymentType: 'deposit',
+        transactionReference: 'DEP-1',
+        amount: 10000,
+        amountInKobo: 1000000,
+        paystackRefundId: '11',
+        status: 'processed',
+      },
+      {
+        payment: balance._id,
+        paymentType: 'balance',
+        transactionReference: 'BAL-1',
+        amount: 15000,
+        amountInKobo: 1500000,
+        paystackRefundId: '12',
+      }
+    );
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    const handled = await refundService.applyRefundEvent('refund.processed', {
+      id: 12,
+      transaction_reference: 'BAL-1',
+      amount: 1500000,
+    });
+
+    expect(handled).toBe(true);
+    expect(order.status).toBe('refunded');
+    expect(order.statusHistory[order.statusHistory.length - 1]).toEqual(
+      expect.objectContaining({ status: 'refunded', from: 'cancelled', source: 'system' })
+    );
+  });
+});
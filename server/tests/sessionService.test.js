@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Session = require('../models/session');
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const { isAuth } = require('../middleware/auth');
+const { ERROR_CODES } = require('../utils/errors');
+
+const user = new User({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Ada Buyer',
+  email: 'ada@example.com',
+  role: 'customer',
+});
+
+const newSession = (fields = {}) => {
+  const session = new Session({
+    user: user._id,
+    tokenId: 'token-1',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields,
+  });
+  jest.spyOn(session, 'save').mockResolvedValue(session);
+  return session;
+};
+
+const req = { ip: '10.0.0.1', get: () => 'jest' };
+
+let session;
+
+beforeEach(() => {
+  session = newSession();
+  jest.spyOn(Session, 'findById').mockImplementation(async () => session);
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+  // Applies the conditional update to the one session in "the database"
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (filter.tokenId !== session.tokenId || session.revokedAt) {
+      return null;
+    }
+    session.set(update.$set);
+    return session;
+  });
+});
+
+describe('sessionService refresh rotation', () => {
+  it('issues a new refresh token and retires the old one', async () => {
+    const refreshToken = user.generateRefreshToken(session);
+
+    const verified = await sessionService.verifyRefreshToken(refreshToken);
+    const rotated = await sessionService.rotate(verified.session, verified.user, req);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(session.previousTokenId).toBe('token-1');
+    await expect(sessionService.verifyRefreshToken(rotated.refreshToken)).resolves.toMatchObject({
+      session,
+    });
+  });
+
+  it('revokes the session when a rotated token is replayed', async () => {
+    const stolenToken = user.generateRefreshToken(session);
+    const { session: current } = await sessionService.verifyRefreshToken(stolenToken);
+    await sessionService.rotate(current, user, req);
+
+    // Past the grace period for a second tab
+    session.rotatedAt = new Date(Date.now() - 60 * 1000);
+
+    await expect(sessionService.verifyRefreshToken(stolenToken)).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_TOKEN,
+    });
+    expect(session.revokedReason).toBe('token_reuse');
+    expect(session.isActive).toBe(false);
+  });
+
+  it('refuses but does not revoke a replay from a second tab within the grace period', async () => {
+    const oldToken = user.generateRefreshToken(session);
+    const { session: current } = await sessionService.verifyRefreshToken(oldToken);
+    await sessionService.rotate(current, user, req);
+
+    await expect(sessionService.verifyRefreshToken(oldToken)).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_TOKEN,
+    });
+    expect(session.revokedAt).toBeUndefined();
+  });
+
+  it('lets only one of two concurrent refreshes with the same token rotate', async () => {
+    const refreshToken = user.generateRefreshToken(session);
+    const first = await sessionService.verifyRefreshToken(refreshToken);
+    const second = await sessionService.verifyRefreshToken(refreshToken);
+    // Both requests read the session before either rotated it
+    const staleCopy = { _id: second.session._id, tokenId: 'token-1' };
+
+    await sessionService.rotate(first.session, user, req);
+
+    await expect(sessionService.rotate(staleCopy, user, req)).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_TOKEN,
+    });
+  });
+
+  it('refuses an access token presented as a refresh token', async () => {
+    const accessToken = user.generateAccessToken(session._id);
+
+    await expect(sessionService.verifyRefreshToken(accessToken)).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_TOKEN,
+    });
+  });
+
+  it('refuses a token for a revoked session', async () => {
+    const refreshToken = user.generateRefreshToken(session);
+    session.revokedAt = new Date();
+
+    await expect(sessionService.verifyRefreshToken(refreshToken)).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_TOKEN,
+    });
+  });
+});
+
+describe('isAuth', () => {
+  it('refuses a refresh token sent as a Bearer token', async () => {
+    const refreshToken = user.generateRefreshToken(session);
+    const next = jest.fn();
+
+    await isAuth({ headers: { authorization: `Bearer ${refreshToken}` } }, {}, next);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 401, code: ERROR_CODES.INVALID_TOKEN })
+    );
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+});
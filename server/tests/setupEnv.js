@@ -0,0 +1,24 @@
+/**
+ * Jest setup
+ * config/env.js validates the environment when it is first required, so
+ * every suite gets the minimum it needs. Nothing connects to MongoDB or
+ * Paystack; tests replace the model and gateway calls they reach.
+ */
+
+const defaults = {
+  MONGODB_URI: 'mongodb://127.0.0.1:27017/latodabags-test',
+  JWT_SECRET: 'test-jwt-secret-that-is-at-least-32-characters',
+  PAYSTACK_SECRET_KEY: 'sk_test_jest',
+  PAYSTACK_PUBLIC_KEY: 'pk_test_jest',
+  CLOUDINARY_CLOUD_NAME: 'jest',
+  CLOUDINARY_API_KEY: 'jest',
+  CLOUDINARY_API_SECRET: 'jest',
+  CLIENT_URL: 'http://localhost:5173',
+  LOG_LEVEL: 'silent',
+};
+
+for (const [key, value] of Object.entries(defaults)) {
+  if (process.env[key] === undefined) {
+    process.env[key] = value;
+  }
+}
@@ -0,0 +1,70 @@
+const { authenticator } = require('otplib');
+const twoFactorService = require('../services/twoFactorService');
+
+const secret = authenticator.generateSecret(20);
+
+const enrolledUser = (twoFactor = {}) => ({
+  _id: 'user-1',
+  twoFactor: {
+    enabled: true,
+    secret: twoFactorService.encrypt(secret),
+    backupCodes: [],
+    ...twoFactor,
+  },
+  save: jest.fn().mockResolvedValue(),
+});
+
+const currentStep = () => Math.floor(Date.now() / 1000 / authenticator.allOptions().step);
+
+// Hold the clock mid-step so a code cannot roll over during a test
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-01-01T00:00:15Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('twoFactorService.verify', () => {
+  it('accepts a code from the authenticator app and records its time step', async () => {
+    const user = enrolledUser();
+
+    const result = await twoFactorService.verify(user, authenticator.generate(secret));
+
+    expect(result).toEqual({ valid: true, usedBackupCode: false });
+    expect(user.twoFactor.lastUsedStep).toBe(currentStep());
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it('refuses the same code a second time', async () => {
+    const user = enrolledUser();
+    const code = authenticator.generate(secret);
+
+    await twoFactorService.verify(user, code);
+    const replay = await twoFactorService.verify(user, code);
+
+    expect(replay).toEqual({ valid: false, usedBackupCode: false });
+    expect(user.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a code older than the last one accepted', async () => {
+    const user = enrolledUser({ lastUsedStep: currentStep() + 1 });
+
+    const result = await twoFactorService.verify(user, authenticator.generate(secret));
+
+    expect(result.valid).toBe(false);
+    expect(user.twoFactor.lastUsedStep).toBe(currentStep() + 1);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('uses up a backup code', async () => {
+    const user = enrolledUser();
+    const [backupCode] = await twoFactorService.regenerateBackupCodes(user);
+
+    const first = await twoFactorService.verify(user, backupCode);
+    const second = await twoFactorService.verify(user, backupCode);
+
+    expect(first).toEqual({ valid: true, usedBackupCode: true });
+    expect(second.valid).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+const Product = require('../models/Product');
+const { validateCustomSpecs } = require('../utils/validators');
+
+const tote = new Product({
+  name: 'Lagos Tote',
+  basePrice: 20000,
+  images: ['https://example.com/tote.jpg'],
+  customOptions: [
+    { name: 'size', label: 'Size', type: 'select', options: ['Small', 'Large'], required: true },
+    { name: 'strap', type: 'select', options: ['Short', 'Long'], default: 'Short' },
+    { name: 'pockets', type: 'number', min: 0, max: 4 },
+    { name: 'monogram', type: 'select', options: ['Yes', 'No'] },
+    {
+      name: 'monogramText',
+      label: 'Monogram text',
+      type: 'text',
+      minLength: 2,
+      maxLength: 3,
+      showIf: { option: 'monogram', values: ['Yes'] },
+    },
+  ],
+});
+
+const validate = (customSpecs) => validateCustomSpecs(tote, customSpecs);
+
+describe('validators.validateCustomSpecs', () => {
+  it('accepts choices that fit the product options', () => {
+    expect(
+      validate([
+        { name: 'size', value: 'Large' },
+        { name: 'pockets', value: '2' },
+        { name: 'monogram', value: 'Yes' },
+        { name: 'monogramText', value: 'AB' },
+      ])
+    ).toEqual([]);
+  });
+
+  it('rejects unknown and repeated options', () => {
+    expect(
+      validate([
+        { name: 'size', value: 'Large' },
+        { name: 'colour', value: 'Tan' },
+        { name: 'size', value: 'Small' },
+      ])
+    ).toEqual([
+      { field: 'customSpecs.1.name', message: '"colour" is not an option for Lagos Tote' },
+      { field: 'customSpecs.2.name', message: 'Size was chosen more than once' },
+    ]);
+  });
+
+  it('requires options without a default', () => {
+    expect(validate([])).toEqual([{ field: 'customSpecs', message: 'Size is required' }]);
+  });
+
+  it('checks values against the allowed list and limits', () => {
+    expect(
+      validate([
+        { name: 'size', value: 'Huge' },
+        { name: 'pockets', value: '9' },
+        { name: 'monogram', value: 'Yes' },
+        { name: 'monogramText', value: 'ABCD' },
+      ])
+    ).toEqual([
+      { field: 'customSpecs.0.value', message: 'Size must be one of: Small, Large' },
+      { field: 'customSpecs.1.value', message: 'pockets cannot exceed 4' },
+      { field: 'customSpecs.3.value', message: 'Monogram text cannot exceed 3 characters' },
+    ]);
+  });
+
+  it('rejects an option hidden by an earlier choice', () => {
+    expect(
+      validate([
+        { name: 'size', value: 'Small' },
+        { name: 'monogram', value: 'No' },
+        { name: 'monogramText', value: 'AB' },
+      ])
+    ).toEqual([
+      {
+        field: 'customSpecs.2.name',
+        message: 'Monogram text only applies when monogram is Yes',
+      },
+    ]);
+  });
+
+  it('prefixes problems with the field it is given', () => {
+    const errors = validateCustomSpecs(
+      tote,
+      [{ name: 'size', value: 'Huge' }],
+      'items.0.customSpecs'
+    );
+
+    expect(errors).toEqual([
+      { field: 'items.0.customSpecs.0.value', message: 'Size must be one of: Small, Large' },
+    ]);
+  });
+});
@@ -0,0 +1,150 @@
+const Order = require('../models/order');
+const Payment = require('../models/payment');
+const paystackService = require('../services/paystackService');
+const inventoryService = require('../services/inventoryService');
+const emailService = require('../services/emailService');
+const { verifyPayment } = require('../controllers/paymentController');
+const { ERROR_CODES } = require('../utils/errors');
+
+const pendingPayment = () => ({
+  reference: 'DEP-1',
+  type: 'deposit',
+  status: 'pending',
+  amount: 25000,
+  amountInKobo: 2500000,
+  order: 'order-1',
+  save: jest.fn().mockResolvedValue(),
+});
+
+const buildOrder = () => ({
+  status: 'awaiting_deposit',
+  depositPaid: false,
+  balancePaid: false,
+  paymentStatus: 'unpaid',
+  markPaymentReceived: jest.fn(function () {
+    this.depositPaid = true;
+    this.paymentStatus = 'deposit_paid';
+  }),
+  canTransitionTo: () => false,
+  save: jest.fn().mockResolvedValue(),
+});
+
+let payment;
+let order;
+
+// Run the handler the way Express would and capture the outcome
+const callVerify = async () => {
+  const req = { params: { reference: 'DEP-1' }, user: { _id: 'user-1' } };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  const next = jest.fn();
+
+  await verifyPayment(req, res, next);
+
+  return { res, error: next.mock.calls[0]?.[0] };
+};
+
+beforeEach(() => {
+  payment = pendingPayment();
+  order = buildOrder();
+  jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+  jest.spyOn(Order, 'findById').mockResolvedValue(order);
+  jest.spyOn(inventoryService, 'release').mockResolvedValue(true);
+  jest.spyOn(emailService, 'sendDepositReceived').mockResolvedValue(null);
+  jest.spyOn(emailService, 'sendOrderStatus').mockResolvedValue(null);
+  jest.spyOn(emailService, 'sendPaymentFailed').mockResolvedValue(null);
+});
+
+describe('paymentController.verifyPayment', () => {
+  it.each(['ongoing', 'pending', 'processing', 'queued'])(
+    'leaves the payment pending when Paystack reports %s',
+    async (gatewayStatus) => {
+      jest.spyOn(paystackService, 'verifyTransaction').mockResolvedValue({ status: gatewayStatus });
+
+      const { res, error } = await callVerify();
+
+      expect(error).toBeUndefined();
+      expect(payment.status).toBe('pending');
+      expect(payment.save).not.toHaveBeenCalled();
+      expect(order.markPaymentReceived).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          message: 'Payment is still being processed',
+          data: expect.objectContaining({ status: 'pending', gatewayStatus }),
+        })
+      );
+    }
+  );
+
+  it.each(['failed', 'abandoned'])(
+    'records a failure when Paystack reports %s',
+    async (gatewayStatus) => {
+      jest.spyOn(paystackService, 'verifyTransaction').mockResolvedValue({
+        status: gatewayStatus,
+        gatewayResponse: 'Declined',
+      });
+
+      const { res, error } = await callVerify();
+
+      expect(payment.status).toBe(gatewayStatus);
+      expect(payment.failureReason).toBe('Declined');
+      expect(payment.save).toHaveBeenCalled();
+      expect(inventoryService.release).toHaveBeenCalledWith(order, `Deposit ${gatewayStatus}`);
+      expect(res.json).not.toHaveBeenCalled();
+      expect(error).toMatchObject({ statusCode: 400, code: ERROR_CODES.PAYMENT_FAILED });
+    }
+  );
+
+  it('emails the customer about a failed payment but not an abandoned one', async () => {
+    jest
+      .spyOn(paystackService, 'verifyTransaction')
+      .mockResolvedValueOnce({ status: 'abandoned' })
+      .mockResolvedValueOnce({ status: 'failed', gatewayResponse: 'Declined' });
+
+    await callVerify();
+    expect(emailService.sendPaymentFailed).not.toHaveBeenCalled();
+
+    payment = pendingPayment();
+    Payment.findOne.mockResolvedValue(payment);
+    await callVerify();
+    expect(emailService.sendPaymentFailed).toHaveBeenCalledWith(payment);
+  });
+
+  it('applies a successful payment to the order', async () => {
+    jest.spyOn(paystackService, 'verifyTransaction').mockResolvedValue({
+      status: 'success',
+      amount: 2500000,
+    });
+
+    const { res, error } = await callVerify();
+
+    expect(error).toBeUndefined();
+    expect(payment.status).toBe('success');
+    expect(order.markPaymentReceived).toHaveBeenCalledWith('deposit', expect.any(Date));
+    expect(emailService.sendDepositReceived).toHaveBeenCalledWith(order, payment);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: 'Payment verified successfully',
+        data: expect.objectContaining({ status: 'success', depositPaid: true }),
+      })
+    );
+  });
+
+  it('fails a charge for a different amount than was requested', async () => {
+    jest.spyOn(paystackService, 'verifyTransaction').mockResolvedValue({
+      status: 'success',
+      amount: 100,
+    });
+
+    const { res, error } = await callVerify();
+
+    expect(payment.status).toBe('failed');
+    expect(order.markPaymentReceived).not.toHaveBeenCalled();
+    expect(res.json).not.toHaveBeenCalled();
+    expect(error).toMatchObject({ statusCode: 400, code: ERROR_CODES.PAYMENT_FAILED });
+  });
+});
@@ -0,0 +1,201 @@
+const WebhookEvent = require('../models/webhookEvent');
+const webhookService = require('../services/webhookService');
+const paystackConfig = require('../config/paystack');
+
+const payload = { event: 'charge.success', data: { id: 42, reference: 'DEP-1' } };
+const rawBody = JSON.stringify(payload);
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+// A stored event whose save() only records what would have been written
+const storedEvent = (fields = {}) => {
+  const event = new WebhookEvent({
+    rawBody,
+    payload,
+    signatureValid: true,
+    event: payload.event,
+    reference: payload.data.reference,
+    eventKey: 'charge.success:42',
+    ...fields,
+  });
+  jest.spyOn(event, 'save').mockResolvedValue(event);
+  return event;
+};
+
+// Query stub for find().sort().limit().select()
+const query = (result) => ({
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  select: jest.fn().mockResolvedValue(result),
+});
+
+describe('webhookService.recordEvent', () => {
+  it('stores a first delivery keyed on event type and object id', async () => {
+    const create = jest.spyOn(WebhookEvent, 'create').mockImplementation(async (doc) => doc);
+
+    const { event, duplicate } = await webhookService.recordEvent({
+      rawBody,
+      payload,
+      signatureValid: true,
+    });
+
+    expect(duplicate).toBe(false);
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({ eventKey: 'charge.success:42', reference: 'DEP-1' })
+    );
+    expect(event.eventKey).toBe('charge.success:42');
+  });
+
+  it('stores an event with a bad signature as rejected without a key', async () => {
+    const create = jest.spyOn(WebhookEvent, 'create').mockImplementation(async (doc) => doc);
+
+    const { event, duplicate } = await webhookService.recordEvent({
+      rawBody,
+      payload,
+      signatureValid: false,
+    });
+
+    expect(duplicate).toBe(false);
+    expect(event.status).toBe('rejected');
+    expect(create.mock.calls[0][0]).not.toHaveProperty('eventKey');
+  });
+
+  it('flags a re-delivery of a processed event as a duplicate', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockRejectedValue(duplicateKeyError());
+    const update = jest
+      .spyOn(WebhookEvent, 'findOneAndUpdate')
+      .mockResolvedValue(storedEvent({ status: 'processed', duplicateCount: 1 }));
+
+    const { duplicate } = await webhookService.recordEvent({
+      rawBody,
+      payload,
+      signatureValid: true,
+    });
+
+    expect(duplicate).toBe(true);
+    expect(update).toHaveBeenCalledWith(
+      { eventKey: 'charge.success:42' },
+      expect.objectContaining({ $inc: { duplicateCount: 1 } }),
+      { new: true }
+    );
+  });
+
+  it('leaves a failed event that is waiting for a retry to the retry job', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockRejectedValue(duplicateKeyError());
+    jest
+      .spyOn(WebhookEvent, 'findOneAndUpdate')
+      .mockResolvedValue(storedEvent({ status: 'failed', nextAttemptAt: new Date() }));
+
+    const { duplicate } = await webhookService.recordEvent({
+      rawBody,
+      payload,
+      signatureValid: true,
+    });
+
+    expect(duplicate).toBe(true);
+  });
+
+  it('processes a re-delivery of an event whose retries were used up', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockRejectedValue(duplicateKeyError());
+    jest
+      .spyOn(WebhookEvent, 'findOneAndUpdate')
+      .mockResolvedValue(storedEvent({ status: 'failed', attempts: 3 }));
+
+    const { duplicate } = await webhookService.recordEvent({
+      rawBody,
+      payload,
+      signatureValid: true,
+    });
+
+    expect(duplicate).toBe(false);
+  });
+});
+
+describe('webhookService.process', () => {
+  const { maxAttempts } = paystackConfig.retry;
+
+  it('marks a handled event processed', async () => {
+    jest.spyOn(webhookService, 'dispatch').mockResolvedValue(true);
+    const event = storedEvent();
+
+    await webhookService.process(event);
+
+    expect(event.status).toBe('processed');
+    expect(event.attempts).toBe(1);
+    expect(event.processedAt).toBeInstanceOf(Date);
+  });
+
+  it('schedules a retry with backoff when the handler fails', async () => {
+    jest.spyOn(webhookService, 'dispatch').mockRejectedValue(new Error('Database unavailable'));
+    const event = storedEvent({ attempts: 1 });
+    const before = Date.now();
+
+    await webhookService.process(event);
+
+    expect(event.status).toBe('failed');
+    expect(event.attempts).toBe(2);
+    expect(event.lastError).toBe('Database unavailable');
+    expect(event.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(
+      before + webhookService.getBackoffDelay(2)
+    );
+  });
+
+  it('stops scheduling retries after the last attempt', async () => {
+    jest.spyOn(webhookService, 'dispatch').mockRejectedValue(new Error('Still failing'));
+    const event = storedEvent({ attempts: maxAttempts - 1 });
+
+    await webhookService.process(event);
+
+    expect(event.status).toBe('failed');
+    expect(event.nextAttemptAt).toBeUndefined();
+  });
+
+  it('does not schedule a retry for a failed admin replay', async () => {
+    jest.spyOn(webhookService, 'dispatch').mockRejectedValue(new Error('Still failing'));
+    const event = storedEvent({ status: 'failed' });
+
+    await webhookService.process(event, { manual: true });
+
+    expect(event.nextAttemptAt).toBeUndefined();
+  });
+
+  it('caps the backoff delay', () => {
+    expect(webhookService.getBackoffDelay(1)).toBe(paystackConfig.retry.initialDelayMs);
+    expect(webhookService.getBackoffDelay(50)).toBe(paystackConfig.retry.maxDelayMs);
+  });
+});
+
+describe('webhookService.retryDue', () => {
+  it('processes only the due events it manages to claim', async () => {
+    const claimed = storedEvent({ status: 'processing', attempts: 1 });
+    jest.spyOn(WebhookEvent, 'find').mockReturnValue(query([{ _id: 'a' }, { _id: 'b' }]));
+    // The second one was taken by a replay or another instance
+    const claim = jest
+      .spyOn(WebhookEvent, 'findOneAndUpdate')
+      .mockResolvedValueOnce(claimed)
+      .mockResolvedValueOnce(null);
+    const process = jest.spyOn(webhookService, 'process').mockResolvedValue(claimed);
+
+    const { retried } = await webhookService.retryDue();
+
+    expect(retried).toBe(1);
+    expect(process).toHaveBeenCalledTimes(1);
+    expect(process).toHaveBeenCalledWith(claimed);
+    expect(claim).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'b', $or: expect.any(Array) }),
+      { $set: { status: 'processing' } },
+      { new: true }
+    );
+  });
+
+  it('does not claim an event that is already processing', async () => {
+    const claim = jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(webhookService.claim('a')).resolves.toBeNull();
+    expect(claim).toHaveBeenCalledWith(
+      { _id: 'a', status: { $ne: 'processing' } },
+      { $set: { status: 'processing' } },
+      { new: true }
+    );
+  });
+});
@@ -0,0 +1,10 @@
+/**
+ * Wrap an async route handler so a rejected promise reaches the
+ * error middleware instead of being left unhandled
+ * @param {Function} fn - (req, res, next) => Promise
+ * @returns {Function} Express middleware
+ */
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+module.exports = asyncHandler;
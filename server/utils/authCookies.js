@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const config = require('../config/env');
+
+/**
+ * Cookie-mode authentication
+ * Clients that send `X-Auth-Mode: cookie` get their tokens as httpOnly
+ * cookies instead of in the response body, so page scripts never see
+ * them. Cookie-authenticated writes must echo the readable CSRF cookie
+ * in an X-CSRF-Token header (double-submit), checked by middleware/auth.js.
+ */
+
+const COOKIE_NAMES = Object.freeze({
+  access: 'accessToken',
+  refresh: 'refreshToken',
+  csrf: 'csrfToken',
+});
+
+const CSRF_HEADER = 'X-CSRF-Token';
+
+// The refresh token is only ever needed by the auth routes
+const REFRESH_COOKIE_PATH = '/api/v1/auth';
+
+// Methods that never change state and so need no CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const baseOptions = () => ({
+  sameSite: config.auth.cookieSameSite,
+  // Browsers reject SameSite=None cookies that are not Secure
+  secure: config.env === 'production' || config.auth.cookieSameSite === 'none',
+  domain: config.auth.cookieDomain,
+});
+
+/**
+ * Whether the client asked for cookie-mode tokens
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+const wantsCookies = (req) => req.get('x-auth-mode') === 'cookie';
+
+/**
+ * Set the access, refresh and CSRF cookies. The CSRF token is also sent
+ * in the X-CSRF-Token header, since a client on another host cannot
+ * read the API's cookies.
+ * @param {object} res - Express response
+ * @param {object} tokens
+ * @param {string} tokens.accessToken
+ * @param {string} tokens.refreshToken
+ * @returns {string} The CSRF token
+ */
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const options = baseOptions();
+  // The access token outlives its JWT so an expired one reaches the
+  // server and is answered with TOKEN_EXPIRED rather than "no token"
+  const maxAge = config.jwt.cookieExpire * 24 * 60 * 60 * 1000;
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+
+  res.cookie(COOKIE_NAMES.access, accessToken, {
+    ...options,
+    httpOnly: true,
+    maxAge,
+    path: '/',
+  });
+  res.cookie(COOKIE_NAMES.refresh, refreshToken, {
+    ...options,
+    httpOnly: true,
+    maxAge,
+    path: REFRESH_COOKIE_PATH,
+  });
+  res.cookie(COOKIE_NAMES.csrf, csrfToken, { ...options, httpOnly: false, maxAge, path: '/' });
+  res.set(CSRF_HEADER, csrfToken);
+
+  return csrfToken;
+};
+
+/**
+ * Whether a cookie-authenticated request is safe from CSRF: either it
+ * cannot change state, or its X-CSRF-Token header matches the CSRF
+ * cookie, which another site can neither read nor set
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+const hasValidCsrfToken = (req) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  const cookieToken = req.cookies?.[COOKIE_NAMES.csrf];
+  const headerToken = req.get(CSRF_HEADER);
+
+  if (!cookieToken || !headerToken) {
+    return false;
+  }
+
+  const expected = Buffer.from(cookieToken);
+  const received = Buffer.from(headerToken);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Remove all auth cookies
+ * @param {object} res - Express response
+ */
+const clearAuthCookies = (res) => {
+  const options = baseOptions();
+
+  res.clearCookie(COOKIE_NAMES.access, { ...options, path: '/' });
+  res.clearCookie(COOKIE_NAMES.refresh, { ...options, path: REFRESH_COOKIE_PATH });
+  res.clearCookie(COOKIE_NAMES.csrf, { ...options, path: '/' });
+};
+
+module.exports = {
+  COOKIE_NAMES,
+  CSRF_HEADER,
+  wantsCookies,
+  setAuthCookies,
+  hasValidCsrfToken,
+  clearAuthCookies,
+};
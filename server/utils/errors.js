@@ -0,0 +1,124 @@
+/**
+ * Application Errors
+ * Typed errors carrying an HTTP status and a stable, machine-readable
+ * `code`. Throw them from controllers, middleware or services and let
+ * the errorHandler middleware turn them into responses.
+ */
+
+// Stable error codes returned to clients. Never rename a value; clients branch on them.
+const ERROR_CODES = Object.freeze({
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+  NOT_FOUND: 'NOT_FOUND',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  INVALID_ID: 'INVALID_ID',
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+  PAYMENT_REQUIRED: 'PAYMENT_REQUIRED',
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  FORBIDDEN: 'FORBIDDEN',
+  EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+  CSRF_INVALID: 'CSRF_INVALID',
+  TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
+  INVALID_TWO_FACTOR_CODE: 'INVALID_TWO_FACTOR_CODE',
+  CORS_NOT_ALLOWED: 'CORS_NOT_ALLOWED',
+  CONFLICT: 'CONFLICT',
+  DUPLICATE_VALUE: 'DUPLICATE_VALUE',
+  PRICE_CHANGED: 'PRICE_CHANGED',
+  OUT_OF_STOCK: 'OUT_OF_STOCK',
+  CATEGORY_IN_USE: 'CATEGORY_IN_USE',
+  PAYMENT_FAILED: 'PAYMENT_FAILED',
+  PAYMENT_ERROR: 'PAYMENT_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+});
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Safe to show to the client
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - One of ERROR_CODES
+   * @param {object} details - Extra fields merged into the response body
+   */
+  constructor(message, statusCode = 500, code = ERROR_CODES.INTERNAL_ERROR, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(
+    message = 'Resource not found',
+    { code = ERROR_CODES.NOT_FOUND, details } = {}
+  ) {
+    super(message, 404, code, details);
+  }
+}
+
+class ValidationError extends AppError {
+  /**
+   * @param {string} message
+   * @param {Array<{field: string, message: string}>} errors - Per-field problems
+   */
+  constructor(
+    message = 'Validation failed',
+    errors,
+    { code = ERROR_CODES.VALIDATION_ERROR, details } = {}
+  ) {
+    super(message, 400, code, details);
+    this.errors = errors;
+  }
+}
+
+class AuthError extends AppError {
+  constructor(
+    message = 'Authentication required',
+    { code = ERROR_CODES.AUTH_REQUIRED, details } = {}
+  ) {
+    super(message, 401, code, details);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Access denied', { code = ERROR_CODES.FORBIDDEN, details } = {}) {
+    super(message, 403, code, details);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(
+    message = 'Resource conflict',
+    { code = ERROR_CODES.CONFLICT, details } = {}
+  ) {
+    super(message, 409, code, details);
+  }
+}
+
+// The payment provider rejected or failed a request
+class PaymentError extends AppError {
+  constructor(
+    message = 'Payment provider error',
+    { code = ERROR_CODES.PAYMENT_ERROR, details } = {}
+  ) {
+    super(message, 502, code, details);
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  AppError,
+  NotFoundError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  ConflictError,
+  PaymentError,
+};
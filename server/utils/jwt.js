@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/env');
+
+/**
+ * Single-purpose tokens
+ * Signed links (e.g. email verification) are JWTs signed with a key
+ * derived from JWT_SECRET and the purpose, so one can never be used as
+ * an access token or for a different purpose.
+ */
+
+const purposeSecret = (purpose) =>
+  crypto.createHmac('sha256', config.jwt.secret).update(purpose).digest('hex');
+
+/**
+ * Sign a token for one purpose
+ * @param {string} purpose - e.g. 'verify_email'
+ * @param {object} payload
+ * @param {string|number} expiresIn - jsonwebtoken expiry, e.g. '24h'
+ * @returns {string}
+ */
+const signPurposeToken = (purpose, payload, expiresIn) =>
+  jwt.sign({ ...payload, purpose }, purposeSecret(purpose), { expiresIn });
+
+/**
+ * Verify a token signed by signPurposeToken. Throws jsonwebtoken's
+ * TokenExpiredError / JsonWebTokenError when it is expired or invalid.
+ * @param {string} purpose
+ * @param {string} token
+ * @returns {object} The decoded payload
+ */
+const verifyPurposeToken = (purpose, token) => {
+  const decoded = jwt.verify(token, purposeSecret(purpose));
+
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('Token purpose mismatch');
+  }
+
+  return decoded;
+};
+
+// Session tokens share JWT_SECRET, so each says whether it is for
+// requests or for getting new tokens
+const TOKEN_TYPES = {
+  ACCESS: 'access',
+  REFRESH: 'refresh',
+};
+
+/**
+ * Verify an access or refresh token and check its type. Throws
+ * jsonwebtoken's TokenExpiredError / JsonWebTokenError when it is expired,
+ * invalid or of the other type.
+ * @param {string} type - One of TOKEN_TYPES
+ * @param {string} token
+ * @returns {object} The decoded payload
+ */
+const verifySessionToken = (type, token) => {
+  const decoded = jwt.verify(token, config.jwt.secret);
+
+  if (decoded.type !== type) {
+    throw new jwt.JsonWebTokenError('Token type mismatch');
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  signPurposeToken,
+  verifyPurposeToken,
+  TOKEN_TYPES,
+  verifySessionToken,
+};
@@ -0,0 +1,175 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const config = require('../config/env');
+
+/**
+ * Structured Logger
+ * Writes one JSON object per line with a level, message, timestamp and
+ * the current request's correlation ID. Secrets are redacted before
+ * anything is written.
+ */
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  http: 3,
+  debug: 4,
+};
+
+// Keys whose values must never reach the logs
+const SENSITIVE_KEY = /pass(word)?|token|secret|authorization|cookie|signature|otp|cvv|card_?number|account_?number/i;
+const REDACTED = '[REDACTED]';
+
+// Incoming X-Request-Id values are only trusted if they look like an ID
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Copy a value with sensitive keys replaced, Errors flattened and cycles cut
+ * @param {*} value
+ * @param {WeakSet} seen - Objects already visited
+ * @returns {*}
+ */
+const redact = (value, seen = new WeakSet()) => {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      stack: config.env === 'production' ? undefined : value.stack,
+    };
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  // Mongoose ObjectIds and similar serialise to a string
+  if (typeof value.toHexString === 'function') {
+    return value.toString();
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  const copy = Array.isArray(value)
+    ? value.map((item) => redact(item, seen))
+    : Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          SENSITIVE_KEY.test(key) ? REDACTED : redact(item, seen),
+        ])
+      );
+
+  // Only ancestors count as cycles; the same object may appear twice
+  seen.delete(value);
+  return copy;
+};
+
+class Logger {
+  /**
+   * @param {object} bindings - Fields added to every entry from this logger
+   */
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+    this.level = LEVELS[config.logLevel] ?? LEVELS.info;
+  }
+
+  /**
+   * Write a log entry if the level is enabled
+   * @param {string} level - One of error, warn, info, http, debug
+   * @param {string} message - What happened
+   * @param {object} meta - Extra structured fields
+   */
+  log(level, message, meta = {}) {
+    if (config.logLevel === 'silent' || LEVELS[level] > this.level) {
+      return;
+    }
+
+    const context = requestContext.getStore();
+    const details = meta instanceof Error ? { error: meta } : meta;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      requestId: context?.requestId,
+      ...redact({ ...this.bindings, ...details }),
+    };
+
+    const line = JSON.stringify(entry) + '\n';
+    if (LEVELS[level] <= LEVELS.warn) {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  }
+
+  error(message, meta) {
+    this.log('error', message, meta);
+  }
+
+  warn(message, meta) {
+    this.log('warn', message, meta);
+  }
+
+  info(message, meta) {
+    this.log('info', message, meta);
+  }
+
+  http(message, meta) {
+    this.log('http', message, meta);
+  }
+
+  debug(message, meta) {
+    this.log('debug', message, meta);
+  }
+
+  /**
+   * Create a logger that adds the given fields to every entry
+   * @param {object} bindings
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  /**
+   * Express middleware: assign a correlation ID to each request, echo it
+   * in the X-Request-Id response header and attach it to every log entry
+   * written while the request is handled
+   */
+  requestId() {
+    return (req, res, next) => {
+      const incoming = req.get('X-Request-Id');
+      const requestId =
+        incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+      req.id = requestId;
+      res.setHeader('X-Request-Id', requestId);
+
+      requestContext.run({ requestId }, next);
+    };
+  }
+
+  /**
+   * Current request's correlation ID, if any
+   * @returns {string|undefined}
+   */
+  getRequestId() {
+    return requestContext.getStore()?.requestId;
+  }
+}
+
+const logger = new Logger();
+logger.redact = redact;
+
+module.exports = logger;
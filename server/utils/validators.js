@@ -0,0 +1,127 @@
+/**
+ * Validators
+ * Checks that depend on stored data and so cannot live in a Joi schema.
+ * Each returns a list of { field, message } problems in the shape the
+ * validation middleware sends back; an empty list means valid.
+ */
+
+// Longest free text accepted when a text option sets no maxLength
+const DEFAULT_TEXT_MAX_LENGTH = 200;
+
+const optionLabel = (option) => option.label || option.name;
+
+/**
+ * Check one value against a single custom option
+ * @private
+ * @returns {string|null} The problem, or null
+ */
+const checkOptionValue = (option, value) => {
+  const label = optionLabel(option);
+
+  switch (option.type) {
+    case 'select':
+    case 'color':
+      if (!option.options.includes(value)) {
+        return `${label} must be one of: ${option.options.join(', ')}`;
+      }
+      return null;
+
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        return `${label} must be a number`;
+      }
+      if (option.min != null && number < option.min) {
+        return `${label} must be at least ${option.min}`;
+      }
+      if (option.max != null && number > option.max) {
+        return `${label} cannot exceed ${option.max}`;
+      }
+      return null;
+    }
+
+    default: {
+      const maxLength = option.maxLength ?? DEFAULT_TEXT_MAX_LENGTH;
+      if (option.minLength != null && value.length < option.minLength) {
+        return `${label} must be at least ${option.minLength} characters`;
+      }
+      if (value.length > maxLength) {
+        return `${label} cannot exceed ${maxLength} characters`;
+      }
+      return null;
+    }
+  }
+};
+
+/**
+ * Check a buyer's customisations against a product's customOptions:
+ * unknown or repeated options, values outside the allowed list or limits,
+ * missing required options, and options hidden by a showIf rule.
+ * @param {object} product - Product document
+ * @param {Array<{name: string, value: string}>} customSpecs - The buyer's choices
+ * @param {string} field - Path of the customSpecs array, e.g. 'items.0.customSpecs'
+ * @returns {Array<{field: string, message: string}>}
+ */
+const validateCustomSpecs = (product, customSpecs = [], field = 'customSpecs') => {
+  const errors = [];
+  const optionsByName = new Map(product.customOptions.map((option) => [option.name, option]));
+  const given = new Map();
+
+  customSpecs.forEach((spec, index) => {
+    const path = `${field}.${index}`;
+
+    if (!optionsByName.has(spec.name)) {
+      errors.push({
+        field: `${path}.name`,
+        message: `"${spec.name}" is not an option for ${product.name}`,
+      });
+    } else if (given.has(spec.name)) {
+      errors.push({
+        field: `${path}.name`,
+        message: `${optionLabel(optionsByName.get(spec.name))} was chosen more than once`,
+      });
+    } else {
+      given.set(spec.name, { value: String(spec.value ?? '').trim(), path });
+    }
+  });
+
+  // Walk the options in order so each showIf rule sees the choices before it
+  const selection = {};
+  product.customOptions.forEach((option) => {
+    const entry = given.get(option.name);
+    const hasValue = entry && entry.value !== '';
+
+    if (!product.isOptionActive(option, selection)) {
+      if (hasValue) {
+        const parent = optionsByName.get(option.showIf.option);
+        const values = option.showIf.values.join(' or ');
+        errors.push({
+          field: `${entry.path}.name`,
+          message: `${optionLabel(option)} only applies when ${optionLabel(parent)} is ${values}`,
+        });
+      }
+      return;
+    }
+
+    if (!hasValue) {
+      if (option.default) {
+        selection[option.name] = option.default;
+      } else if (option.required) {
+        errors.push({ field, message: `${optionLabel(option)} is required` });
+      }
+      return;
+    }
+
+    const problem = checkOptionValue(option, entry.value);
+    if (problem) {
+      errors.push({ field: `${entry.path}.value`, message: problem });
+    }
+    selection[option.name] = entry.value;
+  });
+
+  return errors;
+};
+
+module.exports = {
+  validateCustomSpecs,
+};